@@ -0,0 +1,197 @@
+/**
+ * Express app: requests through the routers, middleware and controllers, with Graph faked
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const request = require('supertest');
+
+process.env.LOG_TO_FILES = 'false';
+process.env.LOG_LEVEL = 'error';
+process.env.AUDIT_STORE = 'memory';
+process.env.CALLER_AUTH_REQUIRED = 'false';
+
+const { createApp } = require('../src/app');
+const azureAuth = require('../src/auth/azureAuth');
+const excelService = require('../src/services/excelService');
+const resolverService = require('../src/services/resolverService');
+const permissions = require('../src/config/permissions');
+const rangeValidator = require('../src/middleware/rangeValidator');
+
+const app = createApp();
+const configDir = fs.mkdtempSync(path.join(os.tmpdir(), 'app-rules-'));
+
+let graph;
+
+/**
+ * Fake Graph client: GET answers from graph.get by URL, POST records the call and
+ * answers with graph.posted
+ */
+const fakeGraphClient = () => ({
+    api: (url) => ({
+        select() {
+            return this;
+        },
+        top() {
+            return this;
+        },
+        header() {
+            return this;
+        },
+        get: async () => {
+            const match = Object.keys(graph.get).find(pattern => url.includes(pattern));
+            if (!match) {
+                throw Object.assign(new Error(`Unexpected GET ${url}`), { statusCode: 500 });
+            }
+            return graph.get[match];
+        },
+        post: async (body) => {
+            graph.posts.push({ url, body });
+            return graph.posted;
+        }
+    })
+});
+
+const loadRules = (config) => {
+    rangeValidator.configPath = path.join(configDir, 'rangePermissions.json');
+    fs.writeFileSync(rangeValidator.configPath, JSON.stringify(config));
+    expect(rangeValidator.loadConfig()).toBe(true);
+};
+
+beforeEach(() => {
+    graph = { get: {}, posts: [], posted: {} };
+    loadRules({ allowedRanges: ['Sheet1!A1:Z100'], lockedRanges: ['Sheet1!D6:F6'] });
+
+    jest.spyOn(azureAuth, 'getAccessToken').mockResolvedValue('token');
+    jest.spyOn(excelService, 'createGraphClient').mockImplementation(fakeGraphClient);
+    jest.spyOn(resolverService, 'createGraphClient').mockImplementation(fakeGraphClient);
+    jest.spyOn(permissions, 'canWriteTable').mockReturnValue({ allowed: true });
+});
+
+afterEach(() => {
+    jest.restoreAllMocks();
+});
+
+afterAll(() => {
+    permissions.unwatchStore();
+    rangeValidator.unwatchConfig();
+    fs.rmSync(configDir, { recursive: true, force: true });
+});
+
+describe('GET /list-drives and /list-items', () => {
+    const nextLink = 'https://graph.microsoft.com/v1.0/drives/drive/root:/Finance/2026:/children?$skiptoken=page2';
+
+    beforeEach(() => {
+        jest.spyOn(excelService, 'getSiteId').mockResolvedValue('site');
+        graph.get['/sites/site/drives'] = { value: [{ id: 'drive', name: 'Documents', driveType: 'documentLibrary' }] };
+        // The next page's URL contains the folder's, so it is matched first
+        graph.get['$skiptoken=page2'] = { value: [{ id: 'i3', name: 'Forecast.xlsm', file: {} }] };
+        graph.get['/root:/Finance/2026:/children'] = {
+            value: [
+                { id: 'f1', name: 'Q3', folder: { childCount: 2 } },
+                { id: 'i1', name: 'Budget.xlsx', file: {}, size: 100 },
+                { id: 'i2', name: 'notes.txt', file: {}, size: 10 }
+            ],
+            '@odata.nextLink': nextLink
+        };
+    });
+
+    test('lists the drives of the site', async () => {
+        const response = await request(app).get('/list-drives');
+
+        expect(response.status).toBe(200);
+        expect(response.body).toEqual({
+            success: true,
+            data: { drives: [expect.objectContaining({ id: 'drive', name: 'Documents' })], count: 1 }
+        });
+    });
+
+    test('lists the subfolders and workbooks of a folder, one page at a time', async () => {
+        const first = await request(app).get('/list-items').query({ driveName: 'Documents', folderPath: '/Finance/2026/' });
+
+        expect(first.status).toBe(200);
+        expect(first.body.data).toMatchObject({ folderPath: 'Finance/2026', count: 2, nextPageToken: expect.any(String) });
+        expect(first.body.data.items.map(item => [item.name, item.type])).toEqual([['Q3', 'folder'], ['Budget.xlsx', 'file']]);
+
+        const second = await request(app).get('/list-items').query({ driveName: 'Documents', pageToken: first.body.data.nextPageToken });
+
+        expect(second.body.data.items.map(item => item.name)).toEqual(['Forecast.xlsm']);
+        expect(second.body.data.nextPageToken).toBeNull();
+    });
+
+    test('lists every file with excelOnly=false', async () => {
+        const response = await request(app).get('/list-items').query({ driveName: 'Documents', folderPath: 'Finance/2026', excelOnly: false });
+
+        expect(response.body.data.items.map(item => item.name)).toEqual(['Q3', 'Budget.xlsx', 'notes.txt']);
+    });
+
+    test('refuses a page token that does not point at Graph', async () => {
+        const pageToken = Buffer.from('https://attacker.example.com/steal').toString('base64url');
+
+        const response = await request(app).get('/list-items').query({ driveName: 'Documents', pageToken });
+
+        expect(response.status).toBe(400);
+        expect(response.body).toMatchObject({ success: false, error: 'Invalid pageToken' });
+    });
+});
+
+describe('one router for /api/excel and /excel', () => {
+    test('serves the same endpoint with the API and the GPT Actions envelopes', async () => {
+        jest.spyOn(excelService, 'getSiteId').mockResolvedValue('site');
+        graph.get['/sites/site/drives'] = { value: [{ id: 'drive', name: 'Documents' }] };
+
+        const api = await request(app).get('/api/excel/drives');
+        const gpt = await request(app).get('/excel/drives');
+
+        expect(api.body).toEqual({ status: 'success', data: { drives: [expect.objectContaining({ id: 'drive' })], count: 1 } });
+        expect(gpt.body).toEqual({ success: true, data: api.body.data });
+    });
+
+    test('validates GPT Actions requests like API requests', async () => {
+        const response = await request(app).post('/excel/read').send({ driveId: 'drive' });
+
+        expect(response.status).toBe(400);
+        expect(response.body.success).toBe(false);
+        expect(response.body.error).toMatch('Validation failed');
+    });
+});
+
+describe('POST /api/excel/add-table-rows', () => {
+    const addRows = (rows) => request(app)
+        .post('/api/excel/add-table-rows')
+        .send({ driveId: 'drive', itemId: 'book', worksheetId: 'Sheet1', tableName: 'Sales', rows });
+
+    test('appends rows when the table and the new rows are outside the locked ranges', async () => {
+        graph.get['/tables/Sales/range'] = { address: 'Sheet1!D1:F4' };
+        graph.posted = { index: 3, values: [[1, 2, 3]] };
+
+        const response = await addRows([[1, 2, 3]]);
+
+        expect(response.status).toBe(200);
+        expect(response.body.data.rowsAdded).toBe(1);
+        expect(graph.posts).toEqual([
+            { url: expect.stringContaining('/tables/Sales/rows'), body: { values: [[1, 2, 3]] } }
+        ]);
+    });
+
+    test('gives 403 for a table over a locked range', async () => {
+        graph.get['/tables/Sales/range'] = { address: 'Sheet1!D5:F8' };
+
+        const response = await addRows([[1, 2, 3]]);
+
+        expect(response.status).toBe(403);
+        expect(response.body.error.message).toMatch('overlaps with locked range: Sheet1!D6:F6');
+        expect(graph.posts).toHaveLength(0);
+    });
+
+    test('gives 403 when the appended rows would reach a locked range', async () => {
+        // D1:F4 plus two rows covers D6:F6
+        graph.get['/tables/Sales/range'] = { address: 'Sheet1!D1:F4' };
+
+        const response = await addRows([[1, 2, 3], [4, 5, 6]]);
+
+        expect(response.status).toBe(403);
+        expect(graph.posts).toHaveLength(0);
+    });
+});
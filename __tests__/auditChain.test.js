@@ -0,0 +1,162 @@
+/**
+ * Audit hash chain: sealing, verification, signatures and the retention anchor
+ */
+
+process.env.LOG_TO_FILES = 'false';
+process.env.LOG_LEVEL = 'error';
+
+const auditChain = require('../src/services/auditChain');
+const MemoryAuditStore = require('../src/services/auditStore/memoryStore');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const buildChain = (count, { start = null, daysAgo = () => 0 } = {}) => {
+    const entries = [];
+    let head = start;
+    for (let i = 0; i < count; i++) {
+        const entry = auditChain.seal({
+            id: `entry-${i}`,
+            timestamp: new Date(Date.now() - daysAgo(i) * DAY_MS).toISOString(),
+            operation: 'WRITE',
+            range: `A${i + 1}`,
+            newValues: [[i]]
+        }, head);
+        entries.push(entry);
+        head = { seq: entry.seq, hash: entry.hash };
+    }
+    return entries;
+};
+
+afterEach(() => {
+    auditChain.hmacKey = null;
+});
+
+describe('seal', () => {
+    test('links entries by sequence number and previous hash', () => {
+        const [first, second] = buildChain(2);
+
+        expect(first.seq).toBe(1);
+        expect(first.prevHash).toBe('0'.repeat(64));
+        expect(second.seq).toBe(2);
+        expect(second.prevHash).toBe(first.hash);
+        expect(first.signature).toBeUndefined();
+    });
+
+    test('hashes content independently of key order', () => {
+        const a = auditChain.seal({ id: 'x', user: 'u', range: 'A1' }, null);
+        const b = auditChain.seal({ range: 'A1', user: 'u', id: 'x' }, null);
+        expect(a.hash).toBe(b.hash);
+    });
+
+    test('replaces hash and signature fields it is given', () => {
+        const sealed = auditChain.seal({ id: 'x', hash: 'forged', signature: 'forged' }, null);
+        expect(sealed.hash).toBe(auditChain.computeHash(sealed));
+        expect(sealed.signature).toBeUndefined();
+    });
+});
+
+describe('verify', () => {
+    test('accepts an intact chain', async () => {
+        const result = await auditChain.verify(buildChain(5));
+
+        expect(result).toMatchObject({
+            valid: true,
+            checkedEntries: 5,
+            anchor: { seq: 1, genesis: true },
+            head: { seq: 5 },
+            firstBrokenLink: null
+        });
+    });
+
+    test('reports an altered entry', async () => {
+        const entries = buildChain(4);
+        entries[2] = { ...entries[2], newValues: [[999]] };
+
+        const result = await auditChain.verify(entries);
+        expect(result.valid).toBe(false);
+        expect(result.firstBrokenLink).toMatchObject({ seq: 3, reason: expect.stringMatching('does not match its hash') });
+    });
+
+    test('reports a removed entry', async () => {
+        const entries = buildChain(4);
+        entries.splice(1, 1);
+
+        const result = await auditChain.verify(entries);
+        expect(result.firstBrokenLink).toMatchObject({ seq: 3, reason: expect.stringMatching('Sequence jumps from 1 to 3') });
+    });
+
+    test('reports a rehashed entry through the next link', async () => {
+        const entries = buildChain(3);
+        entries[1] = auditChain.seal({ ...entries[1], newValues: [[999]] }, { seq: 1, hash: entries[0].hash });
+
+        const result = await auditChain.verify(entries);
+        expect(result.firstBrokenLink).toMatchObject({ seq: 3, reason: expect.stringMatching('prevHash does not match') });
+    });
+
+    test('skips entries written before chaining started', async () => {
+        const result = await auditChain.verify([{ id: 'old-1' }, { id: 'old-2' }, ...buildChain(2)]);
+        expect(result).toMatchObject({ valid: true, unchainedEntries: 2, checkedEntries: 2 });
+    });
+});
+
+describe('signatures', () => {
+    test('checks signatures with the key', async () => {
+        auditChain.hmacKey = 'secret';
+        const entries = buildChain(3);
+        expect(entries.every(entry => /^[0-9a-f]{64}$/.test(entry.signature))).toBe(true);
+        expect((await auditChain.verify(entries)).signedEntries).toBe(3);
+
+        auditChain.hmacKey = 'other-secret';
+        const result = await auditChain.verify(entries);
+        expect(result.firstBrokenLink).toMatchObject({ seq: 1, reason: expect.stringMatching('Signature does not match') });
+    });
+
+    test('rejects an unsigned entry after signed ones', async () => {
+        auditChain.hmacKey = 'secret';
+        const signed = buildChain(2);
+        auditChain.hmacKey = null;
+        const [unsigned] = buildChain(1, { start: { seq: 2, hash: signed[1].hash } });
+
+        const result = await auditChain.verify([...signed, unsigned]);
+        expect(result.firstBrokenLink).toMatchObject({ seq: 3, reason: expect.stringMatching('not signed') });
+    });
+});
+
+describe('retention anchor', () => {
+    test('a chain whose oldest entries were pruned stays valid from its first entry', async () => {
+        const store = new MemoryAuditStore({ retentionDays: 30 });
+        // Entries 1-3 are past retention, 4-6 are recent
+        for (const entry of buildChain(6, { daysAgo: i => (i < 3 ? 40 : 1) })) {
+            await store.append(entry);
+        }
+
+        expect(await store.prune()).toBe(3);
+
+        const result = await auditChain.verify(store.scan());
+        expect(result).toMatchObject({
+            valid: true,
+            checkedEntries: 3,
+            anchor: { seq: 4, genesis: false },
+            head: { seq: 6 }
+        });
+    });
+
+    test('maxEntries trims the oldest entries and keeps the rest contiguous', async () => {
+        const store = new MemoryAuditStore({ maxEntries: 2 });
+        for (const entry of buildChain(5)) {
+            await store.append(entry);
+        }
+
+        const result = await auditChain.verify(store.scan());
+        expect(result).toMatchObject({ valid: true, anchor: { seq: 4 }, head: { seq: 5 } });
+    });
+
+    test('only the anchor is trusted: a gap after it is still reported', async () => {
+        const entries = buildChain(6).slice(2);
+        entries.splice(2, 1);
+
+        const result = await auditChain.verify(entries);
+        expect(result.anchor).toMatchObject({ seq: 3 });
+        expect(result.firstBrokenLink).toMatchObject({ seq: 6 });
+    });
+});
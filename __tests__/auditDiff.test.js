@@ -0,0 +1,117 @@
+/**
+ * Cell-level diffs of audited writes and GET /api/excel/logs/:id/diff (JSON and HTML)
+ */
+
+const request = require('supertest');
+
+process.env.LOG_TO_FILES = 'false';
+process.env.LOG_LEVEL = 'error';
+process.env.AUDIT_STORE = 'memory';
+process.env.CALLER_AUTH_REQUIRED = 'false';
+
+const { createApp } = require('../src/app');
+const azureAuth = require('../src/auth/azureAuth');
+const auditDiff = require('../src/services/auditDiff');
+const auditService = require('../src/services/auditService');
+const auditTrail = require('../src/middleware/auditLogger');
+const permissions = require('../src/config/permissions');
+const rangeValidator = require('../src/middleware/rangeValidator');
+
+const app = createApp();
+
+const write = async (fields) => {
+    const auditId = auditService.logWriteOperation({
+        user: 'alice', driveId: 'drive', workbookId: 'book', worksheetId: 'Sheet1', success: true, ...fields
+    });
+    await auditTrail.chainQueue;
+    return auditId;
+};
+
+const diff = (auditId, query = {}) => request(app).get(`/api/excel/logs/${auditId}/diff`).query(query);
+
+beforeEach(() => {
+    jest.spyOn(azureAuth, 'getAccessToken').mockResolvedValue('token');
+});
+
+afterEach(() => {
+    jest.restoreAllMocks();
+});
+
+afterAll(() => {
+    permissions.unwatchStore();
+    rangeValidator.unwatchConfig();
+});
+
+describe('compute', () => {
+    test('lists changed cells by address and skips cells written as null', () => {
+        expect(auditDiff.compute({ range: 'B2:C3', oldValues: [[1, 2], [3, 4]], newValues: [[1, 5], [null, 6]] })).toEqual({
+            cellsCompared: 3,
+            cellsChanged: 2,
+            changes: [
+                { address: 'C2', oldValue: 2, newValue: 5 },
+                { address: 'C3', oldValue: 4, newValue: 6 }
+            ]
+        });
+    });
+
+    test('counts a formula replaced by its own result as a change', () => {
+        const { changes } = auditDiff.compute({ range: 'A1', oldValues: [[3]], oldFormulas: [['=1+2']], newValues: [[3]] });
+
+        expect(changes).toEqual([{ address: 'A1', oldValue: 3, newValue: 3, oldFormula: '=1+2' }]);
+    });
+
+    test('compares a cleared range against empty cells', () => {
+        expect(auditDiff.compute({ range: 'A1:B1', oldValues: [['x', '']], newValues: null, applyTo: 'contents' }))
+            .toMatchObject({ cellsCompared: 2, cellsChanged: 1, changes: [{ address: 'A1', oldValue: 'x', newValue: '' }] });
+    });
+
+    test('is stored with the audit entry', async () => {
+        const auditId = await write({ range: 'A1', oldValues: [[1]], newValues: [[2]] });
+
+        const entry = await auditTrail.findAuditEntry(auditId);
+
+        expect(entry.diff).toEqual({ cellsCompared: 1, cellsChanged: 1, changes: [{ address: 'A1', oldValue: 1, newValue: 2 }] });
+    });
+});
+
+describe('GET /api/excel/logs/:id/diff', () => {
+    test('returns the diff with the entry it belongs to', async () => {
+        const auditId = await write({ range: 'A1:B1', oldValues: [[1, 2]], newValues: [[1, 3]] });
+
+        const response = await diff(auditId);
+
+        expect(response.status).toBe(200);
+        expect(response.body.data).toMatchObject({
+            auditId, operation: 'WRITE', user: 'alice', itemId: 'book', range: 'A1:B1', cellsChanged: 1,
+            changes: [{ address: 'B1', oldValue: 2, newValue: 3 }]
+        });
+    });
+
+    test('renders an escaped HTML page', async () => {
+        const auditId = await write({ range: 'A1', oldValues: [['<b>old</b>']], newValues: [['new']] });
+
+        const response = await diff(auditId, { format: 'html' });
+
+        expect(response.status).toBe(200);
+        expect(response.headers['content-type']).toMatch('text/html');
+        expect(response.text).toContain('&lt;b&gt;old&lt;/b&gt;');
+        expect(response.text).toContain('1 of 1 written');
+    });
+
+    test.each([
+        ['a failed write', { range: 'A1', oldValues: [[1]], newValues: [[2]], success: false, error: 'Bad range' }],
+        ['a write without previous values', { range: 'A1', newValues: [[2]] }]
+    ])('gives 422 for %s', async (name, fields) => {
+        const auditId = await write(fields);
+
+        const response = await diff(auditId);
+
+        expect(response.status).toBe(422);
+    });
+
+    test('gives 404 for an unknown entry', async () => {
+        const response = await diff('00000000-0000-4000-8000-000000000000');
+
+        expect(response.status).toBe(404);
+    });
+});
@@ -0,0 +1,115 @@
+/**
+ * GET /api/excel/logs and /logs/export: cursor pagination, filters and CSV/JSONL export
+ */
+
+const request = require('supertest');
+
+process.env.LOG_TO_FILES = 'false';
+process.env.LOG_LEVEL = 'error';
+process.env.AUDIT_STORE = 'memory';
+process.env.CALLER_AUTH_REQUIRED = 'false';
+
+const { createApp } = require('../src/app');
+const azureAuth = require('../src/auth/azureAuth');
+const auditService = require('../src/services/auditService');
+const auditTrail = require('../src/middleware/auditLogger');
+const permissions = require('../src/config/permissions');
+const rangeValidator = require('../src/middleware/rangeValidator');
+
+const app = createApp();
+
+// Each test logs as its own user, as the store is shared
+let user;
+
+const write = (fields = {}) => auditService.logWriteOperation({
+    user, driveId: 'drive', workbookId: 'book', worksheetId: 'Sheet1', range: 'A1', newValues: [[1]], success: true, ...fields
+});
+
+const logs = async (query) => {
+    await auditTrail.chainQueue;
+    return request(app).get('/api/excel/logs').query({ user, ...query });
+};
+
+beforeEach(() => {
+    user = `user-${expect.getState().currentTestName.replace(/\W+/g, '-')}`;
+    jest.spyOn(azureAuth, 'getAccessToken').mockResolvedValue('token');
+});
+
+afterEach(() => {
+    jest.restoreAllMocks();
+});
+
+afterAll(() => {
+    permissions.unwatchStore();
+    rangeValidator.unwatchConfig();
+});
+
+describe('GET /api/excel/logs', () => {
+    test('pages through the entries with nextCursor', async () => {
+        const ids = [1, 2, 3, 4, 5].map(n => write({ range: `A${n}` }));
+
+        const all = await logs({ limit: 10 });
+        const first = await logs({ limit: 2 });
+        const second = await logs({ limit: 2, cursor: first.body.data.nextCursor });
+        const last = await logs({ limit: 2, cursor: second.body.data.nextCursor });
+
+        const entryIds = page => page.body.data.entries.map(entry => entry.id);
+        expect(first.status).toBe(200);
+        expect(entryIds(all).sort()).toEqual([...ids].sort());
+        expect([first, second, last].flatMap(entryIds)).toEqual(entryIds(all));
+        expect(last.body.data).toMatchObject({ count: 1, nextCursor: null });
+    });
+
+    test('filters by operation, range, workbook and outcome', async () => {
+        write({ range: 'B2' });
+        write({ range: 'B2', success: false, error: 'Bad range' });
+        write({ range: 'C3', workbookId: 'other-book' });
+        auditService.logReadOperation({ user, driveId: 'drive', workbookId: 'book', worksheetId: 'Sheet1', range: 'B2', success: true });
+
+        const count = async query => (await logs(query)).body.data.count;
+
+        expect(await count({ operation: 'WRITE' })).toBe(3);
+        expect(await count({ operation: 'WRITE,READ', range: 'B2' })).toBe(3);
+        expect(await count({ itemId: 'other-book' })).toBe(1);
+        expect(await count({ operation: 'WRITE', success: false })).toBe(1);
+    });
+
+    test.each([
+        ['an invalid cursor', { cursor: 'not-a-cursor' }],
+        ['a lowercase operation', { operation: 'write' }]
+    ])('gives 400 for %s', async (name, query) => {
+        const response = await logs(query);
+
+        expect(response.status).toBe(400);
+    });
+});
+
+describe('GET /api/excel/logs/export', () => {
+    test('streams JSON Lines ending with an export summary', async () => {
+        write({ range: 'A1' });
+        write({ range: 'A2' });
+        await auditTrail.chainQueue;
+
+        const response = await request(app).get('/api/excel/logs/export').query({ user, format: 'jsonl' });
+        const lines = response.text.trim().split('\n').map(line => JSON.parse(line));
+
+        expect(response.status).toBe(200);
+        expect(response.headers['content-type']).toMatch('application/x-ndjson');
+        expect(response.headers['content-disposition']).toMatch(/attachment; filename="audit-export-\d+T\d+\.jsonl"/);
+        expect(lines.slice(0, 2).map(entry => entry.range).sort()).toEqual(['A1', 'A2']);
+        expect(lines[2].exportSummary).toMatchObject({ count: 2, filters: { user } });
+    });
+
+    test('exports CSV with a header row', async () => {
+        write({ range: 'A1', newValues: [['a, "quoted" value']] });
+        await auditTrail.chainQueue;
+
+        const response = await request(app).get('/api/excel/logs/export').query({ user, format: 'csv' });
+        const [header, row] = response.text.trim().split('\n');
+
+        expect(response.headers['content-type']).toMatch('text/csv');
+        expect(header).toMatch(/^id,seq,timestamp,operation,user,success/);
+        expect(row).toContain(`WRITE,${user},true`);
+        expect(row).toContain('"[[""a, \\""quoted\\"" value""]]"');
+    });
+});
@@ -0,0 +1,148 @@
+/**
+ * Audit activity report: reads, writes, failures, cells modified and permission denials
+ * per user, workbook and range
+ */
+
+process.env.LOG_TO_FILES = 'false';
+process.env.LOG_LEVEL = 'error';
+process.env.AUDIT_STORE = 'memory';
+
+const auditService = require('../src/services/auditService');
+const auditTrail = require('../src/middleware/auditLogger');
+const excelService = require('../src/services/excelService');
+const batchService = require('../src/services/batchService');
+const resolverService = require('../src/services/resolverService');
+const sessionManager = require('../src/services/sessionManager');
+const permissions = require('../src/config/permissions');
+const rangeValidator = require('../src/middleware/rangeValidator');
+
+const HOUR_MS = 60 * 60 * 1000;
+
+// Each test reports on its own user, as the store is shared
+let user;
+let context;
+
+const report = async (filters = {}) => {
+    await auditTrail.chainQueue;
+    return auditService.generateAuditReport(new Date(Date.now() - HOUR_MS), new Date(Date.now() + HOUR_MS), { user, ...filters });
+};
+
+const write = (fields) => auditService.logWriteOperation({
+    ...context, driveId: 'drive', workbookId: 'book', worksheetId: 'Sheet1', ...fields
+});
+
+beforeEach(() => {
+    user = `user-${expect.getState().currentTestName.replace(/\W+/g, '-')}`;
+    context = { user, principal: user, requestId: `req-${user}` };
+});
+
+afterEach(() => {
+    jest.restoreAllMocks();
+});
+
+afterAll(() => {
+    permissions.unwatchStore();
+    rangeValidator.unwatchConfig();
+});
+
+describe('counters', () => {
+    test('counts reads, writes, failures and changed cells per user, workbook and range', async () => {
+        auditService.logReadOperation({
+            ...context, driveId: 'drive', workbookId: 'book', worksheetId: 'Sheet1', range: 'A1:B2', cellCount: 4, success: true
+        });
+        write({ range: 'A1:B2', oldValues: [[1, 2], [3, 4]], newValues: [[1, 5], [6, 4]], success: true });
+        write({ range: 'C1', newValues: [['x']], success: false, error: 'Bad range' });
+
+        const { totals, byUser, byWorkbook, busiestRanges } = await report();
+
+        expect(totals).toMatchObject({ reads: 1, writes: 2, failures: 1, cellsModified: 2, permissionDenials: 0 });
+        expect(totals.failureRate).toBeCloseTo(1 / 3, 4);
+        expect(byUser).toEqual([expect.objectContaining({ user, reads: 1, writes: 2 })]);
+        expect(byWorkbook).toEqual([expect.objectContaining({ driveId: 'drive', itemId: 'book', reads: 1, writes: 2 })]);
+        expect(busiestRanges[0]).toMatchObject({ worksheet: 'Sheet1', range: 'A1:B2', reads: 1, writes: 1, cellsModified: 2 });
+    });
+
+    test('lists denials by reason', async () => {
+        const deny = reason => auditService.logPermissionCheck({
+            ...context, workbookId: 'book', requestedPermission: 'WRITE', granted: false, reason
+        });
+        deny('Range is locked');
+        deny('Range is locked');
+        deny('No access to workbook');
+
+        const { totals, permissionDenials } = await report();
+
+        expect(totals.permissionDenials).toBe(3);
+        expect(permissionDenials).toEqual([
+            { reason: 'Range is locked', count: 2 },
+            { reason: 'No access to workbook', count: 1 }
+        ]);
+    });
+
+    test('leaves out entries outside the time range', async () => {
+        write({ range: 'A1', newValues: [[1]], success: true });
+        await auditTrail.chainQueue;
+
+        const { totals } = await auditService.generateAuditReport(
+            new Date(Date.now() - 2 * HOUR_MS), new Date(Date.now() - HOUR_MS), { user }
+        );
+
+        expect(totals.writes).toBe(0);
+    });
+});
+
+describe('batches', () => {
+    test('counts each batch operation once, and not the summary or the rollback', async () => {
+        const batch = { ...context, batchId: `batch-${user}` };
+        write({ ...batch, range: 'A1', newValues: [[1]], success: true });
+        write({ ...batch, range: 'A2', newValues: [[2]], success: false, error: 'Bad range' });
+        auditService.logUndoOperation({ ...batch, workbookId: 'book', range: 'A1', newValues: [[0]], success: true });
+        auditService.logBatchOperation({ ...batch, atomic: true, total: 2, succeeded: 1, failed: 1, rolledBack: 1 });
+
+        const { totals } = await report();
+
+        expect(totals).toMatchObject({ writes: 2, failures: 1, cellsModified: 1 });
+    });
+
+    test('counts an undo through /undo as a write', async () => {
+        auditService.logUndoOperation({ ...context, workbookId: 'book', range: 'A1', newValues: [[0]], success: true });
+
+        const { totals } = await report();
+
+        expect(totals.writes).toBe(1);
+    });
+});
+
+describe('denied writes', () => {
+    test('count as a denial, not as a failed write', async () => {
+        jest.spyOn(excelService, 'getWorksheetName').mockResolvedValue('Sheet1');
+        jest.spyOn(permissions, 'canWriteRange').mockReturnValue({ allowed: false, reason: 'Range is locked' });
+
+        await expect(excelService.writeRange({
+            accessToken: 'token', driveId: 'drive', itemId: 'book', worksheetId: 'Sheet1', range: 'A1', values: [[1]], auditContext: context
+        })).rejects.toMatchObject({ statusCode: 403 });
+
+        const { totals, byOperation } = await report();
+
+        expect(totals).toMatchObject({ writes: 0, failures: 0, permissionDenials: 1 });
+        expect(byOperation).toEqual([{ operation: 'PERMISSION_CHECK', count: 1, failures: 0 }]);
+    });
+
+    test('in a batch count as a denial, not as a failed write', async () => {
+        jest.spyOn(resolverService, 'resolveWorkbook').mockResolvedValue({ driveId: 'drive', itemId: 'book' });
+        jest.spyOn(resolverService, 'resolveWorksheet').mockResolvedValue({ worksheetId: 'sheet-id', worksheetName: 'Sheet1', address: 'A1' });
+        jest.spyOn(sessionManager, 'acquire').mockResolvedValue(null);
+        jest.spyOn(permissions, 'canWriteRange').mockReturnValue({ allowed: false, reason: 'Range is locked' });
+
+        const { results } = await batchService.execute({
+            accessToken: 'token',
+            operations: [{ id: '1', type: 'write_range', itemId: 'book', range: 'A1', values: [[1]] }],
+            auditContext: context
+        });
+        expect(results[0]).toMatchObject({ success: false, status: 403 });
+
+        const { totals } = await report();
+
+        expect(totals).toMatchObject({ writes: 0, failures: 0, permissionDenials: 1 });
+    });
+});
@@ -0,0 +1,109 @@
+/**
+ * One audit sink: reads, denied permission checks and system events are stored where
+ * GET /api/excel/logs reads them; granted checks are not
+ */
+
+const request = require('supertest');
+
+process.env.LOG_TO_FILES = 'false';
+process.env.LOG_LEVEL = 'error';
+process.env.AUDIT_STORE = 'memory';
+process.env.CALLER_AUTH_REQUIRED = 'true';
+process.env.API_KEYS = JSON.stringify([{ key: 'reader-key', user: 'reader@example.com', scopes: 'excel.read' }]);
+
+const { createApp } = require('../src/app');
+const azureAuth = require('../src/auth/azureAuth');
+const auditService = require('../src/services/auditService');
+const auditTrail = require('../src/middleware/auditLogger');
+const excelService = require('../src/services/excelService');
+const sessionManager = require('../src/services/sessionManager');
+const permissions = require('../src/config/permissions');
+const rangeValidator = require('../src/middleware/rangeValidator');
+
+// Each test acts as its own user, as the store is shared
+let user;
+let auditContext;
+
+/**
+ * Fake Graph client answering every range GET with one cell
+ */
+const fakeGraphClient = () => ({
+    api: () => ({
+        get: async () => ({ address: 'Sheet1!A1', values: [[1]], rowCount: 1, columnCount: 1 })
+    })
+});
+
+const readRange = () => excelService.readRange({
+    accessToken: 'token', driveId: 'drive', itemId: 'book', worksheetId: 'Sheet1', range: 'A1', auditContext
+});
+
+const stored = async (filters = {}) => {
+    await auditTrail.chainQueue;
+    return auditTrail.getAuditEntries({ user, ...filters });
+};
+
+beforeEach(() => {
+    user = `user-${expect.getState().currentTestName.replace(/\W+/g, '-')}`;
+    auditContext = { user, principal: user, requestId: `req-${user}` };
+    jest.spyOn(excelService, 'createGraphClient').mockImplementation(fakeGraphClient);
+    jest.spyOn(excelService, 'getWorksheetName').mockResolvedValue('Sheet1');
+    jest.spyOn(sessionManager, 'acquire').mockResolvedValue(null);
+});
+
+afterEach(() => {
+    jest.restoreAllMocks();
+});
+
+afterAll(() => {
+    permissions.unwatchStore();
+    rangeValidator.unwatchConfig();
+});
+
+test('stores a read with the cells it returned', async () => {
+    jest.spyOn(permissions, 'canReadRange').mockReturnValue({ allowed: true, reason: 'Range rule' });
+
+    await readRange();
+
+    expect(await stored()).toEqual([expect.objectContaining({
+        operation: 'READ', workbookId: 'book', worksheetId: 'Sheet1', range: 'A1', success: true
+    })]);
+});
+
+test('stores a denied range check instead of the read', async () => {
+    jest.spyOn(permissions, 'canReadRange').mockReturnValue({ allowed: false, reason: 'Range is locked (A1)' });
+
+    await expect(readRange()).rejects.toMatchObject({ statusCode: 403 });
+
+    expect(await stored()).toEqual([expect.objectContaining({
+        operation: 'PERMISSION_CHECK', range: 'A1', requestedPermission: 'READ', granted: false, reason: 'Range is locked (A1)'
+    })]);
+});
+
+test('does not store granted checks', async () => {
+    auditService.logPermissionCheck({ ...auditContext, requestedPermission: 'READ', granted: true, reason: 'Admin access' });
+
+    expect(await stored()).toEqual([]);
+});
+
+test('stores a missing scope on a route as a denied check', async () => {
+    user = 'reader@example.com';
+    jest.spyOn(azureAuth, 'getAccessToken').mockResolvedValue('token');
+
+    const response = await request(createApp())
+        .post('/api/excel/write')
+        .set('X-API-Key', 'reader-key')
+        .send({ driveId: 'drive', itemId: 'book', worksheetId: 'Sheet1', range: 'A1', values: [[1]] });
+
+    expect(response.status).toBe(403);
+    expect(await stored({ operation: 'PERMISSION_CHECK' })).toEqual([expect.objectContaining({
+        path: '/api/excel/write', requestedPermission: 'excel.write', granted: false
+    })]);
+});
+
+test('stores system events', async () => {
+    auditService.logSystemEvent({ event: 'AUDIT_EXPORT', details: { requestedBy: user } });
+
+    await auditTrail.chainQueue;
+    const [event] = await auditTrail.getAuditEntries({ operation: 'SYSTEM', limit: 1 });
+    expect(event).toMatchObject({ event: 'AUDIT_EXPORT', details: { requestedBy: user } });
+});
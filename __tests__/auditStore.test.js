@@ -0,0 +1,179 @@
+/**
+ * Audit stores: JSONL rotation and retention, and cursor pagination
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+process.env.LOG_TO_FILES = 'false';
+process.env.LOG_LEVEL = 'error';
+
+const JsonlAuditStore = require('../src/services/auditStore/jsonlStore');
+const MemoryAuditStore = require('../src/services/auditStore/memoryStore');
+const { encodeCursor, decodeCursor } = require('../src/services/auditStore');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const BASE = Date.UTC(2026, 0, 15, 12);
+
+let directory;
+
+beforeEach(() => {
+    directory = fs.mkdtempSync(path.join(os.tmpdir(), 'audit-store-'));
+});
+
+afterEach(() => {
+    fs.rmSync(directory, { recursive: true, force: true });
+});
+
+const entry = (n, time = BASE + n * 1000) => ({
+    id: `id-${String(n).padStart(3, '0')}`,
+    timestamp: new Date(time).toISOString(),
+    operation: n % 2 ? 'WRITE' : 'READ',
+    user: n % 3 ? 'alice@example.com' : 'bob@example.com',
+    range: `Sheet1!A${n + 1}`
+});
+
+const segmentFiles = () => fs.readdirSync(directory).filter(file => file !== 'audit.jsonl').sort();
+
+const storedIds = async store => (await store.query()).map(e => e.id);
+
+describe('JSONL rotation', () => {
+    test('rotates the active file at the size limit', async () => {
+        const store = new JsonlAuditStore({ directory, rotateBytes: 400 });
+        await store.init();
+        for (let n = 0; n < 10; n++) {
+            await store.append(entry(n));
+        }
+
+        const segments = segmentFiles();
+        expect(segments.length).toBeGreaterThan(1);
+        segments.forEach(file => expect(file).toMatch(/^audit-\d+-\d+-\d+\.jsonl$/));
+
+        const stored = segments.reduce((sum, file) => sum + Number(file.match(/-(\d+)\.jsonl$/)[1]), store.active.count);
+        expect(stored).toBe(10);
+        expect(await storedIds(store)).toEqual([...Array(10).keys()].reverse().map(n => entry(n).id));
+    });
+
+    test('rotates when a new UTC day starts', async () => {
+        const store = new JsonlAuditStore({ directory });
+        await store.init();
+        await store.append(entry(0, BASE));
+        await store.append(entry(1, BASE + 1000));
+        await store.append(entry(2, BASE + DAY_MS));
+
+        expect(segmentFiles()).toEqual([`audit-${BASE}-${BASE + 1000}-2.jsonl`]);
+        expect(store.active.count).toBe(1);
+    });
+
+    test('keeps segment end times increasing when clocks overlap', async () => {
+        const store = new JsonlAuditStore({ directory, rotateBytes: 1 });
+        await store.init();
+        await store.append(entry(0, BASE));
+        await store.append(entry(1, BASE));
+        await store.append(entry(2, BASE));
+
+        const lastTimes = segmentFiles().map(file => Number(file.split('-')[2]));
+        expect(lastTimes).toEqual([BASE, BASE + 1]);
+    });
+
+    test('picks up the active file after a restart', async () => {
+        const first = new JsonlAuditStore({ directory });
+        await first.init();
+        await first.append(entry(0));
+        await first.append(entry(1));
+        await first.close();
+
+        const second = new JsonlAuditStore({ directory });
+        await second.init();
+        expect(second.active).toMatchObject({ count: 2, firstMs: BASE, lastMs: BASE + 1000 });
+        expect((await second.last()).id).toBe('id-001');
+    });
+
+    test('drops the oldest segments beyond maxEntries, never the active file', async () => {
+        const store = new JsonlAuditStore({ directory, rotateBytes: 1, maxEntries: 3 });
+        await store.init();
+        for (let n = 0; n < 6; n++) {
+            await store.append(entry(n));
+        }
+        await store.prune();
+
+        expect(await storedIds(store)).toEqual(['id-005', 'id-004', 'id-003']);
+    });
+
+    test('drops segments past the retention period when opened', async () => {
+        const old = Date.now() - 40 * DAY_MS;
+        const writer = new JsonlAuditStore({ directory, rotateBytes: 1 });
+        await writer.init();
+        await writer.append(entry(0, old));
+        await writer.append(entry(1, old + 1000));
+        await writer.append(entry(2, Date.now()));
+        expect(segmentFiles()).toHaveLength(2);
+
+        const store = new JsonlAuditStore({ directory, retentionDays: 30 });
+        await store.init();
+        expect(segmentFiles()).toHaveLength(0);
+        expect(await storedIds(store)).toEqual(['id-002']);
+        expect(await store.prune()).toBe(0);
+    });
+});
+
+describe.each([
+    ['jsonl', () => new JsonlAuditStore({ directory, rotateBytes: 500 })],
+    ['memory', () => new MemoryAuditStore()]
+])('cursor pagination (%s)', (name, createStore) => {
+    let store;
+
+    beforeEach(async () => {
+        store = createStore();
+        await store.init();
+        // Pairs of entries share a timestamp, so the cursor has to break ties by ID
+        for (let n = 0; n < 15; n++) {
+            await store.append(entry(n, BASE + Math.floor(n / 2) * 1000));
+        }
+    });
+
+    const pages = async (filters) => {
+        const result = [];
+        let cursor;
+        for (;;) {
+            const page = await store.query({ ...filters, limit: 4, cursor });
+            if (page.length === 0) {
+                return result;
+            }
+            result.push(page.map(e => e.id));
+            cursor = encodeCursor(page[page.length - 1]);
+        }
+    };
+
+    test('walks every entry once, newest first', async () => {
+        const walked = await pages({});
+        expect(walked.map(page => page.length)).toEqual([4, 4, 4, 3]);
+        expect(walked.flat()).toEqual([...Array(15).keys()].reverse().map(n => entry(n).id));
+    });
+
+    test('pages through filtered entries', async () => {
+        const walked = (await pages({ user: 'bob@example.com', operation: 'READ,WRITE' })).flat();
+        expect(walked).toEqual(['id-012', 'id-009', 'id-006', 'id-003', 'id-000']);
+    });
+
+    test('combines the cursor with date filters', async () => {
+        const page = await store.query({
+            startDate: new Date(BASE + 2000).toISOString(),
+            cursor: encodeCursor(entry(9, BASE + 4000)),
+            limit: 10
+        });
+        expect(page.map(e => e.id)).toEqual(['id-008', 'id-007', 'id-006', 'id-005', 'id-004']);
+    });
+});
+
+describe('cursors', () => {
+    test('round-trip the position of an entry', () => {
+        expect(decodeCursor(encodeCursor(entry(7)))).toEqual({ time: BASE + 7000, id: 'id-007' });
+    });
+
+    test('reject anything else', () => {
+        expect(() => decodeCursor('not-a-cursor')).toThrow('Invalid cursor');
+        expect(() => decodeCursor(Buffer.from('{"t":"x","i":1}').toString('base64url'))).toThrow('Invalid cursor');
+    });
+});
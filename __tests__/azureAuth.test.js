@@ -0,0 +1,90 @@
+/**
+ * Graph tokens: app-only and On-Behalf-Of access per GRAPH_AUTH_MODE, and the per-user token cache
+ */
+
+process.env.LOG_TO_FILES = 'false';
+process.env.LOG_LEVEL = 'error';
+
+const azureAuth = require('../src/auth/azureAuth');
+const { AUTH } = require('../src/utils/constants');
+
+const HOUR_MS = 60 * 60 * 1000;
+
+const caller = (oid) => ({ user: { id: `${oid}@example.com`, claims: { oid } }, assertion: `jwt-of-${oid}` });
+
+beforeEach(() => {
+    azureAuth.clearToken();
+    azureAuth.mode = AUTH.GRAPH_AUTH_MODES.APP;
+    let issued = 0;
+    azureAuth.clientApp = {
+        acquireTokenByClientCredential: jest.fn(async () => ({ accessToken: 'app-token', expiresOn: new Date(Date.now() + HOUR_MS) })),
+        acquireTokenOnBehalfOf: jest.fn(async ({ oboAssertion }) => {
+            issued += 1;
+            return { accessToken: `delegated-${issued}-for-${oboAssertion}`, expiresOn: new Date(Date.now() + HOUR_MS) };
+        })
+    };
+});
+
+describe('GRAPH_AUTH_MODE', () => {
+    test('app uses the application token, even for a caller with a bearer token', async () => {
+        await expect(azureAuth.getAccessTokenForCaller(caller('u1'))).resolves.toEqual({ token: 'app-token', mode: 'application' });
+        expect(azureAuth.clientApp.acquireTokenOnBehalfOf).not.toHaveBeenCalled();
+    });
+
+    test('auto exchanges a bearer token and uses the application token without one', async () => {
+        azureAuth.mode = AUTH.GRAPH_AUTH_MODES.AUTO;
+
+        await expect(azureAuth.getAccessTokenForCaller(caller('u1'))).resolves.toEqual({ token: 'delegated-1-for-jwt-of-u1', mode: 'delegated' });
+        await expect(azureAuth.getAccessTokenForCaller({ user: { id: 'key-user' } })).resolves.toEqual({ token: 'app-token', mode: 'application' });
+        expect(azureAuth.clientApp.acquireTokenOnBehalfOf).toHaveBeenCalledWith({ oboAssertion: 'jwt-of-u1', scopes: azureAuth.oboScopes });
+    });
+
+    test('obo refuses a caller without a bearer token', async () => {
+        azureAuth.mode = AUTH.GRAPH_AUTH_MODES.OBO;
+
+        await expect(azureAuth.getAccessTokenForCaller({ user: { id: 'key-user' } }))
+            .rejects.toThrow('delegated Graph access requires a user bearer token');
+        expect(azureAuth.clientApp.acquireTokenByClientCredential).not.toHaveBeenCalled();
+    });
+});
+
+describe('delegated token cache', () => {
+    beforeEach(() => {
+        azureAuth.mode = AUTH.GRAPH_AUTH_MODES.OBO;
+    });
+
+    test('reuses a user\'s token and keeps users apart', async () => {
+        const first = await azureAuth.getAccessTokenForCaller(caller('u1'));
+        const again = await azureAuth.getAccessTokenForCaller(caller('u1'));
+        const other = await azureAuth.getAccessTokenForCaller(caller('u2'));
+
+        expect(again.token).toBe(first.token);
+        expect(other.token).toBe('delegated-2-for-jwt-of-u2');
+        expect(azureAuth.getTokenInfo().cachedUserTokens).toBe(2);
+    });
+
+    test('exchanges the bearer token again once the cached token is about to expire', async () => {
+        azureAuth.cacheUserToken('u1', 'old-token', Date.now() + AUTH.TOKEN_BUFFER_TIME - 1000);
+
+        await expect(azureAuth.getAccessTokenForCaller(caller('u1'))).resolves.toMatchObject({ token: 'delegated-1-for-jwt-of-u1' });
+    });
+
+    test('evicts the least recently cached user when full', () => {
+        for (let i = 0; i < AUTH.OBO_CACHE_MAX_ENTRIES; i++) {
+            azureAuth.cacheUserToken(`user-${i}`, `token-${i}`, Date.now() + HOUR_MS);
+        }
+        azureAuth.cacheUserToken('user-0', 'token-0', Date.now() + HOUR_MS);
+        azureAuth.cacheUserToken('newcomer', 'token-new', Date.now() + HOUR_MS);
+
+        expect(azureAuth.userTokens.size).toBe(AUTH.OBO_CACHE_MAX_ENTRIES);
+        expect(azureAuth.userTokens.has('user-0')).toBe(true);
+        expect(azureAuth.userTokens.has('user-1')).toBe(false);
+    });
+
+    test('reports a failed exchange as an authentication failure', async () => {
+        azureAuth.clientApp.acquireTokenOnBehalfOf.mockRejectedValue(new Error('AADSTS50013: Assertion failed signature validation'));
+
+        await expect(azureAuth.getAccessTokenForCaller(caller('u1')))
+            .rejects.toThrow('Authentication failed: AADSTS50013: Assertion failed signature validation');
+    });
+});
@@ -0,0 +1,291 @@
+/**
+ * Batch service: $batch requests and results, chunking, dependsOn ordering and atomic
+ * rollback, and the status of POST /api/excel/batch
+ */
+
+const request = require('supertest');
+
+process.env.LOG_TO_FILES = 'false';
+process.env.LOG_LEVEL = 'error';
+process.env.AUDIT_STORE = 'memory';
+process.env.CALLER_AUTH_REQUIRED = 'false';
+
+const { createApp } = require('../src/app');
+const azureAuth = require('../src/auth/azureAuth');
+const batchService = require('../src/services/batchService');
+const excelService = require('../src/services/excelService');
+const resolverService = require('../src/services/resolverService');
+const sessionManager = require('../src/services/sessionManager');
+const permissions = require('../src/config/permissions');
+const rangeValidator = require('../src/middleware/rangeValidator');
+
+const auditContext = { user: 'alice@example.com', principal: 'alice@example.com', requestId: 'req-1' };
+
+let batches;
+let patches;
+let failIds;
+let batchError;
+
+/**
+ * Fake Graph client: answers every $batch request with 200 unless its ID is in failIds,
+ * records $batch calls and direct PATCH calls (used by rollback), and gives every table
+ * the address Sheet1!A1:C4
+ */
+const fakeGraphClient = () => ({
+    api: (url) => ({
+        header() {
+            return this;
+        },
+        select() {
+            return this;
+        },
+        get: async () => ({ address: 'Sheet1!A1:C4' }),
+        post: async ({ requests }) => {
+            batches.push(requests);
+            if (batchError) {
+                throw batchError;
+            }
+            return {
+                responses: requests.map(request => (failIds.includes(request.id)
+                    ? { id: request.id, status: 400, body: { error: { code: 'InvalidArgument', message: 'Bad range' } } }
+                    : { id: request.id, status: 200, body: { address: 'Sheet1!A1', values: [['new']], rowCount: 1, columnCount: 1 } }))
+            };
+        },
+        patch: async (body) => {
+            patches.push({ url, body });
+        }
+    })
+});
+
+beforeEach(() => {
+    batches = [];
+    patches = [];
+    failIds = [];
+    batchError = null;
+
+    jest.spyOn(excelService, 'createGraphClient').mockImplementation(fakeGraphClient);
+    jest.spyOn(excelService, 'readRange').mockImplementation(async ({ range }) => ({
+        address: range, values: [[`old ${range}`]], formulas: [[`old ${range}`]]
+    }));
+    jest.spyOn(resolverService, 'resolveWorkbook').mockImplementation(async (token, { itemId }) => ({ driveId: 'drive', itemId }));
+    jest.spyOn(resolverService, 'resolveWorksheet').mockImplementation(async (token, driveId, itemId, { range }) => ({
+        worksheetId: 'sheet-id', worksheetName: 'Sheet1', address: range
+    }));
+    jest.spyOn(sessionManager, 'acquire').mockResolvedValue(null);
+    jest.spyOn(permissions, 'canReadRange').mockReturnValue({ allowed: true });
+    jest.spyOn(permissions, 'canWriteRange').mockReturnValue({ allowed: true });
+    jest.spyOn(rangeValidator, 'checkWorkbookRange').mockResolvedValue({ validation: { allowed: true } });
+});
+
+afterEach(() => {
+    jest.restoreAllMocks();
+});
+
+afterAll(() => {
+    permissions.unwatchStore();
+    rangeValidator.unwatchConfig();
+});
+
+const read = (id, extra = {}) => ({ id, type: 'read_range', itemId: 'book-1', range: `A${id}`, ...extra });
+const write = (id, extra = {}) => ({ id, type: 'write_range', itemId: 'book-1', range: `B${id}`, values: [['new']], ...extra });
+const run = (operations, atomic = false) => batchService.execute({ accessToken: 'token', operations, atomic, auditContext });
+
+describe('requests', () => {
+    test('builds a request per Graph call, with the body and the order within the workbook', async () => {
+        await run([read('1'), write('2')]);
+
+        const rangeUrl = address => `/drives/drive/items/book-1/workbook/worksheets/sheet-id/range(address='${address}')`;
+        expect(batches).toEqual([[
+            { id: '0.range', method: 'GET', url: rangeUrl('A1') },
+            { id: '1.before', method: 'GET', url: rangeUrl('B2'), dependsOn: ['0.range'] },
+            {
+                id: '1.write',
+                method: 'PATCH',
+                url: rangeUrl('B2'),
+                body: { values: [['new']] },
+                headers: { 'Content-Type': 'application/json' },
+                dependsOn: ['0.range', '1.before']
+            }
+        ]]);
+    });
+
+    test('maps each response to its operation, with the Graph error of a failed one', async () => {
+        failIds = ['1.write'];
+
+        const { results } = await run([read('1'), write('2')]);
+
+        expect(results[0]).toMatchObject({ id: '1', operation: 'read_range', status: 200, success: true, data: { values: [['new']] } });
+        expect(results[1]).toMatchObject({
+            id: '2',
+            operation: 'write_range',
+            status: 400,
+            success: false,
+            error: 'Bad range',
+            errorCode: 'INVALID_ARGUMENT',
+            hint: expect.any(String)
+        });
+    });
+
+    test('fails every operation of a $batch call that Graph rejects', async () => {
+        batchError = Object.assign(new Error('Service unavailable'), { statusCode: 503, code: 'serviceNotAvailable' });
+
+        const { results } = await run([read('1'), read('2', { itemId: 'book-2' })]);
+
+        expect(results.map(result => [result.success, result.status, result.errorCode])).toEqual([
+            [false, 503, 'GRAPH_UNAVAILABLE'],
+            [false, 503, 'GRAPH_UNAVAILABLE']
+        ]);
+    });
+});
+
+describe('chunking', () => {
+    test('sends at most 20 requests per $batch call', async () => {
+        const operations = Array.from({ length: 45 }, (_, i) => read(String(i + 1), { itemId: `book-${i}` }));
+
+        const { results } = await run(operations);
+
+        expect(batches.map(requests => requests.length)).toEqual([20, 20, 5]);
+        expect(results.map(result => result.id)).toEqual(operations.map(operation => operation.id));
+        expect(results.every(result => result.success)).toBe(true);
+    });
+
+    test('keeps the requests of one operation in the same call', async () => {
+        // Range writes read the cells first: two requests each
+        const operations = Array.from({ length: 11 }, (_, i) => write(String(i + 1), { itemId: `book-${i}` }));
+
+        await run(operations);
+
+        expect(batches.map(requests => requests.length)).toEqual([20, 2]);
+        expect(batches[1].map(request => request.id)).toEqual(['10.before', '10.write']);
+    });
+});
+
+describe('dependsOn', () => {
+    test('orders operations on one workbook and leaves other workbooks independent', async () => {
+        await run([write('1'), read('2'), read('3', { itemId: 'book-2' })]);
+
+        const [requests] = batches;
+        expect(requests.find(request => request.id === '0.write').dependsOn).toEqual(['0.before']);
+        expect(requests.find(request => request.id === '1.range').dependsOn).toEqual(['0.before', '0.write']);
+        expect(requests.find(request => request.id === '2.range').dependsOn).toBeUndefined();
+    });
+
+    test('uses explicit dependsOn instead of workbook order', async () => {
+        await run([read('1'), read('2', { itemId: 'book-2' }), read('3', { dependsOn: ['2'] })]);
+
+        expect(batches[0].find(request => request.id === '2.range').dependsOn).toEqual(['1.range']);
+    });
+
+    test('does not send an operation whose dependency failed in an earlier call', async () => {
+        const operations = Array.from({ length: 20 }, (_, i) => read(String(i + 1), { itemId: `book-${i}` }));
+        operations.push(read('21', { itemId: 'book-x', dependsOn: ['1'] }));
+        failIds = ['0.range'];
+
+        const { results } = await run(operations);
+
+        expect(batches).toHaveLength(1);
+        expect(results[0]).toMatchObject({ success: false, status: 400, errorCode: 'INVALID_ARGUMENT' });
+        expect(results[20]).toMatchObject({ success: false, status: 424, error: 'Not run: operation "1" failed' });
+    });
+});
+
+describe('range rules', () => {
+    test('checks a table append against the write rules on the table and the new rows', async () => {
+        rangeValidator.checkWorkbookRange.mockImplementation(async (token, ref, range, worksheetRef, access) => ({
+            validation: range === 'Sheet1!A1:C6' && access === 'write'
+                ? { allowed: false, reason: 'Range overlaps with locked range: Sheet1!A6:C6' }
+                : { allowed: true }
+        }));
+        jest.spyOn(permissions, 'canWriteTable').mockReturnValue({ allowed: true });
+        const append = (id, rows) => ({ id, type: 'add_table_rows', itemId: 'book-1', worksheetId: 'sheet-id', tableName: 'Sales', rows });
+
+        const { results } = await run([append('1', [[1, 2, 3]]), append('2', [[1, 2, 3], [4, 5, 6]])]);
+
+        expect(results[0]).toMatchObject({ success: true });
+        expect(results[1]).toMatchObject({
+            success: false,
+            status: 403,
+            error: 'Write access denied: Range overlaps with locked range: Sheet1!A6:C6'
+        });
+        expect(batches.flat().map(request => request.id)).toEqual(['0.add']);
+    });
+});
+
+describe('atomic rollback', () => {
+    test('chains every operation and restores the snapshots of sent writes, newest first', async () => {
+        failIds = ['3.write'];
+        const operations = [write('1'), read('2'), write('3', { itemId: 'book-2' }), write('4')];
+
+        const { results, rollback } = await run(operations, true);
+
+        // Snapshots replace the reads before the writes
+        expect(batches[0].map(request => request.id)).toEqual(['0.write', '1.range', '2.write', '3.write']);
+        expect(batches[0].map(request => request.dependsOn)).toEqual([undefined, ['0.write'], ['1.range'], ['2.write']]);
+
+        expect(results[3]).toMatchObject({ success: false, status: 400 });
+        expect(rollback.failedOperation).toMatchObject({ id: '4', status: 400 });
+        expect(rollback.restored.map(target => target.id)).toEqual(['3', '1']);
+        expect(rollback.failed).toEqual([]);
+
+        expect(patches).toEqual([
+            { url: expect.stringContaining("items/book-2/workbook/worksheets/sheet-id/range(address='B3')"), body: { formulas: [['old B3']] } },
+            { url: expect.stringContaining("items/book-1/workbook/worksheets/sheet-id/range(address='B1')"), body: { formulas: [['old B1']] } }
+        ]);
+    });
+
+    test('sends nothing when an operation cannot be prepared', async () => {
+        permissions.canWriteRange.mockImplementation((user, itemId, worksheetId, range) => (
+            range === 'B2' ? { allowed: false, reason: 'Range is locked (B2)' } : { allowed: true }
+        ));
+
+        const { results, rollback } = await run([write('1'), write('2')], true);
+
+        expect(batches).toHaveLength(0);
+        expect(results[1]).toMatchObject({ success: false, status: 403 });
+        expect(results[0]).toMatchObject({ success: false, status: 424, error: 'Not run: operation "2" failed' });
+        expect(rollback).toMatchObject({ failedOperation: { id: '2', status: 403 }, restored: [], failed: [] });
+        expect(patches).toEqual([]);
+    });
+});
+
+describe('POST /api/excel/batch', () => {
+    const app = createApp();
+    const post = operations => request(app)
+        .post('/api/excel/batch')
+        .send({ operations: operations.map(operation => ({ driveId: 'drive', ...operation })) });
+
+    beforeEach(() => {
+        jest.spyOn(azureAuth, 'getAccessToken').mockResolvedValue('token');
+    });
+
+    test('gives 200 when every operation succeeds', async () => {
+        const response = await post([read('1'), write('2')]);
+
+        expect(response.status).toBe(200);
+        expect(response.body.status).toBe('success');
+        expect(response.body.data.summary).toEqual({ total: 2, successful: 2, failed: 0 });
+    });
+
+    test('gives 207 with the results and the errors when some operations fail', async () => {
+        failIds = ['1.write'];
+
+        const response = await post([read('1'), write('2')]);
+
+        expect(response.status).toBe(207);
+        expect(response.body.status).toBe('partial_success');
+        expect(response.body.data.results.map(result => result.id)).toEqual(['1']);
+        expect(response.body.data.errors).toEqual([
+            expect.objectContaining({ index: 1, id: '2', operation: 'write_range', status: 400, errorCode: 'INVALID_ARGUMENT' })
+        ]);
+        expect(response.body.data.summary).toEqual({ total: 2, successful: 1, failed: 1 });
+    });
+
+    test('gives 400 when every operation fails', async () => {
+        failIds = ['0.range', '1.range'];
+
+        const response = await post([read('1'), read('2')]);
+
+        expect(response.status).toBe(400);
+        expect(response.body.data.summary).toEqual({ total: 2, successful: 0, failed: 2 });
+    });
+});
@@ -0,0 +1,155 @@
+/**
+ * Cache store: configuration from the environment, the least recently used memory store,
+ * time to live, hit/miss/stale metrics, invalidation and the fallback to memory
+ */
+
+const os = require('os');
+const path = require('path');
+
+process.env.LOG_TO_FILES = 'false';
+process.env.LOG_LEVEL = 'error';
+
+const { getCacheConfig, openCacheStore, createCache } = require('../src/services/cacheStore');
+const MemoryCacheStore = require('../src/services/cacheStore/memoryStore');
+const Cache = require('../src/services/cacheStore/cache');
+
+const MINUTE_MS = 60 * 1000;
+
+const memoryCache = (ttls = { names: MINUTE_MS }, maxEntries = 100) => (
+    new Cache('Test cache', { backend: 'memory', maxEntries, ttls }, openCacheStore)
+);
+
+const later = (ms) => {
+    const now = Date.now() + ms;
+    jest.spyOn(Date, 'now').mockReturnValue(now);
+};
+
+afterEach(() => {
+    jest.restoreAllMocks();
+    Object.keys(process.env).filter(name => name.startsWith('TEST_CACHE')).forEach((name) => {
+        delete process.env[name];
+    });
+});
+
+describe('configuration', () => {
+    test('defaults to memory with the given TTLs', () => {
+        expect(getCacheConfig('TEST_CACHE', { fileName: 'test.db', ttls: { names: MINUTE_MS } })).toEqual({
+            backend: 'memory',
+            path: path.join(__dirname, '../cache/test.db'),
+            maxEntries: 5000,
+            ttls: { names: MINUTE_MS }
+        });
+    });
+
+    test('reads the backend, path, size and a shared TTL overridden per namespace', () => {
+        Object.assign(process.env, {
+            TEST_CACHE: 'SQLite',
+            TEST_CACHE_PATH: path.join(os.tmpdir(), 'names.db'),
+            TEST_CACHE_MAX_ENTRIES: '10',
+            TEST_CACHE_TTL_SECONDS: '30',
+            TEST_CACHE_ITEMS_TTL_SECONDS: '0'
+        });
+
+        expect(getCacheConfig('TEST_CACHE', { fileName: 'test.db', ttls: { names: MINUTE_MS, items: MINUTE_MS } })).toEqual({
+            backend: 'sqlite',
+            path: path.join(os.tmpdir(), 'names.db'),
+            maxEntries: 10,
+            ttls: { names: 30 * 1000, items: 0 }
+        });
+    });
+
+    test('keeps a cache in memory when its store cannot be opened', async () => {
+        process.env.TEST_CACHE = 'redis';
+        const cache = createCache('TEST_CACHE', { label: 'Test cache', fileName: 'test.db', ttls: { names: MINUTE_MS } });
+
+        await cache.set('names', 'a', 1);
+
+        await expect(cache.get('names', 'a')).resolves.toBe(1);
+        expect((await cache.getStats()).backend).toBe('memory');
+    });
+});
+
+describe('memory store', () => {
+    test('evicts the least recently used entry beyond maxEntries', async () => {
+        const store = new MemoryCacheStore({ maxEntries: 2 });
+        await store.set('a', 1, MINUTE_MS);
+        await store.set('b', 2, MINUTE_MS);
+        await store.get('a');
+        await store.set('c', 3, MINUTE_MS);
+
+        await expect(store.get('b')).resolves.toBeUndefined();
+        await expect(store.get('a')).resolves.toBe(1);
+        expect(store.evictions).toBe(1);
+    });
+
+    test('expires entries after their TTL and prunes them', async () => {
+        const store = new MemoryCacheStore();
+        await store.set('a', 1, MINUTE_MS);
+        await store.set('b', 2, 2 * MINUTE_MS);
+        later(MINUTE_MS);
+
+        await expect(store.get('a')).resolves.toBeUndefined();
+        await expect(store.prune()).resolves.toBe(0);
+        later(2 * MINUTE_MS);
+        await expect(store.prune()).resolves.toBe(1);
+    });
+
+    test('copies values in and out', async () => {
+        const store = new MemoryCacheStore();
+        const value = { id: 'item-1' };
+        await store.set('a', value, MINUTE_MS);
+        value.id = 'changed';
+
+        const cached = await store.get('a');
+        cached.id = 'changed again';
+
+        await expect(store.get('a')).resolves.toEqual({ id: 'item-1' });
+    });
+});
+
+describe('cache', () => {
+    test('counts hits, misses and stale entries per namespace', async () => {
+        const cache = memoryCache();
+        await cache.set('names', 'a', 'id-a');
+
+        await cache.get('names', 'a');
+        await cache.get('names', 'b');
+        await cache.get('names', 'a', value => value === 'id-new');
+
+        const stats = await cache.getStats();
+        expect(stats.namespaces.names).toEqual({ hits: 1, misses: 2, stale: 1, invalidations: 0, hitRate: 0.333, ttlSeconds: 60 });
+        expect(stats).toMatchObject({ backend: 'memory', entries: 0, hits: 1, misses: 2 });
+    });
+
+    test('does not cache a namespace with a TTL of 0', async () => {
+        const cache = memoryCache({ names: 0 });
+        await cache.set('names', 'a', 'id-a');
+
+        await expect(cache.get('names', 'a')).resolves.toBeUndefined();
+    });
+
+    test('invalidates one entry, or those under a prefix that a predicate accepts', async () => {
+        const cache = memoryCache();
+        await cache.set('names', 'book-1:sheet1', 'id-1');
+        await cache.set('names', 'book-1:sheet2', 'id-2');
+        await cache.set('names', 'book-2:sheet1', 'id-3');
+        await cache.set('names', 'book-3:sheet1', 'id-4');
+
+        await cache.delete('names', 'book-3:sheet1');
+        await cache.deleteMatching('names', 'book-1:', value => value === 'id-2');
+
+        await expect(cache.get('names', 'book-1:sheet1')).resolves.toBe('id-1');
+        await expect(cache.get('names', 'book-1:sheet2')).resolves.toBeUndefined();
+        await expect(cache.get('names', 'book-2:sheet1')).resolves.toBe('id-3');
+        expect((await cache.getStats()).invalidations).toBe(2);
+    });
+
+    test('treats a store error as a miss', async () => {
+        const cache = memoryCache();
+        const store = await cache.open();
+        jest.spyOn(store, 'get').mockRejectedValue(new Error('disk I/O error'));
+
+        await expect(cache.get('names', 'a')).resolves.toBeUndefined();
+        expect(cache.metrics.names.misses).toBe(1);
+    });
+});
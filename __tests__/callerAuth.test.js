@@ -0,0 +1,151 @@
+/**
+ * Caller authentication: API keys, JWT bearer tokens and the scope checks on routes
+ */
+
+const express = require('express');
+const jwt = require('jsonwebtoken');
+const request = require('supertest');
+
+process.env.LOG_TO_FILES = 'false';
+process.env.LOG_LEVEL = 'error';
+process.env.AUDIT_STORE = 'memory';
+process.env.CALLER_AUTH_REQUIRED = 'true';
+process.env.API_KEYS = JSON.stringify([
+    { key: 'reader-key', user: 'reader@example.com', scopes: 'excel.read' },
+    { key: 'writer-key', user: 'writer@example.com', scopes: ['excel.read', 'excel.write'] }
+]);
+process.env.JWT_SECRET = 'test-secret';
+process.env.JWT_ISSUER = 'https://issuer.example.com';
+process.env.JWT_AUDIENCE = 'api://excel';
+
+const callerAuth = require('../src/auth/callerAuth');
+const { authenticateCaller, requireScope } = require('../src/auth/middleware');
+const permissions = require('../src/config/permissions');
+const rangeValidator = require('../src/middleware/rangeValidator');
+
+const app = express();
+app.get('/read', authenticateCaller, requireScope('excel.read'), (req, res) => res.json(req.user));
+app.get('/write', authenticateCaller, requireScope('excel.write'), (req, res) => res.json(req.user));
+
+const token = (claims = {}, options = {}) => jwt.sign(
+    { preferred_username: 'jwt@example.com', scp: 'excel.read', ...claims },
+    'test-secret',
+    { issuer: 'https://issuer.example.com', audience: 'api://excel', expiresIn: '5m', ...options }
+);
+
+afterEach(() => {
+    callerAuth.required = true;
+});
+
+afterAll(() => {
+    permissions.unwatchStore();
+    rangeValidator.unwatchConfig();
+});
+
+describe('API keys', () => {
+    test('a valid key authenticates as its user with its scopes', async () => {
+        const response = await request(app).get('/read').set('X-API-Key', 'reader-key');
+
+        expect(response.status).toBe(200);
+        expect(response.body).toMatchObject({ id: 'reader@example.com', authType: 'apiKey', scopes: ['excel.read'] });
+    });
+
+    test('a key sent as a bearer token is accepted too', async () => {
+        const response = await request(app).get('/write').set('Authorization', 'Bearer writer-key');
+
+        expect(response.status).toBe(200);
+        expect(response.body.id).toBe('writer@example.com');
+    });
+
+    test('an unknown key gives 401', async () => {
+        const response = await request(app).get('/read').set('X-API-Key', 'wrong-key');
+
+        expect(response.status).toBe(401);
+        expect(response.body.message).toBe('Invalid API key');
+    });
+
+    test('no credential gives 401', async () => {
+        const response = await request(app).get('/read');
+
+        expect(response.status).toBe(401);
+        expect(response.headers['www-authenticate']).toBe('Bearer');
+    });
+});
+
+describe('JWT bearer tokens', () => {
+    test('a valid token authenticates its user with its scopes', async () => {
+        const response = await request(app).get('/read').set('Authorization', `Bearer ${token()}`);
+
+        expect(response.status).toBe(200);
+        expect(response.body).toMatchObject({ id: 'jwt@example.com', authType: 'jwt', scopes: ['excel.read'] });
+    });
+
+    test.each([
+        ['issuer', { issuer: 'https://other.example.com' }, 'jwt issuer invalid'],
+        ['audience', { audience: 'api://other' }, 'jwt audience invalid']
+    ])('a token for another %s gives 401', async (name, options, reason) => {
+        const response = await request(app).get('/read').set('Authorization', `Bearer ${token({}, options)}`);
+
+        expect(response.status).toBe(401);
+        expect(response.body.message).toMatch(reason);
+    });
+
+    test('an expired token gives 401', async () => {
+        const response = await request(app).get('/read').set('Authorization', `Bearer ${token({}, { expiresIn: -60 })}`);
+
+        expect(response.status).toBe(401);
+        expect(response.body.message).toBe('Invalid bearer token: jwt expired');
+    });
+
+    test('a token without scopes or roles gets no scopes', async () => {
+        const response = await request(app).get('/read').set('Authorization', `Bearer ${token({ scp: undefined })}`);
+
+        expect(response.status).toBe(403);
+    });
+
+    test('a token secret without an issuer and audience is refused at startup', () => {
+        const { JWT_ISSUER, JWT_AUDIENCE } = process.env;
+        delete process.env.JWT_ISSUER;
+        delete process.env.JWT_AUDIENCE;
+        try {
+            expect(() => jest.isolateModules(() => require('../src/auth/callerAuth')))
+                .toThrow('JWT_ISSUER and JWT_AUDIENCE are required when JWT_JWKS_URI or JWT_SECRET is set');
+        } finally {
+            Object.assign(process.env, { JWT_ISSUER, JWT_AUDIENCE });
+        }
+    });
+
+    test('a token signed with another secret gives 401', async () => {
+        const forged = jwt.sign({ sub: 'eve' }, 'other-secret', { issuer: 'https://issuer.example.com', audience: 'api://excel' });
+
+        const response = await request(app).get('/read').set('Authorization', `Bearer ${forged}`);
+
+        expect(response.status).toBe(401);
+        expect(response.body.message).toBe('Invalid bearer token: invalid signature');
+    });
+});
+
+describe('scopes', () => {
+    test('a caller without the route scope gives 403', async () => {
+        const response = await request(app).get('/write').set('X-API-Key', 'reader-key');
+
+        expect(response.status).toBe(403);
+        expect(response.body.message).toBe('Missing required scope: excel.write');
+    });
+
+    test('app roles count as scopes', async () => {
+        const response = await request(app).get('/write').set('Authorization', `Bearer ${token({ scp: undefined, roles: ['Excel.Write'] })}`);
+
+        expect(response.status).toBe(200);
+        expect(response.body.groups).toEqual(['Excel.Write']);
+    });
+
+    test('with CALLER_AUTH_REQUIRED=false an anonymous caller gets every scope', async () => {
+        callerAuth.required = false;
+
+        const response = await request(app).get('/write');
+
+        expect(response.status).toBe(200);
+        expect(response.body).toEqual({ id: 'anonymous', name: 'anonymous', authType: 'none', scopes: ['*'] });
+    });
+});
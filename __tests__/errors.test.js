@@ -0,0 +1,199 @@
+/**
+ * Error translation: Graph and Excel codes to middleware codes, statuses and hints,
+ * the error response body and the GPT Actions envelope
+ */
+
+const express = require('express');
+const request = require('supertest');
+const { GraphError } = require('@microsoft/microsoft-graph-client');
+
+process.env.LOG_TO_FILES = 'false';
+process.env.LOG_LEVEL = 'error';
+process.env.AUDIT_STORE = 'memory';
+
+const {
+    AppError,
+    GraphApiError,
+    globalErrorHandler,
+    translateGraphError
+} = require('../src/middleware/errorHandler');
+const { toGptEnvelope } = require('../src/middleware/responseEnvelope');
+const excelService = require('../src/services/excelService');
+const permissions = require('../src/config/permissions');
+const rangeValidator = require('../src/middleware/rangeValidator');
+
+const auditContext = { user: 'alice@example.com', principal: 'alice@example.com', requestId: 'req-1' };
+
+const graphError = (status, code, requestId = 'graph-request-1') => Object.assign(new GraphError(status, `Graph says ${code}`), {
+    code,
+    requestId
+});
+
+/**
+ * Response of an app whose only route fails with the given error
+ */
+const respondWith = (error) => {
+    const app = express();
+    app.get('/', () => {
+        throw error;
+    });
+    app.use(globalErrorHandler);
+    return request(app).get('/');
+};
+
+afterEach(() => {
+    jest.restoreAllMocks();
+});
+
+afterAll(() => {
+    permissions.unwatchStore();
+    rangeValidator.unwatchConfig();
+});
+
+describe('translateGraphError', () => {
+    test.each([
+        [404, 'itemNotFound', 'ITEM_NOT_FOUND', 404],
+        [400, 'InvalidArgument', 'INVALID_ARGUMENT', 400],
+        [400, 'invalidReference', 'INVALID_REFERENCE', 400],
+        [400, 'InvalidOperation', 'INVALID_OPERATION', 400],
+        [413, 'rangeExceedsLimit', 'RANGE_TOO_LARGE', 413],
+        [409, 'nameAlreadyExists', 'ITEM_ALREADY_EXISTS', 409],
+        [423, 'EditModeCannotAcquireLock', 'WORKBOOK_LOCKED', 409],
+        [409, 'resourceModified', 'CONFLICT', 409],
+        [429, 'activityLimitReached', 'ACTIVITY_LIMIT_REACHED', 429],
+        [403, 'accessDenied', 'ACCESS_DENIED', 403],
+        [401, 'InvalidAuthenticationToken', 'GRAPH_AUTH_FAILED', 401],
+        [503, 'serviceNotAvailable', 'GRAPH_UNAVAILABLE', 503],
+        [504, 'requestDeadlineExceeded', 'GRAPH_TIMEOUT', 504],
+        [500, 'generalException', 'GRAPH_ERROR', 502]
+    ])('%i %s -> %s (%i)', (graphStatus, graphCode, code, status) => {
+        const error = translateGraphError(graphError(graphStatus, graphCode));
+
+        expect(error).toBeInstanceOf(GraphApiError);
+        expect(error).toMatchObject({ code, statusCode: status, graphCode, requestId: 'graph-request-1' });
+        expect(error.hint).toEqual(expect.any(String));
+    });
+
+    test.each([
+        [404, 'ITEM_NOT_FOUND', 404],
+        [412, 'CONFLICT', 409],
+        [429, 'THROTTLED', 429],
+        [502, 'GRAPH_ERROR', 502],
+        [418, 'INVALID_REQUEST', 400],
+        [-1, 'GRAPH_UNREACHABLE', 502]
+    ])('unknown code with status %i -> %s (%i)', (graphStatus, code, status) => {
+        expect(translateGraphError(graphError(graphStatus, 'somethingNew'))).toMatchObject({ code, statusCode: status });
+    });
+
+    test('reads the code, request-id and Retry-After of an axios Graph error', () => {
+        const error = translateGraphError(Object.assign(new Error('Request failed with status code 429'), {
+            response: {
+                status: 429,
+                headers: { 'retry-after': '7' },
+                data: { error: { code: 'TooManyRequests', message: 'Slow down', innerError: { 'request-id': 'axios-request-1' } } }
+            }
+        }));
+
+        expect(error).toMatchObject({
+            code: 'THROTTLED',
+            statusCode: 429,
+            message: 'Slow down',
+            requestId: 'axios-request-1',
+            retryAfter: 7
+        });
+    });
+
+    test('keeps a given message and an already translated error', () => {
+        const translated = translateGraphError(graphError(404, 'itemNotFound'), 'Worksheet or range not found');
+
+        expect(translated.message).toBe('Worksheet or range not found');
+        expect(translateGraphError(translated, 'Other message')).toBe(translated);
+    });
+});
+
+describe('error responses', () => {
+    test('a Graph error carries its code, hint, Graph code and request ID', async () => {
+        const response = await respondWith(graphError(404, 'itemNotFound'));
+
+        expect(response.status).toBe(404);
+        expect(response.body.error).toEqual({
+            code: 'ITEM_NOT_FOUND',
+            message: 'Graph says itemNotFound',
+            hint: expect.any(String),
+            graphCode: 'itemNotFound',
+            requestId: 'graph-request-1'
+        });
+    });
+
+    test('a throttled Graph error sets Retry-After', async () => {
+        const response = await respondWith(translateGraphError(Object.assign(graphError(429, 'TooManyRequests'), {
+            headers: new Map([['retry-after', '12']])
+        })));
+
+        expect(response.status).toBe(429);
+        expect(response.headers['retry-after']).toBe('12');
+    });
+
+    test('other errors use their status as the code', async () => {
+        const response = await respondWith(new AppError('Access denied to workbook', 403));
+
+        expect(response.status).toBe(403);
+        expect(response.body.error).toEqual({ code: 403, message: 'Access denied to workbook' });
+    });
+});
+
+describe('toGptEnvelope', () => {
+    test.each([
+        ['wraps data', { status: 'success', data: { rows: 2 } }, 200, { success: true, data: { rows: 2 } }],
+        ['wraps a body without data', { drives: [] }, 200, { success: true, data: { drives: [] } }],
+        ['keeps an enveloped body', { success: false, error: 'Already wrapped' }, 400, { success: false, error: 'Already wrapped' }],
+        [
+            'adds the code, hint and request ID of Graph errors',
+            { status: 'error', error: { code: 'WORKBOOK_LOCKED', message: 'Locked', hint: 'Wait', requestId: 'r-1' } },
+            409,
+            { success: false, error: 'Locked', code: 'WORKBOOK_LOCKED', hint: 'Wait', requestId: 'r-1' }
+        ],
+        [
+            'leaves numeric codes out',
+            { status: 'error', error: { code: 403, message: 'Access denied to workbook' } },
+            403,
+            { success: false, error: 'Access denied to workbook' }
+        ],
+        [
+            'joins validation errors with their message and keeps the details',
+            { error: 'Validation failed', message: 'range is required', details: [{ field: 'range' }] },
+            400,
+            { success: false, error: 'Validation failed: range is required', details: [{ field: 'range' }] }
+        ],
+        [
+            'keeps the per-operation results of a failed batch',
+            { status: 'error', data: { results: [{ index: 0, success: false }] } },
+            400,
+            { success: false, error: 'Request failed', details: { results: [{ index: 0, success: false }] } }
+        ]
+    ])('%s', (name, body, status, envelope) => {
+        expect(toGptEnvelope(body, status)).toEqual(envelope);
+    });
+});
+
+describe('service errors', () => {
+    // Rejected before any Graph call, so they must not come back as 500 or as Graph errors
+    test.each([
+        ['a denied worksheet list', () => {
+            jest.spyOn(permissions, 'canAccessWorkbook').mockReturnValue(false);
+            return excelService.getWorksheets('token', 'drive', 'book', auditContext);
+        }, 403, 'Access denied to workbook'],
+        ['a write without values', () => excelService.writeRange({
+            accessToken: 'token', driveId: 'drive', itemId: 'book', worksheetId: 'Sheet1', range: 'A1', values: [], auditContext
+        }), 400, 'Values must be a non-empty array'],
+        ['a table append without rows', () => excelService.addTableRows({
+            accessToken: 'token', driveId: 'drive', itemId: 'book', worksheetId: 'Sheet1', tableName: 'Sales', rows: [], auditContext
+        }), 400, 'Rows must be a non-empty array']
+    ])('%s', async (name, call, statusCode, message) => {
+        const error = await call().catch(rejected => rejected);
+
+        expect(error).toBeInstanceOf(AppError);
+        expect(error).not.toBeInstanceOf(GraphApiError);
+        expect(error).toMatchObject({ statusCode, message });
+    });
+});
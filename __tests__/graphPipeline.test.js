@@ -0,0 +1,222 @@
+/**
+ * Graph request pipeline: retries, the request deadline and circuit breaker transitions
+ */
+
+process.env.LOG_TO_FILES = 'false';
+process.env.LOG_LEVEL = 'error';
+
+const pipeline = require('../src/services/graphPipeline');
+
+const TENANT = 'tenant-1';
+
+const response = (status, headers = {}) => new Response(JSON.stringify(status < 400 ? { ok: true } : { error: { code: 'x' } }), {
+    status,
+    headers: { 'Content-Type': 'application/json', ...headers }
+});
+
+/**
+ * Next middleware answering with the given statuses in turn ('network' throws as a lost
+ * connection, 'hang' waits until the request is aborted)
+ */
+const graph = (...answers) => {
+    const next = {
+        calls: 0,
+        async execute(context) {
+            const answer = answers[Math.min(next.calls, answers.length - 1)];
+            next.calls += 1;
+            if (answer === 'network') {
+                throw new TypeError('fetch failed');
+            }
+            if (answer === 'hang') {
+                await new Promise((resolve, reject) => {
+                    context.options.signal.addEventListener('abort', () => reject(new Error('aborted')));
+                });
+            }
+            context.response = response(answer, { 'Retry-After': '0' });
+        }
+    };
+    return next;
+};
+
+const send = async (next, method = 'GET') => {
+    const context = { request: 'https://graph.microsoft.com/v1.0/me', options: { method } };
+    await pipeline.send(context, next, TENANT);
+    return context.response;
+};
+
+const breaker = () => pipeline.breakerFor(TENANT);
+
+beforeEach(() => {
+    pipeline.maxRetries = 3;
+    pipeline.deadline = 5000;
+    pipeline.breakerThreshold = 3;
+    pipeline.breakerCooldown = 60 * 1000;
+    pipeline.breakers.clear();
+});
+
+afterEach(() => {
+    jest.useRealTimers();
+});
+
+describe('retries', () => {
+    test('retries throttling and unavailable responses until one succeeds', async () => {
+        const next = graph(429, 503, 200);
+        expect((await send(next)).status).toBe(200);
+        expect(next.calls).toBe(3);
+    });
+
+    test('stops after GRAPH_MAX_RETRIES and returns the last response', async () => {
+        const next = graph(503);
+        expect((await send(next)).status).toBe(503);
+        expect(next.calls).toBe(4);
+    });
+
+    test('does not retry POST on 502 or a lost connection, but does on 429 and 503', async () => {
+        let next = graph(502, 200);
+        expect((await send(next, 'POST')).status).toBe(502);
+        expect(next.calls).toBe(1);
+
+        next = graph('network', 200);
+        await expect(send(next, 'POST')).rejects.toThrow('fetch failed');
+        expect(next.calls).toBe(1);
+
+        next = graph(429, 503, 200);
+        expect((await send(next, 'POST')).status).toBe(200);
+        expect(next.calls).toBe(3);
+    });
+
+    test('retries a lost connection for GET', async () => {
+        const next = graph('network', 200);
+        expect((await send(next)).status).toBe(200);
+        expect(next.calls).toBe(2);
+    });
+
+    test('does not retry client errors', async () => {
+        const next = graph(404, 200);
+        expect((await send(next)).status).toBe(404);
+        expect(next.calls).toBe(1);
+    });
+});
+
+describe('deadline', () => {
+    test('answers 504 when Graph does not answer in time', async () => {
+        pipeline.deadline = 50;
+        const next = graph('hang', 200);
+
+        const result = await send(next);
+
+        expect(result.status).toBe(504);
+        expect((await result.json()).error.code).toBe('requestDeadlineExceeded');
+        expect(next.calls).toBe(1);
+    });
+
+    test('does not wait for a Retry-After that would pass the deadline', async () => {
+        pipeline.deadline = 1000;
+        const next = {
+            calls: 0,
+            async execute(context) {
+                next.calls += 1;
+                context.response = response(429, { 'Retry-After': '5' });
+            }
+        };
+
+        const started = Date.now();
+        expect((await send(next)).status).toBe(429);
+        expect(next.calls).toBe(1);
+        expect(Date.now() - started).toBeLessThan(1000);
+    });
+});
+
+describe('circuit breaker', () => {
+    beforeEach(() => {
+        pipeline.maxRetries = 0;
+    });
+
+    test('opens after consecutive server errors and then fails fast', async () => {
+        for (let i = 0; i < 3; i++) {
+            await send(graph(503));
+        }
+        expect(breaker().describe()).toMatchObject({ state: 'open', consecutiveFailures: 3, timesOpened: 1 });
+
+        const next = graph(200);
+        const result = await send(next);
+        expect(next.calls).toBe(0);
+        expect(result.status).toBe(503);
+        expect(result.headers.get('Retry-After')).toBe('60');
+        expect((await result.json()).error.code).toBe('circuitOpen');
+    });
+
+    test('counts lost connections as failures', async () => {
+        for (let i = 0; i < 3; i++) {
+            await expect(send(graph('network'))).rejects.toThrow('fetch failed');
+        }
+        expect(breaker().state).toBe('open');
+    });
+
+    test('does not open on throttling, and a success resets the count', async () => {
+        for (let i = 0; i < 5; i++) {
+            await send(graph(429));
+        }
+        expect(breaker().describe()).toMatchObject({ state: 'closed', throttled: 5 });
+
+        await send(graph(500));
+        await send(graph(502));
+        await send(graph(200));
+        await send(graph(504));
+        expect(breaker().describe()).toMatchObject({ state: 'closed', consecutiveFailures: 1 });
+    });
+
+    test('lets one trial request through after the cooldown and closes on success', async () => {
+        jest.useFakeTimers({ doNotFake: ['setTimeout', 'clearTimeout', 'setImmediate', 'queueMicrotask', 'nextTick'] });
+        for (let i = 0; i < 3; i++) {
+            await send(graph(503));
+        }
+
+        jest.setSystemTime(Date.now() + 60 * 1000);
+        expect(breaker().describe().state).toBe('half_open');
+
+        // A second request while the trial is in flight still fails fast
+        let release;
+        const trial = {
+            calls: 0,
+            async execute(context) {
+                trial.calls += 1;
+                await new Promise((resolve) => {
+                    release = resolve;
+                });
+                context.response = response(200);
+            }
+        };
+        const trialDone = send(trial);
+        const blocked = graph(200);
+        expect((await send(blocked)).status).toBe(503);
+        expect(blocked.calls).toBe(0);
+
+        release();
+        expect((await trialDone).status).toBe(200);
+        expect(breaker().describe()).toMatchObject({ state: 'closed', consecutiveFailures: 0 });
+    });
+
+    test('opens again when the trial request fails', async () => {
+        jest.useFakeTimers({ doNotFake: ['setTimeout', 'clearTimeout', 'setImmediate', 'queueMicrotask', 'nextTick'] });
+        for (let i = 0; i < 3; i++) {
+            await send(graph(503));
+        }
+
+        jest.setSystemTime(Date.now() + 60 * 1000);
+        await send(graph(503));
+
+        expect(breaker().describe()).toMatchObject({ state: 'open', timesOpened: 2, retryAfterSeconds: 60 });
+    });
+
+    test('keeps a breaker per tenant', async () => {
+        for (let i = 0; i < 3; i++) {
+            await send(graph(503));
+        }
+
+        const next = graph(200);
+        const context = { request: 'https://graph.microsoft.com/v1.0/me', options: { method: 'GET' } };
+        await pipeline.send(context, next, 'tenant-2');
+        expect(context.response.status).toBe(200);
+    });
+});
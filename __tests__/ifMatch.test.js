@@ -0,0 +1,179 @@
+/**
+ * Conditional range writes (ifMatch): eTag and expected-value preconditions
+ */
+
+process.env.LOG_TO_FILES = 'false';
+process.env.LOG_LEVEL = 'error';
+process.env.AUDIT_STORE = 'memory';
+
+const excelService = require('../src/services/excelService');
+const auditService = require('../src/services/auditService');
+const sessionManager = require('../src/services/sessionManager');
+const permissions = require('../src/config/permissions');
+const rangeValidator = require('../src/middleware/rangeValidator');
+const { requestSchemas } = require('../src/middleware/validation');
+
+const auditContext = { user: 'alice@example.com', principal: 'alice@example.com', requestId: 'req-1' };
+
+let workbook;
+let patches;
+
+/**
+ * Fake Graph client over one range: GET returns its values and formulas, PATCH records
+ * the write, and the item returns the workbook's eTag
+ */
+const fakeGraphClient = () => ({
+    api: (url) => ({
+        select() {
+            return this;
+        },
+        get: async () => {
+            if (workbook.readError && url.includes('/range(')) {
+                throw Object.assign(new Error('Read failed'), { statusCode: 500 });
+            }
+            return url.includes('/range(')
+                ? { values: workbook.values, formulas: workbook.formulas }
+                : { eTag: workbook.eTag, cTag: workbook.eTag };
+        },
+        patch: async (body) => {
+            patches.push({ url, body });
+            return { address: 'Sheet1!C3:D4', values: body.values, rowCount: 2, columnCount: 2 };
+        }
+    })
+});
+
+const writeRange = (ifMatch) => excelService.writeRange({
+    accessToken: 'token',
+    driveId: 'drive',
+    itemId: 'book',
+    worksheetId: 'Sheet1',
+    range: 'C3:D4',
+    values: [['a', 'b'], ['c', 'd']],
+    ifMatch,
+    auditContext
+});
+
+beforeEach(() => {
+    workbook = {
+        eTag: '"{ABC},12"',
+        values: [[5, true], ['text', 42]],
+        formulas: [[5, true], ['text', '=SUM(A1:A2)']]
+    };
+    patches = [];
+
+    jest.spyOn(excelService, 'createGraphClient').mockImplementation(fakeGraphClient);
+    jest.spyOn(sessionManager, 'acquire').mockResolvedValue(null);
+    jest.spyOn(sessionManager, 'release').mockResolvedValue();
+    jest.spyOn(excelService, 'getWorksheetName').mockResolvedValue('Sheet1');
+    jest.spyOn(permissions, 'canWriteRange').mockReturnValue({ allowed: true });
+    jest.spyOn(auditService, 'logWriteOperation');
+});
+
+afterEach(() => {
+    jest.restoreAllMocks();
+});
+
+afterAll(() => {
+    permissions.unwatchStore();
+    rangeValidator.unwatchConfig();
+});
+
+describe('expected values', () => {
+    test('writes when every checked cell still holds its value', async () => {
+        // Typed cells match their text form, formulas match the cell formula, null is not checked
+        const result = await writeRange([['5', 'TRUE'], [null, '=sum(a1:a2)']]);
+
+        expect(result.conflict).toBeUndefined();
+        expect(patches).toHaveLength(1);
+        expect(result.auditId).toEqual(expect.any(String));
+    });
+
+    test('rejects the write and reports the changed cells by address', async () => {
+        const result = await writeRange([[5, false], ['text', 41]]);
+
+        expect(patches).toHaveLength(0);
+        expect(result).toMatchObject({
+            conflict: true,
+            range: 'C3:D4',
+            reason: 'Cells changed since they were read',
+            values: workbook.values,
+            formulas: workbook.formulas,
+            conflicts: [
+                { address: 'D3', expected: false, actual: true },
+                { address: 'D4', expected: 41, actual: 42 }
+            ]
+        });
+    });
+
+    test('audits the rejected write with its conflicts', async () => {
+        await writeRange([[6, null], [null, null]]);
+
+        expect(auditService.logWriteOperation).toHaveBeenCalledTimes(1);
+        expect(auditService.logWriteOperation.mock.calls[0][0]).toMatchObject({
+            success: false,
+            error: 'Cells changed since they were read',
+            oldValues: workbook.values,
+            conflicts: [{ address: 'C3', expected: 6, actual: 5 }]
+        });
+    });
+
+    test('does not write when the current values cannot be read', async () => {
+        workbook.readError = true;
+
+        await expect(writeRange([[5, true], ['text', 42]])).rejects.toThrow('Read failed');
+        expect(patches).toHaveLength(0);
+    });
+});
+
+describe('eTag', () => {
+    test('writes when the file still has the eTag, in any quoting', async () => {
+        await writeRange('"{ABC},12"');
+        await writeRange('W/"{ABC},12"');
+        await writeRange('{ABC},12');
+
+        expect(patches).toHaveLength(3);
+    });
+
+    test('rejects the write once the file changed', async () => {
+        const result = await writeRange('"{ABC},11"');
+
+        expect(patches).toHaveLength(0);
+        expect(result).toMatchObject({
+            conflict: true,
+            reason: 'The workbook changed since the eTag was read',
+            eTag: '"{ABC},12"',
+            values: workbook.values,
+            conflicts: []
+        });
+    });
+});
+
+describe('sessions', () => {
+    test('a checked write runs in a temporary session, a plain write does not', async () => {
+        await writeRange('"{ABC},12"');
+        await writeRange();
+
+        expect(sessionManager.acquire.mock.calls.map(([options]) => options.create)).toEqual([true, false]);
+    });
+
+    test('a plain write goes ahead when the audit read fails', async () => {
+        workbook.readError = true;
+
+        await writeRange();
+        expect(patches).toHaveLength(1);
+    });
+});
+
+describe('request validation', () => {
+    const body = { driveId: 'drive', itemId: 'book', range: 'C3:D4', values: [['a', 'b'], ['c', 'd']] };
+
+    test('accepts an eTag or a matrix of the same shape as values', () => {
+        expect(requestSchemas.writeRange.validate({ ...body, ifMatch: '"{ABC},12"' }).error).toBeUndefined();
+        expect(requestSchemas.writeRange.validate({ ...body, ifMatch: [[null, 'b'], ['c', null]] }).error).toBeUndefined();
+    });
+
+    test('rejects a matrix of another shape', () => {
+        const { error } = requestSchemas.writeRange.validate({ ...body, ifMatch: [['a', 'b']] });
+        expect(error.message).toBe('"ifMatch" values must have the same shape as "values"');
+    });
+});
@@ -0,0 +1,216 @@
+/**
+ * Permission store: loading and reloading the ACL file, nested and Entra ID groups, and the admin routes that change them
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const request = require('supertest');
+
+process.env.LOG_TO_FILES = 'false';
+process.env.LOG_LEVEL = 'error';
+process.env.AUDIT_STORE = 'memory';
+process.env.CALLER_AUTH_REQUIRED = 'true';
+process.env.API_KEYS = JSON.stringify([
+    { key: 'admin-key', user: 'root@example.com', scopes: '*' },
+    { key: 'user-key', user: 'bob@example.com', scopes: '*' }
+]);
+
+const storeDir = fs.mkdtempSync(path.join(os.tmpdir(), 'permission-store-'));
+process.env.PERMISSIONS_FILE = path.join(storeDir, 'permissions.json');
+
+const initialStore = {
+    admins: ['root@example.com'],
+    workbooks: { wb1: { readers: ['carol@example.com'], writers: [] } },
+    defaults: { allowReadAll: false, allowWriteAll: false }
+};
+fs.writeFileSync(process.env.PERMISSIONS_FILE, JSON.stringify(initialStore));
+
+const { createApp } = require('../src/app');
+const permissions = require('../src/config/permissions');
+const rangeValidator = require('../src/middleware/rangeValidator');
+const auditService = require('../src/services/auditService');
+
+const app = createApp();
+
+const admin = (method, url) => request(app)[method](url).set('X-API-Key', 'admin-key');
+const storedFile = () => JSON.parse(fs.readFileSync(process.env.PERMISSIONS_FILE, 'utf8'));
+const rewriteStore = (doc) => {
+    fs.writeFileSync(process.env.PERMISSIONS_FILE, typeof doc === 'string' ? doc : JSON.stringify(doc));
+    permissions.loadStore();
+};
+
+beforeEach(() => {
+    rewriteStore(initialStore);
+});
+
+afterEach(() => {
+    jest.restoreAllMocks();
+});
+
+afterAll(() => {
+    permissions.unwatchStore();
+    rangeValidator.unwatchConfig();
+    fs.rmSync(storeDir, { recursive: true, force: true });
+});
+
+describe('store file', () => {
+    test('is loaded with the defaults it sets', () => {
+        expect(permissions.canAccessWorkbook('carol@example.com', 'wb1')).toBe(true);
+        expect(permissions.canAccessWorkbook('bob@example.com', 'wb1')).toBeFalsy();
+        expect(permissions.canAccessWorkbook('bob@example.com', 'other-book')).toBeFalsy();
+    });
+
+    test('is reloaded when it changes', () => {
+        rewriteStore({ ...initialStore, workbooks: { wb1: { readers: ['bob@example.com'] } } });
+
+        expect(permissions.canAccessWorkbook('bob@example.com', 'wb1')).toBe(true);
+        expect(permissions.canAccessWorkbook('carol@example.com', 'wb1')).toBeFalsy();
+    });
+
+    test.each([
+        ['invalid JSON', '{ "admins": '],
+        ['a list where a map belongs', JSON.stringify({ workbooks: [] })],
+        ['an ACL that is not a list', JSON.stringify({ workbooks: { wb1: { readers: 'bob@example.com' } } })]
+    ])('keeps the previous permissions when the new file has %s', (name, content) => {
+        rewriteStore(content);
+
+        expect(permissions.canAccessWorkbook('carol@example.com', 'wb1')).toBe(true);
+        expect(permissions.isAdmin('root@example.com')).toBe(true);
+    });
+});
+
+describe('admin routes', () => {
+    test('are for admins only', async () => {
+        const response = await request(app).get('/api/admin/permissions').set('X-API-Key', 'user-key');
+
+        expect(response.status).toBe(403);
+        expect(response.body.message).toBe('Administrator access required');
+    });
+
+    test('list the permission document', async () => {
+        const response = await admin('get', '/api/admin/permissions/workbooks');
+
+        expect(response.status).toBe(200);
+        expect(response.body.data).toEqual({ workbooks: initialStore.workbooks });
+    });
+
+    test('grant a permission, save it to the file and audit it', async () => {
+        jest.spyOn(auditService, 'logPermissionChange');
+
+        const response = await admin('post', '/api/admin/permissions/grant')
+            .send({ resourceType: 'workbook', resourceId: 'wb1', userId: 'bob@example.com', permission: 'write' });
+
+        expect(response.status).toBe(200);
+        expect(permissions.canWriteWorkbook('bob@example.com', 'wb1').allowed).toBe(true);
+        expect(storedFile().workbooks.wb1.writers).toEqual(['bob@example.com']);
+        expect(storedFile().defaults).toEqual(initialStore.defaults);
+        expect(auditService.logPermissionChange).toHaveBeenCalledWith(expect.objectContaining({
+            action: 'GRANT', resourceId: 'wb1', targetUser: 'bob@example.com', permission: 'write'
+        }));
+    });
+
+    test('revoke a permission', async () => {
+        const response = await admin('post', '/api/admin/permissions/revoke')
+            .send({ resourceType: 'workbook', resourceId: 'wb1', userId: 'carol@example.com', permission: 'read' });
+
+        expect(response.status).toBe(200);
+        expect(permissions.canAccessWorkbook('carol@example.com', 'wb1')).toBeFalsy();
+        // An entry that grants nothing any more is dropped
+        expect(storedFile().workbooks).toEqual({});
+    });
+
+    test('reject an unknown resource type', async () => {
+        const response = await admin('post', '/api/admin/permissions/grant')
+            .send({ resourceType: 'folder', resourceId: 'x', userId: 'bob@example.com', permission: 'read' });
+
+        expect(response.status).toBe(400);
+    });
+});
+
+describe('groups', () => {
+    const groupStore = {
+        ...initialStore,
+        groups: {
+            'finance-readers': { members: ['ann@example.com', 'group:budget-editors'] },
+            'budget-editors': { members: ['group:interns'], entraGroups: ['entra-budget', 'Budget.Editor'] },
+            interns: { members: ['ivan@example.com'] }
+        },
+        workbooks: { wb1: { readers: ['group:finance-readers'] } }
+    };
+
+    test('grant access to members of nested groups', () => {
+        rewriteStore(groupStore);
+
+        expect(permissions.canAccessWorkbook('ann@example.com', 'wb1')).toBe(true);
+        expect(permissions.canAccessWorkbook('ivan@example.com', 'wb1')).toBe(true);
+        expect([...permissions.resolveGroups('ivan@example.com')].sort()).toEqual(['budget-editors', 'finance-readers', 'interns']);
+        expect(permissions.canAccessWorkbook('bob@example.com', 'wb1')).toBe(false);
+    });
+
+    test('match Entra ID group and role claims only when token groups are enabled', () => {
+        const caller = { id: 'eve@example.com', groups: ['Budget.Editor'] };
+
+        rewriteStore(groupStore);
+        expect(permissions.canAccessWorkbook(caller, 'wb1')).toBe(false);
+
+        rewriteStore({ ...groupStore, defaults: { ...groupStore.defaults, useTokenGroups: true } });
+        expect(permissions.canAccessWorkbook(caller, 'wb1')).toBe(true);
+        expect(permissions.canAccessWorkbook({ id: 'eve@example.com', groups: ['other-group'] }, 'wb1')).toBe(false);
+    });
+
+    test('keep the previous groups when a group in the new file is not an object', () => {
+        rewriteStore(groupStore);
+        rewriteStore({ ...groupStore, groups: { interns: 'ivan@example.com' } });
+
+        expect(permissions.canAccessWorkbook('ivan@example.com', 'wb1')).toBe(true);
+    });
+});
+
+describe('group admin routes', () => {
+    test('add a member, creating the group, and save it', async () => {
+        const response = await admin('post', '/api/admin/groups/add-member')
+            .send({ group: 'auditors', member: 'bob@example.com' });
+
+        expect(response.status).toBe(200);
+        expect(response.body.data).toEqual({ action: 'add_member', group: 'auditors', member: 'bob@example.com', changed: true });
+        expect(storedFile().groups).toEqual({ auditors: { members: ['bob@example.com'] } });
+
+        const listed = await admin('get', '/api/admin/groups');
+        expect(listed.body.data.groups).toEqual({ auditors: { members: ['bob@example.com'] } });
+    });
+
+    test('give members the group\'s grants', async () => {
+        rewriteStore({ ...initialStore, workbooks: { wb1: { readers: ['group:auditors'] } } });
+
+        await admin('post', '/api/admin/groups/add-member').send({ group: 'auditors', member: 'bob@example.com' });
+
+        expect(permissions.canAccessWorkbook('bob@example.com', 'wb1')).toBe(true);
+    });
+
+    test('remove a member and drop the emptied group', async () => {
+        rewriteStore({ ...initialStore, groups: { auditors: { members: ['bob@example.com'] } } });
+
+        const response = await admin('post', '/api/admin/groups/remove-member')
+            .send({ group: 'auditors', member: 'bob@example.com' });
+
+        expect(response.status).toBe(200);
+        expect(response.body.data.changed).toBe(true);
+        expect(storedFile().groups).toEqual({});
+    });
+
+    test('report no change for a member that is not there', async () => {
+        const response = await admin('post', '/api/admin/groups/remove-member')
+            .send({ group: 'auditors', member: 'bob@example.com' });
+
+        expect(response.status).toBe(200);
+        expect(response.body.data.changed).toBe(false);
+    });
+
+    test('reject a group as its own member', async () => {
+        const response = await admin('post', '/api/admin/groups/add-member')
+            .send({ group: 'auditors', member: 'group:auditors' });
+
+        expect(response.status).toBe(400);
+    });
+});
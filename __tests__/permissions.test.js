@@ -0,0 +1,155 @@
+/**
+ * Range ACLs in the permission store: overlap geometry, smallest-rule-wins precedence and
+ * worksheet matching by name
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+process.env.LOG_TO_FILES = 'false';
+process.env.LOG_LEVEL = 'error';
+process.env.AUDIT_STORE = 'memory';
+
+const storeDir = fs.mkdtempSync(path.join(os.tmpdir(), 'permissions-'));
+process.env.PERMISSIONS_FILE = path.join(storeDir, 'permissions.json');
+fs.writeFileSync(process.env.PERMISSIONS_FILE, JSON.stringify({
+    admins: ['root@example.com'],
+    groups: {
+        editors: { members: ['group:team'] },
+        team: { members: ['dave@example.com'] }
+    },
+    ranges: {
+        'wb1:Sheet1:A1:J10': { readers: ['carol@example.com'], writers: ['alice@example.com'] },
+        'wb1:Sheet1:C3:D4': { locked: true },
+        'wb1:Sheet1:F6': { writers: ['bob@example.com'] },
+        'wb1:*:L1:L10': { writers: ['group:editors'] },
+        'wb1:Sheet1:P1:P2': { writers: ['alice@example.com'] },
+        'wb1:Sheet1:P2:P3': { locked: true }
+    }
+}));
+
+const permissions = require('../src/config/permissions');
+const rangeValidator = require('../src/middleware/rangeValidator');
+const excelService = require('../src/services/excelService');
+const resolverService = require('../src/services/resolverService');
+
+const SHEET1_ID = '{00000000-0001-0000-C000-000000000000}';
+
+afterEach(() => {
+    jest.restoreAllMocks();
+});
+
+afterAll(() => {
+    permissions.unwatchStore();
+    rangeValidator.unwatchConfig();
+    fs.rmSync(storeDir, { recursive: true, force: true });
+});
+
+const write = (user, range, worksheet = 'Sheet1', workbook = 'wb1') =>
+    permissions.canWriteRange(user, workbook, worksheet, range);
+const read = (user, range, worksheet = 'Sheet1') =>
+    permissions.canReadRange(user, 'wb1', worksheet, range);
+
+describe('range ACL geometry', () => {
+    test('allows a write inside a rule that grants it', () => {
+        expect(write('alice@example.com', 'A1:B2')).toEqual({ allowed: true, reason: 'Explicit range write permission' });
+    });
+
+    test('denies a write that overlaps a locked rule anywhere', () => {
+        expect(write('alice@example.com', 'A1:E5')).toEqual({ allowed: false, reason: 'Range is locked (C3:D4)' });
+    });
+
+    test('uses the fallback for cells no rule covers', () => {
+        expect(write('alice@example.com', 'J10:K10')).toEqual({ allowed: false, reason: 'No write permission' });
+        expect(write('alice@example.com', 'A:A').allowed).toBe(false);
+    });
+
+    test('ignores rules of other workbooks and worksheets', () => {
+        expect(write('alice@example.com', 'A1', 'Sheet1', 'wb2').reason).toBe('No write permission');
+        expect(write('alice@example.com', 'C3', 'Sheet2').reason).toBe('No write permission');
+    });
+
+    test('matches worksheet names case-insensitively and "*" on every sheet', () => {
+        expect(write('alice@example.com', 'A1', 'SHEET1').allowed).toBe(true);
+        expect(write('dave@example.com', 'L5', 'Sheet2').allowed).toBe(true);
+        expect(write('eve@example.com', 'L5', 'Sheet2').allowed).toBe(false);
+    });
+
+    test('rejects a range it cannot parse', () => {
+        expect(write('alice@example.com', 'not a range')).toEqual({ allowed: false, reason: 'Invalid range: not a range' });
+    });
+
+    test('lets admins write anywhere', () => {
+        expect(write('root@example.com', 'C3')).toEqual({ allowed: true, reason: 'Admin access' });
+    });
+});
+
+describe('smallest rule wins', () => {
+    test('a smaller rule overrides the larger rule around it', () => {
+        expect(write('bob@example.com', 'F6').allowed).toBe(true);
+        expect(write('alice@example.com', 'F6')).toEqual({ allowed: false, reason: 'No write permission for this range (F6)' });
+    });
+
+    test('every cell is decided by its own smallest rule', () => {
+        expect(write('bob@example.com', 'F6:G6')).toEqual({ allowed: false, reason: 'No write permission for this range (A1:J10)' });
+    });
+
+    test('a denial wins between rules of equal size', () => {
+        expect(write('alice@example.com', 'P1').allowed).toBe(true);
+        expect(write('alice@example.com', 'P2')).toEqual({ allowed: false, reason: 'Range is locked (P2:P3)' });
+        expect(write('alice@example.com', 'P1:P2').allowed).toBe(false);
+    });
+
+    test('nested groups grant through "group:" entries', () => {
+        expect(permissions.resolveGroups('dave@example.com')).toEqual(new Set(['team', 'editors']));
+    });
+});
+
+describe('range reads', () => {
+    test('rules without reader or writer lists do not restrict reads', () => {
+        expect(read('carol@example.com', 'C3')).toEqual({ allowed: true, reason: 'Explicit range permission' });
+    });
+
+    test('writers can read, others are denied inside a rule', () => {
+        expect(read('bob@example.com', 'F6').allowed).toBe(true);
+        expect(read('bob@example.com', 'A1')).toEqual({ allowed: false, reason: 'No permission for this range (A1:J10)' });
+    });
+
+    test('reads outside every rule fall back to the worksheet', () => {
+        expect(read('bob@example.com', 'Z1')).toEqual({ allowed: true, reason: 'Inherited from worksheet' });
+    });
+});
+
+describe('worksheet IDs', () => {
+    const params = {
+        accessToken: 'token',
+        driveId: 'drive',
+        itemId: 'wb1',
+        worksheetId: SHEET1_ID,
+        auditContext: { user: 'alice@example.com', principal: 'alice@example.com', requestId: 'req-1' }
+    };
+
+    beforeEach(() => {
+        // Only the worksheet list is read before the permission check denies the request
+        jest.spyOn(resolverService, 'createGraphClient').mockReturnValue({
+            api: () => ({ get: async () => ({ value: [{ id: SHEET1_ID, name: 'Sheet1' }] }) })
+        });
+    });
+
+    test('rules keyed by the worksheet name apply when the caller passes its ID', () => {
+        expect(permissions.canWriteRange('alice@example.com', 'wb1', SHEET1_ID, 'C3', 'Sheet1'))
+            .toEqual({ allowed: false, reason: 'Range is locked (C3:D4)' });
+        expect(permissions.canReadRange('bob@example.com', 'wb1', SHEET1_ID, 'A1', 'Sheet1').allowed).toBe(false);
+    });
+
+    test('the service checks a write by worksheet ID against the rules of the sheet name', async () => {
+        await expect(excelService.writeRange({ ...params, range: 'C3', values: [[1]] }))
+            .rejects.toMatchObject({ statusCode: 403, message: 'Write access denied: Range is locked (C3:D4)' });
+    });
+
+    test('the service checks a read by worksheet ID against the rules of the sheet name', async () => {
+        await expect(excelService.readRange({ ...params, range: 'A1', auditContext: { ...params.auditContext, principal: 'bob@example.com' } }))
+            .rejects.toMatchObject({ statusCode: 403, message: 'Read access denied: No permission for this range (A1:J10)' });
+    });
+});
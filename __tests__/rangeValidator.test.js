@@ -0,0 +1,157 @@
+/**
+ * rangePermissions.json: schema validation, per-workbook rule selection and range checks
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+process.env.LOG_TO_FILES = 'false';
+process.env.LOG_LEVEL = 'error';
+
+const rangeValidator = require('../src/middleware/rangeValidator');
+const resolverService = require('../src/services/resolverService');
+
+const configDir = fs.mkdtempSync(path.join(os.tmpdir(), 'range-rules-'));
+
+const loadRules = (config) => {
+    rangeValidator.configPath = path.join(configDir, 'rangePermissions.json');
+    fs.writeFileSync(rangeValidator.configPath, typeof config === 'string' ? config : JSON.stringify(config));
+    return rangeValidator.loadConfig();
+};
+
+const RULES = {
+    allowedRanges: ['Sheet1!A1:Z100'],
+    lockedRanges: ['Sheet1!A1:B5'],
+    workbooks: [
+        {
+            drive: 'Finance*',
+            item: 'Reports/**/Budget ????.xlsx',
+            write: { allowedRanges: ['Input!A1:D20'] },
+            read: { lockedRanges: ['Salaries!A:Z'] }
+        },
+        {
+            item: '*.xlsx',
+            defaultPolicy: 'allow',
+            lockedRanges: ['Sheet1!A1']
+        }
+    ]
+};
+
+beforeEach(() => {
+    expect(loadRules(RULES)).toBe(true);
+});
+
+afterAll(() => {
+    rangeValidator.unwatchConfig();
+    fs.rmSync(configDir, { recursive: true, force: true });
+});
+
+describe('config schema', () => {
+    test('rejects invalid ranges and keeps the loaded rules', () => {
+        const { loadedAt } = rangeValidator.configStatus;
+
+        expect(loadRules({ allowedRanges: ['Sheet1!A1:ZZZZ1'] })).toBe(false);
+        expect(rangeValidator.configStatus.lastError).toMatch('is not a valid A1 range');
+        expect(rangeValidator.configStatus.loadedAt).toBe(loadedAt);
+        expect(rangeValidator.allowedRanges).toEqual(RULES.allowedRanges);
+    });
+
+    test('rejects unknown keys, bad policies and malformed JSON', () => {
+        expect(loadRules({ allowedRange: [] })).toBe(false);
+        expect(loadRules({ workbooks: [{ item: '*', write: { defaultPolicy: 'maybe' } }] })).toBe(false);
+        expect(rangeValidator.configStatus.lastError).toMatch('"workbooks[0].write.defaultPolicy" must be one of [allow, deny]');
+        expect(loadRules('{ "allowedRanges": ')).toBe(false);
+        expect(rangeValidator.workbookRules).toEqual(RULES.workbooks);
+    });
+
+    test('accepts whole rows, columns, absolute and quoted sheet references', () => {
+        expect(loadRules({ allowedRanges: ['A:C', '1:5', '$A$1:$B$2', "'My Sheet'!A1:B2"] })).toBe(true);
+        expect(rangeValidator.configStatus.lastError).toBeNull();
+    });
+});
+
+describe('workbook rule selection', () => {
+    const budget = { driveName: 'Finance Team', itemPath: 'Reports/2024/Q1/Budget 2024.xlsx' };
+
+    test('"**" matches across any number of folders, "*" and "?" within a name', () => {
+        expect(rangeValidator.findWorkbookRules(budget)).toBe(rangeValidator.workbookRules[0]);
+        expect(rangeValidator.matchPattern('Reports/**/Budget ????.xlsx', 'Reports/Budget 2024.xlsx')).toBe(true);
+        expect(rangeValidator.matchPattern('Reports/*/Budget ????.xlsx', 'Reports/2024/Q1/Budget 2024.xlsx')).toBe(false);
+        expect(rangeValidator.matchPattern('Budget ????.xlsx', 'budget 2024.XLSX')).toBe(true);
+        expect(rangeValidator.matchPattern('Budget ????.xlsx', 'Budget 24.xlsx')).toBe(false);
+    });
+
+    test('the first matching entry wins and patterns without "/" match the file name', () => {
+        const other = { driveName: 'Sales', itemPath: 'Reports/2024/Q1/Budget 2024.xlsx' };
+        expect(rangeValidator.findWorkbookRules(other)).toBe(rangeValidator.workbookRules[1]);
+    });
+
+    test('workbooks no entry matches use the top-level rules', () => {
+        expect(rangeValidator.findWorkbookRules({ itemName: 'notes.csv' })).toBe(rangeValidator.globalRules);
+        expect(rangeValidator.findWorkbookRules()).toBe(rangeValidator.globalRules);
+    });
+
+    test('top-level lists are write rules; reads default to allow', () => {
+        expect(rangeValidator.getRuleSet(rangeValidator.globalRules, 'write')).toEqual({
+            allowedRanges: RULES.allowedRanges, lockedRanges: RULES.lockedRanges, defaultPolicy: 'deny'
+        });
+        expect(rangeValidator.getRuleSet(rangeValidator.globalRules, 'read')).toEqual({
+            allowedRanges: [], lockedRanges: [], defaultPolicy: 'allow'
+        });
+    });
+});
+
+describe('validateRange', () => {
+    test('locked ranges win over allowed ranges', () => {
+        expect(rangeValidator.validateRange('Sheet1!B5:C6').code).toBe('RANGE_LOCKED');
+        expect(rangeValidator.validateRange('C6:D7', 'Sheet1').code).toBe('RANGE_ALLOWED');
+    });
+
+    test('a range must fit inside one allowed range', () => {
+        expect(rangeValidator.validateRange('Sheet1!Y99:AA101').code).toBe('RANGE_NOT_ALLOWED');
+        expect(rangeValidator.validateRange('Sheet2!C6').code).toBe('RANGE_NOT_ALLOWED');
+    });
+
+    test('uses the read or write rule set of the matching workbook', () => {
+        const workbook = { driveName: 'Finance', itemPath: 'Reports/Budget 2025.xlsx' };
+        expect(rangeValidator.validateRange('Input!D20', '', { workbook }).code).toBe('RANGE_ALLOWED');
+        expect(rangeValidator.validateRange('Sheet1!C6', '', { workbook }).code).toBe('RANGE_NOT_ALLOWED');
+        expect(rangeValidator.validateRange('Salaries!C6', '', { workbook, access: 'read' }).code).toBe('RANGE_LOCKED');
+        expect(rangeValidator.validateRange('Input!Z99', '', { workbook, access: 'read' }).code).toBe('RANGE_DEFAULT_ALLOW');
+    });
+
+    test('an entry-level default policy applies to both rule sets', () => {
+        const workbook = { itemName: 'Plan.xlsx' };
+        expect(rangeValidator.validateRange('Other!A1', '', { workbook }).code).toBe('RANGE_DEFAULT_ALLOW');
+        expect(rangeValidator.validateRange('Sheet1!A1', '', { workbook }).code).toBe('RANGE_LOCKED');
+    });
+});
+
+describe('checkWorkbookRange', () => {
+    afterEach(() => {
+        jest.restoreAllMocks();
+    });
+
+    test('checks a worksheetId against the name of the sheet it refers to', async () => {
+        jest.spyOn(resolverService, 'describeWorkbook').mockResolvedValue({ driveId: 'd', itemId: 'i', itemName: 'Plan.xlsx' });
+        const lookup = jest.spyOn(resolverService, 'resolveWorksheetName').mockResolvedValue('Sheet1');
+
+        const result = await rangeValidator.checkWorkbookRange('token', { driveId: 'd', itemId: 'i' },
+            'Other!A1', { worksheetId: '{00000000-0001}' }, 'write');
+
+        expect(lookup).toHaveBeenCalledWith('token', 'd', 'i', '{00000000-0001}');
+        expect(result.worksheetName).toBe('Sheet1');
+        expect(result.validation.code).toBe('RANGE_LOCKED');
+    });
+
+    test('prefers worksheetName over the range prefix', async () => {
+        jest.spyOn(resolverService, 'describeWorkbook').mockResolvedValue({ driveId: 'd', itemId: 'i', itemName: 'Plan.xlsx' });
+
+        const result = await rangeValidator.checkWorkbookRange('token', { driveId: 'd', itemId: 'i' },
+            'Other!A1', { worksheetName: 'Sheet1' }, 'write');
+
+        expect(result.worksheetName).toBe('Sheet1');
+        expect(result.validation.allowed).toBe(false);
+    });
+});
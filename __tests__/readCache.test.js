@@ -0,0 +1,232 @@
+/**
+ * Read cache: version checks and invalidation of the reads a write overlaps
+ */
+
+process.env.LOG_TO_FILES = 'false';
+process.env.LOG_LEVEL = 'error';
+process.env.AUDIT_STORE = 'memory';
+process.env.READ_CACHE_ENABLED = 'true';
+
+const readCache = require('../src/services/readCache');
+const excelService = require('../src/services/excelService');
+const sessionManager = require('../src/services/sessionManager');
+const permissions = require('../src/config/permissions');
+const rangeValidator = require('../src/middleware/rangeValidator');
+const { CACHE_STORE } = require('../src/utils/constants');
+
+const { RANGE, TABLE } = CACHE_STORE.NAMESPACES;
+
+const version = { eTag: '"{ABC},1"', cTag: '"c:{ABC},1"' };
+const auditContext = { user: 'alice@example.com', principal: 'alice@example.com', requestId: 'req-1' };
+
+const cacheRange = (itemId, worksheetId, range) =>
+    readCache.setRange({ itemId, worksheetId, range }, version, { address: `${worksheetId}!${range}`, values: [[range]] });
+
+const isCached = async (itemId, worksheetId, range) =>
+    (await readCache.getRange({ itemId, worksheetId, range }, version)) !== undefined;
+
+beforeEach(async () => {
+    await readCache.cache.deleteMatching(RANGE, '');
+    await readCache.cache.deleteMatching(TABLE, '');
+});
+
+afterEach(() => {
+    readCache.enabled = true;
+    jest.restoreAllMocks();
+});
+
+afterAll(() => {
+    permissions.unwatchStore();
+    rangeValidator.unwatchConfig();
+});
+
+describe('lookups', () => {
+    test('serves a read while the workbook keeps its cTag', async () => {
+        await cacheRange('book', 'Sheet1', 'A1:B2');
+
+        await expect(readCache.getRange({ itemId: 'book', worksheetId: 'Sheet1', range: 'A1:B2' }, version))
+            .resolves.toEqual({ address: 'Sheet1!A1:B2', values: [['A1:B2']] });
+    });
+
+    test('matches addresses regardless of $ and case', async () => {
+        await cacheRange('book', 'Sheet1', '$a$1:b2');
+
+        expect(await isCached('book', 'sheet1', 'A1:B2')).toBe(true);
+    });
+
+    test('drops an entry once the cTag changes and counts it as stale', async () => {
+        await cacheRange('book', 'Sheet1', 'A1:B2');
+
+        const changed = { ...version, cTag: '"c:{ABC},2"' };
+        await expect(readCache.getRange({ itemId: 'book', worksheetId: 'Sheet1', range: 'A1:B2' }, changed))
+            .resolves.toBeUndefined();
+        expect(await isCached('book', 'Sheet1', 'A1:B2')).toBe(false);
+
+        const stats = await readCache.getStats();
+        expect(stats.enabled).toBe(true);
+        expect(stats.namespaces[RANGE].stale).toBeGreaterThanOrEqual(1);
+    });
+
+    test('does not cache without a workbook version', async () => {
+        await readCache.setRange({ itemId: 'book', worksheetId: 'Sheet1', range: 'A1' }, {}, { values: [[1]] });
+
+        expect(await isCached('book', 'Sheet1', 'A1')).toBe(false);
+    });
+
+    test('caches nothing when disabled', async () => {
+        readCache.enabled = false;
+        await cacheRange('book', 'Sheet1', 'A1:B2');
+        readCache.enabled = true;
+
+        expect(await isCached('book', 'Sheet1', 'A1:B2')).toBe(false);
+    });
+});
+
+describe('invalidation', () => {
+    test('drops the overlapping reads on every worksheet of the workbook', async () => {
+        await cacheRange('book', 'Sheet1', 'A1:B2');
+        await cacheRange('book', '{00000000-0001}', 'C3:D4');
+        await cacheRange('book', 'Sheet1', 'E5:F6');
+        await cacheRange('other', 'Sheet1', 'A1:B2');
+
+        // B2:C3 touches A1:B2 at B2 and C3:D4 at C3
+        await readCache.invalidateRange('book', 'B2:C3');
+
+        expect(await isCached('book', 'Sheet1', 'A1:B2')).toBe(false);
+        expect(await isCached('book', '{00000000-0001}', 'C3:D4')).toBe(false);
+        expect(await isCached('book', 'Sheet1', 'E5:F6')).toBe(true);
+        expect(await isCached('other', 'Sheet1', 'A1:B2')).toBe(true);
+    });
+
+    test('drops whole-column and whole-row reads the write falls in', async () => {
+        await cacheRange('book', 'Sheet1', 'B:B');
+        await cacheRange('book', 'Sheet1', '10:10');
+        await cacheRange('book', 'Sheet1', 'D:D');
+
+        await readCache.invalidateRange('book', 'B10');
+
+        expect(await isCached('book', 'Sheet1', 'B:B')).toBe(false);
+        expect(await isCached('book', 'Sheet1', '10:10')).toBe(false);
+        expect(await isCached('book', 'Sheet1', 'D:D')).toBe(true);
+    });
+
+    test('drops a table read whose address overlaps the write', async () => {
+        const table = (tableName) => ({ itemId: 'book', worksheetId: 'Sheet1', tableName });
+        await readCache.setTable(table('Sales'), version, { address: 'Sheet1!A1:C10', rows: [] });
+        await readCache.setTable(table('Costs'), version, { address: 'Sheet1!H1:J10', rows: [] });
+
+        await readCache.invalidateRange('book', 'C5');
+
+        await expect(readCache.getTable(table('Sales'), version)).resolves.toBeUndefined();
+        await expect(readCache.getTable(table('Costs'), version)).resolves.toEqual({ address: 'Sheet1!H1:J10', rows: [] });
+    });
+
+    test('drops every read of the workbook for a range it cannot parse', async () => {
+        await cacheRange('book', 'Sheet1', 'A1:B2');
+        await cacheRange('book', 'Sheet2', 'Z100');
+        await cacheRange('other', 'Sheet1', 'A1:B2');
+
+        await readCache.invalidateRange('book', 'MyNamedRange');
+
+        expect(await isCached('book', 'Sheet1', 'A1:B2')).toBe(false);
+        expect(await isCached('book', 'Sheet2', 'Z100')).toBe(false);
+        expect(await isCached('other', 'Sheet1', 'A1:B2')).toBe(true);
+    });
+
+    test('invalidateWorkbook drops every read of the workbook only', async () => {
+        await cacheRange('book', 'Sheet1', 'A1:B2');
+        await readCache.setTable({ itemId: 'book', worksheetId: 'Sheet1', tableName: 'Sales' }, version, { address: 'Sheet1!D1:E5' });
+        await cacheRange('other', 'Sheet1', 'A1:B2');
+
+        await readCache.invalidateWorkbook('book');
+
+        expect(await isCached('book', 'Sheet1', 'A1:B2')).toBe(false);
+        await expect(readCache.getTable({ itemId: 'book', worksheetId: 'Sheet1', tableName: 'Sales' }, version))
+            .resolves.toBeUndefined();
+        expect(await isCached('other', 'Sheet1', 'A1:B2')).toBe(true);
+    });
+});
+
+describe('reads and writes through the service', () => {
+    let rangeGets;
+    let graphReads;
+    let failPatch;
+
+    /**
+     * Fake Graph client: range GETs are counted, the item returns a fixed version, and PATCH
+     * fails when failPatch is set. Writes read the range too (for the audit), so only the
+     * GETs made by reads are counted in graphReads.
+     */
+    const fakeGraphClient = () => ({
+        api: (url) => ({
+            select() {
+                return this;
+            },
+            get: async () => {
+                if (!url.includes('/range(')) {
+                    return version;
+                }
+                rangeGets += 1;
+                return { address: 'Sheet1!A1:B2', values: [[1, 2], [3, 4]], rowCount: 2, columnCount: 2 };
+            },
+            patch: async (body) => {
+                if (failPatch) {
+                    throw Object.assign(new Error('Write failed'), { statusCode: 500 });
+                }
+                return { address: 'Sheet1!B2', values: body.values, rowCount: 1, columnCount: 1 };
+            }
+        })
+    });
+
+    const params = { accessToken: 'token', driveId: 'drive', itemId: 'book', worksheetId: 'Sheet1', auditContext };
+    const read = async () => {
+        const before = rangeGets;
+        await excelService.readRange({ ...params, range: 'A1:B2' });
+        graphReads += rangeGets - before;
+    };
+    const write = (range) => excelService.writeRange({ ...params, range, values: [['x']] });
+
+    beforeEach(() => {
+        rangeGets = 0;
+        graphReads = 0;
+        failPatch = false;
+        jest.spyOn(excelService, 'createGraphClient').mockImplementation(fakeGraphClient);
+        jest.spyOn(sessionManager, 'acquire').mockResolvedValue(null);
+        jest.spyOn(sessionManager, 'release').mockResolvedValue();
+        jest.spyOn(excelService, 'getWorksheetName').mockResolvedValue('Sheet1');
+        jest.spyOn(permissions, 'canReadRange').mockReturnValue({ allowed: true });
+        jest.spyOn(permissions, 'canWriteRange').mockReturnValue({ allowed: true });
+    });
+
+    test('a repeated read is served from the cache', async () => {
+        await read();
+        await read();
+
+        expect(graphReads).toBe(1);
+    });
+
+    test('an overlapping write makes the next read go to Graph', async () => {
+        await read();
+        await write('B2');
+        await read();
+
+        expect(graphReads).toBe(2);
+    });
+
+    test('a write elsewhere keeps the cached read', async () => {
+        await read();
+        await write('C3');
+        await read();
+
+        expect(graphReads).toBe(1);
+    });
+
+    test('a failed overlapping write still drops the cached read', async () => {
+        await read();
+        failPatch = true;
+        await expect(write('A1')).rejects.toThrow();
+        await read();
+
+        expect(graphReads).toBe(2);
+    });
+});
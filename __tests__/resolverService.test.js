@@ -0,0 +1,154 @@
+/**
+ * Workbook resolution: drive names, item paths, the drive search fallback and suggestions
+ */
+
+process.env.LOG_TO_FILES = 'false';
+process.env.LOG_LEVEL = 'error';
+process.env.AUDIT_STORE = 'memory';
+
+const resolverService = require('../src/services/resolverService');
+const excelService = require('../src/services/excelService');
+const permissions = require('../src/config/permissions');
+const rangeValidator = require('../src/middleware/rangeValidator');
+
+let graph;
+let requested;
+let driveId;
+
+/**
+ * Fake Graph client: GET answers from graph by URL and gives 404 for anything else
+ */
+const fakeGraphClient = () => ({
+    api: (url) => ({
+        select() {
+            return this;
+        },
+        top() {
+            return this;
+        },
+        get: async () => {
+            requested.push(url);
+            if (!(url in graph)) {
+                throw Object.assign(new Error('itemNotFound'), { statusCode: 404, code: 'itemNotFound' });
+            }
+            return graph[url];
+        }
+    })
+});
+
+const file = (id, name, folder = '') => ({
+    id, name, file: {}, parentReference: { path: `/drives/${driveId}/root:${folder}` }
+});
+const search = name => `/drives/${driveId}/root/search(q='${encodeURIComponent(name)}')`;
+const resolve = itemPath => resolverService.resolveItemIdByPath('token', driveId, itemPath);
+
+beforeEach(() => {
+    // Each test resolves in its own drive, so cached names do not carry over
+    driveId = `drive-${expect.getState().currentTestName.replace(/\W+/g, '-')}`;
+    graph = {};
+    requested = [];
+    jest.spyOn(resolverService, 'createGraphClient').mockImplementation(fakeGraphClient);
+});
+
+afterEach(() => {
+    jest.restoreAllMocks();
+});
+
+afterAll(() => {
+    permissions.unwatchStore();
+    rangeValidator.unwatchConfig();
+});
+
+describe('item paths', () => {
+    test('resolves a folder path through Graph path addressing and caches it', async () => {
+        graph[`/drives/${driveId}/root:/Finance/2026/Q3%20Budget.xlsx`] = file('item-1', 'Q3 Budget.xlsx', '/Finance/2026');
+
+        await expect(resolve('/Finance/2026/Q3 Budget.xlsx/')).resolves.toBe('item-1');
+        await expect(resolve('finance/2026/q3 budget.xlsx')).resolves.toBe('item-1');
+
+        expect(requested).toHaveLength(1);
+    });
+
+    test('finds a bare file name outside the drive root through the drive search', async () => {
+        graph[search('Budget.xlsx')] = { value: [file('item-2', 'Budget.xlsx', '/Finance'), file('item-3', 'Budget old.xlsx', '/Finance')] };
+
+        await expect(resolve('Budget.xlsx')).resolves.toBe('item-2');
+    });
+
+    test('suggests the closest files when nothing matches', async () => {
+        graph[search('Budgte.xlsx')] = {
+            value: [file('item-4', 'Budget.xlsx', '/Finance'), file('item-5', 'Forecast.xlsx', '/Finance'), { id: 'folder', name: 'Budgets', folder: {} }]
+        };
+
+        const error = await resolve('Budgte.xlsx').catch(rejected => rejected);
+
+        expect(error).toMatchObject({ statusCode: 404, suggestions: ['Finance/Budget.xlsx', 'Finance/Forecast.xlsx'] });
+        expect(error.message).toBe('File not found in this drive: Budgte.xlsx. Did you mean: ["Finance/Budget.xlsx","Finance/Forecast.xlsx"]');
+    });
+
+    test('asks for a path when several files have the name', async () => {
+        graph[search('Budget.xlsx')] = { value: [file('item-6', 'Budget.xlsx', '/Finance'), file('item-7', 'Budget.xlsx', '/Sales')] };
+
+        await expect(resolve('Budget.xlsx')).rejects.toMatchObject({
+            statusCode: 404,
+            message: 'Multiple files named \'Budget.xlsx\' found. Specify itemPath, one of: ["Sales/Budget.xlsx","Finance/Budget.xlsx"]'
+        });
+    });
+
+    test('suggests from the requested folder when the search finds nothing', async () => {
+        graph[search('Q4.xlsx')] = { value: [] };
+        graph[`/drives/${driveId}/root:/Finance:/children`] = { value: [{ id: 'item-8', name: 'Q3.xlsx' }] };
+
+        await expect(resolve('Finance/Q4.xlsx')).rejects.toMatchObject({ statusCode: 404, suggestions: ['Finance/Q3.xlsx'] });
+    });
+
+    test('does not resolve a path to a file of the same name in another folder', async () => {
+        graph[search('Budget.xlsx')] = { value: [file('item-9', 'Budget.xlsx', '/Sales')] };
+
+        await expect(resolve('Finance/Budget.xlsx')).rejects.toMatchObject({ statusCode: 404, suggestions: ['Sales/Budget.xlsx'] });
+    });
+
+    test('caches a search match under the path it was found at', async () => {
+        graph[search('Budget.xlsx')] = { value: [file('item-10', 'Budget.xlsx', '/Finance')] };
+
+        await resolve('Budget.xlsx');
+        await expect(resolve('Finance/Budget.xlsx')).resolves.toBe('item-10');
+
+        expect(requested).toEqual([`/drives/${driveId}/root:/Budget.xlsx`, search('Budget.xlsx')]);
+    });
+
+    test('looks a path up again once its cached ID is forgotten', async () => {
+        graph[`/drives/${driveId}/root:/Reports/Sales.xlsx`] = file('item-12', 'Sales.xlsx', '/Reports');
+        await resolve('Reports/Sales.xlsx');
+
+        await resolverService.forgetNames({ itemPath: 'reports/sales.xlsx' });
+        await resolve('Reports/Sales.xlsx');
+
+        expect(requested).toHaveLength(2);
+    });
+});
+
+describe('workbooks', () => {
+    test('resolves a drive name and an item path to their IDs', async () => {
+        jest.spyOn(excelService, 'getSiteId').mockResolvedValue('site');
+        jest.spyOn(excelService, 'getDrives').mockResolvedValue([{ id: driveId, name: 'Documents' }]);
+        graph[`/drives/${driveId}/root:/Reports/Sales.xlsx`] = file('item-11', 'Sales.xlsx', '/Reports');
+
+        await expect(resolverService.resolveWorkbook('token', { driveName: 'documents', itemPath: 'Reports/Sales.xlsx' }))
+            .resolves.toEqual({ driveId, itemId: 'item-11' });
+    });
+
+    test('lists the drives when a drive name is unknown', async () => {
+        jest.spyOn(excelService, 'getSiteId').mockResolvedValue('site');
+        jest.spyOn(excelService, 'getDrives').mockResolvedValue([{ id: 'd1', name: 'Documents' }]);
+
+        await expect(resolverService.resolveWorkbook('token', { driveName: `Missing ${driveId}`, itemName: 'Sales.xlsx' }))
+            .rejects.toMatchObject({ statusCode: 404, message: 'Drive not found. Available drives: ["Documents"]' });
+    });
+
+    test('uses IDs as given', async () => {
+        await expect(resolverService.resolveWorkbook('token', { driveId: 'd', itemId: 'i', itemName: 'ignored.xlsx' }))
+            .resolves.toEqual({ driveId: 'd', itemId: 'i' });
+        expect(requested).toEqual([]);
+    });
+});
@@ -0,0 +1,185 @@
+/**
+ * Workbook sessions: held and call sessions, ownership checks and idle expiry
+ */
+
+const request = require('supertest');
+
+process.env.LOG_TO_FILES = 'false';
+process.env.LOG_LEVEL = 'error';
+process.env.AUDIT_STORE = 'memory';
+process.env.CALLER_AUTH_REQUIRED = 'false';
+
+const { createApp } = require('../src/app');
+const azureAuth = require('../src/auth/azureAuth');
+const sessionManager = require('../src/services/sessionManager');
+const excelService = require('../src/services/excelService');
+const permissions = require('../src/config/permissions');
+const rangeValidator = require('../src/middleware/rangeValidator');
+const { WORKBOOK_SESSION } = require('../src/utils/constants');
+
+const MINUTE_MS = 60 * 1000;
+
+let calls;
+let failCalls;
+let nextSession;
+
+/**
+ * Fake Graph client: records the session calls (createSession, refreshSession,
+ * closeSession) with their session header, and fails those listed in failCalls
+ */
+const fakeGraphClient = () => ({
+    api: (url) => {
+        const call = { action: url.split('/').pop(), itemId: url.split('/')[4] };
+        return {
+            header(name, value) {
+                call.sessionHeader = value;
+                return this;
+            },
+            post: async () => {
+                calls.push(call);
+                if (failCalls.includes(call.action)) {
+                    throw Object.assign(new Error(`${call.action} failed`), { statusCode: 404 });
+                }
+                nextSession += 1;
+                return { id: `graph-session-${nextSession}` };
+            }
+        };
+    }
+});
+
+const open = (fields = {}) => sessionManager.open({ accessToken: 'token', driveId: 'drive', itemId: 'book', user: 'alice', ...fields });
+
+beforeEach(() => {
+    calls = [];
+    failCalls = [];
+    nextSession = 0;
+    jest.spyOn(excelService, 'createGraphClient').mockImplementation(fakeGraphClient);
+});
+
+afterEach(async () => {
+    jest.restoreAllMocks();
+    sessionManager.sessions.clear();
+    await sessionManager.sweep();
+});
+
+afterAll(() => {
+    permissions.unwatchStore();
+    rangeValidator.unwatchConfig();
+});
+
+describe('held sessions', () => {
+    test('are joined by sessionId and stay open after each call', async () => {
+        const { sessionId, expiresAt } = await open();
+
+        const session = await sessionManager.acquire({ accessToken: 'newer-token', driveId: 'drive', itemId: 'book', sessionId, user: 'alice' });
+        await sessionManager.release(session);
+
+        expect(session).toMatchObject({ graphSessionId: 'graph-session-1', accessToken: 'newer-token' });
+        expect(Date.parse(expiresAt) - Date.now()).toBeGreaterThan(29 * MINUTE_MS);
+        expect(calls.map(call => call.action)).toEqual(['createSession']);
+        expect(sessionManager.getStats().open).toBe(1);
+    });
+
+    test('are closed on Graph and forgotten by close()', async () => {
+        const { sessionId } = await open();
+
+        await sessionManager.close(sessionId, { user: 'alice' });
+
+        expect(calls[1]).toEqual({ action: 'closeSession', itemId: 'book', sessionHeader: 'graph-session-1' });
+        expect(() => sessionManager.find(sessionId, { user: 'alice' })).toThrow('not found or expired');
+    });
+});
+
+describe('find', () => {
+    test.each([
+        ['an unknown session', 'no-such-session', 'alice', 'book', 404],
+        ['another caller\'s session', null, 'bob', 'book', 404],
+        ['a session on another workbook', null, 'alice', 'other-book', 400]
+    ])('rejects %s', async (name, unknownId, user, itemId, statusCode) => {
+        const { sessionId } = await open();
+
+        expect(() => sessionManager.find(unknownId || sessionId, { user, itemId }))
+            .toThrow(expect.objectContaining({ statusCode }));
+    });
+
+    test('an Excel call on another workbook gives 400 before reaching Graph', async () => {
+        const { sessionId } = await open();
+        jest.spyOn(excelService, 'getWorksheetName').mockResolvedValue('Sheet1');
+        jest.spyOn(permissions, 'canReadRange').mockReturnValue({ allowed: true });
+
+        await expect(excelService.readRange({
+            accessToken: 'token', driveId: 'drive', itemId: 'other-book', worksheetId: 'Sheet1', range: 'A1', sessionId,
+            auditContext: { user: 'alice', principal: 'alice', requestId: 'req-1' }
+        })).rejects.toMatchObject({ statusCode: 400, message: `Workbook session ${sessionId} is open on a different workbook` });
+        expect(calls.map(call => call.action)).toEqual(['createSession']);
+    });
+
+    test('DELETE /api/excel/session gives 404 for another caller\'s session', async () => {
+        jest.spyOn(azureAuth, 'getAccessToken').mockResolvedValue('token');
+        const { sessionId } = await open({ user: 'bob' });
+
+        const response = await request(createApp()).delete(`/api/excel/session/${sessionId}`);
+
+        expect(response.status).toBe(404);
+        expect(sessionManager.getStats().open).toBe(1);
+    });
+});
+
+describe('call sessions', () => {
+    test('are opened only when asked for, and closed on release', async () => {
+        const params = { accessToken: 'token', driveId: 'drive', itemId: 'book', user: 'alice' };
+
+        await expect(sessionManager.acquire(params)).resolves.toBeNull();
+
+        const session = await sessionManager.acquire({ ...params, create: true });
+        await sessionManager.release(session);
+
+        expect(session).toMatchObject({ graphSessionId: 'graph-session-1', temporary: true });
+        expect(calls.map(call => call.action)).toEqual(['createSession', 'closeSession']);
+        expect(sessionManager.getStats().open).toBe(0);
+    });
+
+    test('the call runs without a session when Graph will not open one', async () => {
+        failCalls = ['createSession'];
+
+        await expect(sessionManager.acquire({ accessToken: 'token', driveId: 'drive', itemId: 'book', user: 'alice', create: true }))
+            .resolves.toBeNull();
+    });
+});
+
+describe('expiry', () => {
+    const later = (ms) => {
+        const now = Date.now() + ms;
+        jest.spyOn(Date, 'now').mockReturnValue(now);
+    };
+
+    test('closes sessions idle for the idle timeout', async () => {
+        const { sessionId } = await open();
+        later(WORKBOOK_SESSION.DEFAULT_IDLE_TIMEOUT);
+
+        await sessionManager.sweep();
+
+        expect(calls.map(call => call.action)).toEqual(['createSession', 'closeSession']);
+        expect(() => sessionManager.find(sessionId, { user: 'alice' })).toThrow(expect.objectContaining({ statusCode: 404 }));
+    });
+
+    test('refreshes sessions idle for a few minutes and keeps them', async () => {
+        await open();
+        later(WORKBOOK_SESSION.REFRESH_AFTER);
+
+        await sessionManager.sweep();
+
+        expect(calls.map(call => call.action)).toEqual(['createSession', 'refreshSession']);
+        expect(sessionManager.getStats().open).toBe(1);
+    });
+
+    test('drops a session Graph will not refresh', async () => {
+        await open();
+        failCalls = ['refreshSession'];
+        later(WORKBOOK_SESSION.REFRESH_AFTER);
+
+        await sessionManager.sweep();
+
+        expect(sessionManager.getStats().open).toBe(0);
+    });
+});
@@ -0,0 +1,143 @@
+/**
+ * POST /api/excel/undo: restoring an audited write, conflicts and entries that cannot be undone
+ */
+
+const request = require('supertest');
+
+process.env.LOG_TO_FILES = 'false';
+process.env.LOG_LEVEL = 'error';
+process.env.AUDIT_STORE = 'memory';
+process.env.CALLER_AUTH_REQUIRED = 'false';
+
+const { createApp } = require('../src/app');
+const azureAuth = require('../src/auth/azureAuth');
+const auditService = require('../src/services/auditService');
+const auditTrail = require('../src/middleware/auditLogger');
+const excelService = require('../src/services/excelService');
+const resolverService = require('../src/services/resolverService');
+const sessionManager = require('../src/services/sessionManager');
+const permissions = require('../src/config/permissions');
+const rangeValidator = require('../src/middleware/rangeValidator');
+
+const app = createApp();
+
+let cells;
+let patches;
+
+/**
+ * Fake Graph client over the range B2:C2: GET returns the current cells, PATCH records the restore
+ */
+const fakeGraphClient = () => ({
+    api: (url) => ({
+        get: async () => ({ address: 'Data!B2:C2', values: cells }),
+        patch: async (body) => {
+            patches.push({ url, body });
+            return { address: 'Data!B2:C2', values: body.values };
+        }
+    })
+});
+
+/**
+ * Audit a write of B2:C2 from [1, 2] to [10, 20] and return its audit ID
+ */
+const auditedWrite = async (fields = {}) => {
+    const auditId = auditService.logWriteOperation({
+        user: 'anonymous',
+        driveId: 'drive',
+        workbookId: 'book',
+        worksheetId: 'Data',
+        range: 'B2:C2',
+        oldValues: [[1, 2]],
+        newValues: [[10, 20]],
+        success: true,
+        ...fields
+    });
+    await auditTrail.chainQueue;
+    return auditId;
+};
+
+const undo = (auditId) => request(app).post('/api/excel/undo').send({ auditId });
+
+beforeEach(() => {
+    cells = [[10, 20]];
+    patches = [];
+    jest.spyOn(azureAuth, 'getAccessToken').mockResolvedValue('token');
+    jest.spyOn(excelService, 'createGraphClient').mockImplementation(fakeGraphClient);
+    jest.spyOn(resolverService, 'resolveWorksheetName').mockResolvedValue('Data');
+    jest.spyOn(sessionManager, 'acquire').mockResolvedValue(null);
+    jest.spyOn(permissions, 'canWriteRange').mockReturnValue({ allowed: true });
+});
+
+afterEach(() => {
+    jest.restoreAllMocks();
+});
+
+afterAll(() => {
+    permissions.unwatchStore();
+    rangeValidator.unwatchConfig();
+});
+
+test('restores the values the write replaced and audits the undo', async () => {
+    const auditId = await auditedWrite();
+
+    const response = await undo(auditId);
+
+    expect(response.status).toBe(200);
+    expect(response.body.data).toMatchObject({ undoneAuditId: auditId, values: [[1, 2]] });
+    expect(patches).toEqual([{ url: expect.stringContaining("range(address='B2:C2')"), body: { values: [[1, 2]] } }]);
+
+    await auditTrail.chainQueue;
+    const undoEntry = await auditTrail.findAuditEntry(response.body.data.auditId);
+    expect(undoEntry).toMatchObject({ operation: 'UNDO', undoOf: auditId, oldValues: [[10, 20]], newValues: [[1, 2]], success: true });
+});
+
+test('gives 409 and the changed cells when the range changed since the write', async () => {
+    const auditId = await auditedWrite();
+    cells = [[10, 99]];
+
+    const response = await undo(auditId);
+
+    expect(response.status).toBe(409);
+    expect(response.body.error.details.conflicts).toEqual([{ address: 'C2', expected: 20, actual: 99 }]);
+    expect(patches).toHaveLength(0);
+});
+
+test('leaves cells the write did not touch', async () => {
+    const auditId = await auditedWrite({ newValues: [[10, null]] });
+    cells = [[10, 'changed later']];
+
+    const response = await undo(auditId);
+
+    expect(response.status).toBe(200);
+    expect(patches[0].body).toEqual({ values: [[1, null]] });
+});
+
+test.each([
+    ['a failed write', { success: false, error: 'Bad range' }, 'records a failed write; there is nothing to undo'],
+    ['a write without previous values', { oldValues: undefined }, 'has no previous values to restore'],
+    ['a cleared format', { newValues: null, applyTo: 'formats' }, 'cleared formats only']
+])('gives 400 for %s', async (name, fields, message) => {
+    const auditId = await auditedWrite(fields);
+
+    const response = await undo(auditId);
+
+    expect(response.status).toBe(400);
+    expect(response.body.error.message).toMatch(message);
+    expect(patches).toHaveLength(0);
+});
+
+test('gives 404 for an unknown audit entry', async () => {
+    const response = await undo('00000000-0000-4000-8000-000000000000');
+
+    expect(response.status).toBe(404);
+});
+
+test('gives 403 when the range is no longer writable', async () => {
+    permissions.canWriteRange.mockReturnValue({ allowed: false, reason: 'Range is locked (B2)' });
+    const auditId = await auditedWrite();
+
+    const response = await undo(auditId);
+
+    expect(response.status).toBe(403);
+    expect(patches).toHaveLength(0);
+});
@@ -0,0 +1,330 @@
+/**
+ * Express Application
+ * Builds the single Express app shared by the standalone server (src/server.js)
+ * and the Vercel serverless entrypoint (api/index.js)
+ */
+
+require('dotenv').config();
+require('express-async-errors');
+
+const express = require('express');
+const helmet = require('helmet');
+const cors = require('cors');
+const { v4: uuidv4 } = require('uuid');
+
+// Import middleware
+const { globalErrorHandler, handleNotFound } = require('./middleware/errorHandler');
+const { generalLimiter } = require('./middleware/rateLimiter');
+
+// Import routes
+const adminRoutes = require('./routes/admin');
+const excelRoutes = require('./routes/excel');
+const gptRoutes = require('./routes/gpt');
+const healthRoutes = require('./routes/health');
+
+// Import services
+const logger = require('./config/logger');
+
+/**
+ * Setup Express middleware
+ */
+const setupMiddleware = (app) => {
+    // Trust proxy if behind reverse proxy
+    if (process.env.TRUST_PROXY === 'true') {
+        app.set('trust proxy', 1);
+    }
+
+    // Security middleware
+    app.use(helmet({
+        contentSecurityPolicy: false, // Simplified for API
+        crossOriginEmbedderPolicy: false,
+        hsts: {
+            maxAge: 31536000,
+            includeSubDomains: true,
+            preload: true
+        }
+    }));
+
+    // CORS configuration
+    const corsOptions = {
+        origin: process.env.ALLOWED_ORIGINS?.split(',').map(origin => origin.trim()) || ['http://localhost:3000'],
+        credentials: true,
+        optionsSuccessStatus: 200
+    };
+    app.use(cors(corsOptions));
+
+    // Body parsing middleware
+    app.use(express.json({ 
+        limit: process.env.MAX_REQUEST_SIZE || '10mb',
+        strict: true
+    }));
+    app.use(express.urlencoded({ 
+        extended: true, 
+        limit: process.env.MAX_REQUEST_SIZE || '10mb'
+    }));
+
+    // Request ID middleware
+    app.use((req, res, next) => {
+        req.id = uuidv4();
+        res.setHeader('X-Request-ID', req.id);
+        next();
+    });
+
+    // Request logging middleware
+    app.use((req, res, next) => {
+        const start = Date.now();
+        
+        res.on('finish', () => {
+            const duration = Date.now() - start;
+            logger.info('HTTP Request', {
+                requestId: req.id,
+                method: req.method,
+                url: req.originalUrl,
+                statusCode: res.statusCode,
+                duration: `${duration}ms`,
+                ip: req.ip,
+                userAgent: req.get('User-Agent')
+            });
+        });
+        
+        next();
+    });
+
+    // Apply general rate limiting
+    app.use(generalLimiter);
+};
+
+/**
+ * Setup application routes
+ */
+const setupRoutes = (app) => {
+    // Health check routes (no authentication required)
+    app.use('/health', healthRoutes);
+
+    // API routes
+    app.use('/api/excel', excelRoutes);
+    app.use('/api/admin', adminRoutes);
+
+    // GPT Actions routes (/list-drives, /list-items, /excel/*): same router and controllers
+    app.use('/', gptRoutes);
+
+    // Root endpoint
+    app.get('/', (req, res) => {
+        res.json({
+            service: 'Excel GPT Middleware',
+            version: process.env.npm_package_version || '1.0.0',
+            status: 'running',
+            timestamp: new Date().toISOString(),
+            endpoints: {
+                health: '/health',
+                api: '/api/excel',
+                documentation: '/api/docs'
+            }
+        });
+    });
+
+    // API documentation endpoint
+    app.get('/api/docs', (req, res) => {
+        res.json({
+            service: 'Excel GPT Middleware API',
+            version: '1.0.0',
+            endpoints: {
+                workbooks: {
+                    method: 'GET',
+                    path: '/api/excel/workbooks',
+                    description: 'Get all accessible workbooks'
+                },
+                drives: {
+                    method: 'GET',
+                    path: '/api/excel/drives',
+                    description: 'List drives (document libraries) in the SharePoint site'
+                },
+                items: {
+                    method: 'GET',
+                    path: '/api/excel/items',
+                    description: 'List workbooks and folders in a drive folder',
+                    parameters: ['driveId | driveName', 'folderPath', 'excelOnly', 'top', 'pageToken']
+                },
+                worksheets: {
+                    method: 'GET',
+                    path: '/api/excel/worksheets',
+                    description: 'Get worksheets in a workbook',
+                    parameters: ['driveId', 'itemId']
+                },
+                readRange: {
+                    method: 'POST',
+                    path: '/api/excel/read',
+                    description: 'Read data from Excel range',
+                    body: ['driveId', 'itemId', 'worksheetId', 'range']
+                },
+                writeRange: {
+                    method: 'POST',
+                    path: '/api/excel/write',
+                    description: 'Write data to Excel range (409 with the current values if ifMatch does not hold)',
+                    body: ['driveId', 'itemId', 'worksheetId', 'range', 'values', 'ifMatch']
+                },
+                readTable: {
+                    method: 'POST',
+                    path: '/api/excel/read-table',
+                    description: 'Read data from Excel table',
+                    body: ['driveId', 'itemId', 'worksheetId', 'tableName']
+                },
+                addTableRows: {
+                    method: 'POST',
+                    path: '/api/excel/add-table-rows',
+                    description: 'Add rows to Excel table',
+                    body: ['driveId', 'itemId', 'worksheetId', 'tableName', 'rows']
+                },
+                createSheet: {
+                    method: 'POST',
+                    path: '/api/excel/create-sheet',
+                    description: 'Add a worksheet to a workbook',
+                    body: ['driveId', 'itemId', 'name']
+                },
+                clearRange: {
+                    method: 'POST',
+                    path: '/api/excel/delete',
+                    description: 'Clear a range',
+                    body: ['driveId', 'itemId', 'worksheetId', 'range', 'applyTo']
+                },
+                deleteSheet: {
+                    method: 'POST',
+                    path: '/api/excel/delete-sheet',
+                    description: 'Delete a worksheet',
+                    body: ['driveId', 'itemId', 'worksheetId']
+                },
+                batch: {
+                    method: 'POST',
+                    path: '/api/excel/batch',
+                    description: 'Run read_range, write_range, read_table and add_table_rows operations through Graph JSON batching (207 on partial failure; atomic: true rolls back all writes if one fails)',
+                    body: ['operations', 'atomic']
+                },
+                undo: {
+                    method: 'POST',
+                    path: '/api/excel/undo',
+                    description: 'Restore the values replaced by an audited write',
+                    body: ['auditId']
+                },
+                openSession: {
+                    method: 'POST',
+                    path: '/api/excel/session',
+                    description: 'Open a workbook session; pass its sessionId to later calls on the workbook',
+                    body: ['driveId', 'itemId', 'persistChanges']
+                },
+                closeSession: {
+                    method: 'DELETE',
+                    path: '/api/excel/session/:sessionId',
+                    description: 'Close a workbook session'
+                },
+                rangePermissions: {
+                    method: 'GET',
+                    path: '/api/excel/range-permissions',
+                    description: 'Get the active range rules from rangePermissions.json'
+                },
+                auditLogs: {
+                    method: 'GET',
+                    path: '/api/excel/logs',
+                    description: 'Query the audit log a page at a time, with chain anchors for the returned entries',
+                    query: ['user', 'operation', 'fileName', 'driveId', 'itemId', 'range', 'startDate', 'endDate', 'success', 'cursor', 'limit']
+                },
+                exportAuditLogs: {
+                    method: 'GET',
+                    path: '/api/excel/logs/export',
+                    description: 'Stream audit log entries as CSV or JSON Lines',
+                    query: ['format', 'user', 'operation', 'fileName', 'driveId', 'itemId', 'range', 'startDate', 'endDate', 'success', 'limit']
+                },
+                verifyAuditLogs: {
+                    method: 'GET',
+                    path: '/api/excel/logs/verify',
+                    description: 'Verify the audit hash chain and report the first broken link'
+                },
+                auditReport: {
+                    method: 'GET',
+                    path: '/api/excel/logs/report',
+                    description: 'Activity report: reads, writes, failures and cells modified per user, workbook and range, and permission denials',
+                    query: ['startDate', 'endDate', 'user', 'fileName', 'driveId', 'itemId', 'top', 'format']
+                },
+                auditDiff: {
+                    method: 'GET',
+                    path: '/api/excel/logs/:id/diff',
+                    description: 'Cell-level diff of an audited write: address, old and new value per changed cell',
+                    query: ['format']
+                },
+                listPermissions: {
+                    method: 'GET',
+                    path: '/api/admin/permissions[/:resourceType]',
+                    description: 'List ACL entries (admin only)'
+                },
+                grantPermission: {
+                    method: 'POST',
+                    path: '/api/admin/permissions/grant',
+                    description: 'Grant a permission (admin only)',
+                    body: ['resourceType', 'resourceId', 'userId', 'permission']
+                },
+                revokePermission: {
+                    method: 'POST',
+                    path: '/api/admin/permissions/revoke',
+                    description: 'Revoke a permission (admin only)',
+                    body: ['resourceType', 'resourceId', 'userId', 'permission']
+                },
+                userPermissions: {
+                    method: 'GET',
+                    path: '/api/admin/permissions/users/:userId',
+                    description: "Get a user's effective permissions (admin only)"
+                },
+                groups: {
+                    method: 'GET',
+                    path: '/api/admin/groups',
+                    description: 'List permission groups (admin only)'
+                },
+                groupMembers: {
+                    method: 'POST',
+                    path: '/api/admin/groups/add-member | /api/admin/groups/remove-member',
+                    description: 'Change group membership (admin only)',
+                    body: ['group', 'member']
+                }
+            },
+            notes: [
+                'driveId/itemId may be replaced by driveName plus itemName or itemPath',
+                'The same endpoints are served under /excel/* (plus /list-drives and /list-items) with a { success, data, error } envelope for GPT Actions'
+            ],
+            authentication: {
+                caller: {
+                    type: 'API key or JWT bearer token',
+                    headers: ['X-API-Key: <key>', 'Authorization: Bearer <key or JWT>'],
+                    scopes: ['excel.read', 'excel.write', 'audit.read']
+                },
+                graph: {
+                    type: 'Azure AD Client Credentials',
+                    description: 'Automatic authentication using Azure AD service principal'
+                }
+            }
+        });
+    });
+
+    // Handle 404 for undefined routes
+    app.use(handleNotFound);
+};
+
+/**
+ * Setup error handling
+ */
+const setupErrorHandling = (app) => {
+    app.use(globalErrorHandler);
+};
+
+/**
+ * Create the Express application with all middleware and routes
+ * @returns {Object} Express app
+ */
+const createApp = () => {
+    const app = express();
+    setupMiddleware(app);
+    setupRoutes(app);
+    setupErrorHandling(app);
+    return app;
+};
+
+module.exports = {
+    createApp
+};
@@ -1,29 +1,54 @@
 /**
  * Azure AD Authentication Module
- * Handles authentication using Client Credentials Flow for service-to-service communication
+ * Handles authentication using Client Credentials Flow for service-to-service communication,
+ * and the On-Behalf-Of flow for delegated access with the calling user's own permissions
  */
 
 const { ConfidentialClientApplication } = require('@azure/msal-node');
 const logger = require('../config/logger');
+const { AUTH } = require('../utils/constants');
 
 class AzureAuthService {
     constructor() {
         this.clientApp = null;
         this.accessToken = null;
         this.tokenExpiry = null;
-        this.initializeClient();
+
+        // Graph access mode: 'app' (client credentials), 'obo' (delegated only)
+        // or 'auto' (delegated when the caller sent a user bearer token, app-only otherwise)
+        this.mode = (process.env.GRAPH_AUTH_MODE || AUTH.GRAPH_AUTH_MODES.APP).toLowerCase();
+        if (!Object.values(AUTH.GRAPH_AUTH_MODES).includes(this.mode)) {
+            logger.warn(`Unknown GRAPH_AUTH_MODE "${this.mode}", falling back to app-only access`);
+            this.mode = AUTH.GRAPH_AUTH_MODES.APP;
+        }
+        this.oboScopes = (process.env.GRAPH_OBO_SCOPES || AUTH.CLIENT_CREDENTIAL_SCOPE)
+            .split(/[\s,]+/).filter(Boolean);
+
+        // Delegated tokens by user key: { accessToken, expiry }
+        this.userTokens = new Map();
+        // The MSAL client is created on first use so a missing configuration
+        // fails individual requests instead of the whole process at startup
     }
 
     /**
      * Initialize the MSAL client application
      */
     initializeClient() {
+        // Prefer AZURE_* envs, fall back to legacy names if present
+        const tenantId = process.env.AZURE_TENANT_ID || process.env.TENANT_ID;
+        const clientId = process.env.AZURE_CLIENT_ID || process.env.CLIENT_ID;
+        const clientSecret = process.env.AZURE_CLIENT_SECRET || process.env.CLIENT_SECRET;
+
+        if (!tenantId || !clientId || !clientSecret) {
+            throw new Error('Missing required environment variables: AZURE_TENANT_ID/AZURE_CLIENT_ID/AZURE_CLIENT_SECRET (or TENANT_ID/CLIENT_ID/CLIENT_SECRET)');
+        }
+
         try {
             const clientConfig = {
                 auth: {
-                    clientId: process.env.AZURE_CLIENT_ID,
-                    clientSecret: process.env.AZURE_CLIENT_SECRET,
-                    authority: `https://login.microsoftonline.com/${process.env.AZURE_TENANT_ID}`
+                    clientId,
+                    clientSecret,
+                    authority: `https://login.microsoftonline.com/${tenantId}`
                 },
                 system: {
                     loggerOptions: {
@@ -57,6 +82,10 @@ class AzureAuthService {
                 return this.accessToken;
             }
 
+            if (!this.clientApp) {
+                this.initializeClient();
+            }
+
             const clientCredentialRequest = {
                 scopes: ['https://graph.microsoft.com/.default'],
             };
@@ -80,6 +109,98 @@ class AzureAuthService {
         }
     }
 
+    /**
+     * Exchange a user's bearer token for a delegated Graph token (On-Behalf-Of flow)
+     * @param {string} userAssertion - The caller's access token (audience: this app)
+     * @param {string} userKey - Stable user identifier used as the cache key
+     * @returns {Promise<string>} Delegated access token
+     */
+    async getAccessTokenOnBehalfOf(userAssertion, userKey) {
+        try {
+            const cached = this.userTokens.get(userKey);
+            if (cached && Date.now() < (cached.expiry - AUTH.TOKEN_BUFFER_TIME)) {
+                return cached.accessToken;
+            }
+
+            if (!this.clientApp) {
+                this.initializeClient();
+            }
+
+            const response = await this.clientApp.acquireTokenOnBehalfOf({
+                oboAssertion: userAssertion,
+                scopes: this.oboScopes
+            });
+
+            if (!response?.accessToken) {
+                throw new Error('Failed to acquire delegated access token');
+            }
+
+            this.cacheUserToken(userKey, response.accessToken, response.expiresOn.getTime());
+
+            logger.debug('Delegated access token acquired', { user: userKey });
+            return response.accessToken;
+
+        } catch (error) {
+            logger.error('Failed to acquire delegated access token:', error.message);
+            throw new Error(`Authentication failed: ${error.message}`);
+        }
+    }
+
+    /**
+     * Cache a delegated token, evicting expired entries and then the oldest when full
+     * @param {string} userKey - User cache key
+     * @param {string} accessToken - Delegated access token
+     * @param {number} expiry - Expiry timestamp (ms)
+     */
+    cacheUserToken(userKey, accessToken, expiry) {
+        // Re-insert so Map order tracks recency
+        this.userTokens.delete(userKey);
+
+        if (this.userTokens.size >= AUTH.OBO_CACHE_MAX_ENTRIES) {
+            const now = Date.now();
+            for (const [key, entry] of this.userTokens) {
+                if (entry.expiry <= now) {
+                    this.userTokens.delete(key);
+                }
+            }
+            if (this.userTokens.size >= AUTH.OBO_CACHE_MAX_ENTRIES) {
+                this.userTokens.delete(this.userTokens.keys().next().value);
+            }
+        }
+
+        this.userTokens.set(userKey, { accessToken, expiry });
+    }
+
+    /**
+     * Whether a request is served with a delegated token under the configured mode
+     * @param {string} [assertion] - The caller's bearer JWT, if any
+     * @returns {boolean} True for On-Behalf-Of
+     */
+    usesDelegatedAccess(assertion) {
+        return this.mode === AUTH.GRAPH_AUTH_MODES.OBO ||
+            (this.mode === AUTH.GRAPH_AUTH_MODES.AUTO && Boolean(assertion));
+    }
+
+    /**
+     * Get the Graph token to use for a request according to the configured mode
+     * @param {Object} caller - { user, assertion } where assertion is the caller's bearer JWT, if any
+     * @returns {Promise<Object>} { token, mode: 'delegated' | 'application' }
+     */
+    async getAccessTokenForCaller({ user, assertion } = {}) {
+        if (!this.usesDelegatedAccess(assertion)) {
+            return { token: await this.getAccessToken(), mode: 'application' };
+        }
+
+        if (!assertion) {
+            throw new Error('Authentication failed: delegated Graph access requires a user bearer token');
+        }
+
+        // Entra ID "oid" is stable across token refreshes; fall back to the verified user id
+        const userKey = user?.claims?.oid || user?.claims?.sub || user?.id;
+        const token = await this.getAccessTokenOnBehalfOf(assertion, userKey);
+        return { token, mode: 'delegated' };
+    }
+
     /**
      * Validate if the current token is valid
      * @returns {boolean} True if token is valid
@@ -94,6 +215,7 @@ class AzureAuthService {
     clearToken() {
         this.accessToken = null;
         this.tokenExpiry = null;
+        this.userTokens.clear();
         logger.debug('Access token cache cleared');
     }
 
@@ -105,7 +227,9 @@ class AzureAuthService {
         return {
             hasToken: !!this.accessToken,
             expiresAt: this.tokenExpiry ? new Date(this.tokenExpiry).toISOString() : null,
-            isValid: this.isTokenValid()
+            isValid: this.isTokenValid(),
+            mode: this.mode,
+            cachedUserTokens: this.userTokens.size
         };
     }
 }
@@ -0,0 +1,340 @@
+/**
+ * Caller Authentication Module
+ * Verifies who is calling the middleware: static API keys with per-key scopes,
+ * or signed JWT bearer tokens validated against a JWKS endpoint or shared secret
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const axios = require('axios');
+const jwt = require('jsonwebtoken');
+const logger = require('../config/logger');
+const { AUTH } = require('../utils/constants');
+
+/**
+ * Error raised when caller credentials are missing or invalid
+ */
+class CallerAuthError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'CallerAuthError';
+        this.statusCode = 401;
+    }
+}
+
+/**
+ * Split a scope list given as an array, or a space/comma separated string
+ * @param {Array|string} value - Scopes
+ * @returns {Array<string>} Lower-cased scopes
+ */
+const parseScopes = (value) => {
+    if (!value) {
+        return [];
+    }
+    const list = Array.isArray(value) ? value : String(value).split(/[\s,]+/);
+    return list.map(scope => String(scope).trim().toLowerCase()).filter(Boolean);
+};
+
+/**
+ * SHA-256 hex digest of an API key
+ * @param {string} key - API key
+ * @returns {string} Hex digest
+ */
+const hashKey = (key) => crypto.createHash('sha256').update(String(key)).digest('hex');
+
+class CallerAuthService {
+    constructor() {
+        this.required = process.env.CALLER_AUTH_REQUIRED !== 'false';
+        this.apiKeys = this.loadApiKeys();
+
+        this.jwtConfig = {
+            jwksUri: process.env.JWT_JWKS_URI || null,
+            secret: process.env.JWT_SECRET || null,
+            issuer: process.env.JWT_ISSUER || undefined,
+            audience: process.env.JWT_AUDIENCE
+                ? process.env.JWT_AUDIENCE.split(',').map(aud => aud.trim()).filter(Boolean)
+                : undefined,
+            userClaim: process.env.JWT_USER_CLAIM || null,
+            // Tokens without scp/scope or roles get these; none unless configured
+            defaultScopes: parseScopes(process.env.JWT_DEFAULT_SCOPES)
+        };
+
+        // Without both checks any token the key set signs (any app, any tenant) would be accepted
+        if (this.isJwtEnabled() && (!this.jwtConfig.issuer || !this.jwtConfig.audience?.length)) {
+            throw new Error('JWT_ISSUER and JWT_AUDIENCE are required when JWT_JWKS_URI or JWT_SECRET is set');
+        }
+
+        // JWKS signing keys by kid
+        this.jwks = new Map();
+        this.jwksFetchedAt = 0;
+
+        if (!this.required) {
+            logger.warn('Caller authentication is disabled (CALLER_AUTH_REQUIRED=false); anonymous requests are accepted');
+        }
+    }
+
+    /**
+     * Load API keys from API_KEYS (JSON) and/or API_KEYS_FILE (path to JSON).
+     * Each entry: { key | keyHash, user, name?, scopes }
+     * @returns {Map<string, Object>} Key records by SHA-256 hash
+     */
+    loadApiKeys() {
+        const keys = new Map();
+        const sources = [];
+
+        if (process.env.API_KEYS) {
+            sources.push({ origin: 'API_KEYS', raw: process.env.API_KEYS });
+        }
+        if (process.env.API_KEYS_FILE) {
+            try {
+                sources.push({ origin: process.env.API_KEYS_FILE, raw: fs.readFileSync(process.env.API_KEYS_FILE, 'utf8') });
+            } catch (error) {
+                logger.error(`Failed to read API key file ${process.env.API_KEYS_FILE}:`, error);
+            }
+        }
+
+        sources.forEach(({ origin, raw }) => {
+            let entries;
+            try {
+                entries = JSON.parse(raw);
+            } catch (error) {
+                logger.error(`Invalid JSON in ${origin}; no API keys loaded from it`);
+                return;
+            }
+
+            (Array.isArray(entries) ? entries : []).forEach((entry, index) => {
+                const digest = entry.keyHash ? String(entry.keyHash).toLowerCase() : (entry.key && hashKey(entry.key));
+                if (!digest || !entry.user) {
+                    logger.warn(`Skipping API key #${index} in ${origin}: key (or keyHash) and user are required`);
+                    return;
+                }
+                keys.set(digest, {
+                    user: entry.user,
+                    name: entry.name || entry.user,
+                    scopes: parseScopes(entry.scopes)
+                });
+            });
+        });
+
+        if (keys.size > 0) {
+            logger.info(`Loaded ${keys.size} API key(s)`);
+        }
+        return keys;
+    }
+
+    /**
+     * Whether bearer tokens can be verified
+     * @returns {boolean} True if a JWKS URI or shared secret is configured
+     */
+    isJwtEnabled() {
+        return Boolean(this.jwtConfig.jwksUri || this.jwtConfig.secret);
+    }
+
+    /**
+     * Pull the caller credential out of the request headers
+     * @param {Object} req - Express request object
+     * @returns {Object|null} { type: 'apiKey' | 'bearer', value }
+     */
+    extractCredential(req) {
+        const apiKeyHeader = req.get('X-API-Key');
+        if (apiKeyHeader) {
+            return { type: 'apiKey', value: apiKeyHeader.trim() };
+        }
+
+        const authorization = req.get('Authorization');
+        if (!authorization) {
+            return null;
+        }
+
+        const [scheme, ...rest] = authorization.trim().split(/\s+/);
+        const value = rest.join(' ');
+        if (!value) {
+            return null;
+        }
+
+        if (/^apikey$/i.test(scheme)) {
+            return { type: 'apiKey', value };
+        }
+        if (/^bearer$/i.test(scheme)) {
+            // GPT Actions "API key / Bearer" auth sends the key as a bearer token;
+            // anything not shaped like a JWT is treated as an API key
+            return { type: value.split('.').length === 3 ? 'bearer' : 'apiKey', value };
+        }
+        return null;
+    }
+
+    /**
+     * Verify an API key
+     * @param {string} key - Presented key
+     * @returns {Object} Caller identity
+     */
+    verifyApiKey(key) {
+        const presented = Buffer.from(hashKey(key), 'hex');
+
+        // Compare every digest in constant time so timing does not reveal near matches
+        let match = null;
+        for (const [digest, record] of this.apiKeys) {
+            const known = Buffer.from(digest, 'hex');
+            if (known.length === presented.length && crypto.timingSafeEqual(known, presented)) {
+                match = record;
+            }
+        }
+
+        if (!match) {
+            throw new CallerAuthError('Invalid API key');
+        }
+
+        return {
+            id: match.user,
+            name: match.name,
+            authType: 'apiKey',
+            scopes: match.scopes
+        };
+    }
+
+    /**
+     * Fetch the JWKS document and cache its keys by kid
+     * @returns {Promise<void>}
+     */
+    async refreshJwks() {
+        const response = await axios.get(this.jwtConfig.jwksUri, { timeout: 10000 });
+        const keys = new Map();
+
+        (response.data?.keys || []).forEach((jwk) => {
+            if (!jwk.kid || (jwk.use && jwk.use !== 'sig')) {
+                return;
+            }
+            try {
+                keys.set(jwk.kid, crypto.createPublicKey({ key: jwk, format: 'jwk' }));
+            } catch (error) {
+                logger.warn(`Ignoring unusable JWKS key ${jwk.kid}: ${error.message}`);
+            }
+        });
+
+        this.jwks = keys;
+        this.jwksFetchedAt = Date.now();
+        logger.debug(`Loaded ${keys.size} signing key(s) from JWKS`);
+    }
+
+    /**
+     * Get the public key for a kid, refreshing the JWKS when stale or when the kid is unknown
+     * @param {string} kid - Key ID from the token header
+     * @returns {Promise<Object>} Public KeyObject
+     */
+    async getSigningKey(kid) {
+        const age = Date.now() - this.jwksFetchedAt;
+
+        if (age > AUTH.JWKS_CACHE_TTL || (!this.jwks.has(kid) && age > AUTH.JWKS_MIN_REFRESH_INTERVAL)) {
+            try {
+                await this.refreshJwks();
+            } catch (error) {
+                logger.error('Failed to fetch JWKS:', error.message);
+                if (this.jwks.size === 0) {
+                    throw new CallerAuthError('Unable to verify bearer token');
+                }
+            }
+        }
+
+        const key = this.jwks.get(kid);
+        if (!key) {
+            throw new CallerAuthError('Bearer token signed with an unknown key');
+        }
+        return key;
+    }
+
+    /**
+     * Verify a JWT bearer token
+     * @param {string} token - Encoded JWT
+     * @returns {Promise<Object>} Caller identity
+     */
+    async verifyBearerToken(token) {
+        if (!this.isJwtEnabled()) {
+            throw new CallerAuthError('Bearer tokens are not accepted');
+        }
+
+        const decoded = jwt.decode(token, { complete: true });
+        if (!decoded?.header) {
+            throw new CallerAuthError('Malformed bearer token');
+        }
+
+        const isHmac = /^HS/.test(decoded.header.alg);
+        let key;
+        let algorithms;
+
+        if (isHmac) {
+            if (!this.jwtConfig.secret) {
+                throw new CallerAuthError('Bearer token algorithm not accepted');
+            }
+            key = this.jwtConfig.secret;
+            algorithms = ['HS256', 'HS384', 'HS512'];
+        } else {
+            if (!this.jwtConfig.jwksUri) {
+                throw new CallerAuthError('Bearer token algorithm not accepted');
+            }
+            key = await this.getSigningKey(decoded.header.kid);
+            algorithms = ['RS256', 'RS384', 'RS512', 'PS256', 'PS384', 'PS512', 'ES256', 'ES384', 'ES512'];
+        }
+
+        let claims;
+        try {
+            claims = jwt.verify(token, key, {
+                algorithms,
+                issuer: this.jwtConfig.issuer,
+                audience: this.jwtConfig.audience
+            });
+        } catch (error) {
+            throw new CallerAuthError(`Invalid bearer token: ${error.message}`);
+        }
+
+        const id = (this.jwtConfig.userClaim && claims[this.jwtConfig.userClaim]) ||
+            claims.preferred_username || claims.upn || claims.email || claims.sub;
+        if (!id) {
+            throw new CallerAuthError('Bearer token has no user claim');
+        }
+
+        // Entra ID puts delegated scopes in "scp" and app roles in "roles"
+        const scopes = [...parseScopes(claims.scp || claims.scope), ...parseScopes(claims.roles)];
+
+        return {
+            id,
+            name: claims.name || id,
+            authType: 'jwt',
+            scopes: scopes.length > 0 ? scopes : this.jwtConfig.defaultScopes,
+            // Entra ID group object IDs and app role values, matched against permission groups
+            groups: [
+                ...(Array.isArray(claims.groups) ? claims.groups : []),
+                ...(Array.isArray(claims.roles) ? claims.roles : [])
+            ],
+            claims
+        };
+    }
+
+    /**
+     * Authenticate the caller of a request
+     * @param {Object} req - Express request object
+     * @returns {Promise<Object|null>} Caller identity, or null if no credential was presented
+     */
+    async authenticate(req) {
+        const credential = this.extractCredential(req);
+        if (!credential) {
+            return null;
+        }
+
+        return credential.type === 'apiKey'
+            ? this.verifyApiKey(credential.value)
+            : this.verifyBearerToken(credential.value);
+    }
+
+    /**
+     * Check whether a caller holds a scope
+     * @param {Object} user - Caller identity (req.user)
+     * @param {string} scope - Required scope
+     * @returns {boolean} True if granted
+     */
+    hasScope(user, scope) {
+        const scopes = user?.scopes || [];
+        return scopes.includes(AUTH.CALLER_SCOPES.ALL) || scopes.includes(scope.toLowerCase());
+    }
+}
+
+module.exports = new CallerAuthService();
@@ -4,27 +4,141 @@
  */
 
 const azureAuth = require('./azureAuth');
+const callerAuth = require('./callerAuth');
+const permissions = require('../config/permissions');
+const auditService = require('../services/auditService');
 const logger = require('../config/logger');
 
+/**
+ * Record a denied route-level check in the audit trail
+ * @param {Object} req - Express request
+ * @param {string} requestedPermission - Scope or role that was required
+ * @param {string} reason - Why access was denied
+ */
+const auditDenial = (req, requestedPermission, reason) => {
+    auditService.logPermissionCheck({
+        ...auditService.createAuditContext(req),
+        path: req.originalUrl,
+        requestedPermission,
+        granted: false,
+        reason
+    });
+};
+
+/**
+ * Middleware to authenticate the caller (API key or JWT bearer token)
+ * and populate req.user with the verified identity
+ */
+const authenticateCaller = async (req, res, next) => {
+    try {
+        const user = await callerAuth.authenticate(req);
+
+        if (!user) {
+            if (callerAuth.required) {
+                res.set('WWW-Authenticate', 'Bearer');
+                return res.status(401).json({
+                    error: 'Unauthorized',
+                    message: 'Provide an API key (X-API-Key header) or a bearer token',
+                    timestamp: new Date().toISOString()
+                });
+            }
+            req.user = { id: 'anonymous', name: 'anonymous', authType: 'none', scopes: ['*'] };
+            return next();
+        }
+
+        req.user = user;
+        if (user.authType === 'jwt') {
+            // Kept apart from req.user so it never ends up in logs; used for On-Behalf-Of
+            req.userAssertion = callerAuth.extractCredential(req).value;
+        }
+        logger.debug('Caller authenticated', { user: user.id, authType: user.authType });
+        next();
+    } catch (error) {
+        logger.warn('Caller authentication failed', {
+            reason: error.message,
+            ip: req.ip,
+            url: req.originalUrl
+        });
+        res.set('WWW-Authenticate', 'Bearer error="invalid_token"');
+        return res.status(401).json({
+            error: 'Unauthorized',
+            message: error.statusCode === 401 ? error.message : 'Unable to verify caller credentials',
+            timestamp: new Date().toISOString()
+        });
+    }
+};
+
+/**
+ * Middleware factory requiring the caller to hold a scope
+ * @param {string} scope - Required scope (see AUTH.CALLER_SCOPES)
+ * @returns {Function} Express middleware
+ */
+const requireScope = (scope) => {
+    return (req, res, next) => {
+        if (callerAuth.hasScope(req.user, scope)) {
+            return next();
+        }
+
+        logger.warn('Caller lacks required scope', {
+            user: req.user?.id,
+            scope,
+            url: req.originalUrl
+        });
+        auditDenial(req, scope, `Missing required scope: ${scope}`);
+        return res.status(403).json({
+            error: 'Forbidden',
+            message: `Missing required scope: ${scope}`,
+            timestamp: new Date().toISOString()
+        });
+    };
+};
+
+/**
+ * Middleware restricting a route to global admins (permission store "admins", users or groups)
+ */
+const requireAdmin = (req, res, next) => {
+    if (req.user && permissions.isAdmin(req.user)) {
+        return next();
+    }
+
+    logger.warn('Admin access denied', {
+        user: req.user?.id,
+        url: req.originalUrl
+    });
+    auditDenial(req, 'ADMIN', 'Administrator access required');
+    return res.status(403).json({
+        error: 'Forbidden',
+        message: 'Administrator access required',
+        timestamp: new Date().toISOString()
+    });
+};
+
 /**
  * Middleware to ensure valid Azure AD token
+ * (app-only or delegated on behalf of the caller, per GRAPH_AUTH_MODE)
  */
 const ensureAuthenticated = async (req, res, next) => {
     try {
         // Get access token (will use cached token if valid)
-        const token = await azureAuth.getAccessToken();
+        const { token, mode } = await azureAuth.getAccessTokenForCaller({
+            user: req.user,
+            assertion: req.userAssertion
+        });
         
         // Add token to request object for use in controllers
         req.accessToken = token;
+        req.graphAuthMode = mode;
         req.tokenInfo = azureAuth.getTokenInfo();
         
-        logger.debug('Request authenticated successfully');
+        logger.debug('Request authenticated successfully', { graphAuthMode: mode });
         next();
     } catch (error) {
         logger.error('Authentication failed:', error);
         return res.status(401).json({
             error: 'Authentication failed',
-            message: 'Unable to authenticate with Microsoft Graph API',
+            message: azureAuth.usesDelegatedAccess(req.userAssertion)
+                ? 'Unable to obtain Microsoft Graph access on behalf of the caller'
+                : 'Unable to authenticate with Microsoft Graph API',
             timestamp: new Date().toISOString()
         });
     }
@@ -40,6 +154,8 @@ const logAuthenticatedRequest = (req, res, next) => {
             method: req.method,
             url: req.originalUrl,
             ip: req.ip,
+            user: req.user?.id,
+            graphAuthMode: req.graphAuthMode,
             tokenValid: req.tokenInfo?.isValid || false
         });
     }
@@ -47,6 +163,9 @@ const logAuthenticatedRequest = (req, res, next) => {
 };
 
 module.exports = {
+    authenticateCaller,
+    requireScope,
+    requireAdmin,
     ensureAuthenticated,
     logAuthenticatedRequest
 };
@@ -34,12 +34,15 @@ const consoleFormat = winston.format.combine(
     })
 );
 
+// Serverless hosts (Vercel) have a read-only filesystem: log to the console only
+const useFileTransports = !process.env.VERCEL && process.env.LOG_TO_FILES !== 'false';
+
 // Create the logger
 const logger = winston.createLogger({
     level: process.env.LOG_LEVEL || 'info',
     format: logFormat,
     defaultMeta: { service: 'excel-gpt-middleware' },
-    transports: [
+    transports: !useFileTransports ? [new winston.transports.Console()] : [
         // Error log file
         new DailyRotateFile({
             filename: path.join(logDir, 'error-%DATE%.log'),
@@ -75,16 +78,18 @@ const logger = winston.createLogger({
 });
 
 // Add console transport for development
-if (process.env.NODE_ENV !== 'production') {
+if (useFileTransports && process.env.NODE_ENV !== 'production') {
     logger.add(new winston.transports.Console({
         format: consoleFormat
     }));
 }
 
 // Handle uncaught exceptions and unhandled rejections
-logger.exceptions.handle(
-    new winston.transports.File({ filename: path.join(logDir, 'exceptions.log') })
-);
+if (useFileTransports) {
+    logger.exceptions.handle(
+        new winston.transports.File({ filename: path.join(logDir, 'exceptions.log') })
+    );
+}
 
 process.on('unhandledRejection', (ex) => {
     throw ex;
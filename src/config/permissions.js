@@ -1,17 +1,71 @@
 /**
  * Role-based Access Control Configuration
- * Defines permissions for different users and resources
+ * Defines permissions for different users and resources.
+ * ACLs are loaded from a JSON or YAML store (PERMISSIONS_FILE), reloaded when the
+ * file changes, and written back atomically when permissions are granted or revoked.
+ * ACL lists hold user IDs and group principals ("group:finance-readers"); groups may
+ * contain users and other groups, and can be matched from Entra ID token claims.
  */
 
+const fs = require('fs');
+const path = require('path');
+const yaml = require('js-yaml');
 const logger = require('./logger');
+const { AppError } = require('../middleware/errorHandler');
+const rangeValidator = require('../middleware/rangeValidator');
+const { watchConfigFile } = require('../utils/helpers');
+
+// Resource types that carry ACL entries, mapped to their collection in the store
+const RESOURCE_COLLECTIONS = {
+    workbook: 'workbooks',
+    worksheet: 'worksheets',
+    range: 'ranges',
+    table: 'tables'
+};
+
+// Permission names mapped to the list they are stored in
+const PERMISSION_LISTS = {
+    read: 'readers',
+    write: 'writers',
+    admin: 'admins'
+};
+
+// Prefix marking a group in ACL lists and group member lists
+const GROUP_PREFIX = 'group:';
 
 class PermissionService {
     constructor() {
-        // Default permission configuration
-        // In production, this would be loaded from a database or configuration file
-        this.permissions = {
+        this.storePath = path.resolve(process.env.PERMISSIONS_FILE || path.join(__dirname, '../../permissions.json'));
+        this.storeFormat = /\.ya?ml$/i.test(this.storePath) ? 'yaml' : 'json';
+
+        // Raw content of the last version loaded or written, to ignore our own writes
+        this.lastStoreContent = null;
+        this.storedDefaults = null;
+        this.writeQueue = Promise.resolve();
+
+        this.permissions = this.buildDefaultPermissions();
+        this.rangeRules = null;
+        this.loadStore();
+        this.watchStore();
+    }
+
+    /**
+     * Permissions used when the store file does not exist yet
+     * @returns {Object} Default permission document
+     */
+    buildDefaultPermissions() {
+        return {
             // Global admin has access to everything
             admins: ['admin@company.com', 'system'],
+
+            // Named groups; members are user IDs or nested groups ("group:<name>")
+            groups: {
+                // Example: group with a nested group and an Entra ID mapping
+                // 'finance-readers': {
+                //     members: ['user1@company.com', 'group:budget-editors'],
+                //     entraGroups: ['<entra-group-object-id>', 'Finance.Reader']
+                // }
+            },
             
             // Workbook-level permissions
             workbooks: {
@@ -54,26 +108,252 @@ class PermissionService {
             },
             
             // Default permissions for new resources
-            defaults: {
-                allowReadAll: true,  // Allow read access to all users by default
-                allowWriteAll: false, // Require explicit write permissions
-                inheritFromParent: true // Inherit permissions from parent resource
+            defaults: this.buildDefaultPolicy()
+        };
+    }
+
+    /**
+     * Default policy from the environment; the store's "defaults" block overrides it
+     * @returns {Object} Default policy
+     */
+    buildDefaultPolicy() {
+        return {
+            allowReadAll: process.env.PERMISSIONS_ALLOW_READ_ALL !== 'false',  // Allow read access to all users by default
+            allowWriteAll: process.env.PERMISSIONS_ALLOW_WRITE_ALL === 'true', // Require explicit write permissions
+            inheritFromParent: true, // Inherit permissions from parent resource
+            useTokenGroups: process.env.PERMISSIONS_USE_TOKEN_GROUPS === 'true' // Match groups from Entra ID "groups"/"roles" claims
+        };
+    }
+
+    /**
+     * Parse and check a permission document
+     * @param {string} content - Raw file content
+     * @returns {Object} Normalized permission document
+     */
+    parseStore(content) {
+        const doc = this.storeFormat === 'yaml' ? yaml.load(content) : JSON.parse(content);
+        if (!doc || typeof doc !== 'object' || Array.isArray(doc)) {
+            throw new Error('Permission store must contain an object');
+        }
+
+        const isStringList = (value) => Array.isArray(value) && value.every(item => typeof item === 'string');
+
+        if (doc.admins !== undefined && !isStringList(doc.admins)) {
+            throw new Error('"admins" must be a list of user IDs');
+        }
+
+        const normalized = {
+            admins: doc.admins || [],
+            defaults: { ...this.buildDefaultPolicy(), ...(doc.defaults || {}) }
+        };
+        const groups = doc.groups || {};
+        if (typeof groups !== 'object' || Array.isArray(groups)) {
+            throw new Error('"groups" must be a map of group names');
+        }
+        Object.entries(groups).forEach(([name, group]) => {
+            if (!group || typeof group !== 'object') {
+                throw new Error(`groups["${name}"] must be an object`);
+            }
+            ['members', 'entraGroups'].forEach((list) => {
+                if (group[list] !== undefined && !isStringList(group[list])) {
+                    throw new Error(`groups["${name}"].${list} must be a list`);
+                }
+            });
+        });
+        normalized.groups = groups;
+
+        Object.values(RESOURCE_COLLECTIONS).forEach((collection) => {
+            const entries = doc[collection] || {};
+            if (typeof entries !== 'object' || Array.isArray(entries)) {
+                throw new Error(`"${collection}" must be a map of resource IDs`);
+            }
+
+            Object.entries(entries).forEach(([resourceId, entry]) => {
+                if (!entry || typeof entry !== 'object') {
+                    throw new Error(`${collection}["${resourceId}"] must be an object`);
+                }
+                Object.values(PERMISSION_LISTS).forEach((list) => {
+                    if (entry[list] !== undefined && !isStringList(entry[list])) {
+                        throw new Error(`${collection}["${resourceId}"].${list} must be a list of user IDs`);
+                    }
+                });
+            });
+            normalized[collection] = entries;
+        });
+
+        // Only written back when the store sets it, so the environment keeps controlling defaults
+        // otherwise. Set once the document is valid, as an invalid one leaves the store as it was.
+        this.storedDefaults = doc.defaults || null;
+        return normalized;
+    }
+
+    /**
+     * Load the store file, keeping the current permissions if it is missing or invalid
+     */
+    loadStore() {
+        let content;
+        try {
+            content = fs.readFileSync(this.storePath, 'utf8');
+        } catch (error) {
+            if (error.code === 'ENOENT') {
+                logger.info(`No permission store at ${this.storePath}; using default permissions`);
+            } else {
+                logger.error(`Failed to read permission store ${this.storePath}:`, error);
+            }
+            return;
+        }
+
+        if (content === this.lastStoreContent) {
+            return;
+        }
+
+        try {
+            this.permissions = this.parseStore(content);
+            this.rangeRules = null;
+            this.lastStoreContent = content;
+            logger.info('Permission store loaded', {
+                path: this.storePath,
+                admins: this.permissions.admins.length,
+                groups: Object.keys(this.permissions.groups).length,
+                workbooks: Object.keys(this.permissions.workbooks).length,
+                worksheets: Object.keys(this.permissions.worksheets).length,
+                ranges: Object.keys(this.permissions.ranges).length,
+                tables: Object.keys(this.permissions.tables).length
+            });
+        } catch (error) {
+            logger.error(`Invalid permission store ${this.storePath}; keeping previous permissions: ${error.message}`);
+        }
+    }
+
+    /**
+     * Reload the store when the file is edited outside the service
+     */
+    watchStore() {
+        this.stopWatching = watchConfigFile(this.storePath, () => this.loadStore());
+    }
+
+    /**
+     * Stop watching the store file
+     */
+    unwatchStore() {
+        this.stopWatching?.();
+        this.stopWatching = null;
+    }
+
+    /**
+     * Write the current permissions to the store (temp file + rename, serialized)
+     * @returns {Promise<void>}
+     */
+    persist() {
+        const { admins, groups, workbooks, worksheets, ranges, tables } = this.permissions;
+        const doc = { admins, groups, workbooks, worksheets, ranges, tables };
+        if (this.storedDefaults) {
+            doc.defaults = this.storedDefaults;
+        }
+        const content = this.storeFormat === 'yaml'
+            ? yaml.dump(doc, { noRefs: true })
+            : `${JSON.stringify(doc, null, 2)}\n`;
+
+        const write = async () => {
+            const tempPath = `${this.storePath}.${process.pid}.tmp`;
+            try {
+                await fs.promises.mkdir(path.dirname(this.storePath), { recursive: true });
+                await fs.promises.writeFile(tempPath, content, 'utf8');
+                await fs.promises.rename(tempPath, this.storePath);
+                this.lastStoreContent = content;
+            } catch (error) {
+                await fs.promises.unlink(tempPath).catch(() => {});
+                logger.error(`Failed to persist permission store ${this.storePath}:`, error);
+                throw new AppError('Permission change could not be saved', 500);
             }
         };
+
+        this.writeQueue = this.writeQueue.catch(() => {}).then(write);
+        return this.writeQueue;
+    }
+
+    /**
+     * Get a copy of the full permission document
+     * @returns {Object} Permission document
+     */
+    getPermissionsDocument() {
+        return JSON.parse(JSON.stringify(this.permissions));
+    }
+
+    /**
+     * Resolve the groups a user belongs to, directly, through nested groups,
+     * or (when enabled) through Entra ID group/role claims on the caller's token
+     * @param {string|Object} user - User ID, or caller identity { id, groups }
+     * @returns {Set<string>} Group names
+     */
+    resolveGroups(user) {
+        const userId = typeof user === 'string' ? user : user?.id;
+        const tokenGroups = this.permissions.defaults.useTokenGroups && Array.isArray(user?.groups)
+            ? user.groups
+            : [];
+        const groups = Object.entries(this.permissions.groups || {});
+        const memberOf = new Set();
+
+        groups.forEach(([name, group]) => {
+            if (group.members?.includes(userId) ||
+                group.entraGroups?.some(entraId => tokenGroups.includes(entraId))) {
+                memberOf.add(name);
+            }
+        });
+
+        // A group listing "group:<child>" contains every member of <child>; expand until stable
+        let added = true;
+        while (added) {
+            added = false;
+            groups.forEach(([name, group]) => {
+                if (!memberOf.has(name) &&
+                    group.members?.some(member => member.startsWith(GROUP_PREFIX) &&
+                        memberOf.has(member.slice(GROUP_PREFIX.length)))) {
+                    memberOf.add(name);
+                    added = true;
+                }
+            });
+        }
+
+        return memberOf;
+    }
+
+    /**
+     * Check whether an ACL list names the user or one of the user's groups
+     * @param {Array<string>} list - ACL list (user IDs and "group:<name>" entries)
+     * @param {string|Object} user - User ID, or caller identity { id, groups }
+     * @returns {boolean} True if matched
+     */
+    includesUser(list, user) {
+        if (!list?.length) {
+            return false;
+        }
+
+        const userId = typeof user === 'string' ? user : user?.id;
+        if (list.includes(userId)) {
+            return true;
+        }
+
+        if (!list.some(entry => entry.startsWith(GROUP_PREFIX))) {
+            return false;
+        }
+
+        const groups = this.resolveGroups(user);
+        return list.some(entry => entry.startsWith(GROUP_PREFIX) && groups.has(entry.slice(GROUP_PREFIX.length)));
     }
 
     /**
      * Check if user is a global admin
-     * @param {string} userId - User ID
+     * @param {string|Object} userId - User ID, or caller identity { id, groups }
      * @returns {boolean} True if admin
      */
     isAdmin(userId) {
-        return this.permissions.admins.includes(userId);
+        return this.includesUser(this.permissions.admins, userId);
     }
 
     /**
      * Check if user can access a workbook
-     * @param {string} userId - User ID
+     * @param {string|Object} userId - User ID, or caller identity { id, groups }
      * @param {string} workbookId - Workbook ID
      * @returns {boolean} True if allowed
      */
@@ -86,9 +366,9 @@ class PermissionService {
         const workbookPerms = this.permissions.workbooks[workbookId];
         
         if (workbookPerms) {
-            return workbookPerms.readers?.includes(userId) || 
-                   workbookPerms.writers?.includes(userId) ||
-                   workbookPerms.admins?.includes(userId);
+            return this.includesUser(workbookPerms.readers, userId) || 
+                   this.includesUser(workbookPerms.writers, userId) ||
+                   this.includesUser(workbookPerms.admins, userId);
         }
 
         // Default behavior - allow access if no specific permissions defined
@@ -97,7 +377,7 @@ class PermissionService {
 
     /**
      * Check if user can access a worksheet
-     * @param {string} userId - User ID
+     * @param {string|Object} userId - User ID, or caller identity { id, groups }
      * @param {string} workbookId - Workbook ID
      * @param {string} worksheetId - Worksheet ID
      * @returns {boolean} True if allowed
@@ -112,8 +392,8 @@ class PermissionService {
         const worksheetPerms = this.permissions.worksheets[worksheetKey];
         
         if (worksheetPerms) {
-            return worksheetPerms.readers?.includes(userId) || 
-                   worksheetPerms.writers?.includes(userId);
+            return this.includesUser(worksheetPerms.readers, userId) || 
+                   this.includesUser(worksheetPerms.writers, userId);
         }
 
         // Inherit from workbook permissions if configured
@@ -124,100 +404,249 @@ class PermissionService {
         return this.permissions.defaults.allowReadAll;
     }
 
+    /**
+     * Parsed range ACL entries, rebuilt after the store changes
+     * @returns {Array<Object>} { key, workbookId, worksheet, bounds, area, perms }
+     */
+    getRangeRules() {
+        if (this.rangeRules) {
+            return this.rangeRules;
+        }
+
+        this.rangeRules = [];
+        Object.entries(this.permissions.ranges).forEach(([key, perms]) => {
+            // "workbook-id:worksheet:A1:C10" - worksheet may be "*" for every sheet
+            const [workbookId, worksheet, ...address] = key.split(':');
+            try {
+                const bounds = rangeValidator.parseRange(address.join(':'));
+                this.rangeRules.push({
+                    key,
+                    workbookId,
+                    worksheet: worksheet.toLowerCase(),
+                    address: address.join(':'),
+                    bounds,
+                    area: (bounds.endCell.col - bounds.startCell.col + 1) * (bounds.endCell.row - bounds.startCell.row + 1),
+                    perms
+                });
+            } catch (error) {
+                logger.warn(`Ignoring range permission with an invalid range: ${key}`);
+            }
+        });
+        return this.rangeRules;
+    }
+
+    /**
+     * Decide a single range rule for a user
+     * @param {Object} rule - Parsed range rule
+     * @param {string|Object} userId - User ID, or caller identity { id, groups }
+     * @param {string} access - 'read' or 'write'
+     * @returns {Object} Permission result with allowed flag and reason
+     */
+    decideRangeRule(rule, userId, access) {
+        const { perms, address } = rule;
+
+        if (access === 'read') {
+            if (this.includesUser(perms.readers, userId) || this.includesUser(perms.writers, userId)) {
+                return { allowed: true, reason: 'Explicit range permission' };
+            }
+            return { allowed: false, reason: `No permission for this range (${address})` };
+        }
+
+        if (perms.locked) {
+            return { allowed: false, reason: `Range is locked (${address})` };
+        }
+        if (this.includesUser(perms.writers, userId)) {
+            return { allowed: true, reason: 'Explicit range write permission' };
+        }
+        return { allowed: false, reason: `No write permission for this range (${address})` };
+    }
+
+    /**
+     * Evaluate range ACLs geometrically. Every cell of the requested range is governed by the
+     * smallest rule covering it (most specific wins; on equal size a denial wins); cells no
+     * rule covers use the fallback decision. The request is allowed only if every cell is.
+     * @param {string|Object} userId - User ID, or caller identity { id, groups }
+     * @param {string} workbookId - Workbook ID
+     * @param {string} worksheetName - Worksheet name, which range keys use
+     * @param {string} range - Requested range (A1, A1:C10, A:A or 1:5)
+     * @param {string} access - 'read' or 'write'
+     * @param {Function} fallback - Returns the decision for cells without a range rule
+     * @returns {Object} Permission result with allowed flag and reason
+     */
+    evaluateRangeRules(userId, workbookId, worksheetName, range, access, fallback) {
+        let requested;
+        try {
+            requested = { ...rangeValidator.parseRange(range), sheetName: '' };
+        } catch (error) {
+            return { allowed: false, reason: `Invalid range: ${range}` };
+        }
+
+        const worksheet = String(worksheetName || '').toLowerCase();
+        const rules = this.getRangeRules().filter(rule =>
+            rule.workbookId === workbookId &&
+            (rule.worksheet === '*' || rule.worksheet === worksheet) &&
+            // Rules without reader/writer lists (e.g. only "locked") do not restrict reads
+            (access === 'write' || rule.perms.readers?.length || rule.perms.writers?.length) &&
+            rangeValidator.rangesOverlap(requested, rule.bounds)
+        );
+
+        if (rules.length === 0) {
+            return fallback();
+        }
+
+        // Split the request into blocks along every rule edge; each block is covered
+        // by the same set of rules throughout, so one corner decides the block
+        const { startCell, endCell } = requested;
+        const cols = new Set([startCell.col, endCell.col + 1]);
+        const rows = new Set([startCell.row, endCell.row + 1]);
+        rules.forEach(({ bounds }) => {
+            cols.add(Math.max(bounds.startCell.col, startCell.col));
+            cols.add(Math.min(bounds.endCell.col, endCell.col) + 1);
+            rows.add(Math.max(bounds.startCell.row, startCell.row));
+            rows.add(Math.min(bounds.endCell.row, endCell.row) + 1);
+        });
+        const colEdges = [...cols].sort((x, y) => x - y);
+        const rowEdges = [...rows].sort((x, y) => x - y);
+
+        let fallbackResult = null;
+        let grant = null;
+
+        for (let c = 0; c < colEdges.length - 1; c++) {
+            for (let r = 0; r < rowEdges.length - 1; r++) {
+                const col = colEdges[c];
+                const row = rowEdges[r];
+                const covering = rules.filter(({ bounds }) =>
+                    col >= bounds.startCell.col && col <= bounds.endCell.col &&
+                    row >= bounds.startCell.row && row <= bounds.endCell.row
+                );
+
+                let result;
+                if (covering.length === 0) {
+                    result = fallbackResult || (fallbackResult = fallback());
+                } else {
+                    const smallest = Math.min(...covering.map(rule => rule.area));
+                    const decisions = covering
+                        .filter(rule => rule.area === smallest)
+                        .map(rule => this.decideRangeRule(rule, userId, access));
+                    result = decisions.find(decision => !decision.allowed) || decisions[0];
+                }
+
+                if (!result.allowed) {
+                    return result;
+                }
+                grant = grant || result;
+            }
+        }
+
+        return grant;
+    }
+
     /**
      * Check if user can read a specific range
-     * @param {string} userId - User ID
+     * @param {string|Object} userId - User ID, or caller identity { id, groups }
      * @param {string} workbookId - Workbook ID
      * @param {string} worksheetId - Worksheet ID
-     * @param {string} range - Range (e.g., 'A1:C10')
+     * @param {string} range - Range (e.g., 'A1:C10', 'A:A', '1:5')
+     * @param {string} [worksheetName] - Name of the worksheet, which range keys use (defaults to worksheetId)
      * @returns {Object} Permission result with allowed flag and reason
      */
-    canReadRange(userId, workbookId, worksheetId, range) {
+    canReadRange(userId, workbookId, worksheetId, range, worksheetName = worksheetId) {
         // Admins can read everything
         if (this.isAdmin(userId)) {
             return { allowed: true, reason: 'Admin access' };
         }
 
-        const rangeKey = `${workbookId}:${worksheetId}:${range}`;
-        const rangePerms = this.permissions.ranges[rangeKey];
-        
-        if (rangePerms) {
-            if (rangePerms.readers?.includes(userId) || rangePerms.writers?.includes(userId)) {
-                return { allowed: true, reason: 'Explicit range permission' };
-            } else {
-                return { allowed: false, reason: 'No permission for this range' };
+        return this.evaluateRangeRules(userId, workbookId, worksheetName, range, 'read', () => {
+            // Check worksheet-level permissions
+            if (this.permissions.defaults.inheritFromParent) {
+                if (this.canAccessWorksheet(userId, workbookId, worksheetId)) {
+                    return { allowed: true, reason: 'Inherited from worksheet' };
+                }
             }
-        }
 
-        // Check worksheet-level permissions
-        if (this.permissions.defaults.inheritFromParent) {
-            if (this.canAccessWorksheet(userId, workbookId, worksheetId)) {
-                return { allowed: true, reason: 'Inherited from worksheet' };
+            // Default behavior
+            if (this.permissions.defaults.allowReadAll) {
+                return { allowed: true, reason: 'Default read access' };
             }
-        }
 
-        // Default behavior
-        if (this.permissions.defaults.allowReadAll) {
-            return { allowed: true, reason: 'Default read access' };
-        }
-
-        return { allowed: false, reason: 'No read permission' };
+            return { allowed: false, reason: 'No read permission' };
+        });
     }
 
     /**
      * Check if user can write to a specific range
-     * @param {string} userId - User ID
+     * @param {string|Object} userId - User ID, or caller identity { id, groups }
      * @param {string} workbookId - Workbook ID
      * @param {string} worksheetId - Worksheet ID
-     * @param {string} range - Range (e.g., 'A1:C10')
+     * @param {string} range - Range (e.g., 'A1:C10', 'A:A', '1:5')
+     * @param {string} [worksheetName] - Name of the worksheet, which range keys use (defaults to worksheetId)
      * @returns {Object} Permission result with allowed flag and reason
      */
-    canWriteRange(userId, workbookId, worksheetId, range) {
+    canWriteRange(userId, workbookId, worksheetId, range, worksheetName = worksheetId) {
         // Admins can write everything
         if (this.isAdmin(userId)) {
             return { allowed: true, reason: 'Admin access' };
         }
 
-        const rangeKey = `${workbookId}:${worksheetId}:${range}`;
-        const rangePerms = this.permissions.ranges[rangeKey];
-        
-        if (rangePerms) {
-            if (rangePerms.locked) {
-                return { allowed: false, reason: 'Range is locked' };
-            }
-            if (rangePerms.writers?.includes(userId)) {
-                return { allowed: true, reason: 'Explicit range write permission' };
-            } else {
-                return { allowed: false, reason: 'No write permission for this range' };
+        return this.evaluateRangeRules(userId, workbookId, worksheetName, range, 'write', () => {
+            // Check worksheet-level permissions
+            const worksheetKey = `${workbookId}:${worksheetId}`;
+            const worksheetPerms = this.permissions.worksheets[worksheetKey];
+            
+            if (worksheetPerms) {
+                if (worksheetPerms.locked) {
+                    return { allowed: false, reason: 'Worksheet is locked' };
+                }
+                if (this.includesUser(worksheetPerms.writers, userId)) {
+                    return { allowed: true, reason: 'Worksheet write permission' };
+                }
             }
-        }
 
-        // Check worksheet-level permissions
-        const worksheetKey = `${workbookId}:${worksheetId}`;
-        const worksheetPerms = this.permissions.worksheets[worksheetKey];
-        
-        if (worksheetPerms) {
-            if (worksheetPerms.locked) {
-                return { allowed: false, reason: 'Worksheet is locked' };
+            // Check workbook-level permissions
+            const workbookPerms = this.permissions.workbooks[workbookId];
+            if (workbookPerms && this.includesUser(workbookPerms.writers, userId)) {
+                return { allowed: true, reason: 'Workbook write permission' };
             }
-            if (worksheetPerms.writers?.includes(userId)) {
-                return { allowed: true, reason: 'Worksheet write permission' };
+
+            if (this.permissions.defaults.allowWriteAll) {
+                return { allowed: true, reason: 'Default write access' };
             }
+
+            // Default behavior - no write access unless explicitly granted
+            return { allowed: false, reason: 'No write permission' };
+        });
+    }
+
+    /**
+     * Check if user can change a workbook's structure (add or delete worksheets)
+     * @param {string|Object} userId - User ID, or caller identity { id, groups }
+     * @param {string} workbookId - Workbook ID
+     * @returns {Object} Permission result with allowed flag and reason
+     */
+    canWriteWorkbook(userId, workbookId) {
+        // Admins can write everything
+        if (this.isAdmin(userId)) {
+            return { allowed: true, reason: 'Admin access' };
         }
 
-        // Check workbook-level permissions
         const workbookPerms = this.permissions.workbooks[workbookId];
-        if (workbookPerms && workbookPerms.writers?.includes(userId)) {
-            return { allowed: true, reason: 'Workbook write permission' };
+        if (workbookPerms) {
+            if (this.includesUser(workbookPerms.writers, userId) || this.includesUser(workbookPerms.admins, userId)) {
+                return { allowed: true, reason: 'Workbook write permission' };
+            }
+            return { allowed: false, reason: 'No write permission for this workbook' };
+        }
+
+        if (this.permissions.defaults.allowWriteAll) {
+            return { allowed: true, reason: 'Default write access' };
         }
 
-        // Default behavior - no write access unless explicitly granted
         return { allowed: false, reason: 'No write permission' };
     }
 
     /**
      * Check if user can read a table
-     * @param {string} userId - User ID
+     * @param {string|Object} userId - User ID, or caller identity { id, groups }
      * @param {string} workbookId - Workbook ID
      * @param {string} worksheetId - Worksheet ID
      * @param {string} tableName - Table name
@@ -233,7 +662,7 @@ class PermissionService {
         const tablePerms = this.permissions.tables[tableKey];
         
         if (tablePerms) {
-            if (tablePerms.readers?.includes(userId) || tablePerms.writers?.includes(userId)) {
+            if (this.includesUser(tablePerms.readers, userId) || this.includesUser(tablePerms.writers, userId)) {
                 return { allowed: true, reason: 'Explicit table permission' };
             } else {
                 return { allowed: false, reason: 'No permission for this table' };
@@ -252,7 +681,7 @@ class PermissionService {
 
     /**
      * Check if user can write to a table
-     * @param {string} userId - User ID
+     * @param {string|Object} userId - User ID, or caller identity { id, groups }
      * @param {string} workbookId - Workbook ID
      * @param {string} worksheetId - Worksheet ID
      * @param {string} tableName - Table name
@@ -271,7 +700,7 @@ class PermissionService {
             if (tablePerms.locked) {
                 return { allowed: false, reason: 'Table is locked' };
             }
-            if (tablePerms.writers?.includes(userId)) {
+            if (this.includesUser(tablePerms.writers, userId)) {
                 return { allowed: true, reason: 'Explicit table write permission' };
             } else {
                 return { allowed: false, reason: 'No write permission for this table' };
@@ -282,79 +711,153 @@ class PermissionService {
         const worksheetKey = `${workbookId}:${worksheetId}`;
         const worksheetPerms = this.permissions.worksheets[worksheetKey];
         
-        if (worksheetPerms && worksheetPerms.writers?.includes(userId)) {
+        if (worksheetPerms && this.includesUser(worksheetPerms.writers, userId)) {
             return { allowed: true, reason: 'Worksheet write permission' };
         }
 
+        if (this.permissions.defaults.allowWriteAll) {
+            return { allowed: true, reason: 'Default write access' };
+        }
+
         // Default behavior - no write access unless explicitly granted
         return { allowed: false, reason: 'No write permission' };
     }
 
     /**
-     * Add permission for a user to a resource
+     * Resolve the ACL collection and list for a resource type and permission
+     * @param {string} resourceType - Type of resource (workbook, worksheet, range, table)
+     * @param {string} permission - Permission type (read, write, admin)
+     * @returns {Object} { permissionMap, listName }
+     */
+    getPermissionTarget(resourceType, permission) {
+        const collection = RESOURCE_COLLECTIONS[resourceType];
+        if (!collection) {
+            throw new AppError(`Invalid resource type: ${resourceType}`, 400);
+        }
+
+        const listName = PERMISSION_LISTS[permission];
+        if (!listName) {
+            throw new AppError(`Invalid permission: ${permission}`, 400);
+        }
+
+        return { permissionMap: this.permissions[collection], listName };
+    }
+
+    /**
+     * Add permission for a user to a resource and persist the change
      * @param {string} resourceType - Type of resource (workbook, worksheet, range, table)
      * @param {string} resourceId - Resource identifier
-     * @param {string} userId - User ID
+     * @param {string|Object} userId - User ID, or caller identity { id, groups }
      * @param {string} permission - Permission type (read, write, admin)
+     * @returns {Promise<boolean>} True if the permission was added, false if already present
      */
-    addPermission(resourceType, resourceId, userId, permission) {
-        try {
-            const permissionMap = this.permissions[`${resourceType}s`];
-            if (!permissionMap) {
-                throw new Error(`Invalid resource type: ${resourceType}`);
-            }
+    async addPermission(resourceType, resourceId, userId, permission) {
+        const { permissionMap, listName } = this.getPermissionTarget(resourceType, permission);
 
-            if (!permissionMap[resourceId]) {
-                permissionMap[resourceId] = { readers: [], writers: [], admins: [] };
-            }
+        if (!permissionMap[resourceId]) {
+            permissionMap[resourceId] = { readers: [], writers: [], admins: [] };
+        }
 
-            const permissionList = permissionMap[resourceId][`${permission}s`];
-            if (permissionList && !permissionList.includes(userId)) {
-                permissionList.push(userId);
-                logger.info(`Added ${permission} permission for ${userId} to ${resourceType} ${resourceId}`);
-            }
-        } catch (error) {
-            logger.error('Failed to add permission:', error);
-            throw error;
+        const permissionList = permissionMap[resourceId][listName] || (permissionMap[resourceId][listName] = []);
+        if (permissionList.includes(userId)) {
+            return false;
         }
+
+        permissionList.push(userId);
+        this.rangeRules = null;
+        await this.persist();
+        logger.info(`Added ${permission} permission for ${userId} to ${resourceType} ${resourceId}`);
+        return true;
     }
 
     /**
-     * Remove permission for a user from a resource
+     * Remove permission for a user from a resource and persist the change
      * @param {string} resourceType - Type of resource
      * @param {string} resourceId - Resource identifier
-     * @param {string} userId - User ID
+     * @param {string|Object} userId - User ID, or caller identity { id, groups }
      * @param {string} permission - Permission type
+     * @returns {Promise<boolean>} True if the permission was removed, false if it was not present
      */
-    removePermission(resourceType, resourceId, userId, permission) {
-        try {
-            const permissionMap = this.permissions[`${resourceType}s`];
-            if (!permissionMap || !permissionMap[resourceId]) {
-                return;
-            }
+    async removePermission(resourceType, resourceId, userId, permission) {
+        const { permissionMap, listName } = this.getPermissionTarget(resourceType, permission);
 
-            const permissionList = permissionMap[resourceId][`${permission}s`];
-            if (permissionList) {
-                const index = permissionList.indexOf(userId);
-                if (index > -1) {
-                    permissionList.splice(index, 1);
-                    logger.info(`Removed ${permission} permission for ${userId} from ${resourceType} ${resourceId}`);
-                }
-            }
-        } catch (error) {
-            logger.error('Failed to remove permission:', error);
-            throw error;
+        const permissionList = permissionMap[resourceId]?.[listName];
+        const index = permissionList ? permissionList.indexOf(userId) : -1;
+        if (index === -1) {
+            return false;
+        }
+
+        permissionList.splice(index, 1);
+
+        // Drop entries that no longer grant anything and are not locked
+        const entry = permissionMap[resourceId];
+        if (!entry.locked && Object.values(PERMISSION_LISTS).every(list => !entry[list]?.length)) {
+            delete permissionMap[resourceId];
+        }
+
+        this.rangeRules = null;
+        await this.persist();
+        logger.info(`Removed ${permission} permission for ${userId} from ${resourceType} ${resourceId}`);
+        return true;
+    }
+
+    /**
+     * Add a user or nested group ("group:<name>") to a group and persist the change.
+     * An unknown group is created.
+     * @param {string} groupName - Group name
+     * @param {string} member - User ID or "group:<name>"
+     * @returns {Promise<boolean>} True if the member was added, false if already present
+     */
+    async addGroupMember(groupName, member) {
+        if (member === `${GROUP_PREFIX}${groupName}`) {
+            throw new AppError('A group cannot be a member of itself', 400);
+        }
+
+        const group = this.permissions.groups[groupName] || (this.permissions.groups[groupName] = { members: [] });
+        const members = group.members || (group.members = []);
+        if (members.includes(member)) {
+            return false;
         }
+
+        members.push(member);
+        await this.persist();
+        logger.info(`Added ${member} to group ${groupName}`);
+        return true;
+    }
+
+    /**
+     * Remove a user or nested group from a group and persist the change.
+     * A group left without members or Entra ID mappings is dropped.
+     * @param {string} groupName - Group name
+     * @param {string} member - User ID or "group:<name>"
+     * @returns {Promise<boolean>} True if the member was removed, false if it was not present
+     */
+    async removeGroupMember(groupName, member) {
+        const group = this.permissions.groups[groupName];
+        const index = group?.members ? group.members.indexOf(member) : -1;
+        if (index === -1) {
+            return false;
+        }
+
+        group.members.splice(index, 1);
+        if (!group.members.length && !group.entraGroups?.length) {
+            delete this.permissions.groups[groupName];
+        }
+
+        await this.persist();
+        logger.info(`Removed ${member} from group ${groupName}`);
+        return true;
     }
 
     /**
      * Get all permissions for a user
-     * @param {string} userId - User ID
+     * @param {string|Object} userId - User ID, or caller identity { id, groups }
      * @returns {Object} User permissions
      */
     getUserPermissions(userId) {
         const userPermissions = {
             isAdmin: this.isAdmin(userId),
+            groups: [...this.resolveGroups(userId)],
             workbooks: { read: [], write: [], admin: [] },
             worksheets: { read: [], write: [] },
             ranges: { read: [], write: [] },
@@ -363,24 +866,24 @@ class PermissionService {
 
         // Collect all permissions for the user
         Object.entries(this.permissions.workbooks).forEach(([id, perms]) => {
-            if (perms.readers?.includes(userId)) userPermissions.workbooks.read.push(id);
-            if (perms.writers?.includes(userId)) userPermissions.workbooks.write.push(id);
-            if (perms.admins?.includes(userId)) userPermissions.workbooks.admin.push(id);
+            if (this.includesUser(perms.readers, userId)) userPermissions.workbooks.read.push(id);
+            if (this.includesUser(perms.writers, userId)) userPermissions.workbooks.write.push(id);
+            if (this.includesUser(perms.admins, userId)) userPermissions.workbooks.admin.push(id);
         });
 
         Object.entries(this.permissions.worksheets).forEach(([id, perms]) => {
-            if (perms.readers?.includes(userId)) userPermissions.worksheets.read.push(id);
-            if (perms.writers?.includes(userId)) userPermissions.worksheets.write.push(id);
+            if (this.includesUser(perms.readers, userId)) userPermissions.worksheets.read.push(id);
+            if (this.includesUser(perms.writers, userId)) userPermissions.worksheets.write.push(id);
         });
 
         Object.entries(this.permissions.ranges).forEach(([id, perms]) => {
-            if (perms.readers?.includes(userId)) userPermissions.ranges.read.push(id);
-            if (perms.writers?.includes(userId)) userPermissions.ranges.write.push(id);
+            if (this.includesUser(perms.readers, userId)) userPermissions.ranges.read.push(id);
+            if (this.includesUser(perms.writers, userId)) userPermissions.ranges.write.push(id);
         });
 
         Object.entries(this.permissions.tables).forEach(([id, perms]) => {
-            if (perms.readers?.includes(userId)) userPermissions.tables.read.push(id);
-            if (perms.writers?.includes(userId)) userPermissions.tables.write.push(id);
+            if (this.includesUser(perms.readers, userId)) userPermissions.tables.read.push(id);
+            if (this.includesUser(perms.writers, userId)) userPermissions.tables.write.push(id);
         });
 
         return userPermissions;
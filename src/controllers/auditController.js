@@ -1,48 +1,286 @@
 /**
  * Audit Controller
- * Handles audit log retrieval endpoints
+ * Handles audit log retrieval and export endpoints
  */
 
 const auditLogger = require('../middleware/auditLogger');
-const catchAsync = require('../utils/catchAsync');
+const auditService = require('../services/auditService');
+const auditDiff = require('../services/auditDiff');
+const { encodeCursor } = require('../services/auditStore');
+const { AppError, catchAsync } = require('../middleware/errorHandler');
+const { arrayToCSV } = require('../utils/helpers');
 const logger = require('../config/logger');
 
+// Most entries returned by one page of GET /logs
+const MAX_PAGE_SIZE = 100;
+
+// Entries read from the store per chunk of an export
+const EXPORT_PAGE_SIZE = 500;
+
+// CSV export columns; arrays and objects are written as JSON
+const CSV_COLUMNS = [
+    'id', 'seq', 'timestamp', 'operation', 'user', 'success', 'error',
+    'driveId', 'itemId', 'worksheetId', 'range', 'tableName', 'fileName', 'undoOf',
+    'oldValues', 'newValues', 'requestId', 'ipAddress', 'prevHash', 'hash', 'signature'
+];
+
+// Default report period
+const REPORT_DEFAULT_DAYS = 30;
+
+// Report CSV columns; each row is the totals, a user, a workbook or a range
+const REPORT_CSV_COLUMNS = [
+    'section', 'user', 'driveId', 'itemId', 'name', 'worksheet', 'range',
+    'reads', 'writes', 'failures', 'failureRate', 'cellsModified', 'permissionDenials'
+];
+
+/**
+ * Pick the store filters from a validated query string
+ * @param {Object} query - req.query after validation
+ * @returns {Object} Filters
+ */
+const pickFilters = (query) => {
+    const { user, operation, fileName, driveId, itemId, range, startDate, endDate, success, cursor } = query;
+    return { user, operation, fileName, driveId, itemId, range, startDate, endDate, success, cursor };
+};
+
+/**
+ * CSV row for an entry
+ * @param {Object} entry - Audit entry
+ * @returns {Array} Cells in CSV_COLUMNS order
+ */
+const toCsvRow = (entry) => CSV_COLUMNS.map((column) => {
+    const value = column === 'itemId' ? (entry.itemId || entry.workbookId) : entry[column];
+    return value !== null && typeof value === 'object' ? JSON.stringify(value) : value;
+});
+
+/**
+ * Flatten a report into CSV rows
+ * @param {Object} report - Report from AuditService.generateAuditReport
+ * @returns {Array} Rows in REPORT_CSV_COLUMNS order, header first
+ */
+const reportToCsvRows = (report) => {
+    const sections = [
+        ['totals', [report.totals]],
+        ['user', report.byUser],
+        ['workbook', report.byWorkbook],
+        ['range', report.busiestRanges]
+    ];
+    const rows = [REPORT_CSV_COLUMNS];
+    sections.forEach(([section, items]) => {
+        items.forEach((item) => {
+            rows.push(REPORT_CSV_COLUMNS.map(column => (column === 'section' ? section : item[column])));
+        });
+    });
+    return rows;
+};
+
 class AuditController {
     /**
-     * Get audit log entries with filtering
+     * Get a page of audit log entries, newest first.
+     * Pass nextCursor back as cursor to get the following page.
      */
     getAuditLogs = catchAsync(async (req, res) => {
-        const {
-            user,
-            operation,
-            fileName,
-            startDate,
-            endDate,
-            success,
-            limit = 50
-        } = req.query;
-
-        const filters = {
-            user,
-            operation,
-            fileName,
-            startDate,
-            endDate,
-            success: success !== undefined ? success === 'true' : undefined,
-            limit: Math.min(parseInt(limit) || 50, 100) // Max 100 entries
-        };
-
-        const entries = await auditLogger.getAuditEntries(filters);
+        const filters = pickFilters(req.query);
+        const limit = Math.min(req.query.limit, MAX_PAGE_SIZE);
+
+        // One extra entry tells whether there is another page
+        const entries = await auditLogger.getAuditEntries({ ...filters, limit: limit + 1 });
+        const hasMore = entries.length > limit;
+        const page = hasMore ? entries.slice(0, limit) : entries;
+
+        res.json({
+            status: 'success',
+            data: {
+                entries: page,
+                count: page.length,
+                filters: { ...filters, limit },
+                nextCursor: hasMore ? encodeCursor(page[page.length - 1]) : null,
+                chain: auditLogger.getChainAnchors(page)
+            }
+        });
+    });
+
+    /**
+     * Stream matching audit entries as CSV or JSON Lines, newest first.
+     * JSONL ends with an exportSummary record holding the chain anchors; CSV rows carry
+     * prevHash/hash and the chain head is sent in the X-Audit-Chain-Head header.
+     */
+    exportAuditLogs = catchAsync(async (req, res) => {
+        const { format, limit } = req.query;
+        const filters = pickFilters(req.query);
+        const head = auditLogger.head;
+        const stamp = new Date().toISOString().replace(/[-:]/g, '').replace(/\..*/, '');
+
+        res.status(200);
+        res.set({
+            'Content-Type': format === 'csv' ? 'text/csv; charset=utf-8' : 'application/x-ndjson; charset=utf-8',
+            'Content-Disposition': `attachment; filename="audit-export-${stamp}.${format}"`,
+            'Cache-Control': 'no-store'
+        });
+        if (head) {
+            res.set('X-Audit-Chain-Head', `${head.seq}:${head.hash}`);
+        }
+
+        let closed = false;
+        res.on('close', () => {
+            closed = true;
+        });
+
+        // Respect backpressure so large exports are not buffered in memory
+        const write = chunk => new Promise((resolve) => {
+            if (res.write(chunk)) {
+                resolve();
+            } else {
+                res.once('drain', resolve);
+                res.once('close', resolve);
+            }
+        });
+
+        let count = 0;
+        let from = null;
+        let to = null;
+
+        try {
+            if (format === 'csv') {
+                await write(`${arrayToCSV([CSV_COLUMNS])}\n`);
+            }
+
+            for await (const page of auditLogger.iterateAuditEntries({ ...filters, limit }, EXPORT_PAGE_SIZE)) {
+                if (closed) {
+                    break;
+                }
+
+                const anchors = auditLogger.getChainAnchors(page);
+                if (anchors.from && (!from || anchors.from.seq < from.seq)) {
+                    from = anchors.from;
+                }
+                if (anchors.to && (!to || anchors.to.seq > to.seq)) {
+                    to = anchors.to;
+                }
+
+                await write(format === 'csv'
+                    ? `${arrayToCSV(page.map(toCsvRow))}\n`
+                    : page.map(entry => `${JSON.stringify(entry)}\n`).join(''));
+                count += page.length;
+            }
+
+            if (format === 'jsonl' && !closed) {
+                await write(`${JSON.stringify({
+                    exportSummary: {
+                        count,
+                        exportedAt: new Date().toISOString(),
+                        filters,
+                        chain: { from, to, head }
+                    }
+                })}\n`);
+            }
+        } catch (error) {
+            // Headers are already sent; end the stream and leave a truncated file
+            logger.error('Audit export failed:', error);
+        }
+
+        res.end();
+
+        auditService.logSystemEvent({
+            event: 'AUDIT_EXPORT',
+            details: { format, filters, count, complete: !closed, requestedBy: req.user?.id }
+        });
+    });
+
+    /**
+     * Activity summary over a period: per user, per workbook, busiest ranges,
+     * failure rates and permission denials, as JSON or (format=csv) a CSV download
+     */
+    getAuditReport = catchAsync(async (req, res) => {
+        const { user, fileName, driveId, itemId, top, format } = req.query;
+        const endDate = req.query.endDate || new Date();
+        const startDate = req.query.startDate || new Date(endDate.getTime() - REPORT_DEFAULT_DAYS * 24 * 60 * 60 * 1000);
+
+        const report = await auditService.generateAuditReport(startDate, endDate, {
+            user, fileName, driveId, itemId, top
+        });
+
+        auditService.logSystemEvent({
+            event: 'AUDIT_REPORT',
+            details: { reportId: report.id, startDate, endDate, filters: report.filters, format, requestedBy: req.user?.id }
+        });
+
+        if (format === 'csv') {
+            const day = date => date.toISOString().slice(0, 10);
+            res.set({
+                'Content-Type': 'text/csv; charset=utf-8',
+                'Content-Disposition': `attachment; filename="audit-report-${day(startDate)}-${day(endDate)}.csv"`,
+                'Cache-Control': 'no-store'
+            });
+            res.send(arrayToCSV(reportToCsvRows(report)));
+            return;
+        }
+
+        res.json({
+            status: 'success',
+            data: report
+        });
+    });
+
+    /**
+     * Cell-level diff of an audited range write, as JSON or (format=html) an HTML page
+     */
+    getAuditDiff = catchAsync(async (req, res) => {
+        const { id } = req.params;
+        const entry = await auditLogger.findAuditEntry(id);
+        if (!entry) {
+            throw new AppError(`Audit entry ${id} not found`, 404);
+        }
+        if (entry.success === false) {
+            throw new AppError(`Audit entry ${id} records a failed operation; no cells were changed`, 422);
+        }
+
+        // Entries written before diffs were stored, and large diffs, are computed here
+        const diff = entry.diff && !entry.diff.truncated ? entry.diff : auditDiff.compute(entry);
+        if (!diff) {
+            throw new AppError(`Audit entry ${id} (${entry.operation}) has no previous and new range values to compare`, 422);
+        }
+
+        if (req.query.format === 'html') {
+            res.type('html').send(auditDiff.renderHtml(entry, diff));
+            return;
+        }
 
         res.json({
             status: 'success',
             data: {
-                entries,
-                count: entries.length,
-                filters: filters
+                auditId: entry.id,
+                operation: entry.operation,
+                user: entry.user,
+                timestamp: entry.timestamp,
+                driveId: entry.driveId,
+                itemId: entry.itemId || entry.workbookId,
+                worksheetId: entry.worksheetId,
+                range: entry.range,
+                undoOf: entry.undoOf,
+                ...diff
             }
         });
     });
+
+    /**
+     * Walk the audit hash chain and report the first broken link
+     */
+    verifyAuditChain = catchAsync(async (req, res) => {
+        const result = await auditLogger.verifyChain();
+
+        if (!result.valid) {
+            logger.warn('Audit chain verification failed', {
+                firstBrokenLink: result.firstBrokenLink,
+                requestedBy: req.user?.id
+            });
+        }
+
+        res.json({
+            status: 'success',
+            data: result
+        });
+    });
 }
 
 module.exports = new AuditController();
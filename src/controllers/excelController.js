@@ -1,10 +1,14 @@
 // Excel Controller Handles HTTP requests for Excel operations
 
 const excelService = require("../services/excelService");
+const batchService = require("../services/batchService");
 const resolverService = require("../services/resolverService");
 const auditService = require("../services/auditService");
-const logger = require("../config/logger");
-const { catchAsync } = require("../middleware/errorHandler");
+const sessionManager = require("../services/sessionManager");
+const permissions = require("../config/permissions");
+const rangeValidator = require("../middleware/rangeValidator");
+const { AppError, catchAsync } = require("../middleware/errorHandler");
+const { isExcelFileName, normalizeItemPath } = require("../utils/helpers");
 
 class ExcelController {
   // Get all accessible workbooks
@@ -31,17 +35,11 @@ class ExcelController {
    * Get worksheets in a workbook
    */
   getWorksheets = catchAsync(async (req, res) => {
-    const { driveId, itemId, driveName, itemName } = req.query;
     const auditContext = auditService.createAuditContext(req);
 
-    // Resolve IDs if names are provided
-    let resolvedDriveId = driveId;
-    let resolvedItemId = itemId;
-
-    if ((!resolvedDriveId || !resolvedItemId) && (driveName && itemName)) {
-      resolvedDriveId = await resolverService.resolveDriveIdByName(req.accessToken, driveName);
-      resolvedItemId = await resolverService.resolveItemIdByName(req.accessToken, resolvedDriveId, itemName);
-    }
+    // Resolve IDs if names or a path are provided
+    const { driveId: resolvedDriveId, itemId: resolvedItemId } =
+      await resolverService.resolveWorkbook(req.accessToken, req.query);
 
     const worksheets = await excelService.getWorksheets(
       req.accessToken,
@@ -58,29 +56,20 @@ class ExcelController {
 
   // Read data from Excel range
   readRange = catchAsync(async (req, res) => {
-    const { driveId, itemId, driveName, itemName, worksheetId, worksheetName, range } = req.body;
+    const { worksheetId, worksheetName, range } = req.body;
     const auditContext = auditService.createAuditContext(req);
 
-    // Resolve driveId/itemId from names if needed
-    let resolvedDriveId = driveId;
-    let resolvedItemId = itemId;
-    if ((!resolvedDriveId || !resolvedItemId) && (driveName && itemName)) {
-      resolvedDriveId = await resolverService.resolveDriveIdByName(req.accessToken, driveName);
-      resolvedItemId = await resolverService.resolveItemIdByName(req.accessToken, resolvedDriveId, itemName);
-    }
+    // Resolve driveId/itemId from names or path if needed
+    const { driveId: resolvedDriveId, itemId: resolvedItemId } =
+      await resolverService.resolveWorkbook(req.accessToken, req.body);
 
     // Extract worksheet from range if provided like Sheet1!A1:D10
-    const { sheetName, address } = resolverService.parseSheetAndAddress(range);
-    let resolvedWorksheetId = worksheetId;
-    const effectiveWorksheetName = worksheetName || sheetName;
-    if (!resolvedWorksheetId && effectiveWorksheetName) {
-      resolvedWorksheetId = await resolverService.resolveWorksheetIdByName(
-        req.accessToken,
-        resolvedDriveId,
-        resolvedItemId,
-        effectiveWorksheetName
-      );
-    }
+    const { worksheetId: resolvedWorksheetId, address } = await resolverService.resolveWorksheet(
+      req.accessToken,
+      resolvedDriveId,
+      resolvedItemId,
+      { worksheetId, worksheetName, range }
+    );
 
     const data = await excelService.readRange({
       accessToken: req.accessToken,
@@ -88,6 +77,7 @@ class ExcelController {
       itemId: resolvedItemId,
       worksheetId: resolvedWorksheetId,
       range: address,
+      sessionId: req.body.sessionId,
       auditContext,
     });
 
@@ -102,6 +92,7 @@ class ExcelController {
           rows: data.rowCount,
           columns: data.columnCount,
         },
+        eTag: data.eTag,
       },
     });
   });
@@ -110,29 +101,19 @@ class ExcelController {
    * Write data to Excel range
    */
   writeRange = catchAsync(async (req, res) => {
-    const { driveId, itemId, driveName, itemName, worksheetId, worksheetName, range, values } = req.body;
+    const { worksheetId, worksheetName, range, values, ifMatch } = req.body;
     const auditContext = auditService.createAuditContext(req);
 
-    // Resolve drive/item
-    let resolvedDriveId = driveId;
-    let resolvedItemId = itemId;
-    if ((!resolvedDriveId || !resolvedItemId) && (driveName && itemName)) {
-      resolvedDriveId = await resolverService.resolveDriveIdByName(req.accessToken, driveName);
-      resolvedItemId = await resolverService.resolveItemIdByName(req.accessToken, resolvedDriveId, itemName);
-    }
+    const { driveId: resolvedDriveId, itemId: resolvedItemId } =
+      await resolverService.resolveWorkbook(req.accessToken, req.body);
 
     // Resolve worksheet and address
-    const { sheetName, address } = resolverService.parseSheetAndAddress(range);
-    let resolvedWorksheetId = worksheetId;
-    const effectiveWorksheetName = worksheetName || sheetName;
-    if (!resolvedWorksheetId && effectiveWorksheetName) {
-      resolvedWorksheetId = await resolverService.resolveWorksheetIdByName(
-        req.accessToken,
-        resolvedDriveId,
-        resolvedItemId,
-        effectiveWorksheetName
-      );
-    }
+    const { worksheetId: resolvedWorksheetId, address } = await resolverService.resolveWorksheet(
+      req.accessToken,
+      resolvedDriveId,
+      resolvedItemId,
+      { worksheetId, worksheetName, range }
+    );
 
     const data = await excelService.writeRange({
       accessToken: req.accessToken,
@@ -141,9 +122,29 @@ class ExcelController {
       worksheetId: resolvedWorksheetId,
       range: address,
       values,
+      ifMatch,
+      sessionId: req.body.sessionId,
       auditContext,
     });
 
+    // ifMatch did not hold: return what the range holds now so the caller can re-plan
+    if (data.conflict) {
+      return res.status(409).json({
+        status: "error",
+        error: {
+          code: 409,
+          message: `${data.reason}; nothing was written`,
+          details: {
+            range: data.range,
+            eTag: data.eTag,
+            values: data.values,
+            formulas: data.formulas,
+            conflicts: data.conflicts,
+          },
+        },
+      });
+    }
+
     res.json({
       status: "success",
       data: {
@@ -153,6 +154,7 @@ class ExcelController {
           rows: data.rowCount,
           columns: data.columnCount,
         },
+        auditId: data.auditId,
       },
     });
   });
@@ -161,25 +163,18 @@ class ExcelController {
    * Read data from Excel table
    */
   readTable = catchAsync(async (req, res) => {
-    const { driveId, itemId, driveName, itemName, worksheetId, worksheetName, tableName } = req.body;
+    const { worksheetId, worksheetName, tableName } = req.body;
     const auditContext = auditService.createAuditContext(req);
 
-    let resolvedDriveId = driveId;
-    let resolvedItemId = itemId;
-    if ((!resolvedDriveId || !resolvedItemId) && (driveName && itemName)) {
-      resolvedDriveId = await resolverService.resolveDriveIdByName(req.accessToken, driveName);
-      resolvedItemId = await resolverService.resolveItemIdByName(req.accessToken, resolvedDriveId, itemName);
-    }
+    const { driveId: resolvedDriveId, itemId: resolvedItemId } =
+      await resolverService.resolveWorkbook(req.accessToken, req.body);
 
-    let resolvedWorksheetId = worksheetId;
-    if (!resolvedWorksheetId && worksheetName) {
-      resolvedWorksheetId = await resolverService.resolveWorksheetIdByName(
-        req.accessToken,
-        resolvedDriveId,
-        resolvedItemId,
-        worksheetName
-      );
-    }
+    const { worksheetId: resolvedWorksheetId } = await resolverService.resolveWorksheet(
+      req.accessToken,
+      resolvedDriveId,
+      resolvedItemId,
+      { worksheetId, worksheetName }
+    );
 
     const data = await excelService.readTable({
       accessToken: req.accessToken,
@@ -187,6 +182,7 @@ class ExcelController {
       itemId: resolvedItemId,
       worksheetId: resolvedWorksheetId,
       tableName,
+      sessionId: req.body.sessionId,
       auditContext,
     });
 
@@ -213,25 +209,18 @@ class ExcelController {
    * Add rows to Excel table
    */
   addTableRows = catchAsync(async (req, res) => {
-    const { driveId, itemId, driveName, itemName, worksheetId, worksheetName, tableName, rows } = req.body;
+    const { worksheetId, worksheetName, tableName, rows } = req.body;
     const auditContext = auditService.createAuditContext(req);
 
-    let resolvedDriveId = driveId;
-    let resolvedItemId = itemId;
-    if ((!resolvedDriveId || !resolvedItemId) && (driveName && itemName)) {
-      resolvedDriveId = await resolverService.resolveDriveIdByName(req.accessToken, driveName);
-      resolvedItemId = await resolverService.resolveItemIdByName(req.accessToken, resolvedDriveId, itemName);
-    }
+    const { driveId: resolvedDriveId, itemId: resolvedItemId } =
+      await resolverService.resolveWorkbook(req.accessToken, req.body);
 
-    let resolvedWorksheetId = worksheetId;
-    if (!resolvedWorksheetId && worksheetName) {
-      resolvedWorksheetId = await resolverService.resolveWorksheetIdByName(
-        req.accessToken,
-        resolvedDriveId,
-        resolvedItemId,
-        worksheetName
-      );
-    }
+    const { worksheetId: resolvedWorksheetId } = await resolverService.resolveWorksheet(
+      req.accessToken,
+      resolvedDriveId,
+      resolvedItemId,
+      { worksheetId, worksheetName }
+    );
 
     const result = await excelService.addTableRows({
       accessToken: req.accessToken,
@@ -240,6 +229,7 @@ class ExcelController {
       worksheetId: resolvedWorksheetId,
       tableName,
       rows,
+      sessionId: req.body.sessionId,
       auditContext,
     });
 
@@ -253,109 +243,226 @@ class ExcelController {
   });
 
   /**
-   * Batch operations - perform multiple Excel operations in sequence
+   * List drives (document libraries) in the configured SharePoint site
    */
-  batchOperations = catchAsync(async (req, res) => {
-    const { operations } = req.body;
+  listDrives = catchAsync(async (req, res) => {
+    const drives = await excelService.listDrives(req.accessToken);
+
+    res.json({
+      status: "success",
+      data: {
+        drives,
+        count: drives.length,
+      },
+    });
+  });
+
+  /**
+   * List the children of a folder in a drive (one page)
+   * Folders are always returned so callers can navigate; files are limited
+   * to Excel workbooks unless excelOnly=false
+   */
+  listItems = catchAsync(async (req, res) => {
+    const { driveId, driveName, folderPath, pageToken, top, excelOnly } = req.query;
+
+    const resolvedDriveId =
+      driveId || (await resolverService.resolveDriveIdByName(req.accessToken, driveName));
+
+    const page = await excelService.listItems(req.accessToken, resolvedDriveId, {
+      folderPath,
+      pageToken,
+      top,
+    });
+
+    const items = excelOnly
+      ? page.items.filter((item) => item.type === "folder" || isExcelFileName(item.name))
+      : page.items;
+
+    res.json({
+      status: "success",
+      data: {
+        driveId: resolvedDriveId,
+        driveName,
+        folderPath: normalizeItemPath(folderPath),
+        items,
+        count: items.length,
+        nextPageToken: page.nextPageToken,
+      },
+    });
+  });
+
+  /**
+   * Add a worksheet to a workbook
+   */
+  createWorksheet = catchAsync(async (req, res) => {
+    const { name } = req.body;
+    const auditContext = auditService.createAuditContext(req);
+
+    const { driveId: resolvedDriveId, itemId: resolvedItemId } =
+      await resolverService.resolveWorkbook(req.accessToken, req.body);
+
+    const worksheet = await excelService.createWorksheet({
+      accessToken: req.accessToken,
+      driveId: resolvedDriveId,
+      itemId: resolvedItemId,
+      name,
+      sessionId: req.body.sessionId,
+      auditContext,
+    });
+    await resolverService.invalidateWorksheets(resolvedItemId);
+
+    res.json({
+      status: "success",
+      data: worksheet,
+    });
+  });
+
+  /**
+   * Clear a range (contents by default)
+   */
+  clearRange = catchAsync(async (req, res) => {
+    const { worksheetId, worksheetName, range, applyTo } = req.body;
+    const auditContext = auditService.createAuditContext(req);
+
+    const { driveId: resolvedDriveId, itemId: resolvedItemId } =
+      await resolverService.resolveWorkbook(req.accessToken, req.body);
+
+    const { worksheetId: resolvedWorksheetId, address } = await resolverService.resolveWorksheet(
+      req.accessToken,
+      resolvedDriveId,
+      resolvedItemId,
+      { worksheetId, worksheetName, range }
+    );
+
+    const data = await excelService.clearRange({
+      accessToken: req.accessToken,
+      driveId: resolvedDriveId,
+      itemId: resolvedItemId,
+      worksheetId: resolvedWorksheetId,
+      range: address,
+      applyTo,
+      sessionId: req.body.sessionId,
+      auditContext,
+    });
+
+    res.json({
+      status: "success",
+      data,
+    });
+  });
+
+  /**
+   * Undo an audited range write, unless the cells changed since
+   */
+  undoWrite = catchAsync(async (req, res) => {
     const auditContext = auditService.createAuditContext(req);
 
-    if (!Array.isArray(operations) || operations.length === 0) {
-      return res.status(400).json({
-        success: false,
-        error: "Invalid operations array",
-        timestamp: new Date().toISOString(),
+    const result = await excelService.undoWrite({
+      accessToken: req.accessToken,
+      auditId: req.body.auditId,
+      sessionId: req.body.sessionId,
+      auditContext,
+    });
+
+    if (result.conflict) {
+      return res.status(409).json({
+        status: "error",
+        error: {
+          code: 409,
+          message: "The range changed after the audited write; nothing was restored",
+          details: {
+            undoneAuditId: result.undoneAuditId,
+            range: result.range,
+            conflicts: result.conflicts,
+          },
+        },
       });
     }
 
-    const results = [];
-    const errors = [];
-
-    for (let i = 0; i < operations.length; i++) {
-      const operation = operations[i];
-
-      try {
-        let result;
-
-        switch (operation.type) {
-          case "READ_range":
-            result = await excelService.readRange({
-              accessToken: req.accessToken,
-              driveId: operation.driveId,
-              itemId: operation.itemId,
-              worksheetId: operation.worksheetId,
-              range: operation.range,
-              auditContext,
-            });
-            break;
-
-          case "write_range":
-            result = await excelService.writeRange({
-              accessToken: req.accessToken,
-              driveId: operation.driveId,
-              itemId: operation.itemId,
-              worksheetId: operation.worksheetId,
-              range: operation.range,
-              values: operation.values,
-              auditContext,
-            });
-            break;
-
-          case "read_table":
-            result = await excelService.readTable({
-              accessToken: req.accessToken,
-              driveId: operation.driveId,
-              itemId: operation.itemId,
-              worksheetId: operation.worksheetId,
-              tableName: operation.tableName,
-              auditContext,
-            });
-            break;
-
-          case "add_table_rows":
-            result = await excelService.addTableRows({
-              accessToken: req.accessToken,
-              driveId: operation.driveId,
-              itemId: operation.itemId,
-              worksheetId: operation.worksheetId,
-              tableName: operation.tableName,
-              rows: operation.rows,
-              auditContext,
-            });
-            break;
-
-          default:
-            throw new Error(`Unknown operation type: ${operation.type}`);
-        }
+    res.json({
+      status: "success",
+      data: {
+        range: result.range,
+        values: result.values,
+        undoneAuditId: result.undoneAuditId,
+        auditId: result.auditId,
+      },
+    });
+  });
 
-        results.push({
-          index: i,
-          operation: operation.type,
-          success: true,
-          data: result,
-        });
-      } catch (error) {
-        logger.error(`Batch operation ${i} failed:`, error);
-        errors.push({
-          index: i,
-          operation: operation.type,
-          error: error.message,
-        });
-
-        // Continue with other operations unless it's a critical error
-        if (error.message.includes("Authentication")) {
-          break; // Stop if authentication fails
-        }
-      }
-    }
+  /**
+   * Delete a worksheet from a workbook
+   */
+  deleteWorksheet = catchAsync(async (req, res) => {
+    const { worksheetId, worksheetName } = req.body;
+    const auditContext = auditService.createAuditContext(req);
+
+    const { driveId: resolvedDriveId, itemId: resolvedItemId } =
+      await resolverService.resolveWorkbook(req.accessToken, req.body);
+
+    const { worksheetId: resolvedWorksheetId } = await resolverService.resolveWorksheet(
+      req.accessToken,
+      resolvedDriveId,
+      resolvedItemId,
+      { worksheetId, worksheetName }
+    );
+
+    await excelService.deleteWorksheet({
+      accessToken: req.accessToken,
+      driveId: resolvedDriveId,
+      itemId: resolvedItemId,
+      worksheetId: resolvedWorksheetId,
+      sessionId: req.body.sessionId,
+      auditContext,
+    });
+    await resolverService.invalidateWorksheets(resolvedItemId);
+
+    res.json({
+      status: "success",
+      data: {
+        deleted: worksheetName || worksheetId,
+      },
+    });
+  });
+
+  /**
+   * Batch operations - run through Graph JSON batching; one result per operation.
+   * A failed atomic batch reports the operation that failed and the writes rolled back.
+   */
+  batchOperations = catchAsync(async (req, res) => {
+    const { operations, atomic } = req.body;
+    const auditContext = auditService.createAuditContext(req);
+
+    const { batchId, results, rollback } = await batchService.execute({
+      accessToken: req.accessToken,
+      operations,
+      atomic,
+      auditContext,
+    });
+
+    const successful = results.filter((result) => result.success);
+    const errors = results
+      .filter((result) => !result.success)
+      .map(({ index, id, operation, status, error, errorCode, hint, requestId }) => ({
+        index,
+        id,
+        operation,
+        status,
+        error,
+        errorCode,
+        hint,
+        requestId,
+      }));
 
     const response = {
       status: errors.length === 0 ? "success" : "partial_success",
       data: {
-        results: results,
+        batchId,
+        results: successful,
         errors: errors,
         summary: {
           total: operations.length,
-          successful: results.length,
+          successful: successful.length,
           failed: errors.length,
         },
       },
@@ -363,21 +470,95 @@ class ExcelController {
 
     // Return 207 Multi-Status if there were partial failures
     const statusCode =
-      errors.length > 0 && results.length > 0
+      errors.length > 0 && successful.length > 0
         ? 207
         : errors.length === 0
         ? 200
         : 400;
 
+    if (rollback) {
+      const restored = new Set(rollback.restored.map((target) => target.index));
+      successful.forEach((result) => {
+        if (restored.has(result.index)) {
+          result.rolledBack = true;
+        }
+      });
+      response.status = rollback.failed.length === 0 ? "rolled_back" : "rollback_failed";
+      response.data.rollback = rollback;
+
+      // Some writes could not be undone: the workbook is left half-updated
+      return res
+        .status(rollback.failed.length === 0 ? rollback.failedOperation.status : 500)
+        .json(response);
+    }
+
     res.status(statusCode).json(response);
   });
 
+  /**
+   * Open a workbook session that later calls join by passing its sessionId
+   */
+  openSession = catchAsync(async (req, res) => {
+    const { persistChanges } = req.body;
+    const auditContext = auditService.createAuditContext(req);
+
+    const { driveId, itemId } = await resolverService.resolveWorkbook(req.accessToken, req.body);
+
+    if (!permissions.canAccessWorkbook(auditContext.principal, itemId)) {
+      auditService.logPermissionCheck({
+        ...auditContext,
+        driveId,
+        workbookId: itemId,
+        requestedPermission: "READ",
+        granted: false,
+        reason: "No access to workbook",
+      });
+      throw new AppError("Access denied to workbook", 403);
+    }
+
+    const session = await sessionManager.open({
+      accessToken: req.accessToken,
+      driveId,
+      itemId,
+      persistChanges,
+      user: auditContext.user,
+    });
+
+    auditService.logSystemEvent({
+      event: "WORKBOOK_SESSION_OPENED",
+      details: { ...session, user: auditContext.user, requestId: auditContext.requestId },
+    });
+
+    res.status(201).json({
+      status: "success",
+      data: session,
+    });
+  });
+
+  /**
+   * Close a workbook session opened with openSession
+   */
+  closeSession = catchAsync(async (req, res) => {
+    const auditContext = auditService.createAuditContext(req);
+
+    const session = await sessionManager.close(req.params.sessionId, { user: auditContext.user });
+
+    auditService.logSystemEvent({
+      event: "WORKBOOK_SESSION_CLOSED",
+      details: { ...session, user: auditContext.user, requestId: auditContext.requestId },
+    });
+
+    res.json({
+      status: "success",
+      data: { ...session, closed: true },
+    });
+  });
+
   /**
    * Get Excel file metadata
    */
   getFileMetadata = catchAsync(async (req, res) => {
     const { driveId, itemId } = req.query;
-    const auditContext = auditService.createAuditContext(req);
 
     // This would typically get file metadata from Graph API
     // For now, return basic structure
@@ -390,6 +571,16 @@ class ExcelController {
     });
   });
 
+  /**
+   * Get the active range rules from rangePermissions.json and their reload status
+   */
+  getRangePermissions = catchAsync(async (req, res) => {
+    res.json({
+      status: "success",
+      data: rangeValidator.getActiveConfig(),
+    });
+  });
+
   /**
    * Get audit logs
    */
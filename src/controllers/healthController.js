@@ -4,8 +4,13 @@
  */
 
 const azureAuth = require('../auth/azureAuth');
+const sessionManager = require('../services/sessionManager');
+const graphPipeline = require('../services/graphPipeline');
+const resolverService = require('../services/resolverService');
+const readCache = require('../services/readCache');
 const logger = require('../config/logger');
 const { catchAsync } = require('../middleware/errorHandler');
+const { GRAPH_PIPELINE } = require('../utils/constants');
 
 class HealthController {
     /**
@@ -44,6 +49,14 @@ class HealthController {
             healthChecks.azure_auth = 'unhealthy';
         }
 
+        // Graph is degraded while any tenant's circuit breaker is not closed
+        const graphStats = graphPipeline.getStats();
+        if (graphStats.breakers.length > 0) {
+            healthChecks.graph_api = graphStats.breakers.every(breaker => breaker.state === GRAPH_PIPELINE.BREAKER_STATES.CLOSED)
+                ? 'healthy'
+                : 'degraded';
+        }
+
         // Check memory usage
         const memoryUsage = process.memoryUsage();
         const memoryUsageMB = {
@@ -81,6 +94,10 @@ class HealthController {
                 uptime: process.uptime(),
                 version: process.env.npm_package_version || '1.0.0',
                 checks: healthChecks,
+                workbookSessions: sessionManager.getStats(),
+                graphPipeline: graphStats,
+                nameCache: await resolverService.cache.getStats(),
+                readCache: await readCache.getStats(),
                 system: {
                     memory: memoryUsageMB,
                     nodeVersion: process.version,
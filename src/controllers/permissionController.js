@@ -0,0 +1,172 @@
+/**
+ * Permission Controller
+ * Admin endpoints for listing, granting and revoking ACL entries
+ */
+
+const permissions = require('../config/permissions');
+const auditService = require('../services/auditService');
+const { AppError, catchAsync } = require('../middleware/errorHandler');
+
+// URL segments accepted for listing one resource type
+const RESOURCE_TYPES = {
+    workbooks: 'workbooks',
+    worksheets: 'worksheets',
+    ranges: 'ranges',
+    tables: 'tables'
+};
+
+class PermissionController {
+    /**
+     * Get the full permission document, or one resource collection
+     */
+    listPermissions = catchAsync(async (req, res) => {
+        const document = permissions.getPermissionsDocument();
+        const { resourceType } = req.params;
+
+        if (resourceType) {
+            const collection = RESOURCE_TYPES[resourceType];
+            if (!collection) {
+                throw new AppError(`Invalid resource type: ${resourceType}`, 400);
+            }
+            return res.json({
+                status: 'success',
+                data: {
+                    [collection]: document[collection]
+                }
+            });
+        }
+
+        res.json({
+            status: 'success',
+            data: document
+        });
+    });
+
+    /**
+     * Grant a permission to a user on a resource
+     */
+    grantPermission = catchAsync(async (req, res) => {
+        await this.changePermission(req, res, 'GRANT');
+    });
+
+    /**
+     * Revoke a permission from a user on a resource
+     */
+    revokePermission = catchAsync(async (req, res) => {
+        await this.changePermission(req, res, 'REVOKE');
+    });
+
+    /**
+     * Apply and audit a grant or revoke
+     * @param {Object} req - Express request object
+     * @param {Object} res - Express response object
+     * @param {string} action - 'GRANT' or 'REVOKE'
+     */
+    async changePermission(req, res, action) {
+        const { resourceType, resourceId, userId, permission } = req.body;
+        const auditContext = auditService.createAuditContext(req);
+
+        const changed = action === 'GRANT'
+            ? await permissions.addPermission(resourceType, resourceId, userId, permission)
+            : await permissions.removePermission(resourceType, resourceId, userId, permission);
+
+        auditService.logPermissionChange({
+            ...auditContext,
+            action,
+            resourceType,
+            resourceId,
+            targetUser: userId,
+            permission,
+            changed
+        });
+
+        res.json({
+            status: 'success',
+            data: {
+                action: action.toLowerCase(),
+                resourceType,
+                resourceId,
+                userId,
+                permission,
+                changed
+            }
+        });
+    }
+
+    /**
+     * Get all groups with their members and Entra ID mappings
+     */
+    listGroups = catchAsync(async (req, res) => {
+        res.json({
+            status: 'success',
+            data: {
+                groups: permissions.getPermissionsDocument().groups
+            }
+        });
+    });
+
+    /**
+     * Add a user or nested group to a group
+     */
+    addGroupMember = catchAsync(async (req, res) => {
+        await this.changeGroupMember(req, res, 'ADD_MEMBER');
+    });
+
+    /**
+     * Remove a user or nested group from a group
+     */
+    removeGroupMember = catchAsync(async (req, res) => {
+        await this.changeGroupMember(req, res, 'REMOVE_MEMBER');
+    });
+
+    /**
+     * Apply and audit a group membership change
+     * @param {Object} req - Express request object
+     * @param {Object} res - Express response object
+     * @param {string} action - 'ADD_MEMBER' or 'REMOVE_MEMBER'
+     */
+    async changeGroupMember(req, res, action) {
+        const { group, member } = req.body;
+        const auditContext = auditService.createAuditContext(req);
+
+        const changed = action === 'ADD_MEMBER'
+            ? await permissions.addGroupMember(group, member)
+            : await permissions.removeGroupMember(group, member);
+
+        auditService.logPermissionChange({
+            ...auditContext,
+            action,
+            resourceType: 'group',
+            resourceId: group,
+            targetUser: member,
+            changed
+        });
+
+        res.json({
+            status: 'success',
+            data: {
+                action: action.toLowerCase(),
+                group,
+                member,
+                changed
+            }
+        });
+    }
+
+    /**
+     * Get a user's effective permissions
+     */
+    getUserPermissions = catchAsync(async (req, res) => {
+        const { userId } = req.params;
+
+        res.json({
+            status: 'success',
+            data: {
+                userId,
+                permissions: permissions.getUserPermissions(userId)
+            }
+        });
+    });
+}
+
+module.exports = new PermissionController();
@@ -3,6 +3,7 @@
  * Centralized error handling for the application
  */
 
+const { GraphError } = require('@microsoft/microsoft-graph-client');
 const logger = require('../config/logger');
 
 /**
@@ -20,35 +21,165 @@ class AppError extends Error {
 }
 
 /**
- * Handle Microsoft Graph API errors
- * @param {Object} error - Graph API error
- * @returns {Object} Formatted error response
+ * Error from a Microsoft Graph or Excel call, translated to a middleware error code
  */
-const handleGraphError = (error) => {
-    const graphError = error.response?.data?.error;
-    
-    if (graphError) {
-        switch (graphError.code) {
-            case 'Forbidden':
-                return new AppError('Access denied to the requested resource', 403);
-            case 'NotFound':
-                return new AppError('Requested resource not found', 404);
-            case 'BadRequest':
-                return new AppError(`Invalid request: ${graphError.message}`, 400);
-            case 'Unauthorized':
-                return new AppError('Authentication failed', 401);
-            case 'TooManyRequests':
-                return new AppError('Rate limit exceeded. Please try again later', 429);
-            case 'InternalServerError':
-                return new AppError('Microsoft Graph service error', 502);
-            default:
-                return new AppError(`Graph API error: ${graphError.message}`, 500);
-        }
+class GraphApiError extends AppError {
+    /**
+     * @param {string} message - Error message
+     * @param {number} statusCode - HTTP status returned to the caller
+     * @param {Object} details - { code, hint, graphCode, requestId, retryAfter }
+     */
+    constructor(message, statusCode, { code, hint, graphCode = null, requestId = null, retryAfter = null }) {
+        super(message, statusCode);
+        this.name = 'GraphApiError';
+        this.code = code;
+        this.hint = hint;
+        this.graphCode = graphCode;
+        this.requestId = requestId;
+        this.retryAfter = retryAfter;
     }
-    
-    return new AppError('Unknown Graph API error', 500);
+}
+
+const graphErrorCode = (code, status, hint) => ({ code, status, hint });
+
+// Middleware error codes for Graph and Excel error codes (matched case-insensitively).
+// These codes are part of the API; add new ones rather than renaming them.
+const GRAPH_ERROR_CODES = {
+    itemnotfound: graphErrorCode('ITEM_NOT_FOUND', 404,
+        'Check the drive, file, worksheet and table names. List them with /list-items, then retry with an exact name.'),
+    notfound: graphErrorCode('ITEM_NOT_FOUND', 404,
+        'Check the drive, file, worksheet and table names. List them with /list-items, then retry with an exact name.'),
+    invalidargument: graphErrorCode('INVALID_ARGUMENT', 400,
+        'Check the range address (for example Sheet1!A1:C3) and that the values have as many rows and columns as the range.'),
+    invalidreference: graphErrorCode('INVALID_REFERENCE', 400,
+        'The range, worksheet or table does not exist in this workbook. Read the worksheet list and correct the reference.'),
+    invalidrequest: graphErrorCode('INVALID_REQUEST', 400,
+        'Graph rejected the request. Check the parameters against the API description and retry.'),
+    badrequest: graphErrorCode('INVALID_REQUEST', 400,
+        'Graph rejected the request. Check the parameters against the API description and retry.'),
+    invalidoperation: graphErrorCode('INVALID_OPERATION', 400,
+        'Excel cannot do this on the target, for example writing across merged cells or a protected sheet.'),
+    unsupportedoperation: graphErrorCode('UNSUPPORTED_OPERATION', 400,
+        'Excel for the web does not support this operation on this workbook.'),
+    rangeexceedslimit: graphErrorCode('RANGE_TOO_LARGE', 413,
+        'The range is too large for one request. Split it into smaller ranges.'),
+    itemalreadyexists: graphErrorCode('ITEM_ALREADY_EXISTS', 409,
+        'An item with this name already exists. Use a different name, or use the existing item.'),
+    namealreadyexists: graphErrorCode('ITEM_ALREADY_EXISTS', 409,
+        'An item with this name already exists. Use a different name, or use the existing item.'),
+    editmodecannotacquirelock: graphErrorCode('WORKBOOK_LOCKED', 409,
+        'The workbook is being edited or saved elsewhere. Wait a few seconds and retry.'),
+    invalidoperationincelleditmode: graphErrorCode('WORKBOOK_LOCKED', 409,
+        'Someone is editing a cell in this workbook. Wait a few seconds and retry.'),
+    conflict: graphErrorCode('CONFLICT', 409,
+        'The workbook changed while the request ran. Read the range again and retry.'),
+    insertdeleteconflict: graphErrorCode('CONFLICT', 409,
+        'The workbook changed while the request ran. Read the range again and retry.'),
+    resourcemodified: graphErrorCode('CONFLICT', 409,
+        'The workbook changed while the request ran. Read the range again and retry.'),
+    activitylimitreached: graphErrorCode('ACTIVITY_LIMIT_REACHED', 429,
+        'Graph limits how often this workbook or tenant can be used. Wait for the Retry-After seconds, then send fewer requests, for example one /batch call.'),
+    toomanyrequests: graphErrorCode('THROTTLED', 429,
+        'Microsoft Graph is throttling requests. Wait for the Retry-After seconds before retrying.'),
+    accessdenied: graphErrorCode('ACCESS_DENIED', 403,
+        'The middleware has no access to this file or site. Ask an administrator to grant it.'),
+    forbidden: graphErrorCode('ACCESS_DENIED', 403,
+        'The middleware has no access to this file or site. Ask an administrator to grant it.'),
+    unauthorized: graphErrorCode('GRAPH_AUTH_FAILED', 401,
+        'Microsoft Graph rejected the middleware\'s credentials. Ask an administrator to check the app registration.'),
+    invalidauthenticationtoken: graphErrorCode('GRAPH_AUTH_FAILED', 401,
+        'Microsoft Graph rejected the middleware\'s credentials. Ask an administrator to check the app registration.'),
+    servicenotavailable: graphErrorCode('GRAPH_UNAVAILABLE', 503,
+        'Microsoft Graph is temporarily unavailable. Retry after the Retry-After seconds.'),
+    circuitopen: graphErrorCode('GRAPH_CIRCUIT_OPEN', 503,
+        'Graph requests are paused after repeated failures. Retry after the Retry-After seconds.'),
+    requestdeadlineexceeded: graphErrorCode('GRAPH_TIMEOUT', 504,
+        'Microsoft Graph did not answer in time. Retry, or read a smaller range.'),
+    generalexception: graphErrorCode('GRAPH_ERROR', 502,
+        'Microsoft Graph failed to process the request. Retry; if it keeps failing, report the requestId.')
+};
+
+// Middleware error codes for Graph statuses whose error code is not listed above
+const GRAPH_STATUS_CODES = {
+    400: GRAPH_ERROR_CODES.invalidrequest,
+    401: GRAPH_ERROR_CODES.unauthorized,
+    403: GRAPH_ERROR_CODES.accessdenied,
+    404: GRAPH_ERROR_CODES.itemnotfound,
+    409: GRAPH_ERROR_CODES.conflict,
+    412: GRAPH_ERROR_CODES.conflict,
+    413: GRAPH_ERROR_CODES.rangeexceedslimit,
+    423: GRAPH_ERROR_CODES.editmodecannotacquirelock,
+    429: GRAPH_ERROR_CODES.toomanyrequests,
+    503: GRAPH_ERROR_CODES.servicenotavailable,
+    504: GRAPH_ERROR_CODES.requestdeadlineexceeded
+};
+
+const GRAPH_UNREACHABLE = graphErrorCode('GRAPH_UNREACHABLE', 502,
+    'The middleware could not reach Microsoft Graph. Retry in a moment.');
+
+/**
+ * Middleware error code, HTTP status and hint for a Graph error
+ * @param {string} graphCode - Graph or Excel error code
+ * @param {number} status - HTTP status from Graph (-1 if no response arrived)
+ * @returns {Object} { code, status, hint }
+ */
+const describeGraphError = (graphCode, status) => {
+    const known = GRAPH_ERROR_CODES[String(graphCode || '').toLowerCase()] || GRAPH_STATUS_CODES[status];
+    if (known) {
+        return known;
+    }
+    if (!status || status < 0) {
+        return GRAPH_UNREACHABLE;
+    }
+    return status >= 500 ? GRAPH_ERROR_CODES.generalexception : GRAPH_ERROR_CODES.invalidrequest;
+};
+
+/**
+ * Whether an error came from a Graph call (Graph SDK error or axios Graph response)
+ * @param {Object} error - Error
+ * @returns {boolean} True for Graph errors
+ */
+const isGraphError = (error) => error instanceof GraphError || error instanceof GraphApiError
+    || Boolean(error?.response?.status && error.response.data?.error);
+
+/**
+ * Translate a Graph SDK or axios Graph error to a GraphApiError
+ * @param {Object} error - Graph error
+ * @param {string} [message] - Message for the caller (defaults to Graph's message)
+ * @returns {GraphApiError} Translated error
+ */
+const translateGraphError = (error, message) => {
+    if (error instanceof GraphApiError) {
+        return error;
+    }
+
+    const axiosError = error.response?.data?.error;
+    const graphCode = axiosError ? axiosError.code : error.code;
+    const status = axiosError ? error.response.status : error.statusCode;
+    const header = name => error.headers?.get?.(name) ?? error.response?.headers?.[name] ?? null;
+    const retryAfter = parseInt(header('retry-after'), 10);
+    const { code, status: statusCode, hint } = describeGraphError(graphCode, status);
+
+    return new GraphApiError(
+        message || axiosError?.message || error.message || 'Microsoft Graph request failed',
+        statusCode,
+        {
+            code,
+            hint,
+            graphCode: graphCode || null,
+            requestId: error.requestId || axiosError?.innerError?.['request-id'] || header('request-id'),
+            retryAfter: Number.isFinite(retryAfter) ? retryAfter : null
+        }
+    );
 };
 
+/**
+ * Handle Microsoft Graph API errors
+ * @param {Object} error - Graph API error
+ * @returns {GraphApiError} Formatted error response
+ */
+const handleGraphError = (error) => translateGraphError(error);
+
 /**
  * Handle validation errors
  * @param {Object} error - Validation error
@@ -75,6 +206,25 @@ const handleAuthError = (error) => {
     return new AppError('Authentication error', 401);
 };
 
+/**
+ * Error details sent to the client. Graph errors carry a middleware error code, a hint
+ * and Graph's request-id; other errors use the HTTP status as their code.
+ * @param {Object} err - Error object
+ * @returns {Object} { code, message, hint, graphCode, requestId }
+ */
+const errorDetails = (err) => {
+    if (!(err instanceof GraphApiError)) {
+        return { code: err.statusCode || 500, message: err.message };
+    }
+    return {
+        code: err.code,
+        message: err.message,
+        hint: err.hint,
+        graphCode: err.graphCode,
+        requestId: err.requestId
+    };
+};
+
 /**
  * Development error response (includes stack trace)
  * @param {Object} err - Error object
@@ -84,8 +234,7 @@ const sendErrorDev = (err, res) => {
     res.status(err.statusCode || 500).json({
         status: 'error',
         error: {
-            code: err.statusCode || 500,
-            message: err.message,
+            ...errorDetails(err),
             stack: err.stack
         },
         timestamp: err.timestamp || new Date().toISOString()
@@ -102,10 +251,7 @@ const sendErrorProd = (err, res) => {
     if (err.isOperational) {
         res.status(err.statusCode || 500).json({
             status: 'error',
-            error: {
-                code: err.statusCode || 500,
-                message: err.message
-            },
+            error: errorDetails(err),
             timestamp: err.timestamp || new Date().toISOString()
         });
     } else {
@@ -177,8 +323,8 @@ const globalErrorHandler = (err, req, res, next) => {
     });
 
     // Handle specific error types
-    if (err.response && err.response.status) {
-        // Axios/HTTP errors (likely from Graph API)
+    if (isGraphError(err) || (err.response && err.response.status)) {
+        // Graph SDK errors and axios/HTTP errors (likely from Graph API)
         error = handleGraphError(err);
     } else if (err.name === 'ValidationError' || err.isJoi) {
         // Joi validation errors
@@ -194,6 +340,10 @@ const globalErrorHandler = (err, req, res, next) => {
         error = new AppError('Invalid JSON in request body', 400);
     }
 
+    if (error.retryAfter) {
+        res.set('Retry-After', String(error.retryAfter));
+    }
+
     // Send error response
     if (process.env.NODE_ENV === 'development') {
         sendErrorDev(error, res);
@@ -249,7 +399,11 @@ module.exports = {
     handleNotFound,
     catchAsync,
     handleUnhandledRejections,
+    GraphApiError,
     handleGraphError,
+    isGraphError,
+    translateGraphError,
+    describeGraphError,
     handleValidationError,
     handleAuthError
 };
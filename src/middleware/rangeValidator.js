@@ -1,81 +1,333 @@
 /**
  * Range Validator Middleware
- * Validates Excel ranges against allowed permissions before write operations
+ * Validates Excel ranges against the rules in rangePermissions.json before reads and writes.
+ * Rules can be global or scoped to workbooks by drive and item name/path (with wildcards),
+ * with separate read and write rule sets and a default-allow or default-deny policy.
+ * The file is validated against a schema and reloaded when it changes; a bad edit is
+ * rejected and the last good rules stay active.
  */
 
-const fs = require('fs').promises;
+const fs = require('fs');
 const path = require('path');
+const Joi = require('joi');
 const logger = require('../config/logger');
+const { AppError, isGraphError } = require('./errorHandler');
+const { EXCEL } = require('../utils/constants');
+const { watchConfigFile, columnNumberToLetter } = require('../utils/helpers');
+
+// Default policy per access type when a rule set does not set one
+const DEFAULT_POLICIES = {
+    read: 'allow',
+    write: 'deny'
+};
 
 class RangeValidator {
     constructor() {
         this.configPath = path.join(__dirname, '../../rangePermissions.json');
         this.allowedRanges = [];
         this.lockedRanges = [];
+        this.globalRules = {};
+        this.workbookRules = [];
+        this.configStatus = { loadedAt: null, lastError: null, lastErrorAt: null };
+        this.configSchema = this.buildConfigSchema();
         this.loadConfig();
+        this.watchConfig();
+    }
+
+    /**
+     * Schema for rangePermissions.json; every range must be valid A1 notation
+     * @returns {Object} Joi schema
+     */
+    buildConfigSchema() {
+        const range = Joi.string().custom((value, helpers) => {
+            try {
+                this.parseRangeAddress(value);
+                return value;
+            } catch (error) {
+                return helpers.message(`"${value}" is not a valid A1 range: ${error.message}`);
+            }
+        });
+        const ruleSet = Joi.object({
+            allowedRanges: Joi.array().items(range),
+            lockedRanges: Joi.array().items(range),
+            defaultPolicy: Joi.string().valid('allow', 'deny')
+        });
+        const entry = ruleSet.keys({
+            read: ruleSet,
+            write: ruleSet,
+            description: Joi.string().allow('')
+        });
+
+        return entry.keys({
+            workbooks: Joi.array().items(entry.keys({
+                name: Joi.string(),
+                drive: Joi.string(),
+                item: Joi.string(),
+                driveId: Joi.string(),
+                itemId: Joi.string()
+            }))
+        });
     }
 
     /**
-     * Load range permissions from JSON config file
+     * Load range permissions from the JSON config file.
+     * An unreadable, malformed or invalid file is rejected and the current rules are kept.
+     * @returns {boolean} True if a new config was applied
      */
-    async loadConfig() {
+    loadConfig() {
+        let config;
         try {
-            const configData = await fs.readFile(this.configPath, 'utf8');
-            const config = JSON.parse(configData);
-            
-            this.allowedRanges = config.allowedRanges || [];
-            this.lockedRanges = config.lockedRanges || [];
-            
+            const configData = fs.readFileSync(this.configPath, 'utf8');
+            config = JSON.parse(configData);
+
+            const { error } = this.configSchema.validate(config, { abortEarly: false });
+            if (error) {
+                throw new Error(error.details.map(detail => detail.message).join('; '));
+            }
+        } catch (error) {
+            this.configStatus.lastError = error.message;
+            this.configStatus.lastErrorAt = new Date().toISOString();
+            logger.error(`Rejected range permissions config ${this.configPath}: ${error.message}`, {
+                keepingLoadedAt: this.configStatus.loadedAt
+            });
+            // Before the first good load this leaves empty arrays - deny all writes
+            return false;
+        }
+
+        const previous = this.configStatus.loadedAt ? this.describeRules(this.globalRules) : null;
+
+        // Top-level rules apply to workbooks that no "workbooks" entry matches
+        this.globalRules = config;
+        this.allowedRanges = config.allowedRanges || [];
+        this.lockedRanges = config.lockedRanges || [];
+        this.workbookRules = config.workbooks || [];
+        this.configStatus = { loadedAt: new Date().toISOString(), lastError: null, lastErrorAt: null };
+
+        if (previous) {
+            const current = this.describeRules(config);
+            const added = [...current].filter(rule => !previous.has(rule));
+            const removed = [...previous].filter(rule => !current.has(rule));
+            logger.info('Range permissions reloaded', { added, removed });
+        } else {
             logger.info('Range permissions loaded', {
                 allowedCount: this.allowedRanges.length,
-                lockedCount: this.lockedRanges.length
+                lockedCount: this.lockedRanges.length,
+                workbookRuleCount: this.workbookRules.length
             });
-        } catch (error) {
-            logger.error('Failed to load range permissions config:', error);
-            // Use empty arrays as fallback - deny all writes
-            this.allowedRanges = [];
-            this.lockedRanges = [];
         }
+        return true;
     }
 
     /**
-     * Parse Excel range notation (e.g., "Sheet1!A1:B10" or "A1:B10")
-     * @param {string} range - Range string
-     * @returns {Object} Parsed range object
+     * Reload the config when the file changes
      */
-    parseRange(range) {
-        try {
-            let sheetName = '';
-            let rangeAddress = range;
-
-            // Check if range includes sheet name
-            if (range.includes('!')) {
-                const parts = range.split('!');
-                sheetName = parts[0];
-                rangeAddress = parts[1];
+    watchConfig() {
+        this.stopWatching = watchConfigFile(this.configPath, () => this.loadConfig());
+    }
+
+    /**
+     * Stop watching the config file
+     */
+    unwatchConfig() {
+        this.stopWatching?.();
+        this.stopWatching = null;
+    }
+
+    /**
+     * Flatten a config into one line per rule, for logging what a reload changed
+     * @param {Object} config - Parsed config
+     * @returns {Set<string>} Rule descriptions
+     */
+    describeRules(config) {
+        const lines = new Set();
+        const describeEntry = (label, entry) => {
+            ['read', 'write'].forEach((access) => {
+                const { allowedRanges, lockedRanges, defaultPolicy } = this.getRuleSet(entry, access);
+                lines.add(`${label} ${access} default ${defaultPolicy}`);
+                allowedRanges.forEach(range => lines.add(`${label} ${access} allow ${range}`));
+                lockedRanges.forEach(range => lines.add(`${label} ${access} lock ${range}`));
+            });
+        };
+
+        describeEntry('global', config);
+        (config.workbooks || []).forEach((entry) => {
+            const selector = ['name', 'drive', 'item', 'driveId', 'itemId']
+                .filter(key => entry[key])
+                .map(key => `${key}=${entry[key]}`)
+                .join(',');
+            describeEntry(`workbook[${selector || '*'}]`, entry);
+        });
+        return lines;
+    }
+
+    /**
+     * Active rules and reload status, for the range-permissions endpoint
+     * @returns {Object} Config snapshot
+     */
+    getActiveConfig() {
+        return {
+            source: path.basename(this.configPath),
+            ...this.configStatus,
+            rules: {
+                allowedRanges: this.allowedRanges,
+                lockedRanges: this.lockedRanges,
+                read: this.globalRules.read,
+                write: this.globalRules.write,
+                defaultPolicy: this.globalRules.defaultPolicy,
+                workbooks: this.workbookRules
             }
+        };
+    }
+
+    /**
+     * Match a name or path against a wildcard pattern (case-insensitive).
+     * "*" matches within one path segment, "**" across any number of segments (none
+     * included), "?" one character.
+     * @param {string} pattern - Wildcard pattern
+     * @param {string} value - Name or path
+     * @returns {boolean} True if matched
+     */
+    matchPattern(pattern, value) {
+        if (value === undefined || value === null) {
+            return false;
+        }
+
+        const source = String(pattern)
+            .replace(/[.+^${}()|[\]\\]/g, '\\$&')
+            .replace(/\*\*\//g, '\u0001')
+            .replace(/\*\*/g, '\u0000')
+            .replace(/\*/g, '[^/]*')
+            .replace(/\?/g, '[^/]')
+            .replaceAll('\u0001', '(?:.*/)?')
+            .replaceAll('\u0000', '.*');
+        return new RegExp(`^${source}$`, 'i').test(String(value));
+    }
 
-            // Parse range address (e.g., "A1:B10")
-            const rangeParts = rangeAddress.split(':');
-            if (rangeParts.length !== 2) {
-                throw new Error('Invalid range format');
+    /**
+     * Find the rules that apply to a workbook: the first "workbooks" entry whose
+     * drive and item selectors match, otherwise the top-level (global) rules
+     * @param {Object} workbook - { driveId, driveName, itemId, itemName, itemPath }
+     * @returns {Object} Matching rule entry
+     */
+    findWorkbookRules(workbook = {}) {
+        const itemPath = String(workbook.itemPath || '').replace(/^\/+/, '');
+
+        const entry = this.workbookRules.find((rule) => {
+            if (rule.driveId && rule.driveId !== workbook.driveId) return false;
+            if (rule.itemId && rule.itemId !== workbook.itemId) return false;
+            if (rule.drive && !this.matchPattern(rule.drive, workbook.driveName)) return false;
+            if (rule.item) {
+                // Patterns with a "/" match the path from the drive root, others the file name
+                const target = rule.item.includes('/') ? itemPath : (workbook.itemName || itemPath.split('/').pop());
+                if (!this.matchPattern(rule.item.replace(/^\/+/, ''), target)) return false;
             }
+            return true;
+        });
+
+        return entry || this.globalRules;
+    }
 
-            const startCell = this.parseCellAddress(rangeParts[0]);
-            const endCell = this.parseCellAddress(rangeParts[1]);
+    /**
+     * Get the read or write rule set of an entry
+     * @param {Object} entry - Rule entry (global or per workbook)
+     * @param {string} access - 'read' or 'write'
+     * @returns {Object} { allowedRanges, lockedRanges, defaultPolicy }
+     */
+    getRuleSet(entry, access) {
+        // Entry-level allowedRanges/lockedRanges are write rules (the original file format)
+        const section = entry[access] || (access === 'write'
+            ? { allowedRanges: entry.allowedRanges, lockedRanges: entry.lockedRanges }
+            : {});
 
-            return {
-                sheetName,
-                startCell,
-                endCell,
-                fullRange: range
-            };
+        return {
+            allowedRanges: section.allowedRanges || [],
+            lockedRanges: section.lockedRanges || [],
+            defaultPolicy: section.defaultPolicy || entry.defaultPolicy || DEFAULT_POLICIES[access]
+        };
+    }
+
+    /**
+     * Parse Excel range notation into cell bounds.
+     * Accepts "A1:B10", single cells ("B2"), whole columns ("A:C"), whole rows ("1:5"),
+     * absolute markers ("$A$1") and an optional sheet prefix ("Sheet1!A1:B10", "'My Sheet'!A:A").
+     * @param {string} range - Range string
+     * @returns {Object} Parsed range object
+     */
+    parseRange(range) {
+        try {
+            return this.parseRangeAddress(range);
         } catch (error) {
             logger.error('Failed to parse range:', { range, error: error.message });
             throw new Error(`Invalid range format: ${range}`);
         }
     }
 
+    /**
+     * Parse a range without logging (see parseRange); throws on invalid input
+     * @param {string} range - Range string
+     * @returns {Object} Parsed range object
+     */
+    parseRangeAddress(range) {
+        let sheetName = '';
+        let rangeAddress = String(range).trim();
+
+        // Check if range includes sheet name
+        const separator = rangeAddress.lastIndexOf('!');
+        if (separator !== -1) {
+            sheetName = rangeAddress.slice(0, separator).replace(/^'(.*)'$/, '$1').replace(/''/g, "'");
+            rangeAddress = rangeAddress.slice(separator + 1);
+        }
+
+        const rangeParts = rangeAddress.replace(/\$/g, '').toUpperCase().split(':');
+        if (rangeParts.length > 2) {
+            throw new Error('Invalid range format');
+        }
+
+        const [first, last = first] = rangeParts;
+        let startCell;
+        let endCell;
+
+        if (rangeParts.length === 2 && /^[A-Z]+$/.test(first) && /^[A-Z]+$/.test(last)) {
+            // Whole columns (A:C)
+            startCell = { col: this.columnToNumber(first), row: 1 };
+            endCell = { col: this.columnToNumber(last), row: EXCEL.MAX_ROWS };
+        } else if (rangeParts.length === 2 && /^\d+$/.test(first) && /^\d+$/.test(last)) {
+            // Whole rows (1:5)
+            startCell = { col: 1, row: parseInt(first) };
+            endCell = { col: EXCEL.MAX_COLUMNS, row: parseInt(last) };
+        } else {
+            startCell = this.parseCellAddress(first);
+            endCell = this.parseCellAddress(last);
+        }
+
+        [startCell, endCell].forEach(({ col, row }) => {
+            if (!(row >= 1 && row <= EXCEL.MAX_ROWS && col >= 1 && col <= EXCEL.MAX_COLUMNS)) {
+                throw new Error('Range is outside the worksheet bounds');
+            }
+        });
+
+        // Normalize reversed bounds such as B10:A1
+        return {
+            sheetName,
+            startCell: { col: Math.min(startCell.col, endCell.col), row: Math.min(startCell.row, endCell.row) },
+            endCell: { col: Math.max(startCell.col, endCell.col), row: Math.max(startCell.row, endCell.row) },
+            fullRange: range
+        };
+    }
+
+    /**
+     * Convert column letters to a number (A=1, B=2, ..., Z=26, AA=27, etc.)
+     * @param {string} colLetters - Column letters
+     * @returns {number} Column number
+     */
+    columnToNumber(colLetters) {
+        let colNumber = 0;
+        for (let i = 0; i < colLetters.length; i++) {
+            colNumber = colNumber * 26 + (colLetters.charCodeAt(i) - 64);
+        }
+        return colNumber;
+    }
+
     /**
      * Parse cell address (e.g., "A1" -> {col: 1, row: 1})
      * @param {string} cellAddress - Cell address
@@ -87,22 +339,25 @@ class RangeValidator {
             throw new Error(`Invalid cell address: ${cellAddress}`);
         }
 
-        const colLetters = match[1];
-        const rowNumber = parseInt(match[2]);
-
-        // Convert column letters to number (A=1, B=2, ..., Z=26, AA=27, etc.)
-        let colNumber = 0;
-        for (let i = 0; i < colLetters.length; i++) {
-            colNumber = colNumber * 26 + (colLetters.charCodeAt(i) - 64);
-        }
-
         return {
-            col: colNumber,
-            row: rowNumber,
+            col: this.columnToNumber(match[1]),
+            row: parseInt(match[2]),
             address: cellAddress
         };
     }
 
+    /**
+     * Whether two parsed ranges can be on the same sheet (sheet names are case-insensitive;
+     * a range without a sheet matches any sheet)
+     * @param {Object} range1 - First range
+     * @param {Object} range2 - Second range
+     * @returns {boolean} True if comparable
+     */
+    sameSheet(range1, range2) {
+        return !range1.sheetName || !range2.sheetName ||
+            range1.sheetName.toLowerCase() === range2.sheetName.toLowerCase();
+    }
+
     /**
      * Check if a range overlaps with another range
      * @param {Object} range1 - First range
@@ -111,7 +366,7 @@ class RangeValidator {
      */
     rangesOverlap(range1, range2) {
         // Must be on the same sheet to overlap
-        if (range1.sheetName && range2.sheetName && range1.sheetName !== range2.sheetName) {
+        if (!this.sameSheet(range1, range2)) {
             return false;
         }
 
@@ -132,15 +387,18 @@ class RangeValidator {
     }
 
     /**
-     * Check if requested range is within allowed ranges
+     * Check a requested range against the rules of its workbook
      * @param {string} requestedRange - Range to validate
      * @param {string} worksheetId - Worksheet ID for context
+     * @param {Object} context - { access: 'read' | 'write', workbook: { driveId, driveName, itemId, itemName, itemPath } }
      * @returns {Object} Validation result
      */
-    validateRange(requestedRange, worksheetId = '') {
+    validateRange(requestedRange, worksheetId = '', context = {}) {
+        const access = context.access || 'write';
+
         try {
-            // Reload config to get latest permissions
-            this.loadConfig();
+            const { allowedRanges, lockedRanges, defaultPolicy } =
+                this.getRuleSet(this.findWorkbookRules(context.workbook), access);
 
             // Construct full range with worksheet if not included
             let fullRange = requestedRange;
@@ -151,19 +409,20 @@ class RangeValidator {
             const parsedRequested = this.parseRange(fullRange);
 
             // Check if range is explicitly locked
-            for (const lockedRange of this.lockedRanges) {
+            for (const lockedRange of lockedRanges) {
                 const parsedLocked = this.parseRange(lockedRange);
                 if (this.rangesOverlap(parsedRequested, parsedLocked)) {
                     return {
                         allowed: false,
                         reason: `Range overlaps with locked range: ${lockedRange}`,
-                        code: 'RANGE_LOCKED'
+                        code: 'RANGE_LOCKED',
+                        allowedRanges
                     };
                 }
             }
 
             // Check if range is within allowed ranges
-            for (const allowedRange of this.allowedRanges) {
+            for (const allowedRange of allowedRanges) {
                 const parsedAllowed = this.parseRange(allowedRange);
                 if (this.rangesOverlap(parsedRequested, parsedAllowed)) {
                     // Additional check: ensure requested range is fully contained within allowed range
@@ -171,16 +430,27 @@ class RangeValidator {
                         return {
                             allowed: true,
                             reason: `Range is within allowed range: ${allowedRange}`,
-                            code: 'RANGE_ALLOWED'
+                            code: 'RANGE_ALLOWED',
+                            allowedRanges
                         };
                     }
                 }
             }
 
+            if (defaultPolicy === 'allow') {
+                return {
+                    allowed: true,
+                    reason: `No rule matched; default ${access} policy is allow`,
+                    code: 'RANGE_DEFAULT_ALLOW',
+                    allowedRanges
+                };
+            }
+
             return {
                 allowed: false,
                 reason: 'Range is not within any allowed ranges',
-                code: 'RANGE_NOT_ALLOWED'
+                code: 'RANGE_NOT_ALLOWED',
+                allowedRanges
             };
 
         } catch (error) {
@@ -193,6 +463,21 @@ class RangeValidator {
         }
     }
 
+    /**
+     * Cells a table append writes to: the table and the rows added below it
+     * @param {string} tableAddress - Table address from Graph, such as Sheet1!A1:C10
+     * @param {number} rowCount - Number of rows appended
+     * @returns {string} Address with the table's sheet prefix, such as Sheet1!A1:C12
+     */
+    tableAppendRange(tableAddress, rowCount) {
+        const { startCell, endCell } = this.parseRangeAddress(tableAddress);
+        const separator = tableAddress.lastIndexOf('!');
+        const sheet = separator === -1 ? '' : tableAddress.slice(0, separator + 1);
+        const lastRow = Math.min(endCell.row + rowCount, EXCEL.MAX_ROWS);
+
+        return `${sheet}${columnNumberToLetter(startCell.col)}${startCell.row}:${columnNumberToLetter(endCell.col)}${lastRow}`;
+    }
+
     /**
      * Check if range1 is fully contained within range2
      * @param {Object} range1 - Range to check
@@ -201,7 +486,7 @@ class RangeValidator {
      */
     isRangeContained(range1, range2) {
         // Must be on the same sheet
-        if (range1.sheetName && range2.sheetName && range1.sheetName !== range2.sheetName) {
+        if (!this.sameSheet(range1, range2)) {
             return false;
         }
 
@@ -213,70 +498,133 @@ class RangeValidator {
         );
     }
 
+    /**
+     * Validate a range in a specific workbook, looking up the drive and file names
+     * when per-workbook rules need them.
+     * The worksheet is the one the request acts on, picked as the controllers pick it:
+     * worksheetId, then worksheetName, then the range's sheet prefix. Rules name sheets, so a
+     * worksheetId is looked up and its name checked.
+     * @param {string} accessToken - Graph access token
+     * @param {Object} workbookRef - { driveId | driveName, itemId | itemName | itemPath }
+     * @param {string} range - Range to validate, optionally sheet-qualified
+     * @param {Object} worksheetRef - { worksheetId, worksheetName }
+     * @param {string} access - 'read' or 'write'
+     * @returns {Promise<Object>} { validation, workbook, worksheetName }
+     */
+    async checkWorkbookRange(accessToken, workbookRef, range, worksheetRef, access) {
+        // Required lazily: the resolver depends (via excelService) on modules that require this one
+        const resolverService = require('../services/resolverService');
+        const { worksheetId, worksheetName } = worksheetRef || {};
+
+        // Per-workbook rules need the drive and file names; skip the lookup when there are none
+        let workbook;
+        if (this.workbookRules.length > 0) {
+            workbook = await resolverService.describeWorkbook(accessToken, workbookRef);
+        }
+
+        const { sheetName, address } = resolverService.parseSheetAndAddress(range);
+        let sheet = worksheetName || sheetName;
+        if (worksheetId) {
+            const { driveId, itemId } = workbook || await resolverService.resolveWorkbook(accessToken, workbookRef);
+            sheet = await resolverService.resolveWorksheetName(accessToken, driveId, itemId, worksheetId);
+        }
+
+        return {
+            validation: this.validateRange(sheet ? `${sheet}!${address}` : address, '', { access, workbook }),
+            workbook,
+            worksheetName: sheet
+        };
+    }
+
     /**
      * Express middleware function for range validation
-     * @param {Object} req - Express request
-     * @param {Object} res - Express response
-     * @param {Function} next - Next middleware
+     * @param {string} access - 'read' or 'write' (default); selects the rule set
+     * @returns {Function} Express middleware
      */
-    middleware() {
+    middleware(access = 'write') {
         return async (req, res, next) => {
-            // Only validate write operations
+            // Only validate operations that carry a range in the body
             if (req.method !== 'POST' && req.method !== 'PATCH') {
                 return next();
             }
 
-            // Only validate Excel write endpoints
-            if (!req.path.includes('/excel/write') && !req.path.includes('/excel/add-table-rows')) {
-                return next();
-            }
-
             try {
-                const { range, worksheetId } = req.body;
+                const { range, worksheetId, worksheetName, tableName } = req.body;
+
+                // A table append's cells are only known once Graph returns the table's address,
+                // so the service checks them against the write rules (see checkTableAppend)
+                if (!range && tableName) {
+                    return next();
+                }
                 
                 if (!range) {
                     return res.status(400).json({
                         status: 'error',
                         error: {
                             code: 400,
-                            message: 'Range is required for write operations'
+                            message: `Range is required for ${access} operations`
                         }
                     });
                 }
 
-                const validation = this.validateRange(range, worksheetId);
+                const { validation, workbook, worksheetName: worksheet } = await this.checkWorkbookRange(
+                    req.accessToken, req.body, range, { worksheetId, worksheetName }, access
+                );
                 
                 if (!validation.allowed) {
                     logger.warn('Range access denied', {
-                        user: req.headers['x-user-id'] || 'anonymous',
+                        user: req.user?.id || 'anonymous',
+                        access,
                         range,
-                        worksheetId,
+                        worksheet,
+                        driveName: workbook?.driveName,
+                        itemPath: workbook?.itemPath,
                         reason: validation.reason,
                         ip: req.ip
                     });
 
+                    // Required lazily: the audit trail depends on this module (audit store filters)
+                    const auditService = require('../services/auditService');
+                    auditService.logPermissionCheck({
+                        ...auditService.createAuditContext(req),
+                        path: req.originalUrl,
+                        driveId: req.body.driveId,
+                        workbookId: req.body.itemId,
+                        worksheetId: worksheetId || worksheet,
+                        range,
+                        requestedPermission: access.toUpperCase(),
+                        granted: false,
+                        reason: validation.reason
+                    });
+
                     return res.status(403).json({
                         status: 'error',
                         error: {
                             code: 403,
                             message: 'Range access denied',
                             details: validation.reason,
-                            allowedRanges: this.allowedRanges
+                            allowedRanges: validation.allowedRanges || []
                         }
                     });
                 }
 
                 // Range is allowed, continue to next middleware
                 logger.debug('Range validation passed', {
-                    user: req.headers['x-user-id'] || 'anonymous',
+                    user: req.user?.id || 'anonymous',
+                    access,
                     range,
-                    worksheetId,
+                    worksheet,
                     reason: validation.reason
                 });
 
                 next();
 
             } catch (error) {
+                // Resolution errors (unknown drive, file or worksheet) keep their status
+                if (error instanceof AppError || isGraphError(error)) {
+                    return next(error);
+                }
+
                 logger.error('Range validation middleware error:', error);
                 return res.status(500).json({
                     status: 'error',
@@ -128,7 +128,7 @@ const createCustomLimiter = (options) => {
  */
 const dynamicLimiter = (req, res, next) => {
     const userType = req.headers['x-user-type'] || 'standard';
-    const userId = req.headers['x-user-id'];
+    const userId = req.user?.id;
 
     // Different limits based on user type
     let windowMs = 15 * 60 * 1000; // 15 minutes
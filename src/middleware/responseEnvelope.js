@@ -0,0 +1,61 @@
+/**
+ * Response Envelope Middleware
+ * Adapts responses to the { success, data, error } envelope promised by the
+ * GPT Actions spec (docs/gpt-actions-openapi.yaml)
+ */
+
+/**
+ * Convert a response body to the GPT Actions envelope
+ * @param {*} body - Body passed to res.json
+ * @param {number} statusCode - Response status code
+ * @returns {Object} Enveloped body
+ */
+const toGptEnvelope = (body, statusCode) => {
+    if (body && typeof body === 'object' && typeof body.success === 'boolean') {
+        return body;
+    }
+
+    if (statusCode < 400) {
+        return {
+            success: true,
+            data: body && typeof body === 'object' && 'data' in body ? body.data : body
+        };
+    }
+
+    // Errors come as { status, error: { code, message } } from the error handler
+    // or as { error, message, details } from validation and rate limiting
+    const error = body?.error;
+    const message = error && typeof error === 'object'
+        ? error.message
+        : [error, body?.message].filter(Boolean).join(': ');
+
+    const envelope = { success: false, error: message || 'Request failed' };
+    // Graph errors carry a middleware error code, a hint and Graph's request-id
+    if (typeof error?.code === 'string') {
+        envelope.code = error.code;
+        envelope.hint = error.hint;
+        envelope.requestId = error.requestId;
+    }
+    // A /batch where every operation failed keeps its per-operation errors in data
+    const details = body?.details || error?.details || body?.data;
+    if (details) {
+        envelope.details = details;
+    }
+    return envelope;
+};
+
+/**
+ * Express middleware wrapping res.json with the GPT Actions envelope
+ */
+const gptEnvelope = (req, res, next) => {
+    const originalJson = res.json;
+    res.json = function(body) {
+        return originalJson.call(this, toGptEnvelope(body, res.statusCode));
+    };
+    next();
+};
+
+module.exports = {
+    gptEnvelope,
+    toGptEnvelope
+};
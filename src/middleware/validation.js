@@ -5,6 +5,8 @@
 
 const Joi = require('joi');
 const logger = require('../config/logger');
+const { VALIDATION_PATTERNS, PERMISSIONS, EXCEL_OPERATIONS, GRAPH_API } = require('../utils/constants');
+const { decodeCursor } = require('../services/auditStore');
 
 // Common validation schemas
 const schemas = {
@@ -29,6 +31,9 @@ const schemas = {
     // Item Name (file name) validation
     itemName: Joi.string().min(1).max(255),
     
+    // Item Path validation (slash-delimited, e.g. "Finance/2026/Q3 Budget.xlsx")
+    itemPath: Joi.string().min(1).max(1024),
+    
     // Worksheet Name validation
     worksheetName: Joi.string().min(1).max(255),
     
@@ -42,50 +47,236 @@ const schemas = {
     rows: Joi.array().items(Joi.array()).min(1),
     
     // User ID validation
-    userId: Joi.string().email().optional()
+    userId: Joi.string().email().optional(),
+
+    // Workbook session from POST /api/excel/session
+    sessionId: Joi.string().uuid()
 };
 
-// Helper to require either IDs or names
-const idOrName = Joi.alternatives().try(
-    Joi.object({ driveId: schemas.driveId.required(), itemId: schemas.workbookId.required() }),
-    Joi.object({ driveName: schemas.driveName.required(), itemName: schemas.itemName.required() })
-);
+// Helper to require the workbook by IDs, names or a path:
+// drive by driveId or driveName, file by itemId, itemName or itemPath
+// ("sheetName" is accepted as an alias of worksheetName, as used by the GPT Actions spec)
+const idOrName = (keys = {}) => Joi.object({
+    driveId: schemas.driveId,
+    itemId: schemas.workbookId,
+    driveName: schemas.driveName,
+    itemName: schemas.itemName,
+    itemPath: schemas.itemPath,
+    ...keys
+})
+    .rename('sheetName', 'worksheetName', { ignoreUndefined: true })
+    .or('driveId', 'driveName')
+    .or('itemId', 'itemName', 'itemPath');
+
+// One /batch operation: the workbook by IDs, names or a path, as for the single endpoints.
+// Without dependsOn an operation runs after the previous one on the same workbook.
+const { READ_RANGE, WRITE_RANGE, READ_TABLE, ADD_TABLE_ROWS } = EXCEL_OPERATIONS;
+const batchOperation = idOrName({
+    id: Joi.string().max(64),
+    type: Joi.string().lowercase().valid(READ_RANGE, WRITE_RANGE, READ_TABLE, ADD_TABLE_ROWS).required(),
+    worksheetId: schemas.worksheetId.optional(),
+    worksheetName: schemas.worksheetName.optional(),
+    range: Joi.when('type', {
+        is: Joi.valid(READ_RANGE, WRITE_RANGE),
+        then: schemas.range.required(),
+        otherwise: Joi.forbidden()
+    }),
+    values: Joi.when('type', { is: WRITE_RANGE, then: schemas.values.required(), otherwise: Joi.forbidden() }),
+    tableName: Joi.when('type', {
+        is: Joi.valid(READ_TABLE, ADD_TABLE_ROWS),
+        then: schemas.tableName.required(),
+        otherwise: Joi.forbidden()
+    }),
+    rows: Joi.when('type', { is: ADD_TABLE_ROWS, then: schemas.rows.required(), otherwise: Joi.forbidden() }),
+    sessionId: schemas.sessionId,
+    dependsOn: Joi.array().items(Joi.string().max(64)).unique()
+});
+
+// Operation IDs default to the array index; dependsOn may only name earlier operations
+const batchOperations = Joi.array().items(batchOperation)
+    .min(1)
+    .max(GRAPH_API.LIMITS.MAX_BATCH_OPERATIONS)
+    .custom((operations, helpers) => {
+        const seen = new Set();
+        const withIds = operations.map((operation, index) => ({ ...operation, id: operation.id ?? String(index) }));
+        for (const operation of withIds) {
+            const unknown = (operation.dependsOn || []).find(id => !seen.has(id));
+            if (unknown !== undefined) {
+                return helpers.message(`Operation "${operation.id}" depends on "${unknown}", which is not an earlier operation`);
+            }
+            if (seen.has(operation.id)) {
+                return helpers.message(`Duplicate operation id "${operation.id}"`);
+            }
+            seen.add(operation.id);
+        }
+        return withIds;
+    });
+
+// Audit log filters shared by the query and export endpoints
+const auditQuery = Joi.object({
+    user: Joi.string().max(255),
+    operation: Joi.string().pattern(/^[A-Z_]+(,[A-Z_]+)*$/)
+        .messages({ 'string.pattern.base': '"operation" must be one or more comma-separated operation types' }),
+    fileName: Joi.string().max(255),
+    driveId: schemas.driveId,
+    itemId: schemas.workbookId,
+    range: schemas.range.optional(),
+    startDate: Joi.date().iso(),
+    endDate: Joi.date().iso(),
+    success: Joi.boolean(),
+    cursor: Joi.string().max(512).custom((value, helpers) => {
+        try {
+            decodeCursor(value);
+            return value;
+        } catch (error) {
+            return helpers.message('"cursor" is not a valid cursor');
+        }
+    }),
+    limit: Joi.number().integer().min(1).default(50)
+});
 
 // Request validation schemas
 const requestSchemas = {
     // Read range request
-    readRange: idOrName.concat(Joi.object({
+    readRange: idOrName({
         // worksheet can be provided via worksheetId or worksheetName or inferred from range prefix
         worksheetId: schemas.worksheetId.optional(),
         worksheetName: schemas.worksheetName.optional(),
-        range: schemas.range.required()
-    })),
+        range: schemas.range.required(),
+        sessionId: schemas.sessionId
+    }),
     
-    // Write range request
-    writeRange: idOrName.concat(Joi.object({
+    // Write range request; ifMatch is the file eTag from a read, or the values the range
+    // is expected to hold (same shape as values, null for cells not to check)
+    writeRange: idOrName({
         worksheetId: schemas.worksheetId.optional(),
         worksheetName: schemas.worksheetName.optional(),
         range: schemas.range.required(),
-        values: schemas.values.required()
-    })),
+        values: schemas.values.required(),
+        ifMatch: Joi.alternatives().try(Joi.string().min(1).max(255), schemas.values),
+        sessionId: schemas.sessionId
+    }).custom((body, helpers) => {
+        const { ifMatch, values } = body;
+        if (Array.isArray(ifMatch) && (ifMatch.length !== values.length
+            || ifMatch.some((row, r) => row.length !== values[r].length))) {
+            return helpers.message('"ifMatch" values must have the same shape as "values"');
+        }
+        return body;
+    }),
     
     // Read table request
-    readTable: idOrName.concat(Joi.object({
+    readTable: idOrName({
         worksheetId: schemas.worksheetId.optional(),
         worksheetName: schemas.worksheetName.optional(),
-        tableName: schemas.tableName.required()
-    })),
+        tableName: schemas.tableName.required(),
+        sessionId: schemas.sessionId
+    }),
     
     // Add table rows request
-    addTableRows: idOrName.concat(Joi.object({
+    addTableRows: idOrName({
         worksheetId: schemas.worksheetId.optional(),
         worksheetName: schemas.worksheetName.optional(),
         tableName: schemas.tableName.required(),
-        rows: schemas.rows.required()
-    })),
+        rows: schemas.rows.required(),
+        sessionId: schemas.sessionId
+    }),
     
     // Get worksheets request
-    getWorksheets: idOrName
+    getWorksheets: idOrName(),
+    
+    // List items in a drive folder (query string)
+    listItems: Joi.object({
+        driveId: schemas.driveId,
+        driveName: schemas.driveName,
+        folderPath: schemas.itemPath.allow(''),
+        pageToken: Joi.string().max(4096),
+        top: Joi.number().integer().min(1).max(999).default(200),
+        excelOnly: Joi.boolean().default(true)
+    }).or('driveId', 'driveName'),
+    
+    // Create worksheet request
+    createSheet: idOrName({
+        name: Joi.string().pattern(VALIDATION_PATTERNS.WORKSHEET_NAME).required(),
+        sessionId: schemas.sessionId
+    }),
+    
+    // Clear range request
+    clearRange: idOrName({
+        worksheetId: schemas.worksheetId.optional(),
+        worksheetName: schemas.worksheetName.optional(),
+        range: schemas.range.required(),
+        applyTo: Joi.string().valid('all', 'formats', 'contents').default('contents'),
+        sessionId: schemas.sessionId
+    }),
+    
+    // Delete worksheet request
+    deleteSheet: idOrName({
+        worksheetId: schemas.worksheetId.optional(),
+        worksheetName: schemas.worksheetName.optional(),
+        sessionId: schemas.sessionId
+    }).or('worksheetId', 'worksheetName'),
+
+    // Open a workbook session; persistChanges false discards its changes when it closes
+    openSession: idOrName({
+        persistChanges: Joi.boolean().default(true)
+    }),
+
+    // Close a workbook session (route parameter)
+    sessionParams: Joi.object({
+        sessionId: schemas.sessionId.required()
+    }),
+
+    // Batch of range and table operations; atomic batches undo their writes if one fails
+    batch: Joi.object({
+        operations: batchOperations.required(),
+        atomic: Joi.boolean().default(false)
+    }),
+
+    // Audit log query (query string)
+    auditQuery: auditQuery,
+
+    // Audit log export (query string); limit is optional and uncapped
+    auditExport: auditQuery.keys({
+        format: Joi.string().valid('csv', 'jsonl').default('jsonl'),
+        limit: Joi.number().integer().min(1)
+    }),
+
+    // Audit entry diff (query string)
+    auditDiff: Joi.object({
+        format: Joi.string().valid('json', 'html').default('json')
+    }),
+
+    // Audit activity report (query string); the period defaults to the last 30 days
+    auditReport: Joi.object({
+        startDate: Joi.date().iso(),
+        endDate: Joi.date().iso().when('startDate', { is: Joi.exist(), then: Joi.date().min(Joi.ref('startDate')) }),
+        user: Joi.string().max(255),
+        fileName: Joi.string().max(255),
+        driveId: schemas.driveId,
+        itemId: schemas.workbookId,
+        top: Joi.number().integer().min(1).max(100).default(10),
+        format: Joi.string().valid('json', 'csv').default('json')
+    }),
+
+    // Undo an audited write
+    undo: Joi.object({
+        auditId: Joi.string().min(1).max(100).required(),
+        sessionId: schemas.sessionId
+    }),
+
+    // Permission grant/revoke (admin API)
+    permissionChange: Joi.object({
+        resourceType: Joi.string().valid('workbook', 'worksheet', 'range', 'table').required(),
+        resourceId: Joi.string().min(1).max(1024).required(),
+        userId: Joi.string().min(1).max(255).required(),
+        permission: Joi.string().valid(PERMISSIONS.READ, PERMISSIONS.WRITE, PERMISSIONS.ADMIN).required()
+    }),
+
+    // Group membership change (admin API)
+    groupMember: Joi.object({
+        group: Joi.string().pattern(/^[A-Za-z0-9._-]{1,100}$/).required(),
+        member: Joi.string().min(1).max(255).required()
+    })
 };
 
 /**
@@ -190,7 +381,9 @@ const validateRangeValuesCompatibility = (req, res, next) => {
     }
 
     try {
-        const rangeParts = range.split(':');
+        // Ignore a Sheet1! prefix; only the address determines the shape
+        const address = range.includes('!') ? range.slice(range.lastIndexOf('!') + 1) : range;
+        const rangeParts = address.split(':');
         if (rangeParts.length === 2) {
             const startCell = rangeParts[0];
             const endCell = rangeParts[1];
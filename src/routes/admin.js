@@ -0,0 +1,94 @@
+/**
+ * Admin API Routes
+ * Permission store and group management; restricted to global admins
+ */
+
+const express = require('express');
+const router = express.Router();
+
+// Controllers
+const permissionController = require('../controllers/permissionController');
+
+// Middleware
+const { authenticateCaller, requireAdmin } = require('../auth/middleware');
+const { validateRequest, sanitizeRequest } = require('../middleware/validation');
+const { writeLimiter } = require('../middleware/rateLimiter');
+
+// Apply common middleware to all routes
+router.use(sanitizeRequest);
+router.use(authenticateCaller);
+router.use(requireAdmin);
+
+/**
+ * @route GET /api/admin/permissions
+ * @desc Get all ACL entries (admins, workbooks, worksheets, ranges, tables, defaults)
+ * @access Admin
+ */
+router.get('/permissions', permissionController.listPermissions);
+
+/**
+ * @route GET /api/admin/permissions/users/:userId
+ * @desc Get a user's effective permissions
+ * @access Admin
+ */
+router.get('/permissions/users/:userId', permissionController.getUserPermissions);
+
+/**
+ * @route GET /api/admin/permissions/:resourceType
+ * @desc Get ACL entries of one resource type (workbooks, worksheets, ranges, tables)
+ * @access Admin
+ */
+router.get('/permissions/:resourceType', permissionController.listPermissions);
+
+/**
+ * @route POST /api/admin/permissions/grant
+ * @desc Grant read, write or admin permission on a resource to a user
+ * @access Admin
+ */
+router.post('/permissions/grant',
+    writeLimiter,
+    validateRequest('permissionChange', 'body'),
+    permissionController.grantPermission
+);
+
+/**
+ * @route POST /api/admin/permissions/revoke
+ * @desc Revoke a user's permission on a resource
+ * @access Admin
+ */
+router.post('/permissions/revoke',
+    writeLimiter,
+    validateRequest('permissionChange', 'body'),
+    permissionController.revokePermission
+);
+
+/**
+ * @route GET /api/admin/groups
+ * @desc Get all groups with members and Entra ID mappings
+ * @access Admin
+ */
+router.get('/groups', permissionController.listGroups);
+
+/**
+ * @route POST /api/admin/groups/add-member
+ * @desc Add a user or nested group ("group:<name>") to a group, creating the group if needed
+ * @access Admin
+ */
+router.post('/groups/add-member',
+    writeLimiter,
+    validateRequest('groupMember', 'body'),
+    permissionController.addGroupMember
+);
+
+/**
+ * @route POST /api/admin/groups/remove-member
+ * @desc Remove a user or nested group from a group
+ * @access Admin
+ */
+router.post('/groups/remove-member',
+    writeLimiter,
+    validateRequest('groupMember', 'body'),
+    permissionController.removeGroupMember
+);
+
+module.exports = router;
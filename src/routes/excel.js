@@ -8,16 +8,20 @@ const router = express.Router();
 
 // Controllers
 const excelController = require('../controllers/excelController');
+const resolverService = require('../services/resolverService');
 
 // Middleware
-const { ensureAuthenticated, logAuthenticatedRequest } = require('../auth/middleware');
+const { authenticateCaller, requireScope, ensureAuthenticated, logAuthenticatedRequest } = require('../auth/middleware');
 const { validateRequest, validateRangeValuesCompatibility, sanitizeRequest } = require('../middleware/validation');
 const { writeLimiter, generalLimiter } = require('../middleware/rateLimiter');
 const rangeValidator = require('../middleware/rangeValidator');
-const auditLogger = require('../middleware/auditLogger');
+const { AUTH } = require('../utils/constants');
+
+const { READ, WRITE, AUDIT } = AUTH.CALLER_SCOPES;
 
 // Apply common middleware to all routes
 router.use(sanitizeRequest);
+router.use(authenticateCaller); // Verify the caller before acquiring a Graph token
 router.use(ensureAuthenticated);
 router.use(logAuthenticatedRequest);
 router.use(generalLimiter);
@@ -27,7 +31,25 @@ router.use(generalLimiter);
  * @desc Get all accessible workbooks
  * @access Private
  */
-router.get('/workbooks', excelController.getWorkbooks);
+router.get('/workbooks', requireScope(READ), excelController.getWorkbooks);
+
+/**
+ * @route GET /api/excel/drives
+ * @desc List drives (document libraries) in the SharePoint site
+ * @access Private
+ */
+router.get('/drives', requireScope(READ), excelController.listDrives);
+
+/**
+ * @route GET /api/excel/items
+ * @desc List workbooks and folders in a drive folder (paged)
+ * @access Private
+ */
+router.get('/items',
+    requireScope(READ),
+    validateRequest('listItems', 'query'),
+    excelController.listItems
+);
 
 /**
  * @route GET /api/excel/worksheets
@@ -35,6 +57,7 @@ router.get('/workbooks', excelController.getWorkbooks);
  * @access Private
  */
 router.get('/worksheets', 
+    requireScope(READ),
     validateRequest('getWorksheets', 'query'),
     excelController.getWorksheets
 );
@@ -45,7 +68,9 @@ router.get('/worksheets',
  * @access Private
  */
 router.post('/read', 
+    requireScope(READ),
     validateRequest('readRange', 'body'),
+    rangeValidator.middleware('read'), // Validate read rules for the workbook
     excelController.readRange
 );
 
@@ -55,10 +80,10 @@ router.post('/read',
  * @access Private
  */
 router.post('/write', 
+    requireScope(WRITE),
     writeLimiter, // Apply stricter rate limiting for write operations
-    auditLogger.middleware(), // Log all write operations
-    rangeValidator.middleware(), // Validate range permissions
     validateRequest('writeRange', 'body'),
+    rangeValidator.middleware(), // Validate range permissions
     validateRangeValuesCompatibility,
     excelController.writeRange
 );
@@ -69,6 +94,7 @@ router.post('/write',
  * @access Private
  */
 router.post('/read-table', 
+    requireScope(READ),
     validateRequest('readTable', 'body'),
     excelController.readTable
 );
@@ -79,21 +105,94 @@ router.post('/read-table',
  * @access Private
  */
 router.post('/add-table-rows', 
+    requireScope(WRITE),
     writeLimiter, // Apply stricter rate limiting for write operations
-    auditLogger.middleware(), // Log all write operations
-    rangeValidator.middleware(), // Validate range permissions
     validateRequest('addTableRows', 'body'),
+    rangeValidator.middleware(), // Validate range permissions
     excelController.addTableRows
 );
 
+/**
+ * @route POST /api/excel/create-sheet
+ * @desc Add a worksheet to a workbook
+ * @access Private
+ */
+router.post('/create-sheet',
+    requireScope(WRITE),
+    writeLimiter,
+    validateRequest('createSheet', 'body'),
+    excelController.createWorksheet
+);
+
+/**
+ * @route POST /api/excel/delete
+ * @desc Clear a range (contents, formats or all)
+ * @access Private
+ */
+router.post('/delete',
+    requireScope(WRITE),
+    writeLimiter,
+    validateRequest('clearRange', 'body'),
+    rangeValidator.middleware(), // Clearing a locked range is a write
+    excelController.clearRange
+);
+
+/**
+ * @route POST /api/excel/undo
+ * @desc Restore the values an audited write replaced (409 if the cells changed since)
+ * @access Private
+ */
+router.post('/undo',
+    requireScope(WRITE),
+    writeLimiter,
+    validateRequest('undo', 'body'),
+    excelController.undoWrite // Range rules are checked against the audited range
+);
+
+/**
+ * @route POST /api/excel/delete-sheet
+ * @desc Delete a worksheet from a workbook
+ * @access Private
+ */
+router.post('/delete-sheet',
+    requireScope(WRITE),
+    writeLimiter,
+    validateRequest('deleteSheet', 'body'),
+    excelController.deleteWorksheet
+);
+
 /**
  * @route POST /api/excel/batch
- * @desc Perform batch Excel operations
+ * @desc Perform batch Excel operations through Graph JSON batching
  * @access Private
  */
 router.post('/batch', 
+    requireScope(WRITE),
     writeLimiter, // Apply stricter rate limiting since this can include writes
-    excelController.batchOperations
+    validateRequest('batch', 'body'),
+    excelController.batchOperations // Permissions and range rules are checked per operation
+);
+
+/**
+ * @route POST /api/excel/session
+ * @desc Open a workbook session; pass its sessionId to later calls on the workbook
+ * @access Private
+ */
+router.post('/session',
+    requireScope(READ),
+    validateRequest('openSession', 'body'),
+    excelController.openSession
+);
+
+/**
+ * @route DELETE /api/excel/session/:sessionId
+ * @desc Close a workbook session
+ * @access Private
+ */
+router.delete('/session/:sessionId',
+    requireScope(READ),
+    validateRequest('sessionParams', 'params'),
+    excelController.closeSession
 );
 
 /**
@@ -102,16 +201,81 @@ router.post('/batch',
  * @access Private
  */
 router.get('/metadata', 
+    requireScope(READ),
     excelController.getFileMetadata
 );
 
+/**
+ * @route GET /api/excel/range-permissions
+ * @desc Get the active range rules and when they were last loaded
+ * @access Private
+ */
+router.get('/range-permissions',
+    requireScope(READ),
+    excelController.getRangePermissions
+);
+
 /**
  * @route GET /api/excel/logs
- * @desc Get audit logs
+ * @desc Get a page of audit logs (cursor pagination)
  * @access Private
  */
 router.get('/logs', 
+    requireScope(AUDIT),
+    validateRequest('auditQuery', 'query'),
     require('../controllers/auditController').getAuditLogs
 );
 
+/**
+ * @route GET /api/excel/logs/export
+ * @desc Stream audit log entries as CSV or JSON Lines
+ * @access Private
+ */
+router.get('/logs/export',
+    requireScope(AUDIT),
+    validateRequest('auditExport', 'query'),
+    require('../controllers/auditController').exportAuditLogs
+);
+
+/**
+ * @route GET /api/excel/logs/verify
+ * @desc Verify the audit hash chain and report the first broken link
+ * @access Private
+ */
+router.get('/logs/verify',
+    requireScope(AUDIT),
+    require('../controllers/auditController').verifyAuditChain
+);
+
+/**
+ * @route GET /api/excel/logs/report
+ * @desc Audit activity report (JSON, or CSV with format=csv)
+ * @access Private
+ */
+router.get('/logs/report',
+    requireScope(AUDIT),
+    validateRequest('auditReport', 'query'),
+    require('../controllers/auditController').getAuditReport
+);
+
+/**
+ * @route GET /api/excel/logs/:id/diff
+ * @desc Cell-level diff of an audited write (JSON, or HTML with format=html)
+ * @access Private
+ */
+router.get('/logs/:id/diff',
+    requireScope(AUDIT),
+    validateRequest('auditDiff', 'query'),
+    require('../controllers/auditController').getAuditDiff
+);
+
+// Graph answered 404 for an ID the request may have been resolved to from the name cache:
+// drop those names so the next request looks them up again
+router.use((err, req, res, next) => {
+    if (err.code !== 'ITEM_NOT_FOUND') {
+        return next(err);
+    }
+    resolverService.forgetNames({ ...req.query, ...req.body }).finally(() => next(err));
+});
+
 module.exports = router;
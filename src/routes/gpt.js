@@ -0,0 +1,43 @@
+/**
+ * GPT Actions Routes
+ * Exposes the Excel API under the paths of docs/gpt-actions-openapi.yaml
+ * (/list-drives, /list-items, /excel/*) with the { success, data, error } envelope.
+ * Requests are served by the same router and controllers as /api/excel.
+ */
+
+const express = require('express');
+const router = express.Router();
+
+const excelRoutes = require('./excel');
+const { gptEnvelope } = require('../middleware/responseEnvelope');
+
+// The discovery aliases rewrite the URL and fall through to the /excel mount below
+
+/**
+ * @route GET /list-drives
+ * @desc Alias of GET /api/excel/drives
+ * @access Private
+ */
+router.get('/list-drives', (req, res, next) => {
+    req.url = req.url.replace('/list-drives', '/excel/drives');
+    next();
+});
+
+/**
+ * @route GET /list-items
+ * @desc Alias of GET /api/excel/items
+ * @access Private
+ */
+router.get('/list-items', (req, res, next) => {
+    req.url = req.url.replace('/list-items', '/excel/items');
+    next();
+});
+
+/**
+ * @route /excel/*
+ * @desc Same endpoints as /api/excel/*
+ * @access Private
+ */
+router.use('/excel', gptEnvelope, excelRoutes);
+
+module.exports = router;
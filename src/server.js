@@ -1,197 +1,25 @@
 /**
  * Main Server File
- * Express server setup with all middleware and routes
+ * Standalone HTTP server around the shared Express app (see src/app.js)
  */
 
-require('dotenv').config();
-require('express-async-errors');
-
-const express = require('express');
-const helmet = require('helmet');
-const cors = require('cors');
+const { createApp } = require('./app');
 
 // Import middleware
-const { globalErrorHandler, handleNotFound, handleUnhandledRejections } = require('./middleware/errorHandler');
-const { generalLimiter } = require('./middleware/rateLimiter');
-
-// Import routes
-const excelRoutes = require('./routes/excel');
-const healthRoutes = require('./routes/health');
+const { handleUnhandledRejections } = require('./middleware/errorHandler');
 
 // Import services
 const logger = require('./config/logger');
 const auditService = require('./services/auditService');
+const sessionManager = require('./services/sessionManager');
 
 // Handle unhandled rejections and exceptions
 handleUnhandledRejections();
 
 class Server {
     constructor() {
-        this.app = express();
+        this.app = createApp();
         this.port = process.env.PORT || 3000;
-        this.setupMiddleware();
-        this.setupRoutes();
-        this.setupErrorHandling();
-    }
-
-    /**
-     * Setup Express middleware
-     */
-    setupMiddleware() {
-        // Trust proxy if behind reverse proxy
-        if (process.env.TRUST_PROXY === 'true') {
-            this.app.set('trust proxy', 1);
-        }
-
-        // Security middleware
-        this.app.use(helmet({
-            contentSecurityPolicy: false, // Simplified for API
-            crossOriginEmbedderPolicy: false,
-            hsts: {
-                maxAge: 31536000,
-                includeSubDomains: true,
-                preload: true
-            }
-        }));
-
-        // CORS configuration
-        const corsOptions = {
-            origin: process.env.ALLOWED_ORIGINS?.split(',').map(origin => origin.trim()) || ['http://localhost:3000'],
-            credentials: true,
-            optionsSuccessStatus: 200
-        };
-        this.app.use(cors(corsOptions));
-
-        // Body parsing middleware
-        this.app.use(express.json({ 
-            limit: process.env.MAX_REQUEST_SIZE || '10mb',
-            strict: true
-        }));
-        this.app.use(express.urlencoded({ 
-            extended: true, 
-            limit: process.env.MAX_REQUEST_SIZE || '10mb'
-        }));
-
-        // Request ID middleware
-        this.app.use((req, res, next) => {
-            req.id = require('uuid').v4();
-            res.setHeader('X-Request-ID', req.id);
-            next();
-        });
-
-        // Request logging middleware
-        this.app.use((req, res, next) => {
-            const start = Date.now();
-            
-            res.on('finish', () => {
-                const duration = Date.now() - start;
-                logger.info('HTTP Request', {
-                    requestId: req.id,
-                    method: req.method,
-                    url: req.originalUrl,
-                    statusCode: res.statusCode,
-                    duration: `${duration}ms`,
-                    ip: req.ip,
-                    userAgent: req.get('User-Agent')
-                });
-            });
-            
-            next();
-        });
-
-        // Apply general rate limiting
-        this.app.use(generalLimiter);
-    }
-
-    /**
-     * Setup application routes
-     */
-    setupRoutes() {
-        // Health check routes (no authentication required)
-        this.app.use('/health', healthRoutes);
-
-        // API routes
-        this.app.use('/api/excel', excelRoutes);
-
-        // Root endpoint
-        this.app.get('/', (req, res) => {
-            res.json({
-                service: 'Excel GPT Middleware',
-                version: process.env.npm_package_version || '1.0.0',
-                status: 'running',
-                timestamp: new Date().toISOString(),
-                endpoints: {
-                    health: '/health',
-                    api: '/api/excel',
-                    documentation: '/api/docs'
-                }
-            });
-        });
-
-        // API documentation endpoint
-        this.app.get('/api/docs', (req, res) => {
-            res.json({
-                service: 'Excel GPT Middleware API',
-                version: '1.0.0',
-                endpoints: {
-                    workbooks: {
-                        method: 'GET',
-                        path: '/api/excel/workbooks',
-                        description: 'Get all accessible workbooks'
-                    },
-                    worksheets: {
-                        method: 'GET',
-                        path: '/api/excel/worksheets',
-                        description: 'Get worksheets in a workbook',
-                        parameters: ['driveId', 'itemId']
-                    },
-                    readRange: {
-                        method: 'POST',
-                        path: '/api/excel/read',
-                        description: 'Read data from Excel range',
-                        body: ['driveId', 'itemId', 'worksheetId', 'range']
-                    },
-                    writeRange: {
-                        method: 'POST',
-                        path: '/api/excel/write',
-                        description: 'Write data to Excel range',
-                        body: ['driveId', 'itemId', 'worksheetId', 'range', 'values']
-                    },
-                    readTable: {
-                        method: 'POST',
-                        path: '/api/excel/read-table',
-                        description: 'Read data from Excel table',
-                        body: ['driveId', 'itemId', 'worksheetId', 'tableName']
-                    },
-                    addTableRows: {
-                        method: 'POST',
-                        path: '/api/excel/add-table-rows',
-                        description: 'Add rows to Excel table',
-                        body: ['driveId', 'itemId', 'worksheetId', 'tableName', 'rows']
-                    },
-                    batch: {
-                        method: 'POST',
-                        path: '/api/excel/batch',
-                        description: 'Perform batch Excel operations',
-                        body: ['operations']
-                    }
-                },
-                authentication: {
-                    type: 'Azure AD Client Credentials',
-                    description: 'Automatic authentication using Azure AD service principal'
-                }
-            });
-        });
-
-        // Handle 404 for undefined routes
-        this.app.use(handleNotFound);
-    }
-
-    /**
-     * Setup error handling
-     */
-    setupErrorHandling() {
-        this.app.use(globalErrorHandler);
     }
 
     /**
@@ -250,6 +78,9 @@ class Server {
                 details: { signal }
             });
 
+            // Graph would close them once idle; closing now releases them sooner
+            sessionManager.closeAll().catch(error => logger.warn('Could not close workbook sessions:', error.message));
+
             this.server.close((err) => {
                 if (err) {
                     logger.error('Error during server shutdown:', err);
@@ -0,0 +1,182 @@
+/**
+ * Audit Chain
+ * Makes the audit trail tamper-evident: every entry carries a sequence number, the hash
+ * of the previous entry and its own SHA-256 hash over a canonical JSON form. With
+ * AUDIT_HMAC_KEY set, each hash is also signed with HMAC-SHA256, so the chain cannot be
+ * recomputed by someone who can edit the store but does not hold the key.
+ */
+
+const crypto = require('crypto');
+const logger = require('../config/logger');
+
+// prevHash of the first entry ever written
+const GENESIS_HASH = '0'.repeat(64);
+
+// Fields added by the chain; excluded from the hashed content
+const SEAL_FIELDS = ['hash', 'signature'];
+
+/**
+ * Serialize a value as JSON with object keys sorted, so equal entries hash equally
+ * @param {*} value - JSON-compatible value
+ * @returns {string} Canonical JSON
+ */
+const canonicalize = (value) => {
+    if (Array.isArray(value)) {
+        return `[${value.map(canonicalize).join(',')}]`;
+    }
+    if (value && typeof value === 'object') {
+        return `{${Object.keys(value).sort()
+            .map(key => `${JSON.stringify(key)}:${canonicalize(value[key])}`)
+            .join(',')}}`;
+    }
+    return JSON.stringify(value);
+};
+
+/**
+ * Compare two hex strings in constant time
+ * @param {string} expected - Expected hex value
+ * @param {string} actual - Presented hex value
+ * @returns {boolean} True if equal
+ */
+const hexEqual = (expected, actual) => {
+    const a = Buffer.from(expected, 'hex');
+    const b = Buffer.from(String(actual), 'hex');
+    return a.length === b.length && crypto.timingSafeEqual(a, b);
+};
+
+class AuditChain {
+    constructor() {
+        this.hmacKey = process.env.AUDIT_HMAC_KEY || null;
+
+        if (!this.hmacKey) {
+            logger.info('AUDIT_HMAC_KEY is not set; audit entries are hash-chained but not signed');
+        }
+    }
+
+    /**
+     * Hash an entry's content (everything except hash and signature)
+     * @param {Object} entry - Audit entry with seq and prevHash
+     * @returns {string} Hex SHA-256
+     */
+    computeHash(entry) {
+        // Round-trip through JSON so the hash matches what the store reads back
+        const content = JSON.parse(JSON.stringify(entry));
+        SEAL_FIELDS.forEach(field => delete content[field]);
+        return crypto.createHash('sha256').update(canonicalize(content)).digest('hex');
+    }
+
+    /**
+     * HMAC signature of an entry hash
+     * @param {string} hash - Entry hash
+     * @returns {string|null} Hex HMAC-SHA256, or null without a key
+     */
+    sign(hash) {
+        return this.hmacKey
+            ? crypto.createHmac('sha256', this.hmacKey).update(hash).digest('hex')
+            : null;
+    }
+
+    /**
+     * Link an entry to the chain head
+     * @param {Object} entry - Audit entry
+     * @param {Object|null} head - { seq, hash } of the previous entry, or null for the first
+     * @returns {Object} New entry with seq, prevHash, hash and (with a key) signature
+     */
+    seal(entry, head) {
+        const sealed = {
+            ...entry,
+            seq: head ? head.seq + 1 : 1,
+            prevHash: head ? head.hash : GENESIS_HASH
+        };
+        SEAL_FIELDS.forEach(field => delete sealed[field]);
+
+        sealed.hash = this.computeHash(sealed);
+        const signature = this.sign(sealed.hash);
+        if (signature) {
+            sealed.signature = signature;
+        }
+        return sealed;
+    }
+
+    /**
+     * Walk entries in append order and report the first broken link.
+     * Entries written before chaining was enabled (no seq) are skipped until the first
+     * chained entry. The first chained entry is the anchor: its prevHash is trusted, as
+     * earlier entries may have been removed by retention.
+     * @param {AsyncIterable<Object>} entries - Entries, oldest first
+     * @returns {Promise<Object>} Verification result
+     */
+    async verify(entries) {
+        const result = {
+            valid: true,
+            checkedEntries: 0,
+            unchainedEntries: 0,
+            signedEntries: 0,
+            signaturesVerified: Boolean(this.hmacKey),
+            anchor: null,
+            head: null,
+            firstBrokenLink: null
+        };
+        let previous = null;
+        let signing = false;
+
+        const broken = (entry, reason) => {
+            result.valid = false;
+            result.firstBrokenLink = {
+                seq: entry.seq ?? null,
+                id: entry.id ?? null,
+                timestamp: entry.timestamp ?? null,
+                reason
+            };
+        };
+
+        for await (const entry of entries) {
+            if (!previous && entry.seq === undefined) {
+                result.unchainedEntries += 1;
+                continue;
+            }
+
+            result.checkedEntries += 1;
+
+            if (!Number.isInteger(entry.seq) || typeof entry.prevHash !== 'string' || typeof entry.hash !== 'string') {
+                broken(entry, 'Entry is missing its chain fields');
+                break;
+            }
+            if (previous && entry.seq !== previous.seq + 1) {
+                broken(entry, `Sequence jumps from ${previous.seq} to ${entry.seq}; entries were removed or reordered`);
+                break;
+            }
+            if (previous && entry.prevHash !== previous.hash) {
+                broken(entry, 'prevHash does not match the previous entry; entries were removed, inserted or altered');
+                break;
+            }
+            if (this.computeHash(entry) !== entry.hash) {
+                broken(entry, 'Entry content does not match its hash; the entry was altered');
+                break;
+            }
+
+            if (entry.signature) {
+                result.signedEntries += 1;
+                signing = true;
+                if (this.hmacKey && !hexEqual(this.sign(entry.hash), entry.signature)) {
+                    broken(entry, 'Signature does not match; the entry was altered or signed with another key');
+                    break;
+                }
+            } else if (signing) {
+                // Once signing starts, an unsigned entry means the chain was rewritten
+                broken(entry, 'Entry is not signed although earlier entries are');
+                break;
+            }
+
+            if (!previous) {
+                result.anchor = { seq: entry.seq, prevHash: entry.prevHash, genesis: entry.prevHash === GENESIS_HASH };
+            }
+            previous = entry;
+            result.head = { seq: entry.seq, hash: entry.hash };
+        }
+
+        return result;
+    }
+}
+
+module.exports = new AuditChain();
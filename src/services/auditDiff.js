@@ -0,0 +1,164 @@
+/**
+ * Audit Diff
+ * Cell-level differences between the old and new values of an audited range write,
+ * so reviewers see which cells changed instead of comparing two matrices.
+ */
+
+const rangeValidator = require('../middleware/rangeValidator');
+const { AUDIT_STORE } = require('../utils/constants');
+const { columnNumberToLetter, cellStillHolds } = require('../utils/helpers');
+
+const isFormula = (value) => typeof value === 'string' && value.startsWith('=');
+
+/**
+ * Escape text for HTML element content and attribute values
+ * @param {*} value - Value to escape
+ * @returns {string} Escaped text
+ */
+const escapeHtml = (value) => String(value ?? '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+
+/**
+ * Display form of a cell value
+ * @param {*} value - Cell value
+ * @returns {string} Text shown in the HTML view
+ */
+const displayValue = (value) => (value === null || value === undefined || value === '' ? '(empty)' : String(value));
+
+class AuditDiff {
+    /**
+     * Compute the changed cells of a range write.
+     * Cells written as null were left untouched by Graph and are skipped; a cleared range
+     * (newValues null, applyTo other than formats) is compared against empty cells.
+     * @param {Object} entry - Audit entry with range, oldValues, newValues and optional oldFormulas
+     * @returns {Object|null} { cellsCompared, cellsChanged, changes }, or null if the entry
+     *                        has no before and after values for a range
+     */
+    compute(entry) {
+        if (!entry.range || !Array.isArray(entry.oldValues)) {
+            return null;
+        }
+
+        let written = entry.newValues;
+        if (written === null && entry.applyTo !== 'formats') {
+            written = entry.oldValues.map(row => row.map(() => ''));
+        }
+        if (!Array.isArray(written)) {
+            return null;
+        }
+
+        let startCell;
+        try {
+            ({ startCell } = rangeValidator.parseRangeAddress(entry.range));
+        } catch (error) {
+            return null;
+        }
+
+        const oldFormulas = Array.isArray(entry.oldFormulas) ? entry.oldFormulas : [];
+        const changes = [];
+        let cellsCompared = 0;
+
+        written.forEach((row, r) => {
+            (Array.isArray(row) ? row : []).forEach((newValue, c) => {
+                if (newValue === null || newValue === undefined) {
+                    return;
+                }
+                cellsCompared += 1;
+
+                const oldValue = entry.oldValues[r]?.[c] ?? null;
+                const oldFormula = isFormula(oldFormulas[r]?.[c]) ? oldFormulas[r][c] : null;
+                // Replacing a formula with its own result still changes the cell
+                const unchanged = cellStillHolds(newValue, oldValue, oldFormula) && !(oldFormula && !isFormula(newValue));
+                if (unchanged) {
+                    return;
+                }
+
+                const change = {
+                    address: `${columnNumberToLetter(startCell.col + c)}${startCell.row + r}`,
+                    oldValue,
+                    newValue
+                };
+                if (oldFormula) {
+                    change.oldFormula = oldFormula;
+                }
+                changes.push(change);
+            });
+        });
+
+        return { cellsCompared, cellsChanged: changes.length, changes };
+    }
+
+    /**
+     * Diff to store with an audit entry. Large diffs keep the counts only and are
+     * recomputed from oldValues and newValues when requested.
+     * @param {Object} entry - Audit entry
+     * @returns {Object|null} Diff, or null if there is nothing to compare
+     */
+    forEntry(entry) {
+        if (entry.success === false) {
+            return null;
+        }
+        const diff = this.compute(entry);
+        if (diff && diff.cellsChanged > AUDIT_STORE.MAX_STORED_DIFF_CELLS) {
+            return { cellsCompared: diff.cellsCompared, cellsChanged: diff.cellsChanged, truncated: true };
+        }
+        return diff;
+    }
+
+    /**
+     * Render a diff as a standalone HTML page
+     * @param {Object} entry - Audit entry
+     * @param {Object} diff - Diff from compute()
+     * @returns {string} HTML document
+     */
+    renderHtml(entry, diff) {
+        const sheet = entry.worksheetName || entry.worksheetId || '';
+        const title = `Audit ${entry.id}: ${entry.operation} ${sheet ? `${sheet}!` : ''}${entry.range}`;
+        const rows = diff.changes.map(change => `
+            <tr>
+                <td class="address">${escapeHtml(change.address)}</td>
+                <td class="old">${escapeHtml(displayValue(change.oldValue))}${change.oldFormula
+                    ? ` <span class="formula">${escapeHtml(change.oldFormula)}</span>` : ''}</td>
+                <td class="new">${escapeHtml(displayValue(change.newValue))}</td>
+            </tr>`).join('');
+
+        return `<!DOCTYPE html>
+<html lang="en">
+<head>
+    <meta charset="utf-8">
+    <title>${escapeHtml(title)}</title>
+    <style>
+        body { font-family: sans-serif; margin: 2em; color: #222; }
+        dl { display: grid; grid-template-columns: max-content auto; gap: 0.25em 1em; }
+        dt { font-weight: bold; }
+        table { border-collapse: collapse; margin-top: 1em; }
+        th, td { border: 1px solid #ccc; padding: 0.3em 0.6em; text-align: left; font-family: monospace; }
+        .old { background: #fdecea; text-decoration: line-through; }
+        .new { background: #e6f4ea; }
+        .formula { color: #666; font-size: 0.9em; }
+    </style>
+</head>
+<body>
+    <h1>${escapeHtml(title)}</h1>
+    <dl>
+        <dt>User</dt><dd>${escapeHtml(entry.user)}</dd>
+        <dt>Time</dt><dd>${escapeHtml(entry.timestamp)}</dd>
+        <dt>File</dt><dd>${escapeHtml(entry.fileName || entry.workbookName || entry.itemId || entry.workbookId)}</dd>
+        <dt>Cells changed</dt><dd>${diff.cellsChanged} of ${diff.cellsCompared} written</dd>
+    </dl>
+    ${diff.changes.length > 0 ? `<table>
+        <thead><tr><th>Cell</th><th>Old value</th><th>New value</th></tr></thead>
+        <tbody>${rows}
+        </tbody>
+    </table>` : '<p>No cell values changed.</p>'}
+</body>
+</html>
+`;
+    }
+}
+
+module.exports = new AuditDiff();
@@ -6,12 +6,104 @@
 
 const logger = require('../config/logger');
 const { v4: uuidv4 } = require('uuid');
+const auditTrail = require('../middleware/auditLogger');
+const auditDiff = require('./auditDiff');
+const { AUDIT_OPERATIONS } = require('../utils/constants');
+
+const READ_OPERATIONS = [AUDIT_OPERATIONS.READ, AUDIT_OPERATIONS.READ_TABLE];
+// BATCH summaries are not writes: each batch operation has its own entry
+const WRITE_OPERATIONS = [
+    AUDIT_OPERATIONS.WRITE,
+    AUDIT_OPERATIONS.WRITE_RANGE,
+    AUDIT_OPERATIONS.WRITE_TABLE,
+    AUDIT_OPERATIONS.ADD_TABLE_ROWS,
+    AUDIT_OPERATIONS.UNDO
+];
+// Written per request by the former audit middleware, alongside the service entry
+const REQUEST_OPERATIONS = [AUDIT_OPERATIONS.WRITE_RANGE, AUDIT_OPERATIONS.ADD_TABLE_ROWS];
+
+/**
+ * Whether a report counts an entry as a write. The rollback of a failed atomic batch
+ * (UNDO with a batchId) restores the batch's own writes, which are already counted.
+ * @param {Object} entry - Audit entry
+ * @returns {boolean} True for a write
+ */
+const isCountedWrite = entry => WRITE_OPERATIONS.includes(entry.operation) &&
+    !(entry.operation === AUDIT_OPERATIONS.UNDO && entry.batchId);
+
+/**
+ * Number of cells a successful write changed
+ * @param {Object} entry - Audit entry
+ * @returns {number} Cells modified
+ */
+const countCellsModified = (entry) => {
+    if (Number.isInteger(entry.diff?.cellsChanged)) {
+        return entry.diff.cellsChanged;
+    }
+    if (Number.isInteger(entry.cellsModified)) {
+        return entry.cellsModified;
+    }
+    if (Array.isArray(entry.newValues)) {
+        return entry.newValues.reduce((count, row) => count +
+            (Array.isArray(row) ? row.filter(cell => cell !== null && cell !== undefined).length : 0), 0);
+    }
+    return 0;
+};
+
+/**
+ * Empty report counters
+ * @returns {Object} Counters
+ */
+const newCounters = () => ({ reads: 0, writes: 0, failures: 0, cellsModified: 0, permissionDenials: 0 });
+
+/**
+ * Counters with the failure rate, rounded to four decimals
+ * @param {Object} counters - Counters
+ * @returns {Object} Counters with failureRate
+ */
+const withFailureRate = (counters) => {
+    const operations = counters.reads + counters.writes;
+    return {
+        ...counters,
+        failureRate: operations > 0 ? Math.round((counters.failures / operations) * 10000) / 10000 : 0
+    };
+};
+
+/**
+ * Rows of a counter map, most active first
+ * @param {Map} groups - Key to { ...fields, counters }
+ * @param {number} limit - Rows to keep (all if omitted)
+ * @returns {Array} Rows
+ */
+const rankGroups = (groups, limit) => {
+    const rows = [...groups.values()]
+        .map(({ counters, ...fields }) => ({ ...fields, ...withFailureRate(counters) }))
+        .sort((a, b) => (b.reads + b.writes) - (a.reads + a.writes) || b.cellsModified - a.cellsModified);
+    return limit ? rows.slice(0, limit) : rows;
+};
 
 class AuditService {
     constructor() {
         this.auditLogger = logger.child({ component: 'audit' });
     }
 
+    /**
+     * Single sink for audit events: log the entry and append it to the hash-chained
+     * audit trail, where it can be queried through /api/excel/logs
+     * @param {string} message - Log message
+     * @param {Object} auditEntry - Audit entry
+     * @param {Object} options - { persist: false to log without storing }
+     * @returns {string} Entry ID
+     */
+    record(message, auditEntry, { persist = true } = {}) {
+        this.auditLogger.info(message, auditEntry);
+        if (persist) {
+            // Failures are logged by the audit trail, not thrown
+            auditTrail.addAuditEntry(auditEntry);
+        }
+        return auditEntry.id;
+    }
+
     /**
      * Log Excel read operation
      * @param {Object} params - Audit parameters
@@ -22,16 +114,20 @@ class AuditService {
             timestamp: new Date().toISOString(),
             operation: 'READ',
             user: params.user || 'system',
+            driveId: params.driveId,
             workbookId: params.workbookId,
             worksheetId: params.worksheetId,
             range: params.range,
+            table: params.table,
+            cellCount: params.cellCount,
+            batchId: params.batchId,
             success: params.success,
+            error: params.error,
             requestId: params.requestId,
             ipAddress: params.ipAddress
         };
 
-        this.auditLogger.info('Excel read operation', auditEntry);
-        return auditEntry.id;
+        return this.record('Excel read operation', auditEntry);
     }
 
     /**
@@ -44,24 +140,90 @@ class AuditService {
             timestamp: new Date().toISOString(),
             operation: 'WRITE',
             user: params.user || 'system',
+            driveId: params.driveId,
             workbookId: params.workbookId,
             workbookName: params.workbookName,
             worksheetId: params.worksheetId,
             worksheetName: params.worksheetName,
             range: params.range,
             table: params.table,
+            applyTo: params.applyTo,
             oldValues: params.oldValues,
+            oldFormulas: params.oldFormulas,
             newValues: params.newValues,
             cellsModified: params.cellsModified,
+            conflicts: params.conflicts,
+            batchId: params.batchId,
             success: params.success,
             error: params.error,
             requestId: params.requestId,
             ipAddress: params.ipAddress,
             userAgent: params.userAgent
         };
+        auditEntry.diff = auditDiff.forEntry(auditEntry);
 
-        this.auditLogger.info('Excel write operation', auditEntry);
-        return auditEntry.id;
+        return this.record('Excel write operation', auditEntry);
+    }
+
+    /**
+     * Log a /batch request; each operation in it is logged separately with the same batchId
+     * @param {Object} params - Batch parameters
+     */
+    logBatchOperation(params) {
+        const auditEntry = {
+            id: uuidv4(),
+            timestamp: new Date().toISOString(),
+            operation: AUDIT_OPERATIONS.BATCH,
+            user: params.user || 'system',
+            batchId: params.batchId,
+            atomic: params.atomic,
+            total: params.total,
+            succeeded: params.succeeded,
+            failed: params.failed,
+            failedOperation: params.failedOperation,
+            rolledBack: params.rolledBack,
+            rollbackFailed: params.rollbackFailed,
+            graphRequests: params.graphRequests,
+            chunks: params.chunks,
+            success: params.failed === 0,
+            requestId: params.requestId,
+            ipAddress: params.ipAddress,
+            userAgent: params.userAgent
+        };
+
+        return this.record('Excel batch operation', auditEntry);
+    }
+
+    /**
+     * Log the rollback of an audited write, by /undo or by a failed atomic batch
+     * @param {Object} params - Undo parameters
+     */
+    logUndoOperation(params) {
+        const auditEntry = {
+            id: uuidv4(),
+            timestamp: new Date().toISOString(),
+            operation: 'UNDO',
+            user: params.user || 'system',
+            undoOf: params.undoOf,
+            driveId: params.driveId,
+            workbookId: params.workbookId,
+            worksheetId: params.worksheetId,
+            range: params.range,
+            table: params.table,
+            oldValues: params.oldValues,
+            oldFormulas: params.oldFormulas,
+            newValues: params.newValues,
+            conflicts: params.conflicts,
+            batchId: params.batchId,
+            success: params.success,
+            error: params.error,
+            requestId: params.requestId,
+            ipAddress: params.ipAddress,
+            userAgent: params.userAgent
+        };
+        auditEntry.diff = auditDiff.forEntry(auditEntry);
+
+        return this.record('Excel undo operation', auditEntry);
     }
 
     /**
@@ -74,18 +236,43 @@ class AuditService {
             timestamp: new Date().toISOString(),
             operation: 'PERMISSION_CHECK',
             user: params.user || 'system',
+            driveId: params.driveId,
             workbookId: params.workbookId,
             worksheetId: params.worksheetId,
             range: params.range,
             requestedPermission: params.requestedPermission,
             granted: params.granted,
             reason: params.reason,
+            path: params.path,
             requestId: params.requestId,
             ipAddress: params.ipAddress
         };
 
-        this.auditLogger.info('Permission check', auditEntry);
-        return auditEntry.id;
+        // Granted checks accompany the operation entry that follows; only denials are stored
+        return this.record('Permission check', auditEntry, { persist: !auditEntry.granted });
+    }
+
+    /**
+     * Log permission grants and revocations
+     * @param {Object} params - Permission change parameters
+     */
+    logPermissionChange(params) {
+        const auditEntry = {
+            id: uuidv4(),
+            timestamp: new Date().toISOString(),
+            operation: 'PERMISSION_CHANGE',
+            user: params.user || 'system',
+            action: params.action, // 'GRANT' or 'REVOKE'
+            resourceType: params.resourceType,
+            resourceId: params.resourceId,
+            targetUser: params.targetUser,
+            permission: params.permission,
+            changed: params.changed,
+            requestId: params.requestId,
+            ipAddress: params.ipAddress
+        };
+
+        return this.record('Permission change', auditEntry);
     }
 
     /**
@@ -105,8 +292,7 @@ class AuditService {
             ipAddress: params.ipAddress
         };
 
-        this.auditLogger.info('Authentication event', auditEntry);
-        return auditEntry.id;
+        return this.record('Authentication event', auditEntry);
     }
 
     /**
@@ -123,30 +309,138 @@ class AuditService {
             severity: params.severity || 'info'
         };
 
-        this.auditLogger.info('System event', auditEntry);
-        return auditEntry.id;
+        return this.record('System event', auditEntry);
     }
 
     /**
-     * Generate audit report for a specific time range
+     * Generate an activity report over the audit store for a time range: reads, writes,
+     * failures and cells modified per user, per workbook and per range, and permission denials.
+     * Older writes may have both a service entry and a middleware entry for the same
+     * request; only the service entry is counted. Batches are counted per operation, and
+     * the rollback of an atomic batch is not counted again.
      * @param {Date} startDate - Start date
      * @param {Date} endDate - End date
-     * @param {Object} filters - Additional filters
+     * @param {Object} filters - { user, driveId, itemId, fileName, top }
+     * @returns {Promise<Object>} Report
      */
-    generateAuditReport(startDate, endDate, filters = {}) {
-        // This would typically query a database or log files
-        // For now, we'll log the report request
-        const reportRequest = {
-            id: uuidv4(),
+    async generateAuditReport(startDate, endDate, filters = {}) {
+        const { top = 10, ...entryFilters } = filters;
+        const reportId = uuidv4();
+
+        this.auditLogger.info('Audit report requested', {
+            id: reportId,
             timestamp: new Date().toISOString(),
             operation: 'AUDIT_REPORT',
             startDate: startDate.toISOString(),
             endDate: endDate.toISOString(),
-            filters: filters
+            filters: entryFilters
+        });
+
+        const totals = newCounters();
+        const byUser = new Map();
+        const byWorkbook = new Map();
+        const byRange = new Map();
+        const byOperation = new Map();
+        const denialReasons = new Map();
+        const serviceRequests = new Set();
+        const requestEntries = [];
+        let entryCount = 0;
+
+        // Fields missing from earlier entries (driveId, name) are filled in from later ones
+        const group = (map, key, fields) => {
+            if (!map.has(key)) {
+                map.set(key, { ...fields, counters: newCounters() });
+            }
+            const row = map.get(key);
+            Object.keys(fields).forEach((field) => {
+                row[field] = row[field] ?? fields[field];
+            });
+            return row.counters;
         };
 
-        this.auditLogger.info('Audit report requested', reportRequest);
-        return reportRequest.id;
+        const count = (entry) => {
+            const isRead = READ_OPERATIONS.includes(entry.operation);
+            const isWrite = isCountedWrite(entry);
+            const isDenial = entry.operation === AUDIT_OPERATIONS.PERMISSION_CHECK && entry.granted === false;
+            const failed = (isRead || isWrite) && entry.success === false;
+            const cells = isWrite && !failed ? countCellsModified(entry) : 0;
+
+            const itemId = entry.itemId || entry.workbookId;
+            const worksheet = entry.worksheetName || entry.worksheetId;
+            const targets = [totals, group(byUser, entry.user || 'unknown', { user: entry.user || 'unknown' })];
+            if (itemId) {
+                targets.push(group(byWorkbook, itemId, {
+                    driveId: entry.driveId || null,
+                    itemId,
+                    name: entry.fileName || entry.workbookName || null
+                }));
+                if (entry.range && (isRead || isWrite)) {
+                    targets.push(group(byRange, `${itemId}/${worksheet || ''}/${entry.range}`, {
+                        driveId: entry.driveId || null,
+                        itemId,
+                        worksheet: worksheet || null,
+                        range: entry.range
+                    }));
+                }
+            }
+
+            targets.forEach((counters) => {
+                counters.reads += isRead ? 1 : 0;
+                counters.writes += isWrite ? 1 : 0;
+                counters.failures += failed ? 1 : 0;
+                counters.cellsModified += cells;
+                counters.permissionDenials += isDenial ? 1 : 0;
+            });
+
+            const operation = byOperation.get(entry.operation) || { operation: entry.operation, count: 0, failures: 0 };
+            operation.count += 1;
+            operation.failures += entry.success === false ? 1 : 0;
+            byOperation.set(entry.operation, operation);
+
+            if (isDenial) {
+                const reason = entry.reason || 'unknown';
+                denialReasons.set(reason, (denialReasons.get(reason) || 0) + 1);
+            }
+        };
+
+        const pages = auditTrail.iterateAuditEntries({
+            ...entryFilters,
+            startDate: startDate.toISOString(),
+            endDate: endDate.toISOString()
+        });
+        for await (const page of pages) {
+            page.forEach((entry) => {
+                entryCount += 1;
+                if (REQUEST_OPERATIONS.includes(entry.operation) && entry.requestId) {
+                    requestEntries.push(entry);
+                    return;
+                }
+                if (WRITE_OPERATIONS.includes(entry.operation) && entry.requestId) {
+                    serviceRequests.add(entry.requestId);
+                }
+                count(entry);
+            });
+        }
+        requestEntries
+            .filter(entry => !serviceRequests.has(entry.requestId))
+            .forEach(count);
+
+        return {
+            id: reportId,
+            generatedAt: new Date().toISOString(),
+            startDate: startDate.toISOString(),
+            endDate: endDate.toISOString(),
+            filters: entryFilters,
+            entriesScanned: entryCount,
+            totals: withFailureRate(totals),
+            byUser: rankGroups(byUser),
+            byWorkbook: rankGroups(byWorkbook),
+            busiestRanges: rankGroups(byRange, top),
+            byOperation: [...byOperation.values()].sort((a, b) => b.count - a.count),
+            permissionDenials: [...denialReasons.entries()]
+                .map(([reason, denials]) => ({ reason, count: denials }))
+                .sort((a, b) => b.count - a.count)
+        };
     }
 
     /**
@@ -159,7 +453,12 @@ class AuditService {
             requestId: req.id || uuidv4(),
             ipAddress: req.ip || req.connection.remoteAddress,
             userAgent: req.get('User-Agent'),
-            user: req.user?.id || req.headers['x-user-id'] || 'anonymous',
+            user: req.user?.id || 'anonymous',
+            // Identity used for permission checks (group claims included)
+            principal: {
+                id: req.user?.id || 'anonymous',
+                groups: req.user?.groups || []
+            },
             timestamp: new Date().toISOString()
         };
     }
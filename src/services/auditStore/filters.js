@@ -0,0 +1,161 @@
+/**
+ * Audit Query Filters
+ * Filter matching, ordering and cursors shared by the audit store backends.
+ * Entries are ordered newest first by timestamp, then by ID, so a cursor
+ * (the timestamp and ID of the last entry on a page) marks an exact position.
+ */
+
+const rangeValidator = require('../../middleware/rangeValidator');
+
+/**
+ * Entry timestamp in epoch milliseconds
+ * @param {Object} entry - Audit entry
+ * @returns {number} Epoch milliseconds (NaN if missing)
+ */
+const entryTime = (entry) => new Date(entry.timestamp).getTime();
+
+/**
+ * Encode the position after an entry as an opaque cursor
+ * @param {Object} entry - Last entry of a page
+ * @returns {string} Cursor
+ */
+const encodeCursor = (entry) => Buffer.from(JSON.stringify({ t: entryTime(entry), i: entry.id })).toString('base64url');
+
+/**
+ * Decode a cursor from encodeCursor
+ * @param {string} cursor - Cursor
+ * @returns {Object} { time, id }
+ */
+const decodeCursor = (cursor) => {
+    try {
+        const { t, i } = JSON.parse(Buffer.from(String(cursor), 'base64url').toString('utf8'));
+        if (Number.isFinite(t) && typeof i === 'string') {
+            return { time: t, id: i };
+        }
+    } catch (error) {
+        // Fall through to the error below
+    }
+    throw new Error('Invalid cursor');
+};
+
+/**
+ * Parse an entry's range, taking the sheet from the worksheet fields when the range has none
+ * @param {Object} entry - Audit entry
+ * @returns {Object|null} Parsed range, or null if the entry has no valid range
+ */
+const entryRange = (entry) => {
+    if (!entry.range) {
+        return null;
+    }
+    try {
+        const parsed = rangeValidator.parseRangeAddress(entry.range);
+        return { ...parsed, sheetName: parsed.sheetName || entry.worksheetName || entry.worksheetId || '' };
+    } catch (error) {
+        return null;
+    }
+};
+
+/**
+ * Normalize query filters: parse dates, cursor and range once and lower-case the file name
+ * @param {Object} filters - { id, user, operation, fileName, driveId, itemId, range,
+ *                           startDate, endDate, success, cursor, limit }
+ * @returns {Object} Normalized filters
+ */
+const normalizeFilters = (filters = {}) => {
+    const startTime = filters.startDate ? new Date(filters.startDate).getTime() : null;
+    const endTime = filters.endDate ? new Date(filters.endDate).getTime() : null;
+    const limit = parseInt(filters.limit);
+    const operations = Array.isArray(filters.operation)
+        ? filters.operation
+        : String(filters.operation || '').split(',').map(op => op.trim()).filter(Boolean);
+
+    return {
+        id: filters.id || null,
+        user: filters.user || null,
+        operations: operations.length > 0 ? operations : null,
+        fileName: filters.fileName ? String(filters.fileName).toLowerCase() : null,
+        driveId: filters.driveId || null,
+        itemId: filters.itemId || null,
+        range: filters.range ? rangeValidator.parseRangeAddress(filters.range) : null,
+        startTime: Number.isNaN(startTime) ? null : startTime,
+        endTime: Number.isNaN(endTime) ? null : endTime,
+        success: typeof filters.success === 'boolean' ? filters.success : undefined,
+        before: filters.cursor ? decodeCursor(filters.cursor) : null,
+        limit: limit > 0 ? limit : null
+    };
+};
+
+/**
+ * Check an entry against normalized filters
+ * @param {Object} entry - Audit entry
+ * @param {Object} filters - Filters from normalizeFilters
+ * @returns {boolean} True if the entry matches
+ */
+const matchesFilters = (entry, filters) => {
+    if (filters.id && entry.id !== filters.id) {
+        return false;
+    }
+    if (filters.user && entry.user !== filters.user) {
+        return false;
+    }
+    if (filters.operations && !filters.operations.includes(entry.operation)) {
+        return false;
+    }
+    if (filters.fileName && !(entry.fileName && entry.fileName.toLowerCase().includes(filters.fileName))) {
+        return false;
+    }
+    if (filters.driveId && entry.driveId !== filters.driveId) {
+        return false;
+    }
+    // Service entries name the workbook workbookId; middleware entries itemId
+    if (filters.itemId && (entry.itemId || entry.workbookId) !== filters.itemId) {
+        return false;
+    }
+    if (filters.success !== undefined && entry.success !== filters.success) {
+        return false;
+    }
+
+    const time = entryTime(entry);
+    if (filters.startTime !== null && !(time >= filters.startTime)) {
+        return false;
+    }
+    if (filters.endTime !== null && !(time <= filters.endTime)) {
+        return false;
+    }
+    if (filters.before && !(time < filters.before.time ||
+        (time === filters.before.time && String(entry.id) < filters.before.id))) {
+        return false;
+    }
+
+    if (filters.range) {
+        const range = entryRange(entry);
+        if (!range || !rangeValidator.rangesOverlap(range, filters.range)) {
+            return false;
+        }
+    }
+    return true;
+};
+
+/**
+ * Sort entries newest first, then by ID descending
+ * @param {Object} a - Audit entry
+ * @param {Object} b - Audit entry
+ * @returns {number} Sort order
+ */
+const newestFirst = (a, b) => {
+    const diff = entryTime(b) - entryTime(a);
+    if (diff) {
+        return diff;
+    }
+    const idA = String(a.id);
+    const idB = String(b.id);
+    return idA < idB ? 1 : (idA > idB ? -1 : 0);
+};
+
+module.exports = {
+    normalizeFilters,
+    matchesFilters,
+    newestFirst,
+    encodeCursor,
+    decodeCursor
+};
@@ -0,0 +1,104 @@
+/**
+ * Audit Store
+ * Chooses and opens the audit storage backend. Every backend implements:
+ *   init(), append(entry), query(filters), last(), scan(), prune(), close()
+ *
+ * Configuration:
+ *   AUDIT_STORE            jsonl (default), sqlite or memory
+ *   AUDIT_STORE_PATH       jsonl directory or sqlite file (default ./audit, or the
+ *                          system temp directory on Vercel)
+ *   AUDIT_RETENTION_DAYS   delete entries older than this (default 90, 0 keeps everything)
+ *   AUDIT_MAX_ENTRIES      keep at most this many entries (default unlimited)
+ *   AUDIT_ROTATE_SIZE_MB   jsonl file size that triggers rotation (default 10)
+ */
+
+const os = require('os');
+const path = require('path');
+const logger = require('../../config/logger');
+const { AUDIT_STORE } = require('../../utils/constants');
+const JsonlAuditStore = require('./jsonlStore');
+const SqliteAuditStore = require('./sqliteStore');
+const MemoryAuditStore = require('./memoryStore');
+const { readEnvNumber: readNumber } = require('../../utils/helpers');
+const { encodeCursor, decodeCursor } = require('./filters');
+
+const { BACKENDS } = AUDIT_STORE;
+
+/**
+ * Build the store configuration from the environment
+ * @returns {Object} Store configuration
+ */
+const getStoreConfig = () => {
+    const backend = (process.env.AUDIT_STORE || BACKENDS.JSONL).toLowerCase();
+    // Vercel functions can only write to the temp directory
+    const baseDir = process.env.VERCEL
+        ? path.join(os.tmpdir(), 'excel-gpt-audit')
+        : path.join(__dirname, '../../../audit');
+    const defaultPath = backend === BACKENDS.SQLITE ? path.join(baseDir, 'audit-log.db') : baseDir;
+
+    return {
+        backend,
+        path: process.env.AUDIT_STORE_PATH ? path.resolve(process.env.AUDIT_STORE_PATH) : defaultPath,
+        retentionDays: readNumber('AUDIT_RETENTION_DAYS', AUDIT_STORE.DEFAULT_RETENTION_DAYS),
+        maxEntries: Math.floor(readNumber('AUDIT_MAX_ENTRIES', 0)),
+        rotateBytes: readNumber('AUDIT_ROTATE_SIZE_MB', AUDIT_STORE.DEFAULT_ROTATE_SIZE_MB) * 1024 * 1024
+    };
+};
+
+/**
+ * Create (but do not open) the configured audit store
+ * @param {Object} config - Store configuration (defaults to getStoreConfig())
+ * @returns {Object} Audit store
+ */
+const createAuditStore = (config = getStoreConfig()) => {
+    const { retentionDays, maxEntries } = config;
+
+    switch (config.backend) {
+        case BACKENDS.JSONL:
+            return new JsonlAuditStore({ directory: config.path, rotateBytes: config.rotateBytes, retentionDays, maxEntries });
+        case BACKENDS.SQLITE:
+            return new SqliteAuditStore({ filename: config.path, retentionDays, maxEntries });
+        case BACKENDS.MEMORY:
+            return new MemoryAuditStore({ retentionDays, maxEntries });
+        default:
+            throw new Error(`Unknown AUDIT_STORE "${config.backend}"; expected ${Object.values(BACKENDS).join(', ')}`);
+    }
+};
+
+/**
+ * Open the configured audit store and schedule retention. If it cannot be opened the
+ * error is logged and entries are kept in memory so requests are not affected.
+ * @returns {Promise<Object>} Initialized audit store
+ */
+const openAuditStore = async () => {
+    const config = getStoreConfig();
+    let store;
+
+    try {
+        store = createAuditStore(config);
+        await store.init();
+        logger.info(`Audit store: ${store.name}`, {
+            path: store.name === BACKENDS.MEMORY ? undefined : config.path,
+            retentionDays: config.retentionDays,
+            maxEntries: config.maxEntries || 'unlimited'
+        });
+    } catch (error) {
+        logger.error(`Could not open the ${config.backend} audit store; keeping audit entries in memory only: ${error.message}`);
+        store = new MemoryAuditStore({ retentionDays: config.retentionDays, maxEntries: config.maxEntries });
+        await store.init();
+    }
+
+    setInterval(() => {
+        store.prune().catch(error => logger.warn('Audit retention failed:', error.message));
+    }, AUDIT_STORE.PRUNE_INTERVAL).unref();
+
+    return store;
+};
+
+module.exports = {
+    encodeCursor,
+    decodeCursor,
+    getStoreConfig,
+    createAuditStore,
+    openAuditStore
+};
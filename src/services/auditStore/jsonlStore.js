@@ -0,0 +1,298 @@
+/**
+ * JSON Lines Audit Store
+ * Appends one JSON entry per line to audit.jsonl. The active file is rotated when it
+ * reaches the size limit or a new UTC day starts; rotated files are named
+ * audit-<firstMs>-<lastMs>-<count>.jsonl so queries and retention can skip them by name.
+ * lastMs is kept strictly increasing across rotations, so it also orders files by append.
+ */
+
+const fs = require('fs').promises;
+const path = require('path');
+const logger = require('../../config/logger');
+const { AUDIT_STORE } = require('../../utils/constants');
+const { normalizeFilters, matchesFilters, newestFirst } = require('./filters');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const ACTIVE_FILE = 'audit.jsonl';
+const SEGMENT_PATTERN = /^audit-(\d+)-(\d+)-(\d+)\.jsonl$/;
+
+/**
+ * Entry timestamp in epoch milliseconds (now if missing or invalid)
+ * @param {Object} entry - Audit entry
+ * @returns {number} Epoch milliseconds
+ */
+const entryTime = (entry) => {
+    const time = new Date(entry.timestamp).getTime();
+    return Number.isNaN(time) ? Date.now() : time;
+};
+
+/**
+ * Parse JSON lines, skipping blank or truncated lines
+ * @param {string} data - File contents
+ * @returns {Array<Object>} Entries in file order
+ */
+const parseLines = (data) => data.split('\n').reduce((entries, line) => {
+    if (line.trim()) {
+        try {
+            entries.push(JSON.parse(line));
+        } catch (error) {
+            // A crash mid-append can leave a partial last line
+        }
+    }
+    return entries;
+}, []);
+
+class JsonlAuditStore {
+    /**
+     * @param {Object} options - { directory, rotateBytes, retentionDays, maxEntries }
+     */
+    constructor(options = {}) {
+        this.name = AUDIT_STORE.BACKENDS.JSONL;
+        this.directory = options.directory;
+        this.activePath = path.join(this.directory, ACTIVE_FILE);
+        this.rotateBytes = options.rotateBytes || AUDIT_STORE.DEFAULT_ROTATE_SIZE_MB * 1024 * 1024;
+        this.retentionDays = options.retentionDays || 0;
+        this.maxEntries = options.maxEntries || 0;
+
+        // Active file state: size in bytes, entry count and time span
+        this.active = { size: 0, count: 0, firstMs: null, lastMs: null };
+        this.lastSegmentMs = 0;
+
+        // Appends and rotations run one at a time
+        this.writeQueue = Promise.resolve();
+    }
+
+    /**
+     * Create the directory and read the state of the active file
+     */
+    async init() {
+        await fs.mkdir(this.directory, { recursive: true });
+
+        let data = '';
+        try {
+            data = await fs.readFile(this.activePath, 'utf8');
+        } catch (error) {
+            if (error.code !== 'ENOENT') {
+                throw error;
+            }
+        }
+
+        const entries = parseLines(data);
+        this.active = {
+            size: Buffer.byteLength(data),
+            count: entries.length,
+            firstMs: entries.length > 0 ? entryTime(entries[0]) : null,
+            lastMs: entries.length > 0 ? entryTime(entries[entries.length - 1]) : null
+        };
+
+        const segments = await this.listSegments();
+        this.lastSegmentMs = segments.length > 0 ? segments[0].lastMs : 0;
+
+        // Fail early on a read-only filesystem rather than on the first write
+        await fs.appendFile(this.activePath, '', 'utf8');
+        await this.pruneSegments();
+    }
+
+    /**
+     * Run a task after all pending writes
+     * @param {Function} task - Async task
+     * @returns {Promise<*>} Task result
+     */
+    enqueue(task) {
+        const run = this.writeQueue.then(task);
+        this.writeQueue = run.catch(() => {});
+        return run;
+    }
+
+    /**
+     * Append an entry, rotating the active file first if needed
+     * @param {Object} entry - Audit entry
+     */
+    append(entry) {
+        return this.enqueue(async () => {
+            const line = `${JSON.stringify(entry)}\n`;
+            const bytes = Buffer.byteLength(line);
+            const time = entryTime(entry);
+
+            if (this.active.count > 0 &&
+                (this.active.size + bytes > this.rotateBytes ||
+                    Math.floor(time / DAY_MS) !== Math.floor(this.active.firstMs / DAY_MS))) {
+                await this.rotate();
+            }
+
+            await fs.appendFile(this.activePath, line, 'utf8');
+            this.active.size += bytes;
+            this.active.count += 1;
+            this.active.firstMs = this.active.firstMs === null ? time : Math.min(this.active.firstMs, time);
+            this.active.lastMs = this.active.lastMs === null ? time : Math.max(this.active.lastMs, time);
+        });
+    }
+
+    /**
+     * Rename the active file to a segment and start a new one
+     */
+    async rotate() {
+        const { firstMs, count } = this.active;
+        const lastMs = Math.max(this.active.lastMs, this.lastSegmentMs + 1);
+        const segment = path.join(this.directory, `audit-${firstMs}-${lastMs}-${count}.jsonl`);
+
+        await fs.rename(this.activePath, segment);
+        this.active = { size: 0, count: 0, firstMs: null, lastMs: null };
+        this.lastSegmentMs = lastMs;
+        logger.debug('Rotated audit log', { segment: path.basename(segment), count });
+
+        await this.pruneSegments();
+    }
+
+    /**
+     * List rotated segments, newest first
+     * @returns {Promise<Array<Object>>} { file, firstMs, lastMs, count }
+     */
+    async listSegments() {
+        const files = await fs.readdir(this.directory);
+        return files
+            .map((file) => {
+                const match = file.match(SEGMENT_PATTERN);
+                return match && {
+                    file: path.join(this.directory, file),
+                    firstMs: Number(match[1]),
+                    lastMs: Number(match[2]),
+                    count: Number(match[3])
+                };
+            })
+            .filter(Boolean)
+            .sort((a, b) => b.lastMs - a.lastMs);
+    }
+
+    /**
+     * Query entries, newest first. Files outside the date filters (or past the cursor)
+     * are not read, and older files are not read once they cannot contribute to the page.
+     * @param {Object} filters - Query filters
+     * @returns {Promise<Array>} Matching entries
+     */
+    async query(filters = {}) {
+        const normalized = normalizeFilters(filters);
+        const endTime = normalized.before
+            ? Math.min(normalized.before.time, normalized.endTime ?? Infinity)
+            : normalized.endTime;
+        const sources = await this.listSegments();
+        if (this.active.count > 0) {
+            sources.unshift({ file: this.activePath, ...this.active });
+        }
+
+        let results = [];
+        for (const source of sources) {
+            if ((normalized.startTime !== null && source.lastMs < normalized.startTime) ||
+                (endTime !== null && source.firstMs > endTime)) {
+                continue;
+            }
+
+            // Files can overlap in time; stop once this one holds nothing newer than the page
+            if (normalized.limit && results.length >= normalized.limit &&
+                source.lastMs < new Date(results[normalized.limit - 1].timestamp).getTime()) {
+                break;
+            }
+
+            let data;
+            try {
+                data = await fs.readFile(source.file, 'utf8');
+            } catch (error) {
+                // Removed by retention or rotation since it was listed
+                continue;
+            }
+
+            results.push(...parseLines(data).filter(entry => matchesFilters(entry, normalized)));
+            results.sort(newestFirst);
+            if (normalized.limit) {
+                results = results.slice(0, normalized.limit);
+            }
+        }
+
+        return results;
+    }
+
+    /**
+     * Most recently appended entry
+     * @returns {Promise<Object|null>} Entry, or null if the store is empty
+     */
+    async last() {
+        const source = this.active.count > 0 ? this.activePath : (await this.listSegments())[0]?.file;
+        if (!source) {
+            return null;
+        }
+        const entries = parseLines(await fs.readFile(source, 'utf8'));
+        return entries.length > 0 ? entries[entries.length - 1] : null;
+    }
+
+    /**
+     * Iterate over all entries in append order
+     * @returns {AsyncGenerator<Object>} Entries, oldest first
+     */
+    async *scan() {
+        // Take the file list and the active file together so a rotation cannot be missed
+        const { segments, active } = await this.enqueue(async () => ({
+            segments: (await this.listSegments()).reverse(),
+            active: this.active.count > 0 ? await fs.readFile(this.activePath, 'utf8') : ''
+        }));
+
+        for (const segment of segments) {
+            let data;
+            try {
+                data = await fs.readFile(segment.file, 'utf8');
+            } catch (error) {
+                // Removed by retention since it was listed
+                continue;
+            }
+            yield* parseLines(data);
+        }
+        yield* parseLines(active);
+    }
+
+    /**
+     * Apply retention, queued behind pending writes
+     * @returns {Promise<number>} Number of entries removed
+     */
+    prune() {
+        return this.enqueue(() => this.pruneSegments());
+    }
+
+    /**
+     * Delete rotated files past the retention period, then the oldest files while the
+     * total entry count exceeds maxEntries. The active file is never deleted.
+     * @returns {Promise<number>} Number of entries removed
+     */
+    async pruneSegments() {
+        if (!this.retentionDays && !this.maxEntries) {
+            return 0;
+        }
+
+        const segments = await this.listSegments();
+        const cutoff = this.retentionDays ? Date.now() - this.retentionDays * DAY_MS : null;
+        let total = segments.reduce((sum, segment) => sum + segment.count, this.active.count);
+        let removed = 0;
+
+        // Oldest first
+        for (const segment of segments.reverse()) {
+            const expired = cutoff !== null && segment.lastMs < cutoff;
+            const overLimit = this.maxEntries && total > this.maxEntries;
+            if (!expired && !overLimit) {
+                break;
+            }
+
+            await fs.unlink(segment.file);
+            total -= segment.count;
+            removed += segment.count;
+        }
+
+        if (removed > 0) {
+            logger.info(`Audit retention removed ${removed} entries`, { store: this.name });
+        }
+        return removed;
+    }
+
+    async close() {
+        await this.writeQueue;
+    }
+}
+
+module.exports = JsonlAuditStore;
@@ -0,0 +1,80 @@
+/**
+ * In-Memory Audit Store
+ * Keeps recent audit entries in process memory. Used when no writable storage is
+ * available; entries are lost on restart.
+ */
+
+const { AUDIT_STORE } = require('../../utils/constants');
+const { normalizeFilters, matchesFilters, newestFirst } = require('./filters');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+class MemoryAuditStore {
+    /**
+     * @param {Object} options - { retentionDays, maxEntries }
+     */
+    constructor(options = {}) {
+        this.name = AUDIT_STORE.BACKENDS.MEMORY;
+        this.retentionDays = options.retentionDays || 0;
+        this.maxEntries = options.maxEntries || AUDIT_STORE.MEMORY_MAX_ENTRIES;
+        this.entries = [];
+    }
+
+    async init() {}
+
+    /**
+     * Append an entry, dropping the oldest beyond maxEntries
+     * @param {Object} entry - Audit entry
+     */
+    async append(entry) {
+        this.entries.push(entry);
+        if (this.entries.length > this.maxEntries) {
+            this.entries.splice(0, this.entries.length - this.maxEntries);
+        }
+    }
+
+    /**
+     * Query entries, newest first
+     * @param {Object} filters - Query filters
+     * @returns {Promise<Array>} Matching entries
+     */
+    async query(filters = {}) {
+        const normalized = normalizeFilters(filters);
+        const matches = this.entries.filter(entry => matchesFilters(entry, normalized)).sort(newestFirst);
+        return normalized.limit ? matches.slice(0, normalized.limit) : matches;
+    }
+
+    /**
+     * Most recently appended entry
+     * @returns {Promise<Object|null>} Entry, or null if the store is empty
+     */
+    async last() {
+        return this.entries.length > 0 ? this.entries[this.entries.length - 1] : null;
+    }
+
+    /**
+     * Iterate over all entries in append order
+     * @returns {AsyncGenerator<Object>} Entries, oldest first
+     */
+    async *scan() {
+        yield* [...this.entries];
+    }
+
+    /**
+     * Drop entries older than the retention period
+     * @returns {Promise<number>} Number of entries removed
+     */
+    async prune() {
+        if (!this.retentionDays) {
+            return 0;
+        }
+        const cutoff = Date.now() - this.retentionDays * DAY_MS;
+        // Remove a prefix in append order so the surviving entries stay contiguous
+        const keepFrom = this.entries.findIndex(entry => new Date(entry.timestamp).getTime() >= cutoff);
+        return this.entries.splice(0, keepFrom === -1 ? this.entries.length : keepFrom).length;
+    }
+
+    async close() {}
+}
+
+module.exports = MemoryAuditStore;
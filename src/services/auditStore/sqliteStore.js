@@ -0,0 +1,225 @@
+/**
+ * SQLite Audit Store
+ * Stores audit entries in an embedded SQLite database (better-sqlite3). The columns used
+ * by queries are indexed; the full entry is kept as JSON. Updates are rejected by a
+ * trigger, so rows can only be appended or removed by retention.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const logger = require('../../config/logger');
+const { AUDIT_STORE } = require('../../utils/constants');
+const { normalizeFilters, matchesFilters } = require('./filters');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const SCHEMA = `
+    CREATE TABLE IF NOT EXISTS audit_entries (
+        seq INTEGER PRIMARY KEY AUTOINCREMENT,
+        id TEXT NOT NULL,
+        ts INTEGER NOT NULL,
+        user TEXT,
+        operation TEXT,
+        file_name TEXT,
+        success INTEGER,
+        entry TEXT NOT NULL
+    );
+    CREATE INDEX IF NOT EXISTS idx_audit_id ON audit_entries (id);
+    CREATE INDEX IF NOT EXISTS idx_audit_ts_id ON audit_entries (ts, id);
+    CREATE INDEX IF NOT EXISTS idx_audit_user_ts ON audit_entries (user, ts);
+    CREATE INDEX IF NOT EXISTS idx_audit_operation_ts ON audit_entries (operation, ts);
+    CREATE TRIGGER IF NOT EXISTS audit_entries_append_only
+        BEFORE UPDATE ON audit_entries
+        BEGIN
+            SELECT RAISE(ABORT, 'audit entries are append-only');
+        END;
+`;
+
+class SqliteAuditStore {
+    /**
+     * @param {Object} options - { filename, retentionDays, maxEntries }
+     */
+    constructor(options = {}) {
+        this.name = AUDIT_STORE.BACKENDS.SQLITE;
+        this.filename = options.filename;
+        this.retentionDays = options.retentionDays || 0;
+        this.maxEntries = options.maxEntries || 0;
+        this.db = null;
+    }
+
+    /**
+     * Open the database and create the schema
+     */
+    async init() {
+        let Database;
+        try {
+            Database = require('better-sqlite3');
+        } catch (error) {
+            throw new Error('The sqlite audit store requires the better-sqlite3 package (npm install better-sqlite3)');
+        }
+
+        fs.mkdirSync(path.dirname(this.filename), { recursive: true });
+        this.db = new Database(this.filename);
+        this.db.pragma('journal_mode = WAL');
+        this.db.exec(SCHEMA);
+
+        this.insertStatement = this.db.prepare(`
+            INSERT INTO audit_entries (id, ts, user, operation, file_name, success, entry)
+            VALUES (@id, @ts, @user, @operation, @fileName, @success, @entry)
+        `);
+
+        await this.prune();
+    }
+
+    /**
+     * Append an entry
+     * @param {Object} entry - Audit entry
+     */
+    async append(entry) {
+        const ts = new Date(entry.timestamp).getTime();
+        this.insertStatement.run({
+            id: entry.id,
+            ts: Number.isNaN(ts) ? Date.now() : ts,
+            user: entry.user ?? null,
+            operation: entry.operation ?? null,
+            fileName: entry.fileName ?? null,
+            success: typeof entry.success === 'boolean' ? Number(entry.success) : null,
+            entry: JSON.stringify(entry)
+        });
+    }
+
+    /**
+     * Query entries, newest first. Indexed columns narrow the scan in SQL; the full
+     * filter (including range overlap) is applied to each row until the page is full.
+     * @param {Object} filters - Query filters
+     * @returns {Promise<Array>} Matching entries
+     */
+    async query(filters = {}) {
+        const normalized = normalizeFilters(filters);
+        const conditions = [];
+        const params = {};
+
+        if (normalized.id) {
+            conditions.push('id = @id');
+            params.id = normalized.id;
+        }
+        if (normalized.user) {
+            conditions.push('user = @user');
+            params.user = normalized.user;
+        }
+        if (normalized.operations) {
+            const names = normalized.operations.map((operation, index) => {
+                params[`operation${index}`] = operation;
+                return `@operation${index}`;
+            });
+            conditions.push(`operation IN (${names.join(', ')})`);
+        }
+        if (normalized.fileName) {
+            conditions.push("LOWER(file_name) LIKE @fileName ESCAPE '\\'");
+            params.fileName = `%${normalized.fileName.replace(/[\\%_]/g, '\\$&')}%`;
+        }
+        if (normalized.driveId) {
+            conditions.push("json_extract(entry, '$.driveId') = @driveId");
+            params.driveId = normalized.driveId;
+        }
+        if (normalized.itemId) {
+            conditions.push("COALESCE(json_extract(entry, '$.itemId'), json_extract(entry, '$.workbookId')) = @itemId");
+            params.itemId = normalized.itemId;
+        }
+        if (normalized.success !== undefined) {
+            conditions.push('success = @success');
+            params.success = Number(normalized.success);
+        }
+        if (normalized.startTime !== null) {
+            conditions.push('ts >= @startTime');
+            params.startTime = normalized.startTime;
+        }
+        if (normalized.endTime !== null) {
+            conditions.push('ts <= @endTime');
+            params.endTime = normalized.endTime;
+        }
+        if (normalized.before) {
+            conditions.push('(ts < @beforeTime OR (ts = @beforeTime AND id < @beforeId))');
+            params.beforeTime = normalized.before.time;
+            params.beforeId = normalized.before.id;
+        }
+
+        let sql = 'SELECT entry FROM audit_entries';
+        if (conditions.length > 0) {
+            sql += ` WHERE ${conditions.join(' AND ')}`;
+        }
+        sql += ' ORDER BY ts DESC, id DESC';
+
+        const results = [];
+        for (const row of this.db.prepare(sql).iterate(params)) {
+            const entry = JSON.parse(row.entry);
+            if (matchesFilters(entry, normalized)) {
+                results.push(entry);
+                if (normalized.limit && results.length >= normalized.limit) {
+                    break;
+                }
+            }
+        }
+        return results;
+    }
+
+    /**
+     * Most recently appended entry
+     * @returns {Promise<Object|null>} Entry, or null if the store is empty
+     */
+    async last() {
+        const row = this.db.prepare('SELECT entry FROM audit_entries ORDER BY seq DESC LIMIT 1').get();
+        return row ? JSON.parse(row.entry) : null;
+    }
+
+    /**
+     * Iterate over all entries in append order
+     * @returns {AsyncGenerator<Object>} Entries, oldest first
+     */
+    async *scan() {
+        for (const row of this.db.prepare('SELECT entry FROM audit_entries ORDER BY seq').iterate()) {
+            yield JSON.parse(row.entry);
+        }
+    }
+
+    /**
+     * Delete entries appended before the oldest entry still inside the retention period,
+     * then the oldest beyond maxEntries
+     * @returns {Promise<number>} Number of entries removed
+     */
+    async prune() {
+        let removed = 0;
+
+        if (this.retentionDays) {
+            const cutoff = Date.now() - this.retentionDays * DAY_MS;
+            // Remove a prefix in append order so the surviving entries stay contiguous
+            removed += this.db.prepare(`
+                DELETE FROM audit_entries WHERE seq < COALESCE(
+                    (SELECT MIN(seq) FROM audit_entries WHERE ts >= @cutoff),
+                    (SELECT MAX(seq) + 1 FROM audit_entries)
+                )
+            `).run({ cutoff }).changes;
+        }
+        if (this.maxEntries) {
+            removed += this.db.prepare(`
+                DELETE FROM audit_entries WHERE seq <= (
+                    SELECT seq FROM audit_entries ORDER BY seq DESC LIMIT 1 OFFSET ?
+                )
+            `).run(this.maxEntries).changes;
+        }
+
+        if (removed > 0) {
+            logger.info(`Audit retention removed ${removed} entries`, { store: this.name });
+        }
+        return removed;
+    }
+
+    async close() {
+        if (this.db) {
+            this.db.close();
+            this.db = null;
+        }
+    }
+}
+
+module.exports = SqliteAuditStore;
@@ -0,0 +1,725 @@
+/**
+ * Batch Service
+ * Runs /api/excel/batch operations through Microsoft Graph JSON batching ($batch).
+ * Each operation is resolved, checked against the permission store and range rules, and
+ * audited on its own; the Graph requests are sent together, at most
+ * GRAPH_API.LIMITS.MAX_BATCH_SIZE per $batch call, ordered with dependsOn.
+ *
+ * Writes run in a workbook session: the caller's, when an operation passes sessionId, or
+ * one opened per workbook for the batch and closed when it is done.
+ *
+ * An atomic batch runs its operations one after another, snapshots every target range
+ * before the first write, and compensates all of its writes if any operation fails.
+ */
+
+const { v4: uuidv4 } = require('uuid');
+const excelService = require('./excelService');
+const resolverService = require('./resolverService');
+const auditService = require('./auditService');
+const sessionManager = require('./sessionManager');
+const readCache = require('./readCache');
+const permissions = require('../config/permissions');
+const rangeValidator = require('../middleware/rangeValidator');
+const logger = require('../config/logger');
+const { AppError, isGraphError, translateGraphError, describeGraphError } = require('../middleware/errorHandler');
+const { GRAPH_API, EXCEL_OPERATIONS, HTTP_STATUS, WORKBOOK_SESSION } = require('../utils/constants');
+
+const { READ_RANGE, WRITE_RANGE, READ_TABLE, ADD_TABLE_ROWS } = EXCEL_OPERATIONS;
+
+const isSuccess = status => status >= 200 && status < 300;
+
+/**
+ * Message of a failed Graph sub-response
+ * @param {Object} response - $batch response { status, body }
+ * @returns {string} Error message
+ */
+const graphErrorMessage = (response) => response.body?.error?.message || `Graph returned ${response.status}`;
+
+class BatchService {
+    /**
+     * Run a batch of operations
+     * @param {Object} params - { accessToken, operations (validated, with ids), atomic, auditContext }
+     * @returns {Promise<Object>} { batchId, results, rollback } with one result per operation, in
+     *                            order; rollback is set when an atomic batch failed
+     */
+    async execute({ accessToken, operations, atomic = false, auditContext }) {
+        const batchId = uuidv4();
+        const graphClient = excelService.createGraphClient(accessToken);
+        const results = new Array(operations.length);
+        const plans = [];
+
+        for (const [index, operation] of operations.entries()) {
+            try {
+                plans[index] = await this.prepare(accessToken, operation, auditContext);
+            } catch (error) {
+                plans[index] = null;
+                results[index] = this.failureFromError(index, operation, error);
+                this.audit({ operation, batchId, auditContext, result: results[index] });
+            }
+        }
+        if (atomic && !results.some(Boolean)) {
+            await this.snapshot(accessToken, operations, plans, results, { batchId, auditContext });
+        }
+        this.linkDependencies(operations, plans, atomic);
+
+        let pending = plans.map((plan, index) => index).filter(index => plans[index]);
+        let graphRequests = 0;
+        let chunks = 0;
+        let rollback = null;
+
+        // An atomic batch that could not be prepared or snapshotted sends nothing
+        const notPrepared = results.findIndex(Boolean);
+        if (atomic && notPrepared !== -1) {
+            pending.forEach((index) => {
+                results[index] = this.failure(index, operations[index], HTTP_STATUS.FAILED_DEPENDENCY,
+                    `Not run: operation "${operations[notPrepared].id}" failed`);
+                this.audit({ operation: operations[index], plan: plans[index], batchId, auditContext, result: results[index] });
+            });
+            pending = [];
+        }
+
+        const callSessions = pending.length > 0
+            ? await this.openCallSessions(accessToken, operations, plans, auditContext)
+            : [];
+        try {
+            while (pending.length > 0) {
+                const { chunk, requests, rest } = this.nextChunk(operations, plans, results, pending, { batchId, auditContext });
+                pending = rest;
+                if (requests.length === 0) {
+                    continue;
+                }
+
+                chunks += 1;
+                graphRequests += requests.length;
+                const responses = await this.send(graphClient, requests);
+
+                for (const index of chunk) {
+                    plans[index].sent = true;
+                    results[index] = await this.checkTableRange(accessToken, index, operations[index], plans[index],
+                        this.complete(index, operations[index], plans[index], responses), auditContext);
+                    this.audit({ operation: operations[index], plan: plans[index], batchId, auditContext, result: results[index] });
+                }
+            }
+
+            if (atomic && results.some(result => !result.success)) {
+                rollback = await this.rollback(graphClient, operations, plans, results, { batchId, auditContext });
+            }
+        } finally {
+            await Promise.all(callSessions.map(session => sessionManager.release(session)));
+            // Drop cached reads the sent writes (and any rollback) may have changed
+            await Promise.all(plans.map((plan, index) => {
+                if (!plan?.sent || operations[index].type === READ_RANGE || operations[index].type === READ_TABLE) {
+                    return null;
+                }
+                return operations[index].type === WRITE_RANGE
+                    ? readCache.invalidateRange(plan.itemId, plan.address)
+                    : readCache.invalidateWorkbook(plan.itemId);
+            }));
+        }
+
+        // Operations Graph answered 404 for may have used stale IDs from the name cache
+        await Promise.all(results
+            .filter(result => result.errorCode === 'ITEM_NOT_FOUND')
+            .map(result => resolverService.forgetNames({ ...operations[result.index], itemId: plans[result.index]?.itemId })));
+
+        const succeeded = results.filter(result => result.success).length;
+
+        auditService.logBatchOperation({
+            ...auditContext,
+            batchId,
+            atomic,
+            total: operations.length,
+            succeeded,
+            failed: operations.length - succeeded,
+            failedOperation: rollback?.failedOperation.id,
+            rolledBack: rollback?.restored.length,
+            rollbackFailed: rollback?.failed.length,
+            graphRequests,
+            chunks
+        });
+
+        return { batchId, results, rollback };
+    }
+
+    /**
+     * Resolve an operation's workbook and worksheet, check permissions and range rules,
+     * and build its Graph requests
+     * @param {string} accessToken - Graph access token
+     * @param {Object} operation - Validated operation
+     * @param {Object} auditContext - Audit context
+     * @returns {Promise<Object>} Plan { driveId, itemId, worksheetId, address, session, steps }
+     */
+    async prepare(accessToken, operation, auditContext) {
+        const { type, range, tableName } = operation;
+        const { driveId, itemId } = await resolverService.resolveWorkbook(accessToken, operation);
+        // The caller's session must be open on this workbook
+        const session = await sessionManager.acquire({
+            accessToken, driveId, itemId, sessionId: operation.sessionId, user: auditContext.user
+        });
+        const { worksheetId, worksheetName, address } = await resolverService.resolveWorksheet(
+            accessToken, driveId, itemId, operation
+        );
+        const isWrite = type === WRITE_RANGE || type === ADD_TABLE_ROWS;
+
+        const check = {
+            [READ_RANGE]: () => permissions.canReadRange(auditContext.principal, itemId, worksheetId, address, worksheetName),
+            [WRITE_RANGE]: () => permissions.canWriteRange(auditContext.principal, itemId, worksheetId, address, worksheetName),
+            [READ_TABLE]: () => permissions.canReadTable(auditContext.principal, itemId, worksheetId, tableName),
+            [ADD_TABLE_ROWS]: () => permissions.canWriteTable(auditContext.principal, itemId, worksheetId, tableName)
+        }[type]();
+        const denied = (reason) => {
+            auditService.logPermissionCheck({
+                ...auditContext,
+                driveId,
+                workbookId: itemId,
+                worksheetId,
+                range: address,
+                table: tableName,
+                requestedPermission: isWrite ? 'WRITE' : 'READ',
+                granted: false,
+                reason
+            });
+            return new AppError(`${isWrite ? 'Write' : 'Read'} access denied: ${reason}`, HTTP_STATUS.FORBIDDEN);
+        };
+
+        if (!check.allowed) {
+            throw denied(check.reason);
+        }
+        // Range rules apply to range operations, as on /read and /write
+        if (range) {
+            const { validation } = await rangeValidator.checkWorkbookRange(
+                accessToken, { driveId, itemId }, range,
+                { worksheetId: operation.worksheetId, worksheetName },
+                isWrite ? 'write' : 'read'
+            );
+            if (!validation.allowed) {
+                throw denied(validation.reason);
+            }
+        }
+        // and to the cells a table append writes, as on /add-table-rows
+        if (type === ADD_TABLE_ROWS) {
+            const { validation } = await excelService.checkTableAppend(excelService.createGraphClient(accessToken, session), {
+                accessToken, driveId, itemId, worksheetId, tableName, rowCount: operation.rows.length
+            });
+            if (!validation.allowed) {
+                throw denied(validation.reason);
+            }
+        }
+
+        const worksheetPath = `/drives/${driveId}/items/${itemId}/workbook/worksheets/${encodeURIComponent(worksheetId)}`;
+        const rangePath = `${worksheetPath}/range(address='${address}')`;
+        const tablePath = `${worksheetPath}/tables/${encodeURIComponent(tableName)}`;
+
+        const steps = {
+            [READ_RANGE]: () => [{ key: 'range', method: 'GET', url: rangePath }],
+            // Read the current values first so the write can be audited and undone
+            [WRITE_RANGE]: () => [
+                { key: 'before', method: 'GET', url: rangePath },
+                { key: 'write', method: 'PATCH', url: rangePath, body: { values: operation.values }, after: ['before'] }
+            ],
+            [READ_TABLE]: () => [
+                { key: 'table', method: 'GET', url: tablePath },
+                { key: 'range', method: 'GET', url: `${tablePath}/range` }
+            ],
+            [ADD_TABLE_ROWS]: () => [
+                { key: 'add', method: 'POST', url: `${tablePath}/rows`, body: { values: operation.rows } }
+            ]
+        }[type]();
+
+        return { driveId, itemId, worksheetId, address, rangePath, tablePath, session, steps, dependsOn: [] };
+    }
+
+    /**
+     * Open one call session per workbook the batch writes to, for the operations that
+     * did not pass their own session
+     * @param {string} accessToken - Graph access token
+     * @param {Array} operations - Operations
+     * @param {Array} plans - Plans; operations without a session get the workbook's call session
+     * @param {Object} auditContext - Audit context
+     * @returns {Promise<Array>} Call sessions, to release when the batch is done
+     */
+    async openCallSessions(accessToken, operations, plans, auditContext) {
+        const written = new Map(); // key: itemId -> driveId
+        operations.forEach((operation, index) => {
+            const plan = plans[index];
+            if (plan && !plan.session && (operation.type === WRITE_RANGE || operation.type === ADD_TABLE_ROWS)) {
+                written.set(plan.itemId, plan.driveId);
+            }
+        });
+
+        const sessions = new Map();
+        for (const [itemId, driveId] of written) {
+            const session = await sessionManager.acquire({ accessToken, driveId, itemId, user: auditContext.user, create: true });
+            if (session) {
+                sessions.set(itemId, session);
+            }
+        }
+
+        plans.forEach((plan) => {
+            if (plan && !plan.session && sessions.has(plan.itemId)) {
+                plan.session = sessions.get(plan.itemId);
+            }
+        });
+        return [...sessions.values()];
+    }
+
+    /**
+     * Snapshot the target range of every range write in an atomic batch before anything
+     * is written. Stops at the first snapshot that fails, which fails its operation.
+     * @param {string} accessToken - Graph access token
+     * @param {Array} operations - Operations
+     * @param {Array} plans - Plans; each range write gets a snapshot
+     * @param {Array} results - Results, filled in for a failed snapshot
+     * @param {Object} context - { batchId, auditContext }
+     */
+    async snapshot(accessToken, operations, plans, results, { batchId, auditContext }) {
+        for (const [index, operation] of operations.entries()) {
+            const plan = plans[index];
+            if (operation.type !== WRITE_RANGE) {
+                continue;
+            }
+
+            try {
+                plan.snapshot = await excelService.readRange({
+                    accessToken,
+                    driveId: plan.driveId,
+                    itemId: plan.itemId,
+                    worksheetId: plan.worksheetId,
+                    range: plan.address,
+                    sessionId: operation.sessionId,
+                    auditContext: { ...auditContext, batchId }
+                });
+            } catch (error) {
+                plans[index] = null;
+                results[index] = this.failureFromError(index, operation, error,
+                    `Could not snapshot ${plan.address} before writing: ${error.message}`);
+                this.audit({ operation, plan, batchId, auditContext, result: results[index] });
+                return;
+            }
+
+            // The snapshot replaces the read before the write
+            plan.steps = plan.steps
+                .filter(step => step.key !== 'before')
+                .map(({ after, ...step }) => step);
+        }
+    }
+
+    /**
+     * Turn dependsOn IDs into operation indexes. Operations without dependsOn run after
+     * the previous operation on the same workbook, so writes and reads keep their order.
+     * In an atomic batch every operation runs after the previous one and dependsOn is ignored.
+     * @param {Array} operations - Operations
+     * @param {Array} plans - Plans (null for operations that failed to prepare)
+     * @param {boolean} atomic - Whether the batch is atomic
+     */
+    linkDependencies(operations, plans, atomic = false) {
+        const indexById = new Map(operations.map((operation, index) => [operation.id, index]));
+        const lastByWorkbook = new Map();
+
+        operations.forEach((operation, index) => {
+            const plan = plans[index];
+            const itemId = plan?.itemId || operation.itemId;
+
+            if (plan) {
+                if (atomic) {
+                    plan.dependsOn = index > 0 ? [index - 1] : [];
+                } else if (operation.dependsOn) {
+                    plan.dependsOn = operation.dependsOn.map(id => indexById.get(id));
+                } else if (itemId && lastByWorkbook.has(itemId)) {
+                    plan.dependsOn = [lastByWorkbook.get(itemId)];
+                }
+            }
+            if (itemId) {
+                lastByWorkbook.set(itemId, index);
+            }
+        });
+    }
+
+    /**
+     * Fill the next $batch call with whole operations, in order. Operations whose
+     * dependency already failed are failed with 424 instead of being sent.
+     * @returns {Object} { chunk (operation indexes), requests, rest (indexes left) }
+     */
+    nextChunk(operations, plans, results, pending, { batchId, auditContext }) {
+        const chunk = [];
+        const requests = [];
+
+        for (const [position, index] of pending.entries()) {
+            const plan = plans[index];
+            const failed = plan.dependsOn.find(dependency => results[dependency] && !results[dependency].success);
+            if (failed !== undefined) {
+                results[index] = this.failure(index, operations[index], HTTP_STATUS.FAILED_DEPENDENCY,
+                    `Not run: operation "${operations[failed].id}" failed`);
+                this.audit({ operation: operations[index], plan, batchId, auditContext, result: results[index] });
+                continue;
+            }
+            if (requests.length + plan.steps.length > GRAPH_API.LIMITS.MAX_BATCH_SIZE) {
+                return { chunk, requests, rest: pending.slice(position) };
+            }
+
+            // Dependencies sent in an earlier call have already succeeded
+            const inChunk = plan.dependsOn
+                .filter(dependency => chunk.includes(dependency))
+                .flatMap(dependency => plans[dependency].steps.map(step => `${dependency}.${step.key}`));
+
+            // Session headers go on each request; Graph does not apply them from the $batch call
+            const sessionHeaders = plan.session ? { [WORKBOOK_SESSION.HEADER]: plan.session.graphSessionId } : {};
+            plan.steps.forEach((step) => {
+                const request = { id: `${index}.${step.key}`, method: step.method, url: step.url };
+                const headers = { ...sessionHeaders };
+                if (step.body) {
+                    request.body = step.body;
+                    headers['Content-Type'] = 'application/json';
+                }
+                if (Object.keys(headers).length > 0) {
+                    request.headers = headers;
+                }
+                const dependsOn = [...inChunk, ...(step.after || []).map(key => `${index}.${key}`)];
+                if (dependsOn.length > 0) {
+                    request.dependsOn = dependsOn;
+                }
+                requests.push(request);
+            });
+            chunk.push(index);
+        }
+
+        return { chunk, requests, rest: [] };
+    }
+
+    /**
+     * Send one $batch call
+     * @param {Object} graphClient - Microsoft Graph client
+     * @param {Array} requests - $batch requests
+     * @returns {Promise<Map>} Request ID to { status, body }
+     */
+    async send(graphClient, requests) {
+        try {
+            const { responses = [] } = await graphClient.api('/$batch').post({ requests });
+            return new Map(responses.map(response => [response.id, response]));
+        } catch (error) {
+            // The whole call failed: report it on every request it carried
+            logger.error('Graph $batch request failed:', error);
+            const failed = {
+                status: error.statusCode > 0 ? error.statusCode : HTTP_STATUS.BAD_GATEWAY,
+                body: { error: { code: error.code, message: error.message, innerError: { 'request-id': error.requestId } } }
+            };
+            return new Map(requests.map(request => [request.id, failed]));
+        }
+    }
+
+    /**
+     * Build an operation's result from its $batch responses
+     * @returns {Object} Operation result
+     */
+    complete(index, operation, plan, responses) {
+        const byKey = {};
+        plan.steps.forEach((step) => {
+            byKey[step.key] = responses.get(`${index}.${step.key}`) || {
+                status: HTTP_STATUS.BAD_GATEWAY,
+                body: { error: { message: 'No response from Graph' } }
+            };
+        });
+
+        const failed = Object.values(byKey).find(response => !isSuccess(response.status));
+        if (failed) {
+            const graphError = failed.body?.error || {};
+            const { code, hint } = describeGraphError(graphError.code, failed.status);
+            return this.failure(index, operation, failed.status, graphErrorMessage(failed), {
+                errorCode: code,
+                hint,
+                requestId: graphError.innerError?.['request-id'] || null
+            });
+        }
+
+        let data;
+        switch (operation.type) {
+            case READ_RANGE: {
+                const body = byKey.range.body;
+                data = {
+                    address: body.address,
+                    values: body.values,
+                    formulas: body.formulas,
+                    text: body.text,
+                    rowCount: body.rowCount,
+                    columnCount: body.columnCount
+                };
+                break;
+            }
+            case WRITE_RANGE: {
+                const body = byKey.write.body;
+                data = {
+                    address: body.address,
+                    values: body.values,
+                    rowCount: body.rowCount,
+                    columnCount: body.columnCount
+                };
+                break;
+            }
+            case READ_TABLE: {
+                const table = byKey.table.body;
+                const body = byKey.range.body;
+                data = {
+                    id: table.id,
+                    name: table.name,
+                    address: body.address,
+                    values: body.values,
+                    headers: body.values?.[0],
+                    rows: body.values?.slice(1),
+                    rowCount: body.rowCount,
+                    columnCount: body.columnCount
+                };
+                break;
+            }
+            default:
+                data = byKey.add.body;
+        }
+
+        return {
+            index,
+            id: operation.id,
+            operation: operation.type,
+            status: byKey[plan.steps[plan.steps.length - 1].key].status,
+            success: true,
+            data,
+            before: byKey.before?.body
+        };
+    }
+
+    /**
+     * Apply range read rules to the cells a table read covers, which are only known once
+     * Graph has answered; a denied table read becomes a failed result without its rows
+     * @returns {Promise<Object>} Operation result
+     */
+    async checkTableRange(accessToken, index, operation, plan, result, auditContext) {
+        if (operation.type !== READ_TABLE || !result.success) {
+            return result;
+        }
+
+        let validation;
+        try {
+            ({ validation } = await rangeValidator.checkWorkbookRange(
+                accessToken, { driveId: plan.driveId, itemId: plan.itemId }, result.data.address, {}, 'read'
+            ));
+        } catch (error) {
+            return this.failureFromError(index, operation, error);
+        }
+        if (validation.allowed) {
+            return result;
+        }
+
+        auditService.logPermissionCheck({
+            ...auditContext,
+            driveId: plan.driveId,
+            workbookId: plan.itemId,
+            worksheetId: plan.worksheetId,
+            table: operation.tableName,
+            range: result.data.address,
+            requestedPermission: 'READ',
+            granted: false,
+            reason: validation.reason
+        });
+        return this.failure(index, operation, HTTP_STATUS.FORBIDDEN, `Read access denied: ${validation.reason}`);
+    }
+
+    /**
+     * Failed operation result. Graph failures add the middleware errorCode, a hint and
+     * Graph's requestId.
+     * @returns {Object} Operation result
+     */
+    failure(index, operation, status, message, details = null) {
+        return {
+            index,
+            id: operation.id,
+            operation: operation.type,
+            status,
+            success: false,
+            error: message,
+            ...details
+        };
+    }
+
+    /**
+     * Failed operation result for an error thrown before the operation was sent
+     * @returns {Object} Operation result
+     */
+    failureFromError(index, operation, error, message = error.message) {
+        if (!isGraphError(error)) {
+            return this.failure(index, operation, error.statusCode || HTTP_STATUS.INTERNAL_SERVER_ERROR, message);
+        }
+        const translated = translateGraphError(error);
+        return this.failure(index, operation, translated.statusCode, message, {
+            errorCode: translated.code,
+            hint: translated.hint,
+            requestId: translated.requestId
+        });
+    }
+
+    /**
+     * Record an operation in the audit trail. Successful range writes get an audit ID
+     * (added to the result) that /undo accepts. Denied operations are not recorded again:
+     * the denial was audited as a permission check.
+     */
+    audit({ operation, plan, batchId, auditContext, result }) {
+        // Graph's own 403s carry an errorCode and are recorded as failed operations
+        if (result.status === HTTP_STATUS.FORBIDDEN && !result.errorCode) {
+            return;
+        }
+        const isWrite = operation.type === WRITE_RANGE || operation.type === ADD_TABLE_ROWS;
+        // Values before a range write are for the audit trail, not the response
+        // (an atomic batch takes them from its snapshot)
+        const before = result.before || plan?.snapshot;
+        delete result.before;
+
+        const entry = {
+            ...auditContext,
+            batchId,
+            driveId: plan?.driveId || operation.driveId,
+            workbookId: plan?.itemId || operation.itemId,
+            worksheetId: plan?.worksheetId || operation.worksheetId || operation.worksheetName,
+            range: plan?.address || operation.range,
+            table: operation.tableName,
+            success: result.success,
+            error: result.error
+        };
+
+        if (!isWrite) {
+            auditService.logReadOperation({
+                ...entry,
+                cellCount: result.success ? result.data.rowCount * result.data.columnCount : undefined
+            });
+            return;
+        }
+
+        const newValues = operation.type === WRITE_RANGE ? operation.values : operation.rows;
+        const auditId = auditService.logWriteOperation({
+            ...entry,
+            oldValues: before?.values,
+            oldFormulas: before?.formulas || null,
+            newValues,
+            cellsModified: result.success ? newValues.length * (newValues[0]?.length || 0) : undefined
+        });
+
+        if (plan) {
+            plan.auditId = auditId;
+        }
+        if (result.success && operation.type === WRITE_RANGE) {
+            result.data.auditId = auditId;
+        }
+    }
+
+    /**
+     * Compensate the writes of a failed atomic batch, newest first: range writes get their
+     * snapshot back and added table rows are deleted. Writes that Graph rejected changed
+     * nothing; writes that failed with a server error may have been applied and are
+     * compensated too.
+     * @param {Object} graphClient - Microsoft Graph client
+     * @param {Array} operations - Operations
+     * @param {Array} plans - Plans
+     * @param {Array} results - Results
+     * @param {Object} context - { batchId, auditContext }
+     * @returns {Promise<Object>} { failedOperation, restored, failed }
+     */
+    async rollback(graphClient, operations, plans, results, { batchId, auditContext }) {
+        const cause = results.find(result => !result.success && result.status !== HTTP_STATUS.FAILED_DEPENDENCY)
+            || results.find(result => !result.success);
+        const restored = [];
+        const failed = [];
+
+        for (let index = operations.length - 1; index >= 0; index -= 1) {
+            const operation = operations[index];
+            const plan = plans[index];
+            const result = results[index];
+            const isWrite = operation.type === WRITE_RANGE || operation.type === ADD_TABLE_ROWS;
+            if (!isWrite || !plan?.sent || !(result.success || result.status >= HTTP_STATUS.INTERNAL_SERVER_ERROR)) {
+                continue;
+            }
+
+            const target = { index, id: operation.id, operation: operation.type, worksheetId: plan.worksheetId };
+            if (operation.type === WRITE_RANGE) {
+                target.range = plan.address;
+            } else {
+                target.table = operation.tableName;
+            }
+
+            try {
+                await this.compensate(graphClient, operation, plan, result, { batchId, auditContext });
+                restored.push(target);
+            } catch (error) {
+                logger.error('Atomic batch rollback failed', { batchId, index, error: error.message });
+                auditService.logUndoOperation({
+                    ...auditContext,
+                    batchId,
+                    undoOf: plan.auditId,
+                    driveId: plan.driveId,
+                    workbookId: plan.itemId,
+                    worksheetId: plan.worksheetId,
+                    range: target.range,
+                    table: target.table,
+                    success: false,
+                    error: error.message
+                });
+                failed.push({ ...target, error: error.message });
+            }
+        }
+
+        logger.warn('Atomic batch rolled back', {
+            batchId,
+            failedOperation: cause.id,
+            restored: restored.length,
+            failed: failed.length
+        });
+
+        return {
+            failedOperation: { index: cause.index, id: cause.id, operation: cause.operation, status: cause.status, error: cause.error },
+            restored,
+            failed
+        };
+    }
+
+    /**
+     * Undo one write of an atomic batch and audit the undo
+     * @throws {Error} If the write cannot be undone
+     */
+    async compensate(graphClient, operation, plan, result, { batchId, auditContext }) {
+        const request = (path) => {
+            const graphRequest = graphClient.api(path);
+            return plan.session ? graphRequest.header(WORKBOOK_SESSION.HEADER, plan.session.graphSessionId) : graphRequest;
+        };
+        const entry = {
+            ...auditContext,
+            batchId,
+            undoOf: plan.auditId,
+            driveId: plan.driveId,
+            workbookId: plan.itemId,
+            worksheetId: plan.worksheetId,
+            success: true
+        };
+
+        if (operation.type === ADD_TABLE_ROWS) {
+            if (!result.success) {
+                throw new Error('The rows may have been added, but Graph did not report where');
+            }
+            // Deleting the first added row moves the next one up into its place
+            for (let row = 0; row < operation.rows.length; row += 1) {
+                await request(`${plan.tablePath}/rows/itemAt(index=${result.data.index})`).delete();
+            }
+            auditService.logUndoOperation({ ...entry, table: operation.tableName, oldValues: operation.rows, newValues: null });
+            return;
+        }
+
+        // Restore formulas where they were captured; leave cells the write did not touch (null)
+        const { snapshot } = plan;
+        const previous = Array.isArray(snapshot.formulas) ? snapshot.formulas : snapshot.values;
+        const restore = previous.map((row, r) => row.map((cell, c) => {
+            const written = operation.values[r]?.[c];
+            return written === null || written === undefined ? null : cell;
+        }));
+
+        await request(plan.rangePath)
+            .patch(Array.isArray(snapshot.formulas) ? { formulas: restore } : { values: restore });
+
+        auditService.logUndoOperation({ ...entry, range: plan.address, oldValues: operation.values, newValues: restore });
+    }
+}
+
+module.exports = new BatchService();
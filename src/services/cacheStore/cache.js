@@ -0,0 +1,169 @@
+/**
+ * Cache
+ * Namespaced cache over a cache store, with a time to live per namespace and hit, miss
+ * and stale counts. The store is opened on first use. A store error is logged and treated
+ * as a miss, so callers fall back to Graph instead of failing.
+ */
+
+const logger = require('../../config/logger');
+
+const hitRate = ({ hits, misses }) => (hits + misses > 0 ? Math.round((hits / (hits + misses)) * 1000) / 1000 : null);
+
+class Cache {
+    /**
+     * @param {string} label - Cache name for logs
+     * @param {Object} config - Cache configuration (see getCacheConfig)
+     * @param {Function} openStore - (config, label) => Promise of an initialized store
+     */
+    constructor(label, config, openStore) {
+        this.label = label;
+        this.config = config;
+        this.ttls = config.ttls;
+        this.openStore = openStore;
+        this.store = null;
+        this.opening = null;
+        this.metrics = {}; // key: namespace -> { hits, misses, stale, invalidations }
+    }
+
+    /**
+     * @returns {Promise<Object>} Initialized store
+     */
+    async open() {
+        if (!this.opening) {
+            this.opening = this.openStore(this.config, this.label).then((store) => {
+                this.store = store;
+                return store;
+            });
+        }
+        return this.opening;
+    }
+
+    counters(namespace) {
+        if (!this.metrics[namespace]) {
+            this.metrics[namespace] = { hits: 0, misses: 0, stale: 0, invalidations: 0 };
+        }
+        return this.metrics[namespace];
+    }
+
+    /**
+     * @param {string} namespace - Namespace
+     * @param {string} key - Key within the namespace
+     * @param {Function} [isCurrent] - value => boolean; an entry it rejects is removed and
+     *                                 counted as stale and as a miss
+     * @returns {Promise<*>} Cached value, or undefined
+     */
+    async get(namespace, key, isCurrent = null) {
+        if (!this.ttls[namespace]) {
+            return undefined;
+        }
+
+        let value;
+        try {
+            const store = await this.open();
+            value = await store.get(`${namespace}:${key}`);
+            if (value !== undefined && isCurrent && !isCurrent(value)) {
+                this.counters(namespace).stale += 1;
+                await store.delete(`${namespace}:${key}`);
+                value = undefined;
+            }
+        } catch (error) {
+            logger.warn(`${this.label} lookup failed:`, error.message);
+        }
+
+        const counters = this.counters(namespace);
+        if (value === undefined) {
+            counters.misses += 1;
+        } else {
+            counters.hits += 1;
+        }
+        return value;
+    }
+
+    /**
+     * @param {string} namespace - Namespace
+     * @param {string} key - Key within the namespace
+     * @param {*} value - JSON-serializable value
+     */
+    async set(namespace, key, value) {
+        const ttl = this.ttls[namespace];
+        if (!ttl) {
+            return;
+        }
+        try {
+            await (await this.open()).set(`${namespace}:${key}`, value, ttl);
+        } catch (error) {
+            logger.warn(`${this.label} update failed:`, error.message);
+        }
+    }
+
+    /**
+     * Remove one entry
+     * @param {string} namespace - Namespace
+     * @param {string} key - Key within the namespace
+     */
+    async delete(namespace, key) {
+        try {
+            if (await (await this.open()).delete(`${namespace}:${key}`)) {
+                this.counters(namespace).invalidations += 1;
+            }
+        } catch (error) {
+            logger.warn(`${this.label} invalidation failed:`, error.message);
+        }
+    }
+
+    /**
+     * Remove the entries whose key starts with a prefix, or only those the predicate accepts
+     * @param {string} namespace - Namespace
+     * @param {string} prefix - Key prefix within the namespace ('' for all)
+     * @param {Function} [predicate] - (value, key) => boolean
+     */
+    async deleteMatching(namespace, prefix, predicate) {
+        try {
+            const removed = await (await this.open()).deleteMatching(`${namespace}:${prefix}`, predicate);
+            this.counters(namespace).invalidations += removed;
+        } catch (error) {
+            logger.warn(`${this.label} invalidation failed:`, error.message);
+        }
+    }
+
+    /**
+     * Cache statistics for health checks
+     * @returns {Promise<Object>} Backend, size, TTLs, and hits, misses, stale entries and
+     *                            invalidations per namespace
+     */
+    async getStats() {
+        const namespaces = {};
+        const totals = { hits: 0, misses: 0, stale: 0, invalidations: 0 };
+
+        Object.keys(this.ttls).forEach((namespace) => {
+            const counters = this.counters(namespace);
+            namespaces[namespace] = {
+                ...counters,
+                hitRate: hitRate(counters),
+                ttlSeconds: this.ttls[namespace] / 1000
+            };
+            totals.hits += counters.hits;
+            totals.misses += counters.misses;
+            totals.stale += counters.stale;
+            totals.invalidations += counters.invalidations;
+        });
+
+        return {
+            backend: this.store ? this.store.name : this.config.backend,
+            entries: this.store ? await this.store.size().catch(() => null) : 0,
+            maxEntries: this.config.maxEntries,
+            evictions: this.store ? this.store.evictions : 0,
+            ...totals,
+            hitRate: hitRate(totals),
+            namespaces
+        };
+    }
+
+    async close() {
+        if (this.store) {
+            await this.store.close();
+        }
+    }
+}
+
+module.exports = Cache;
@@ -0,0 +1,114 @@
+/**
+ * Cache Store
+ * Chooses and opens cache storage backends. Every backend implements:
+ *   init(), get(key), set(key, value, ttlMs), delete(key), deleteMatching(prefix, predicate),
+ *   prune(), size(), close()
+ *
+ * Each cache is configured by environment variables with its own prefix; for NAME_CACHE:
+ *   NAME_CACHE                   memory (default, least recently used) or sqlite (needs better-sqlite3)
+ *   NAME_CACHE_PATH              sqlite file (default ./cache/<name>.db, or the system temp
+ *                                directory on Vercel)
+ *   NAME_CACHE_MAX_ENTRIES       least recently used entries beyond this are evicted (default 5000)
+ *   NAME_CACHE_TTL_SECONDS       time to live for every namespace
+ *   NAME_CACHE_<NS>_TTL_SECONDS  time to live for one namespace, e.g. NAME_CACHE_WORKSHEET_TTL_SECONDS;
+ *                                0 turns caching off for it
+ */
+
+const os = require('os');
+const path = require('path');
+const logger = require('../../config/logger');
+const { CACHE_STORE } = require('../../utils/constants');
+const { readEnvNumber } = require('../../utils/helpers');
+const MemoryCacheStore = require('./memoryStore');
+const SqliteCacheStore = require('./sqliteStore');
+const Cache = require('./cache');
+
+const { BACKENDS } = CACHE_STORE;
+
+/**
+ * Build a cache's configuration from the environment
+ * @param {string} prefix - Variable prefix, e.g. NAME_CACHE
+ * @param {Object} options - { fileName (default sqlite file), ttls (namespace -> default TTL in ms) }
+ * @returns {Object} Cache configuration
+ */
+const getCacheConfig = (prefix, { fileName, ttls }) => {
+    const backend = (process.env[prefix] || BACKENDS.MEMORY).toLowerCase();
+    // Vercel functions can only write to the temp directory
+    const baseDir = process.env.VERCEL
+        ? path.join(os.tmpdir(), 'excel-gpt-cache')
+        : path.join(__dirname, '../../../cache');
+    const sharedTtl = readEnvNumber(`${prefix}_TTL_SECONDS`, null);
+
+    return {
+        backend,
+        path: process.env[`${prefix}_PATH`] ? path.resolve(process.env[`${prefix}_PATH`]) : path.join(baseDir, fileName),
+        maxEntries: Math.floor(readEnvNumber(`${prefix}_MAX_ENTRIES`, 0)) || CACHE_STORE.DEFAULT_MAX_ENTRIES,
+        ttls: Object.fromEntries(Object.entries(ttls).map(([namespace, fallback]) => {
+            const seconds = readEnvNumber(`${prefix}_${namespace.toUpperCase()}_TTL_SECONDS`, sharedTtl ?? fallback / 1000);
+            return [namespace, seconds * 1000];
+        }))
+    };
+};
+
+/**
+ * Create (but do not open) a cache store
+ * @param {Object} config - Cache configuration
+ * @returns {Object} Cache store
+ */
+const createCacheStore = (config) => {
+    switch (config.backend) {
+        case BACKENDS.MEMORY:
+            return new MemoryCacheStore({ maxEntries: config.maxEntries });
+        case BACKENDS.SQLITE:
+            return new SqliteCacheStore({ filename: config.path, maxEntries: config.maxEntries });
+        default:
+            throw new Error(`Unknown cache store "${config.backend}"; expected ${Object.values(BACKENDS).join(', ')}`);
+    }
+};
+
+/**
+ * Open a cache store and schedule removal of expired entries. If it cannot be opened
+ * the error is logged and the cache is kept in memory.
+ * @param {Object} config - Cache configuration
+ * @param {string} label - Cache name for logs
+ * @returns {Promise<Object>} Initialized cache store
+ */
+const openCacheStore = async (config, label) => {
+    let store;
+
+    try {
+        store = createCacheStore(config);
+        await store.init();
+        logger.info(`${label}: ${store.name}`, {
+            path: store.name === BACKENDS.MEMORY ? undefined : config.path,
+            maxEntries: config.maxEntries
+        });
+    } catch (error) {
+        logger.error(`Could not open the ${config.backend} store for ${label}; keeping it in memory: ${error.message}`);
+        store = new MemoryCacheStore({ maxEntries: config.maxEntries });
+        await store.init();
+    }
+
+    setInterval(() => {
+        store.prune().catch(error => logger.warn(`${label} cleanup failed:`, error.message));
+    }, CACHE_STORE.PRUNE_INTERVAL).unref();
+
+    return store;
+};
+
+/**
+ * Create a cache configured from the environment variables with the given prefix
+ * @param {string} prefix - Variable prefix, e.g. NAME_CACHE
+ * @param {Object} options - { label, fileName, ttls }
+ * @returns {Cache} Cache, opened on first use
+ */
+const createCache = (prefix, { label, fileName, ttls }) => (
+    new Cache(label, getCacheConfig(prefix, { fileName, ttls }), openCacheStore)
+);
+
+module.exports = {
+    getCacheConfig,
+    createCacheStore,
+    openCacheStore,
+    createCache
+};
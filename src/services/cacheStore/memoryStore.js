@@ -0,0 +1,112 @@
+/**
+ * In-Memory Cache Store
+ * Least recently used cache in process memory. Entries are lost on restart and are
+ * not shared between instances. Values are copied in and out, as with the other stores,
+ * so callers can modify what they get.
+ */
+
+const { CACHE_STORE } = require('../../utils/constants');
+
+class MemoryCacheStore {
+    /**
+     * @param {Object} options - { maxEntries }
+     */
+    constructor(options = {}) {
+        this.name = CACHE_STORE.BACKENDS.MEMORY;
+        this.maxEntries = options.maxEntries || CACHE_STORE.DEFAULT_MAX_ENTRIES;
+        this.entries = new Map(); // key -> { value, expiresAt }, least recently used first
+        this.evictions = 0;
+    }
+
+    async init() {}
+
+    /**
+     * Get a live entry and mark it as recently used
+     * @param {string} key - Key
+     * @returns {Promise<*>} Value, or undefined if absent or expired
+     */
+    async get(key) {
+        const entry = this.entries.get(key);
+        if (!entry) {
+            return undefined;
+        }
+        if (entry.expiresAt <= Date.now()) {
+            this.entries.delete(key);
+            return undefined;
+        }
+
+        this.entries.delete(key);
+        this.entries.set(key, entry);
+        return structuredClone(entry.value);
+    }
+
+    /**
+     * Store an entry, evicting the least recently used beyond maxEntries
+     * @param {string} key - Key
+     * @param {*} value - JSON-serializable value
+     * @param {number} ttlMs - Time to live
+     */
+    async set(key, value, ttlMs) {
+        this.entries.delete(key);
+        this.entries.set(key, { value: structuredClone(value), expiresAt: Date.now() + ttlMs });
+
+        while (this.entries.size > this.maxEntries) {
+            this.entries.delete(this.entries.keys().next().value);
+            this.evictions += 1;
+        }
+    }
+
+    /**
+     * @param {string} key - Key
+     * @returns {Promise<boolean>} True if an entry was removed
+     */
+    async delete(key) {
+        return this.entries.delete(key);
+    }
+
+    /**
+     * Delete the entries under a key prefix, or only those the predicate accepts
+     * @param {string} prefix - Key prefix
+     * @param {Function} [predicate] - (value, key) => boolean
+     * @returns {Promise<number>} Number of entries removed
+     */
+    async deleteMatching(prefix, predicate = () => true) {
+        let removed = 0;
+        for (const [key, entry] of this.entries) {
+            if (key.startsWith(prefix) && predicate(entry.value, key)) {
+                this.entries.delete(key);
+                removed += 1;
+            }
+        }
+        return removed;
+    }
+
+    /**
+     * Delete expired entries
+     * @returns {Promise<number>} Number of entries removed
+     */
+    async prune() {
+        const now = Date.now();
+        let removed = 0;
+        for (const [key, entry] of this.entries) {
+            if (entry.expiresAt <= now) {
+                this.entries.delete(key);
+                removed += 1;
+            }
+        }
+        return removed;
+    }
+
+    /**
+     * @returns {Promise<number>} Number of stored entries, expired ones included
+     */
+    async size() {
+        return this.entries.size;
+    }
+
+    async close() {
+        this.entries.clear();
+    }
+}
+
+module.exports = MemoryCacheStore;
@@ -0,0 +1,152 @@
+/**
+ * SQLite Cache Store
+ * Keeps cache entries in an embedded SQLite database (better-sqlite3), so they survive
+ * restarts and are shared by every process that opens the same file. Values are stored
+ * as JSON; the least recently used entries beyond maxEntries are evicted.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { CACHE_STORE } = require('../../utils/constants');
+
+const SCHEMA = `
+    CREATE TABLE IF NOT EXISTS cache_entries (
+        key TEXT PRIMARY KEY,
+        value TEXT NOT NULL,
+        expires_at INTEGER NOT NULL,
+        used_at INTEGER NOT NULL
+    );
+    CREATE INDEX IF NOT EXISTS idx_cache_expires ON cache_entries (expires_at);
+    CREATE INDEX IF NOT EXISTS idx_cache_used ON cache_entries (used_at);
+`;
+
+class SqliteCacheStore {
+    /**
+     * @param {Object} options - { filename, maxEntries }
+     */
+    constructor(options = {}) {
+        this.name = CACHE_STORE.BACKENDS.SQLITE;
+        this.filename = options.filename;
+        this.maxEntries = options.maxEntries || CACHE_STORE.DEFAULT_MAX_ENTRIES;
+        this.evictions = 0;
+        this.db = null;
+    }
+
+    /**
+     * Open the database and create the schema
+     */
+    async init() {
+        let Database;
+        try {
+            Database = require('better-sqlite3');
+        } catch (error) {
+            throw new Error('The sqlite cache store requires the better-sqlite3 package (npm install better-sqlite3)');
+        }
+
+        fs.mkdirSync(path.dirname(this.filename), { recursive: true });
+        this.db = new Database(this.filename);
+        this.db.pragma('journal_mode = WAL');
+        this.db.exec(SCHEMA);
+
+        this.statements = {
+            get: this.db.prepare('SELECT value, expires_at AS expiresAt FROM cache_entries WHERE key = ?'),
+            touch: this.db.prepare('UPDATE cache_entries SET used_at = ? WHERE key = ?'),
+            set: this.db.prepare(`
+                INSERT INTO cache_entries (key, value, expires_at, used_at)
+                VALUES (@key, @value, @expiresAt, @usedAt)
+                ON CONFLICT (key) DO UPDATE SET
+                    value = excluded.value, expires_at = excluded.expires_at, used_at = excluded.used_at
+            `),
+            evict: this.db.prepare(`
+                DELETE FROM cache_entries WHERE key IN (
+                    SELECT key FROM cache_entries ORDER BY used_at DESC LIMIT -1 OFFSET ?
+                )
+            `),
+            delete: this.db.prepare('DELETE FROM cache_entries WHERE key = ?'),
+            byPrefix: this.db.prepare('SELECT key, value FROM cache_entries WHERE substr(key, 1, length(@prefix)) = @prefix'),
+            prune: this.db.prepare('DELETE FROM cache_entries WHERE expires_at <= ?'),
+            count: this.db.prepare('SELECT COUNT(*) AS count FROM cache_entries')
+        };
+
+        await this.prune();
+    }
+
+    /**
+     * Get a live entry and mark it as recently used
+     * @param {string} key - Key
+     * @returns {Promise<*>} Value, or undefined if absent or expired
+     */
+    async get(key) {
+        const row = this.statements.get.get(key);
+        if (!row) {
+            return undefined;
+        }
+        const now = Date.now();
+        if (row.expiresAt <= now) {
+            this.statements.delete.run(key);
+            return undefined;
+        }
+
+        this.statements.touch.run(now, key);
+        return JSON.parse(row.value);
+    }
+
+    /**
+     * Store an entry, evicting the least recently used beyond maxEntries
+     * @param {string} key - Key
+     * @param {*} value - JSON-serializable value
+     * @param {number} ttlMs - Time to live
+     */
+    async set(key, value, ttlMs) {
+        const now = Date.now();
+        this.statements.set.run({ key, value: JSON.stringify(value), expiresAt: now + ttlMs, usedAt: now });
+        this.evictions += this.statements.evict.run(this.maxEntries).changes;
+    }
+
+    /**
+     * @param {string} key - Key
+     * @returns {Promise<boolean>} True if an entry was removed
+     */
+    async delete(key) {
+        return this.statements.delete.run(key).changes > 0;
+    }
+
+    /**
+     * Delete the entries under a key prefix, or only those the predicate accepts
+     * @param {string} prefix - Key prefix
+     * @param {Function} [predicate] - (value, key) => boolean
+     * @returns {Promise<number>} Number of entries removed
+     */
+    async deleteMatching(prefix, predicate = () => true) {
+        const keys = this.statements.byPrefix.all({ prefix })
+            .filter(row => predicate(JSON.parse(row.value), row.key))
+            .map(row => row.key);
+
+        this.db.transaction(() => keys.forEach(key => this.statements.delete.run(key)))();
+        return keys.length;
+    }
+
+    /**
+     * Delete expired entries
+     * @returns {Promise<number>} Number of entries removed
+     */
+    async prune() {
+        return this.statements.prune.run(Date.now()).changes;
+    }
+
+    /**
+     * @returns {Promise<number>} Number of stored entries, expired ones included
+     */
+    async size() {
+        return this.statements.count.get().count;
+    }
+
+    async close() {
+        if (this.db) {
+            this.db.close();
+            this.db = null;
+        }
+    }
+}
+
+module.exports = SqliteCacheStore;
@@ -4,30 +4,53 @@
  * Supports Client Credentials Flow with proper site/drive discovery
  */
 
-const { Client } = require('@microsoft/microsoft-graph-client');
 const auditService = require('./auditService');
+const sessionManager = require('./sessionManager');
+const graphPipeline = require('./graphPipeline');
+const readCache = require('./readCache');
 const logger = require('../config/logger');
 const permissions = require('../config/permissions');
+const rangeValidator = require('../middleware/rangeValidator');
+const auditTrail = require('../middleware/auditLogger');
+const { AppError, isGraphError, translateGraphError } = require('../middleware/errorHandler');
+const { GRAPH_API, AUDIT_OPERATIONS, WORKBOOK_SESSION } = require('../utils/constants');
+const { encodeItemPath, normalizeItemPath, columnNumberToLetter, cellStillHolds } = require('../utils/helpers');
+
+/**
+ * Whether an error is a permission or range denial thrown by this service, which is audited
+ * as a denied PERMISSION_CHECK rather than as a failed operation
+ * @param {Error} error - Error
+ * @returns {boolean} True for denials
+ */
+const isAccessDenial = error => error instanceof AppError && !isGraphError(error) && error.statusCode === 403;
+
+// Audited operations whose oldValues can be written back
+const UNDOABLE_OPERATIONS = [AUDIT_OPERATIONS.WRITE, AUDIT_OPERATIONS.WRITE_RANGE, AUDIT_OPERATIONS.UNDO];
 
 class ExcelService {
     constructor() {
         this.auditService = auditService;
-        // Configuration for SharePoint site discovery
+        // Configuration for SharePoint site discovery, in order of preference:
+        // 1) SHAREPOINT_SITE_ID, 2) SHAREPOINT_SITE_URL, 3) SHAREPOINT_HOSTNAME + SHAREPOINT_SITE_NAME
+        this.siteId = process.env.SHAREPOINT_SITE_ID || process.env.SITE_ID || null;
+        this.siteUrl = process.env.SHAREPOINT_SITE_URL || process.env.SITE_URL || null;
         this.hostname = process.env.SHAREPOINT_HOSTNAME || 'yourtenant.sharepoint.com';
         this.siteName = process.env.SHAREPOINT_SITE_NAME || 'Documents';
+        this.resolvedSiteId = null;
     }
 
     /**
-     * Create Microsoft Graph Client with access token
+     * Create Microsoft Graph Client with access token. Requests are retried, bounded by a
+     * deadline and guarded by the tenant's circuit breaker (see graphPipeline).
      * @param {string} accessToken - Access token for Client Credentials Flow
+     * @param {Object} [session] - Workbook session from sessionManager; its ID is sent on every request
      * @returns {Client} Microsoft Graph Client instance
      */
-    createGraphClient(accessToken) {
-        return Client.init({
-            authProvider: (done) => {
-                done(null, accessToken);
-            }
-        });
+    createGraphClient(accessToken, session = null) {
+        return graphPipeline.createClient(
+            accessToken,
+            session ? { [WORKBOOK_SESSION.HEADER]: session.graphSessionId } : null
+        );
     }
 
     /**
@@ -36,22 +59,33 @@ class ExcelService {
      * @returns {Promise<string>} Site ID
      */
     async getSiteId(graphClient) {
+        if (this.siteId) {
+            return this.siteId;
+        }
+        if (this.resolvedSiteId) {
+            return this.resolvedSiteId;
+        }
+
         try {
-            logger.debug('🔍 Fetching SharePoint site ID', { 
-                hostname: this.hostname, 
-                siteName: this.siteName 
-            });
+            const sitePath = this.getSitePath();
+            logger.debug('🔍 Fetching SharePoint site ID', { sitePath });
 
-            // Get site by hostname and site path
+            // Get site by hostname and server-relative path
             const siteResponse = await graphClient
-                .api(`/sites/${this.hostname}:/sites/${this.siteName}`)
+                .api(`/sites/${sitePath}`)
+                .select('id')
                 .get();
 
             const siteId = siteResponse.id;
+            this.resolvedSiteId = siteId;
             logger.debug('✅ Site ID retrieved successfully', { siteId });
             
             return siteId;
         } catch (error) {
+            if (error instanceof AppError) {
+                throw error;
+            }
+
             logger.error('❌ Failed to get site ID', { 
                 error: error.message,
                 hostname: this.hostname,
@@ -59,17 +93,84 @@ class ExcelService {
             });
             
             if (error.code === 'itemNotFound') {
-                throw new Error(`SharePoint site not found: ${this.hostname}/sites/${this.siteName}`);
-            } else if (error.code === 'Forbidden') {
-                throw new Error('Access denied to SharePoint site. Check application permissions.');
-            } else if (error.code === 'Unauthorized') {
-                throw new Error('Authentication failed. Check access token.');
+                throw translateGraphError(error, `SharePoint site not found: ${this.siteUrl || `${this.hostname}/sites/${this.siteName}`}`);
+            } else if (error.statusCode === 403) {
+                throw translateGraphError(error, 'Access denied to SharePoint site. Check application permissions.');
+            } else if (error.statusCode === 401) {
+                throw translateGraphError(error, 'Authentication failed. Check access token.');
+            } else if (isGraphError(error)) {
+                throw translateGraphError(error, `Failed to retrieve site ID: ${error.message}`);
             }
             
             throw new Error(`Failed to retrieve site ID: ${error.message}`);
         }
     }
 
+    /**
+     * Build the Graph site path ("hostname:/sites/Name") from SHAREPOINT_SITE_URL or hostname + site name
+     * @returns {string} Site path
+     */
+    getSitePath() {
+        if (!this.siteUrl) {
+            return `${this.hostname}:/sites/${this.siteName}`;
+        }
+
+        let url;
+        try {
+            url = new URL(this.siteUrl);
+        } catch (error) {
+            throw new AppError('Invalid SHAREPOINT_SITE_URL. Expected like https://tenant.sharepoint.com/sites/SiteName', 500);
+        }
+
+        // Expect a path like /sites/MySite or /teams/MyTeam
+        const parts = url.pathname.split('/').filter(Boolean);
+        if (parts.length < 2) {
+            throw new AppError('Invalid SHAREPOINT_SITE_URL. Expected like https://tenant.sharepoint.com/sites/SiteName', 500);
+        }
+        return `${url.hostname}:/${parts.map(encodeURIComponent).join('/')}`;
+    }
+
+    /**
+     * Fetch every page of a Graph collection by following @odata.nextLink
+     * @param {Client} graphClient - Graph client instance
+     * @param {string} path - Collection path (may include query string)
+     * @param {number} maxPages - Safety cap on the number of pages
+     * @returns {Promise<Array>} All items
+     */
+    async getAllPages(graphClient, path, maxPages = 50) {
+        const values = [];
+        let next = path;
+        for (let page = 0; next && page < maxPages; page++) {
+            const response = await graphClient.api(next).get();
+            values.push(...(response.value || []));
+            next = response['@odata.nextLink'] || null;
+        }
+        return values;
+    }
+
+    /**
+     * Encode a Graph @odata.nextLink as an opaque page token
+     * @param {string} nextLink - Graph next link
+     * @returns {string|null} Page token
+     */
+    encodePageToken(nextLink) {
+        return nextLink ? Buffer.from(nextLink, 'utf8').toString('base64url') : null;
+    }
+
+    /**
+     * Decode a page token, refusing anything that does not point back at Graph
+     * so callers cannot redirect requests (and our token) elsewhere
+     * @param {string} pageToken - Page token from a previous response
+     * @returns {string} Graph next link
+     */
+    decodePageToken(pageToken) {
+        const url = Buffer.from(String(pageToken), 'base64url').toString('utf8');
+        if (!url.startsWith(`${GRAPH_API.BASE_URL}/`)) {
+            throw new AppError('Invalid pageToken', 400);
+        }
+        return url;
+    }
+
     /**
      * Get all drives (document libraries) in the SharePoint site
      * @param {Client} graphClient - Graph client instance
@@ -80,11 +181,9 @@ class ExcelService {
         try {
             logger.debug('🔍 Fetching drives from site', { siteId });
 
-            const drivesResponse = await graphClient
-                .api(`/sites/${siteId}/drives`)
-                .get();
+            const driveItems = await this.getAllPages(graphClient, `/sites/${siteId}/drives`);
 
-            const drives = drivesResponse.value.map(drive => ({
+            const drives = driveItems.map(drive => ({
                 id: drive.id,
                 name: drive.name,
                 description: drive.description,
@@ -101,8 +200,10 @@ class ExcelService {
         } catch (error) {
             logger.error('❌ Failed to get drives', { error: error.message, siteId });
             
-            if (error.code === 'Forbidden') {
-                throw new Error('Access denied to site drives. Check application permissions.');
+            if (error.statusCode === 403) {
+                throw translateGraphError(error, 'Access denied to site drives. Check application permissions.');
+            } else if (isGraphError(error)) {
+                throw translateGraphError(error, `Failed to retrieve drives: ${error.message}`);
             }
             
             throw new Error(`Failed to retrieve drives: ${error.message}`);
@@ -161,6 +262,9 @@ class ExcelService {
 
         } catch (error) {
             logger.error('❌ Failed to get workbooks from drives', { error: error.message });
+            if (isGraphError(error)) {
+                throw translateGraphError(error, `Failed to search for workbooks: ${error.message}`);
+            }
             throw new Error(`Failed to search for workbooks: ${error.message}`);
         }
     }
@@ -186,7 +290,7 @@ class ExcelService {
             
             // Step 4: Apply permission filtering
             const filteredWorkbooks = workbooks.filter(workbook => 
-                permissions.canAccessWorkbook(auditContext.user, workbook.id)
+                permissions.canAccessWorkbook(auditContext.principal, workbook.id)
             );
 
             // Log audit event
@@ -215,6 +319,64 @@ class ExcelService {
         }
     }
 
+    /**
+     * List drives (document libraries) of the configured SharePoint site
+     * @param {string} accessToken - Access token
+     * @returns {Promise<Array>} List of drives
+     */
+    async listDrives(accessToken) {
+        const graphClient = this.createGraphClient(accessToken);
+        const siteId = await this.getSiteId(graphClient);
+        return this.getDrives(graphClient, siteId);
+    }
+
+    /**
+     * List one page of the children of a folder (drive root by default)
+     * @param {string} accessToken - Access token
+     * @param {string} driveId - Drive ID
+     * @param {Object} options - { folderPath, pageToken, top }
+     * @returns {Promise<Object>} { items, nextPageToken }
+     */
+    async listItems(accessToken, driveId, { folderPath = '', pageToken, top = 200 } = {}) {
+        try {
+            const graphClient = this.createGraphClient(accessToken);
+            const path = normalizeItemPath(folderPath);
+            const childrenPath = path
+                ? `/drives/${driveId}/root:/${encodeItemPath(path)}:/children`
+                : `/drives/${driveId}/root/children`;
+
+            const request = pageToken
+                ? graphClient.api(this.decodePageToken(pageToken))
+                : graphClient
+                    .api(childrenPath)
+                    .select('id,name,folder,file,size,lastModifiedDateTime,webUrl')
+                    .top(top);
+
+            const response = await request.get();
+            const items = (response.value || []).map(item => ({
+                id: item.id,
+                name: item.name,
+                type: item.folder ? 'folder' : 'file',
+                size: item.size,
+                lastModifiedDateTime: item.lastModifiedDateTime,
+                webUrl: item.webUrl
+            }));
+
+            return {
+                items,
+                nextPageToken: this.encodePageToken(response['@odata.nextLink'])
+            };
+        } catch (error) {
+            logger.error('❌ Excel service - failed to list items:', error);
+
+            if (error.code === 'itemNotFound') {
+                throw new AppError(`Folder not found: ${folderPath}`, 404);
+            }
+
+            throw error;
+        }
+    }
+
     /**
      * Get worksheets in a workbook
      * @param {string} accessToken - Access token
@@ -226,8 +388,15 @@ class ExcelService {
     async getWorksheets(accessToken, driveId, itemId, auditContext) {
         try {
             // Check workbook access permission
-            if (!permissions.canAccessWorkbook(auditContext.user, itemId)) {
-                throw new Error('Access denied to workbook');
+            if (!permissions.canAccessWorkbook(auditContext.principal, itemId)) {
+                auditService.logPermissionCheck({
+                    ...auditContext,
+                    workbookId: itemId,
+                    requestedPermission: 'READ',
+                    granted: false,
+                    reason: 'No access to workbook'
+                });
+                throw new AppError('Access denied to workbook', 403);
             }
 
             const graphClient = this.createGraphClient(accessToken);
@@ -247,7 +416,7 @@ class ExcelService {
 
             // Filter worksheets based on permissions
             const filteredWorksheets = worksheets.filter(worksheet => 
-                permissions.canAccessWorksheet(auditContext.user, itemId, worksheet.id)
+                permissions.canAccessWorksheet(auditContext.principal, itemId, worksheet.id)
             );
 
             logger.debug('✅ Worksheets retrieved successfully', { 
@@ -262,9 +431,9 @@ class ExcelService {
             logger.error('❌ Excel service - failed to get worksheets:', error);
             
             if (error.code === 'itemNotFound') {
-                throw new Error('Workbook not found or not accessible');
-            } else if (error.code === 'Forbidden') {
-                throw new Error('Access denied to workbook');
+                throw translateGraphError(error, 'Workbook not found or not accessible');
+            } else if (isGraphError(error) && error.statusCode === 403) {
+                throw translateGraphError(error, 'Access denied to workbook');
             }
             
             throw error;
@@ -277,15 +446,17 @@ class ExcelService {
      * @returns {Promise<Object>} Range data
      */
     async readRange(params) {
-        const { accessToken, driveId, itemId, worksheetId, range, auditContext } = params;
+        const { accessToken, driveId, itemId, worksheetId, range, sessionId, auditContext } = params;
+        let session = null;
 
         try {
             // Check permissions
             const hasPermission = permissions.canReadRange(
-                auditContext.user, 
+                auditContext.principal, 
                 itemId, 
                 worksheetId, 
-                range
+                range,
+                await this.getWorksheetName(accessToken, driveId, itemId, worksheetId)
             );
 
             if (!hasPermission.allowed) {
@@ -298,16 +469,34 @@ class ExcelService {
                     granted: false,
                     reason: hasPermission.reason
                 });
-                throw new Error(`Read access denied: ${hasPermission.reason}`);
+                throw new AppError(`Read access denied: ${hasPermission.reason}`, 403);
             }
 
-            const graphClient = this.createGraphClient(accessToken);
+            session = await sessionManager.acquire({ accessToken, driveId, itemId, sessionId, user: auditContext.user });
+            const graphClient = this.createGraphClient(accessToken, session);
             
             logger.debug('🔍 Reading Excel range', { driveId, itemId, worksheetId, range });
 
-            const response = await graphClient
-                .api(`/drives/${driveId}/items/${itemId}/workbook/worksheets/${worksheetId}/range(address='${range}')`)
-                .get();
+            // The file's eTag lets the caller make a later write conditional (ifMatch)
+            const versionRequest = this.getItemVersion(graphClient, driveId, itemId).catch((versionError) => {
+                logger.warn('Could not read the workbook eTag:', versionError.message);
+                return {};
+            });
+
+            // A held session can see edits the file does not have yet, so it bypasses the read cache.
+            // Otherwise the version is read first: it decides whether a cached read is current.
+            const useCache = readCache.enabled && !session;
+            const cached = useCache
+                ? await readCache.getRange({ itemId, worksheetId, range }, await versionRequest)
+                : undefined;
+            const [response, version] = cached
+                ? [cached, await versionRequest]
+                : await Promise.all([
+                    graphClient
+                        .api(`/drives/${driveId}/items/${itemId}/workbook/worksheets/${worksheetId}/range(address='${range}')`)
+                        .get(),
+                    versionRequest
+                ]);
 
             const rangeData = {
                 address: response.address,
@@ -315,8 +504,13 @@ class ExcelService {
                 formulas: response.formulas,
                 text: response.text,
                 rowCount: response.rowCount,
-                columnCount: response.columnCount
+                columnCount: response.columnCount,
+                eTag: version.eTag
             };
+            if (useCache && !cached) {
+                const { eTag, ...read } = rangeData;
+                await readCache.setRange({ itemId, worksheetId, range }, version, read);
+            }
 
             // Log successful permission check and operation
             auditService.logPermissionCheck({
@@ -330,6 +524,7 @@ class ExcelService {
 
             auditService.logReadOperation({
                 ...auditContext,
+                driveId,
                 workbookId: itemId,
                 worksheetId: worksheetId,
                 range: range,
@@ -340,21 +535,37 @@ class ExcelService {
             logger.debug('✅ Range read successfully', { 
                 range,
                 rowCount: rangeData.rowCount,
-                columnCount: rangeData.columnCount
+                columnCount: rangeData.columnCount,
+                cached: Boolean(cached)
             });
 
             return rangeData;
 
         } catch (error) {
             logger.error('❌ Excel service - failed to read range:', error);
+
+            // Denials are already audited as permission checks
+            if (!isAccessDenial(error)) {
+                auditService.logReadOperation({
+                    ...auditContext,
+                    driveId,
+                    workbookId: itemId,
+                    worksheetId,
+                    range,
+                    success: false,
+                    error: error.message
+                });
+            }
             
             if (error.code === 'InvalidArgument') {
-                throw new Error(`Invalid range format: ${range}`);
+                throw translateGraphError(error, `Invalid range format: ${range}`);
             } else if (error.code === 'itemNotFound') {
-                throw new Error('Worksheet or range not found');
+                throw translateGraphError(error, 'Worksheet or range not found');
             }
             
             throw error;
+        } finally {
+            await sessionManager.release(session);
         }
     }
 
@@ -364,20 +575,22 @@ class ExcelService {
      * @returns {Promise<Object>} Updated range data
      */
     async writeRange(params) {
-        const { accessToken, driveId, itemId, worksheetId, range, values, auditContext } = params;
+        const { accessToken, driveId, itemId, worksheetId, range, values, ifMatch, sessionId, auditContext } = params;
+        let session = null;
 
         try {
             // Validate input data
             if (!Array.isArray(values) || values.length === 0) {
-                throw new Error('Values must be a non-empty array');
+                throw new AppError('Values must be a non-empty array', 400);
             }
 
             // Check permissions
             const hasPermission = permissions.canWriteRange(
-                auditContext.user, 
+                auditContext.principal, 
                 itemId, 
                 worksheetId, 
-                range
+                range,
+                await this.getWorksheetName(accessToken, driveId, itemId, worksheetId)
             );
 
             if (!hasPermission.allowed) {
@@ -390,24 +603,58 @@ class ExcelService {
                     granted: false,
                     reason: hasPermission.reason
                 });
-                throw new Error(`Write access denied: ${hasPermission.reason}`);
+                throw new AppError(`Write access denied: ${hasPermission.reason}`, 403);
             }
 
-            const graphClient = this.createGraphClient(accessToken);
+            // An ifMatch check and the write it guards run in one workbook session; a plain
+            // write is not worth the two extra calls of a temporary session
+            session = await sessionManager.acquire({
+                accessToken, driveId, itemId, sessionId, user: auditContext.user, create: ifMatch !== undefined
+            });
+            const graphClient = this.createGraphClient(accessToken, session);
             
             logger.debug('🔍 Writing to Excel range', { driveId, itemId, worksheetId, range });
 
-            // Read current values for audit trail
+            // Read current values (and formulas, so an undo restores them) for audit trail
             let oldValues = null;
+            let oldFormulas = null;
             try {
                 const currentResponse = await graphClient
                     .api(`/drives/${driveId}/items/${itemId}/workbook/worksheets/${worksheetId}/range(address='${range}')`)
                     .get();
                 oldValues = currentResponse.values;
+                oldFormulas = currentResponse.formulas || null;
             } catch (readError) {
+                // Without the current values an ifMatch precondition cannot be checked
+                if (ifMatch !== undefined) {
+                    throw readError;
+                }
                 logger.warn('Could not read current values for audit trail:', readError.message);
             }
 
+            if (ifMatch !== undefined) {
+                const conflict = await this.checkPrecondition(graphClient, {
+                    driveId, itemId, range, ifMatch, values: oldValues, formulas: oldFormulas
+                });
+                if (conflict) {
+                    auditService.logWriteOperation({
+                        ...auditContext,
+                        driveId,
+                        workbookId: itemId,
+                        worksheetId,
+                        range,
+                        oldValues,
+                        oldFormulas,
+                        newValues: values,
+                        conflicts: conflict.conflicts,
+                        success: false,
+                        error: conflict.reason
+                    });
+                    logger.info('Write rejected by ifMatch', { itemId, range, user: auditContext.user, reason: conflict.reason });
+                    return { conflict: true, range, ...conflict };
+                }
+            }
+
             // Write new values
             const response = await graphClient
                 .api(`/drives/${driveId}/items/${itemId}/workbook/worksheets/${worksheetId}/range(address='${range}')`)
@@ -430,12 +677,14 @@ class ExcelService {
                 granted: true
             });
 
-            auditService.logWriteOperation({
+            const auditId = auditService.logWriteOperation({
                 ...auditContext,
+                driveId,
                 workbookId: itemId,
                 worksheetId: worksheetId,
                 range: range,
                 oldValues: oldValues,
+                oldFormulas: oldFormulas,
                 newValues: values,
                 cellsModified: updatedData.rowCount * updatedData.columnCount,
                 success: true
@@ -447,18 +696,36 @@ class ExcelService {
                 columnCount: updatedData.columnCount
             });
 
-            return updatedData;
+            return { ...updatedData, auditId };
 
         } catch (error) {
             logger.error('❌ Excel service - failed to write range:', error);
+
+            // Denials are already audited as permission checks
+            if (!isAccessDenial(error)) {
+                auditService.logWriteOperation({
+                    ...auditContext,
+                    driveId,
+                    workbookId: itemId,
+                    worksheetId,
+                    range,
+                    newValues: values,
+                    success: false,
+                    error: error.message
+                });
+            }
             
             if (error.code === 'InvalidArgument') {
-                throw new Error(`Invalid range format or data: ${range}`);
+                throw translateGraphError(error, `Invalid range format or data: ${range}`);
             } else if (error.code === 'itemNotFound') {
-                throw new Error('Worksheet or range not found');
+                throw translateGraphError(error, 'Worksheet or range not found');
             }
             
             throw error;
+        } finally {
+            await sessionManager.release(session);
+            // Drop cached reads the write may have changed, even if it failed part way
+            await readCache.invalidateRange(itemId, range);
         }
     }
 
@@ -468,12 +735,13 @@ class ExcelService {
      * @returns {Promise<Object>} Table data
      */
     async readTable(params) {
-        const { accessToken, driveId, itemId, worksheetId, tableName, auditContext } = params;
+        const { accessToken, driveId, itemId, worksheetId, tableName, sessionId, auditContext } = params;
+        let session = null;
 
         try {
             // Check permissions
             const hasPermission = permissions.canReadTable(
-                auditContext.user, 
+                auditContext.principal, 
                 itemId, 
                 worksheetId, 
                 tableName
@@ -489,33 +757,69 @@ class ExcelService {
                     granted: false,
                     reason: hasPermission.reason
                 });
-                throw new Error(`Table read access denied: ${hasPermission.reason}`);
+                throw new AppError(`Table read access denied: ${hasPermission.reason}`, 403);
             }
 
-            const graphClient = this.createGraphClient(accessToken);
+            session = await sessionManager.acquire({ accessToken, driveId, itemId, sessionId, user: auditContext.user });
+            const graphClient = this.createGraphClient(accessToken, session);
             
             logger.debug('🔍 Reading Excel table', { driveId, itemId, worksheetId, tableName });
 
-            // Get table info
-            const tableResponse = await graphClient
-                .api(`/drives/${driveId}/items/${itemId}/workbook/worksheets/${worksheetId}/tables/${tableName}`)
-                .get();
-            
-            // Get table data
-            const dataResponse = await graphClient
-                .api(`/drives/${driveId}/items/${itemId}/workbook/worksheets/${worksheetId}/tables/${tableName}/range`)
-                .get();
+            // As in readRange: held sessions bypass the read cache, and the version is read first
+            const useCache = readCache.enabled && !session;
+            const version = useCache
+                ? await this.getItemVersion(graphClient, driveId, itemId).catch((versionError) => {
+                    logger.warn('Could not read the workbook cTag:', versionError.message);
+                    return {};
+                })
+                : null;
+            const cached = useCache
+                ? await readCache.getTable({ itemId, worksheetId, tableName }, version)
+                : undefined;
+            let tableData = cached;
+            if (!tableData) {
+                // Get table info
+                const tableResponse = await graphClient
+                    .api(`/drives/${driveId}/items/${itemId}/workbook/worksheets/${worksheetId}/tables/${tableName}`)
+                    .get();
 
-            const tableData = {
-                id: tableResponse.id,
-                name: tableResponse.name,
-                address: dataResponse.address,
-                values: dataResponse.values,
-                headers: dataResponse.values[0], // First row is typically headers
-                rows: dataResponse.values.slice(1), // Data rows
-                rowCount: dataResponse.rowCount,
-                columnCount: dataResponse.columnCount
-            };
+                // Get table data
+                const dataResponse = await graphClient
+                    .api(`/drives/${driveId}/items/${itemId}/workbook/worksheets/${worksheetId}/tables/${tableName}/range`)
+                    .get();
+
+                tableData = {
+                    id: tableResponse.id,
+                    name: tableResponse.name,
+                    address: dataResponse.address,
+                    values: dataResponse.values,
+                    headers: dataResponse.values[0], // First row is typically headers
+                    rows: dataResponse.values.slice(1), // Data rows
+                    rowCount: dataResponse.rowCount,
+                    columnCount: dataResponse.columnCount
+                };
+                if (useCache) {
+                    await readCache.setTable({ itemId, worksheetId, tableName }, version, tableData);
+                }
+            }
+
+            // Range read rules apply to the cells the table covers, as on /read
+            const { validation } = await rangeValidator.checkWorkbookRange(
+                accessToken, { driveId, itemId }, tableData.address, {}, 'read'
+            );
+            if (!validation.allowed) {
+                auditService.logPermissionCheck({
+                    ...auditContext,
+                    workbookId: itemId,
+                    worksheetId: worksheetId,
+                    table: tableName,
+                    range: tableData.address,
+                    requestedPermission: 'READ_TABLE',
+                    granted: false,
+                    reason: validation.reason
+                });
+                throw new AppError(`Range access denied: ${validation.reason}`, 403);
+            }
 
             // Log successful permission check and operation
             auditService.logPermissionCheck({
@@ -529,6 +833,7 @@ class ExcelService {
 
             auditService.logReadOperation({
                 ...auditContext,
+                driveId,
                 workbookId: itemId,
                 worksheetId: worksheetId,
                 table: tableName,
@@ -539,19 +844,35 @@ class ExcelService {
             logger.debug('✅ Table read successfully', { 
                 tableName,
                 rowCount: tableData.rowCount,
-                columnCount: tableData.columnCount
+                columnCount: tableData.columnCount,
+                cached: Boolean(cached)
             });
 
             return tableData;
 
         } catch (error) {
             logger.error('❌ Excel service - failed to read table:', error);
+
+            // Denials are already audited as permission checks
+            if (!isAccessDenial(error)) {
+                auditService.logReadOperation({
+                    ...auditContext,
+                    driveId,
+                    workbookId: itemId,
+                    worksheetId,
+                    table: tableName,
+                    success: false,
+                    error: error.message
+                });
+            }
             
             if (error.code === 'itemNotFound') {
-                throw new Error(`Table '${tableName}' not found in worksheet`);
+                throw translateGraphError(error, `Table '${tableName}' not found in worksheet`);
             }
             
             throw error;
+        } finally {
+            await sessionManager.release(session);
         }
     }
 
@@ -561,17 +882,18 @@ class ExcelService {
      * @returns {Promise<Object>} Result
      */
     async addTableRows(params) {
-        const { accessToken, driveId, itemId, worksheetId, tableName, rows, auditContext } = params;
+        const { accessToken, driveId, itemId, worksheetId, tableName, rows, sessionId, auditContext } = params;
+        let session = null;
 
         try {
             // Validate input data
             if (!Array.isArray(rows) || rows.length === 0) {
-                throw new Error('Rows must be a non-empty array');
+                throw new AppError('Rows must be a non-empty array', 400);
             }
 
             // Check permissions
             const hasPermission = permissions.canWriteTable(
-                auditContext.user, 
+                auditContext.principal, 
                 itemId, 
                 worksheetId, 
                 tableName
@@ -587,13 +909,32 @@ class ExcelService {
                     granted: false,
                     reason: hasPermission.reason
                 });
-                throw new Error(`Table write access denied: ${hasPermission.reason}`);
+                throw new AppError(`Table write access denied: ${hasPermission.reason}`, 403);
             }
 
-            const graphClient = this.createGraphClient(accessToken);
+            session = await sessionManager.acquire({ accessToken, driveId, itemId, sessionId, user: auditContext.user });
+            const graphClient = this.createGraphClient(accessToken, session);
             
             logger.debug('🔍 Adding rows to Excel table', { driveId, itemId, worksheetId, tableName, rowCount: rows.length });
 
+            // Range write rules apply to the table and the rows appended below it
+            const { validation, range } = await this.checkTableAppend(graphClient, {
+                accessToken, driveId, itemId, worksheetId, tableName, rowCount: rows.length
+            });
+            if (!validation.allowed) {
+                auditService.logPermissionCheck({
+                    ...auditContext,
+                    workbookId: itemId,
+                    worksheetId: worksheetId,
+                    table: tableName,
+                    range,
+                    requestedPermission: 'WRITE_TABLE',
+                    granted: false,
+                    reason: validation.reason
+                });
+                throw new AppError(`Range access denied: ${validation.reason}`, 403);
+            }
+
             const response = await graphClient
                 .api(`/drives/${driveId}/items/${itemId}/workbook/worksheets/${worksheetId}/tables/${tableName}/rows`)
                 .post({ values: rows });
@@ -610,6 +951,7 @@ class ExcelService {
 
             auditService.logWriteOperation({
                 ...auditContext,
+                driveId,
                 workbookId: itemId,
                 worksheetId: worksheetId,
                 table: tableName,
@@ -627,17 +969,515 @@ class ExcelService {
 
         } catch (error) {
             logger.error('❌ Excel service - failed to add table rows:', error);
+
+            // Denials are already audited as permission checks
+            if (!isAccessDenial(error)) {
+                auditService.logWriteOperation({
+                    ...auditContext,
+                    driveId,
+                    workbookId: itemId,
+                    worksheetId,
+                    table: tableName,
+                    newValues: rows,
+                    success: false,
+                    error: error.message
+                });
+            }
             
             if (error.code === 'itemNotFound') {
-                throw new Error(`Table '${tableName}' not found in worksheet`);
+                throw translateGraphError(error, `Table '${tableName}' not found in worksheet`);
             } else if (error.code === 'InvalidArgument') {
-                throw new Error('Invalid row data format');
+                throw translateGraphError(error, 'Invalid row data format');
             }
             
             throw error;
+        } finally {
+            await sessionManager.release(session);
+            // The table grows by an unknown extent
+            await readCache.invalidateWorkbook(itemId);
         }
     }
 
+    /**
+     * Add a worksheet to a workbook with permission checking
+     * @param {Object} params - Parameters
+     * @returns {Promise<Object>} Created worksheet
+     */
+    async createWorksheet(params) {
+        const { accessToken, driveId, itemId, name, sessionId, auditContext } = params;
+        let session = null;
+
+        try {
+            const hasPermission = permissions.canWriteWorkbook(auditContext.principal, itemId);
+
+            if (!hasPermission.allowed) {
+                auditService.logPermissionCheck({
+                    ...auditContext,
+                    workbookId: itemId,
+                    requestedPermission: 'WRITE',
+                    granted: false,
+                    reason: hasPermission.reason
+                });
+                throw new AppError(`Write access denied: ${hasPermission.reason}`, 403);
+            }
+
+            session = await sessionManager.acquire({ accessToken, driveId, itemId, sessionId, user: auditContext.user });
+            const graphClient = this.createGraphClient(accessToken, session);
+
+            logger.debug('🔍 Adding worksheet', { driveId, itemId, name });
+
+            const response = await graphClient
+                .api(`/drives/${driveId}/items/${itemId}/workbook/worksheets/add`)
+                .post({ name });
+
+            auditService.logWriteOperation({
+                ...auditContext,
+                driveId,
+                workbookId: itemId,
+                worksheetId: response.id,
+                worksheetName: response.name,
+                success: true
+            });
+
+            return {
+                id: response.id,
+                name: response.name,
+                position: response.position,
+                visibility: response.visibility
+            };
+
+        } catch (error) {
+            logger.error('❌ Excel service - failed to create worksheet:', error);
+
+            // Denials are already audited as permission checks
+            if (!isAccessDenial(error)) {
+                auditService.logWriteOperation({
+                    ...auditContext,
+                    driveId,
+                    workbookId: itemId,
+                    worksheetName: name,
+                    success: false,
+                    error: error.message
+                });
+            }
+
+            if (error.code === 'ItemAlreadyExists') {
+                throw translateGraphError(error, `Worksheet '${name}' already exists`);
+            } else if (error.code === 'itemNotFound') {
+                throw translateGraphError(error, 'Workbook not found or not accessible');
+            }
+
+            throw error;
+        } finally {
+            await sessionManager.release(session);
+        }
+    }
+
+    /**
+     * Delete a worksheet from a workbook with permission checking
+     * @param {Object} params - Parameters
+     * @returns {Promise<void>}
+     */
+    async deleteWorksheet(params) {
+        const { accessToken, driveId, itemId, worksheetId, sessionId, auditContext } = params;
+        let session = null;
+
+        try {
+            const hasPermission = permissions.canWriteWorkbook(auditContext.principal, itemId);
+
+            if (!hasPermission.allowed) {
+                auditService.logPermissionCheck({
+                    ...auditContext,
+                    workbookId: itemId,
+                    worksheetId: worksheetId,
+                    requestedPermission: 'WRITE',
+                    granted: false,
+                    reason: hasPermission.reason
+                });
+                throw new AppError(`Write access denied: ${hasPermission.reason}`, 403);
+            }
+
+            session = await sessionManager.acquire({ accessToken, driveId, itemId, sessionId, user: auditContext.user });
+            const graphClient = this.createGraphClient(accessToken, session);
+
+            logger.debug('🔍 Deleting worksheet', { driveId, itemId, worksheetId });
+
+            await graphClient
+                .api(`/drives/${driveId}/items/${itemId}/workbook/worksheets/${encodeURIComponent(worksheetId)}`)
+                .delete();
+
+            auditService.logWriteOperation({
+                ...auditContext,
+                driveId,
+                workbookId: itemId,
+                worksheetId: worksheetId,
+                success: true
+            });
+
+        } catch (error) {
+            logger.error('❌ Excel service - failed to delete worksheet:', error);
+
+            // Denials are already audited as permission checks
+            if (!isAccessDenial(error)) {
+                auditService.logWriteOperation({
+                    ...auditContext,
+                    driveId,
+                    workbookId: itemId,
+                    worksheetId,
+                    success: false,
+                    error: error.message
+                });
+            }
+
+            if (error.code === 'itemNotFound') {
+                throw translateGraphError(error, 'Worksheet not found');
+            }
+
+            throw error;
+        } finally {
+            await sessionManager.release(session);
+            await readCache.invalidateWorkbook(itemId);
+        }
+    }
+
+    /**
+     * Clear a range (contents, formats or all) with permission checking
+     * @param {Object} params - Parameters
+     * @returns {Promise<Object>} Cleared range address
+     */
+    async clearRange(params) {
+        const { accessToken, driveId, itemId, worksheetId, range, applyTo = 'contents', sessionId, auditContext } = params;
+        let session = null;
+
+        try {
+            const hasPermission = permissions.canWriteRange(
+                auditContext.principal,
+                itemId,
+                worksheetId,
+                range,
+                await this.getWorksheetName(accessToken, driveId, itemId, worksheetId)
+            );
+
+            if (!hasPermission.allowed) {
+                auditService.logPermissionCheck({
+                    ...auditContext,
+                    workbookId: itemId,
+                    worksheetId: worksheetId,
+                    range: range,
+                    requestedPermission: 'WRITE',
+                    granted: false,
+                    reason: hasPermission.reason
+                });
+                throw new AppError(`Write access denied: ${hasPermission.reason}`, 403);
+            }
+
+            session = await sessionManager.acquire({ accessToken, driveId, itemId, sessionId, user: auditContext.user });
+            const graphClient = this.createGraphClient(accessToken, session);
+            const rangePath = `/drives/${driveId}/items/${itemId}/workbook/worksheets/${worksheetId}/range(address='${range}')`;
+
+            logger.debug('🔍 Clearing Excel range', { driveId, itemId, worksheetId, range, applyTo });
+
+            // Read current values for audit trail
+            let oldValues = null;
+            let oldFormulas = null;
+            try {
+                const currentResponse = await graphClient.api(rangePath).get();
+                oldValues = currentResponse.values;
+                oldFormulas = currentResponse.formulas || null;
+            } catch (readError) {
+                logger.warn('Could not read current values for audit trail:', readError.message);
+            }
+
+            await graphClient
+                .api(`${rangePath}/clear`)
+                .post({ applyTo });
+
+            const auditId = auditService.logWriteOperation({
+                ...auditContext,
+                driveId,
+                workbookId: itemId,
+                worksheetId: worksheetId,
+                range: range,
+                applyTo,
+                oldValues: oldValues,
+                oldFormulas: oldFormulas,
+                newValues: null,
+                cellsModified: oldValues ? oldValues.length * (oldValues[0]?.length || 0) : undefined,
+                success: true
+            });
+
+            return { address: range, applyTo, auditId };
+
+        } catch (error) {
+            logger.error('❌ Excel service - failed to clear range:', error);
+
+            // Denials are already audited as permission checks
+            if (!isAccessDenial(error)) {
+                auditService.logWriteOperation({
+                    ...auditContext,
+                    driveId,
+                    workbookId: itemId,
+                    worksheetId,
+                    range,
+                    applyTo,
+                    success: false,
+                    error: error.message
+                });
+            }
+
+            if (error.code === 'InvalidArgument') {
+                throw translateGraphError(error, `Invalid range format: ${range}`);
+            } else if (error.code === 'itemNotFound') {
+                throw translateGraphError(error, 'Worksheet or range not found');
+            }
+
+            throw error;
+        } finally {
+            await sessionManager.release(session);
+            await readCache.invalidateRange(itemId, range);
+        }
+    }
+
+    /**
+     * Undo an audited range write by restoring the values it replaced.
+     * The cells must still hold what the write put there; otherwise nothing is written
+     * and the conflicting cells are returned.
+     * @param {Object} params - { accessToken, auditId, auditContext }
+     * @returns {Promise<Object>} { conflict: false, ... } on success, { conflict: true, conflicts } otherwise
+     */
+    async undoWrite(params) {
+        const { accessToken, auditId, sessionId, auditContext } = params;
+
+        const entry = await auditTrail.findAuditEntry(auditId);
+        if (!entry) {
+            throw new AppError(`Audit entry ${auditId} not found`, 404);
+        }
+
+        const driveId = entry.driveId;
+        const itemId = entry.itemId || entry.workbookId;
+        const { worksheetId, range } = entry;
+
+        if (!UNDOABLE_OPERATIONS.includes(entry.operation) || !range) {
+            throw new AppError(`Audit entry ${auditId} (${entry.operation}) is not a range write and cannot be undone`, 400);
+        }
+        if (!entry.success) {
+            throw new AppError(`Audit entry ${auditId} records a failed write; there is nothing to undo`, 400);
+        }
+        if (!driveId || !itemId || !worksheetId) {
+            throw new AppError(`Audit entry ${auditId} does not identify the workbook and worksheet by ID`, 400);
+        }
+        if (!Array.isArray(entry.oldValues)) {
+            throw new AppError(`Audit entry ${auditId} has no previous values to restore`, 400);
+        }
+        if (entry.newValues === null && entry.applyTo === 'formats') {
+            throw new AppError(`Audit entry ${auditId} cleared formats only; formats cannot be restored`, 400);
+        }
+
+        const worksheetName = await this.getWorksheetName(accessToken, driveId, itemId, worksheetId);
+        const hasPermission = permissions.canWriteRange(auditContext.principal, itemId, worksheetId, range, worksheetName);
+        if (!hasPermission.allowed) {
+            auditService.logPermissionCheck({
+                ...auditContext,
+                workbookId: itemId,
+                worksheetId: worksheetId,
+                range: range,
+                requestedPermission: 'WRITE',
+                granted: false,
+                reason: hasPermission.reason
+            });
+            throw new AppError(`Write access denied: ${hasPermission.reason}`, 403);
+        }
+
+        const { validation } = await rangeValidator.checkWorkbookRange(
+            accessToken, { driveId, itemId }, range, { worksheetId }, 'write'
+        );
+        if (!validation.allowed) {
+            throw new AppError(`Range access denied: ${validation.reason}`, 403);
+        }
+
+        // Reading the current values and restoring them run in one workbook session
+        const session = await sessionManager.acquire({
+            accessToken, driveId, itemId, sessionId, user: auditContext.user, create: true
+        });
+
+        try {
+            const graphClient = this.createGraphClient(accessToken, session);
+            const rangePath = `/drives/${driveId}/items/${itemId}/workbook/worksheets/${worksheetId}/range(address='${range}')`;
+
+            logger.debug('🔍 Undoing audited write', { auditId, driveId, itemId, worksheetId, range });
+
+            const current = await graphClient.api(rangePath).get();
+            const currentValues = current.values || [];
+            const currentFormulas = current.formulas || [];
+            const { startCell } = rangeValidator.parseRange(range);
+
+            // A cleared range is expected to be empty now
+            const written = entry.newValues === null
+                ? entry.oldValues.map(row => row.map(() => ''))
+                : entry.newValues;
+
+            const conflicts = [];
+            entry.oldValues.forEach((row, r) => {
+                row.forEach((previous, c) => {
+                    const expected = written[r]?.[c];
+                    const actual = currentValues[r]?.[c];
+                    if (!cellStillHolds(expected, actual, currentFormulas[r]?.[c])) {
+                        conflicts.push({
+                            address: `${columnNumberToLetter(startCell.col + c)}${startCell.row + r}`,
+                            expected,
+                            actual: actual ?? null
+                        });
+                    }
+                });
+            });
+
+            if (conflicts.length > 0) {
+                auditService.logUndoOperation({
+                    ...auditContext,
+                    undoOf: auditId,
+                    driveId,
+                    workbookId: itemId,
+                    worksheetId,
+                    range,
+                    conflicts,
+                    success: false,
+                    error: 'Cells changed since the write'
+                });
+                return { conflict: true, undoneAuditId: auditId, range, conflicts };
+            }
+
+            // Restore formulas where they were captured; leave cells the write did not touch (null)
+            const previous = Array.isArray(entry.oldFormulas) ? entry.oldFormulas : entry.oldValues;
+            const restore = previous.map((row, r) => row.map((cell, c) => {
+                const expected = written[r]?.[c];
+                return expected === null || expected === undefined ? null : cell;
+            }));
+
+            const response = await graphClient
+                .api(rangePath)
+                .patch(Array.isArray(entry.oldFormulas) ? { formulas: restore } : { values: restore });
+
+            const undoAuditId = auditService.logUndoOperation({
+                ...auditContext,
+                undoOf: auditId,
+                driveId,
+                workbookId: itemId,
+                worksheetId,
+                range,
+                oldValues: currentValues,
+                oldFormulas: current.formulas || null,
+                newValues: restore,
+                success: true
+            });
+
+            logger.info('Audited write undone', { auditId, undoAuditId, range, user: auditContext.user });
+
+            return {
+                conflict: false,
+                auditId: undoAuditId,
+                undoneAuditId: auditId,
+                range: response.address,
+                values: response.values
+            };
+        } finally {
+            await sessionManager.release(session);
+            await readCache.invalidateRange(itemId, range);
+        }
+    }
+
+    /**
+     * eTag and cTag of a workbook file
+     * @param {Client} graphClient - Graph client instance
+     * @param {string} driveId - Drive ID
+     * @param {string} itemId - Item ID
+     * @returns {Promise<Object>} { eTag, cTag }
+     */
+    async getItemVersion(graphClient, driveId, itemId) {
+        const item = await graphClient
+            .api(`/drives/${driveId}/items/${itemId}`)
+            .select('eTag,cTag')
+            .get();
+        return { eTag: item.eTag, cTag: item.cTag };
+    }
+
+    /**
+     * Name of a worksheet given by ID or name. Range ACL keys name the sheet, as range rules do,
+     * so a Graph worksheet ID is looked up before the range permissions are checked.
+     * @param {string} accessToken - Access token
+     * @param {string} driveId - Drive ID
+     * @param {string} itemId - Item ID
+     * @param {string} worksheetId - Worksheet ID or name
+     * @returns {Promise<string>} Worksheet name
+     */
+    async getWorksheetName(accessToken, driveId, itemId, worksheetId) {
+        // Required lazily: the resolver requires this module
+        const resolverService = require('./resolverService');
+        return resolverService.resolveWorksheetName(accessToken, driveId, itemId, worksheetId);
+    }
+
+    /**
+     * Check a table append against the range write rules. The table's address is read
+     * from Graph; the rows land below the table and extend it, so they are checked with it.
+     * @param {Client} graphClient - Graph client instance
+     * @param {Object} params - { accessToken, driveId, itemId, worksheetId, tableName, rowCount }
+     * @returns {Promise<Object>} { validation, range } with the sheet-qualified range checked
+     */
+    async checkTableAppend(graphClient, { accessToken, driveId, itemId, worksheetId, tableName, rowCount }) {
+        const table = await graphClient
+            .api(`/drives/${driveId}/items/${itemId}/workbook/worksheets/${worksheetId}/tables/${tableName}/range`)
+            .select('address')
+            .get();
+        const range = rangeValidator.tableAppendRange(table.address, rowCount);
+        const { validation } = await rangeValidator.checkWorkbookRange(
+            accessToken, { driveId, itemId }, range, {}, 'write'
+        );
+        return { validation, range };
+    }
+
+    /**
+     * Check a write's ifMatch precondition against the workbook as it is now.
+     * A string is compared with the file's eTag, which changes with any edit to the file;
+     * a matrix is compared cell by cell with the current values of the range (null cells
+     * are not checked, formulas are compared with the cell formula).
+     * @param {Client} graphClient - Graph client instance
+     * @param {Object} params - { driveId, itemId, range, ifMatch, values, formulas } with the
+     *                          current values and formulas of the range
+     * @returns {Promise<Object|null>} null if the precondition holds, otherwise
+     *                                 { reason, eTag, values, formulas, conflicts }
+     */
+    async checkPrecondition(graphClient, { driveId, itemId, range, ifMatch, values, formulas }) {
+        const current = { values, formulas };
+
+        if (typeof ifMatch === 'string') {
+            const { eTag } = await this.getItemVersion(graphClient, driveId, itemId);
+            // Accept weak or unquoted forms of the same tag
+            const normalize = tag => String(tag ?? '').replace(/^W\//, '').replace(/^"|"$/g, '');
+            if (normalize(eTag) === normalize(ifMatch)) {
+                return null;
+            }
+            return { reason: 'The workbook changed since the eTag was read', eTag, ...current, conflicts: [] };
+        }
+
+        const { startCell } = rangeValidator.parseRange(range);
+        const conflicts = [];
+        ifMatch.forEach((row, r) => {
+            row.forEach((expected, c) => {
+                const actual = values?.[r]?.[c];
+                if (!cellStillHolds(expected, actual, formulas?.[r]?.[c])) {
+                    conflicts.push({
+                        address: `${columnNumberToLetter(startCell.col + c)}${startCell.row + r}`,
+                        expected,
+                        actual: actual ?? null
+                    });
+                }
+            });
+        });
+
+        return conflicts.length > 0
+            ? { reason: 'Cells changed since they were read', ...current, conflicts }
+            : null;
+    }
+
     /**
      * Validate range format
      * @param {string} range - Range string (e.g., 'A1:C10')
@@ -0,0 +1,416 @@
+/**
+ * Graph Request Pipeline
+ * Microsoft Graph SDK middleware that every Graph client in the service is built with.
+ * For each request it:
+ *   - retries 429, 502, 503 and 504 responses, waiting as long as Retry-After asks or,
+ *     without it, backing off exponentially with jitter. 502, 504 and lost connections
+ *     are not retried for POST, which Graph may already have applied
+ *   - gives up when the request deadline (GRAPH_REQUEST_DEADLINE_MS, default 30s,
+ *     retries included) has passed and answers 504
+ *   - keeps a circuit breaker per tenant: after GRAPH_BREAKER_THRESHOLD (default 5)
+ *     requests in a row end in a 5xx status or a lost connection, requests for the tenant
+ *     fail fast with 503 for GRAPH_BREAKER_COOLDOWN_SECONDS (default 30), then a single
+ *     trial request decides whether the breaker closes again. A 429 shows that Graph is
+ *     answering, so throttled requests are only counted and do not open the breaker
+ * Failures the pipeline produces itself are Graph-shaped error responses, so callers
+ * see them as GraphError like any other.
+ */
+
+const {
+    Client,
+    AuthenticationHandler,
+    CustomAuthenticationProvider,
+    RedirectHandler,
+    TelemetryHandler,
+    HTTPMessageHandler
+} = require('@microsoft/microsoft-graph-client');
+const logger = require('../config/logger');
+const { GRAPH_PIPELINE, HTTP_STATUS } = require('../utils/constants');
+const { sleep, readEnvNumber: readNumber } = require('../utils/helpers');
+
+const { BREAKER_STATES } = GRAPH_PIPELINE;
+const REPEATABLE_METHODS = new Set(['GET', 'HEAD', 'OPTIONS', 'PUT', 'PATCH', 'DELETE']);
+
+/**
+ * Tenant an access token was issued for (its tid claim), or the configured tenant
+ * @param {string} accessToken - Graph access token
+ * @returns {string} Tenant ID
+ */
+const tenantOf = (accessToken) => {
+    try {
+        const payload = JSON.parse(Buffer.from(String(accessToken).split('.')[1], 'base64url').toString('utf8'));
+        if (payload.tid) {
+            return payload.tid;
+        }
+    } catch (error) {
+        // Not a JWT; fall back to the configured tenant
+    }
+    return process.env.AZURE_TENANT_ID || process.env.TENANT_ID || 'default';
+};
+
+/**
+ * Delay requested by a Retry-After header, given in seconds or as an HTTP date
+ * @param {string|null} value - Header value
+ * @returns {number|null} Delay in milliseconds, or null without a usable header
+ */
+const parseRetryAfter = (value) => {
+    if (!value) {
+        return null;
+    }
+    const seconds = Number(value);
+    if (Number.isFinite(seconds)) {
+        return Math.max(0, seconds * 1000);
+    }
+    const date = Date.parse(value);
+    return Number.isNaN(date) ? null : Math.max(0, date - Date.now());
+};
+
+/**
+ * Exponential backoff with jitter: half of the doubled delay is fixed, the other half
+ * random, so callers throttled together do not all retry at the same moment
+ * @param {number} attempt - Retries already made
+ * @returns {number} Delay in milliseconds
+ */
+const backoffDelay = (attempt) => {
+    const ceiling = Math.min(GRAPH_PIPELINE.MAX_DELAY, GRAPH_PIPELINE.BASE_DELAY * 2 ** attempt);
+    return ceiling / 2 + Math.random() * (ceiling / 2);
+};
+
+/**
+ * Whether a request body can be sent again (streams cannot)
+ * @param {Object} options - Fetch options
+ * @returns {boolean} True if the body is absent or buffered
+ */
+const isBuffered = (options) => {
+    const body = options?.body;
+    return body === undefined || body === null || typeof body === 'string'
+        || body instanceof ArrayBuffer || ArrayBuffer.isView(body);
+};
+
+/**
+ * Graph-shaped error response for failures produced by the pipeline itself
+ * @param {number} status - HTTP status
+ * @param {string} code - Error code
+ * @param {string} message - Error message
+ * @param {number} [retryAfterMs] - Delay for the Retry-After header
+ * @returns {Response} Fetch response
+ */
+const errorResponse = (status, code, message, retryAfterMs) => {
+    const headers = { 'Content-Type': 'application/json' };
+    if (retryAfterMs !== undefined) {
+        headers['Retry-After'] = String(Math.max(1, Math.ceil(retryAfterMs / 1000)));
+    }
+    return new Response(JSON.stringify({ error: { code, message } }), { status, headers });
+};
+
+const requestUrl = (request) => (typeof request === 'string' ? request : request?.url);
+
+class CircuitBreaker {
+    /**
+     * @param {string} tenant - Tenant ID
+     * @param {Object} options - { threshold, cooldown }
+     */
+    constructor(tenant, { threshold, cooldown }) {
+        this.tenant = tenant;
+        this.threshold = threshold;
+        this.cooldown = cooldown;
+        this.state = BREAKER_STATES.CLOSED;
+        this.consecutiveFailures = 0;
+        this.openedAt = null;
+        this.trialInFlight = false;
+        this.timesOpened = 0;
+        this.lastFailure = null;
+        this.throttled = 0;
+    }
+
+    /**
+     * Whether a request may be sent now. Once the cooldown has passed the breaker is
+     * half-open and lets one trial request through.
+     * @returns {boolean} True if the request may be sent
+     */
+    allow() {
+        if (this.state === BREAKER_STATES.OPEN && Date.now() - this.openedAt >= this.cooldown) {
+            this.state = BREAKER_STATES.HALF_OPEN;
+            this.trialInFlight = false;
+        }
+        if (this.state === BREAKER_STATES.CLOSED) {
+            return true;
+        }
+        if (this.state === BREAKER_STATES.HALF_OPEN && !this.trialInFlight) {
+            this.trialInFlight = true;
+            return true;
+        }
+        return false;
+    }
+
+    /**
+     * Time until the breaker lets a request through again
+     * @returns {number} Milliseconds
+     */
+    retryAfter() {
+        if (this.state === BREAKER_STATES.OPEN) {
+            return Math.max(0, this.openedAt + this.cooldown - Date.now());
+        }
+        return GRAPH_PIPELINE.BASE_DELAY;
+    }
+
+    recordSuccess() {
+        if (this.state !== BREAKER_STATES.CLOSED) {
+            logger.info('Graph circuit breaker closed', { tenant: this.tenant });
+        }
+        this.state = BREAKER_STATES.CLOSED;
+        this.consecutiveFailures = 0;
+        this.openedAt = null;
+        this.trialInFlight = false;
+    }
+
+    /**
+     * A request still throttled after its retries: Graph is up, so this counts as an answer
+     */
+    recordThrottled() {
+        this.throttled += 1;
+        this.recordSuccess();
+    }
+
+    /**
+     * @param {string} reason - Status or error that ended the request
+     */
+    recordFailure(reason) {
+        this.consecutiveFailures += 1;
+        this.lastFailure = { reason, at: new Date().toISOString() };
+
+        if (this.state === BREAKER_STATES.HALF_OPEN || this.consecutiveFailures >= this.threshold) {
+            if (this.state !== BREAKER_STATES.OPEN) {
+                this.timesOpened += 1;
+                logger.warn('Graph circuit breaker opened', {
+                    tenant: this.tenant,
+                    consecutiveFailures: this.consecutiveFailures,
+                    reason,
+                    cooldownSeconds: this.cooldown / 1000
+                });
+            }
+            this.state = BREAKER_STATES.OPEN;
+            this.openedAt = Date.now();
+            this.trialInFlight = false;
+        }
+    }
+
+    /**
+     * @returns {Object} Breaker state for health checks
+     */
+    describe() {
+        const cooledDown = this.state === BREAKER_STATES.OPEN && Date.now() - this.openedAt >= this.cooldown;
+        return {
+            tenant: this.tenant,
+            state: cooledDown ? BREAKER_STATES.HALF_OPEN : this.state,
+            consecutiveFailures: this.consecutiveFailures,
+            openedAt: this.openedAt ? new Date(this.openedAt).toISOString() : null,
+            retryAfterSeconds: this.state === BREAKER_STATES.OPEN ? Math.ceil(this.retryAfter() / 1000) : 0,
+            timesOpened: this.timesOpened,
+            lastFailure: this.lastFailure,
+            throttled: this.throttled
+        };
+    }
+}
+
+/**
+ * Graph SDK middleware that hands each request to the pipeline
+ */
+class GraphPipelineHandler {
+    /**
+     * @param {GraphPipeline} pipeline - Pipeline
+     * @param {string} tenant - Tenant the client's token was issued for
+     */
+    constructor(pipeline, tenant) {
+        this.pipeline = pipeline;
+        this.tenant = tenant;
+        this.nextMiddleware = undefined;
+    }
+
+    async execute(context) {
+        await this.pipeline.send(context, this.nextMiddleware, this.tenant);
+    }
+
+    setNext(next) {
+        this.nextMiddleware = next;
+    }
+}
+
+class GraphPipeline {
+    constructor() {
+        this.maxRetries = Math.floor(readNumber('GRAPH_MAX_RETRIES', GRAPH_PIPELINE.DEFAULT_MAX_RETRIES));
+        this.deadline = readNumber('GRAPH_REQUEST_DEADLINE_MS', 0) || GRAPH_PIPELINE.DEFAULT_DEADLINE;
+        this.breakerThreshold = Math.floor(readNumber('GRAPH_BREAKER_THRESHOLD', 0)) || GRAPH_PIPELINE.DEFAULT_BREAKER_THRESHOLD;
+        this.breakerCooldown = (readNumber('GRAPH_BREAKER_COOLDOWN_SECONDS', 0) * 1000) || GRAPH_PIPELINE.DEFAULT_BREAKER_COOLDOWN;
+        this.breakers = new Map(); // key: tenant -> CircuitBreaker
+    }
+
+    /**
+     * Create a Graph client whose requests go through the pipeline
+     * @param {string} accessToken - Graph access token
+     * @param {Object} [headers] - Headers sent on every request
+     * @returns {Client} Microsoft Graph client
+     */
+    createClient(accessToken, headers = null) {
+        return Client.initWithMiddleware({
+            middleware: [
+                new AuthenticationHandler(new CustomAuthenticationProvider((done) => done(null, accessToken))),
+                new GraphPipelineHandler(this, tenantOf(accessToken)),
+                new RedirectHandler(),
+                new TelemetryHandler(),
+                new HTTPMessageHandler()
+            ],
+            fetchOptions: headers ? { headers } : undefined
+        });
+    }
+
+    /**
+     * Circuit breaker for a tenant
+     * @param {string} tenant - Tenant ID
+     * @returns {CircuitBreaker} Breaker
+     */
+    breakerFor(tenant) {
+        let breaker = this.breakers.get(tenant);
+        if (!breaker) {
+            breaker = new CircuitBreaker(tenant, { threshold: this.breakerThreshold, cooldown: this.breakerCooldown });
+            this.breakers.set(tenant, breaker);
+        }
+        return breaker;
+    }
+
+    /**
+     * Send a request with retries, the deadline and the tenant's breaker
+     * @param {Object} context - Graph SDK middleware context
+     * @param {Object} next - Next middleware
+     * @param {string} tenant - Tenant ID
+     */
+    async send(context, next, tenant) {
+        const breaker = this.breakerFor(tenant);
+        if (!breaker.allow()) {
+            const retryAfter = breaker.retryAfter();
+            context.response = errorResponse(
+                HTTP_STATUS.SERVICE_UNAVAILABLE,
+                'circuitOpen',
+                `Microsoft Graph requests are paused after repeated failures; retry in ${Math.ceil(retryAfter / 1000)} seconds`,
+                retryAfter
+            );
+            return;
+        }
+
+        const method = (context.options?.method || 'GET').toUpperCase();
+        const deadline = Date.now() + this.deadline;
+        let outcome;
+
+        for (let attempt = 0; ; attempt += 1) {
+            outcome = await this.sendOnce(context, next, deadline);
+            if (!this.shouldRetry(outcome, method, context.options, attempt)) {
+                break;
+            }
+
+            const status = outcome.response?.status;
+            const delay = parseRetryAfter(outcome.response?.headers.get('Retry-After')) ?? backoffDelay(attempt);
+            if (Date.now() + delay >= deadline) {
+                logger.warn('Graph request not retried; the wait would pass its deadline', {
+                    url: requestUrl(context.request),
+                    status,
+                    delayMs: Math.round(delay)
+                });
+                break;
+            }
+
+            logger.warn('Retrying Graph request', {
+                url: requestUrl(context.request),
+                method,
+                status: status || outcome.error.message,
+                retry: attempt + 1,
+                delayMs: Math.round(delay)
+            });
+            // Release the connection held by the unread error body
+            await outcome.response?.text().catch(() => {});
+            await sleep(delay);
+        }
+
+        if (outcome.error) {
+            breaker.recordFailure(outcome.error.message);
+            throw outcome.error;
+        }
+
+        context.response = outcome.response;
+        const { status } = outcome.response;
+        if (status >= 500) {
+            breaker.recordFailure(`HTTP ${status}`);
+        } else if (status === HTTP_STATUS.TOO_MANY_REQUESTS) {
+            breaker.recordThrottled();
+        } else {
+            breaker.recordSuccess();
+        }
+    }
+
+    /**
+     * Send one attempt, aborting it at the deadline
+     * @param {Object} context - Graph SDK middleware context
+     * @param {Object} next - Next middleware
+     * @param {number} deadline - Epoch milliseconds
+     * @returns {Promise<Object>} { response, timedOut } or { error } when no response arrived
+     */
+    async sendOnce(context, next, deadline) {
+        const controller = new AbortController();
+        const timer = setTimeout(() => controller.abort(), Math.max(0, deadline - Date.now()));
+        context.options = { ...context.options, signal: controller.signal };
+
+        try {
+            await next.execute(context);
+            return { response: context.response };
+        } catch (error) {
+            if (controller.signal.aborted) {
+                return {
+                    response: errorResponse(
+                        HTTP_STATUS.GATEWAY_TIMEOUT,
+                        'requestDeadlineExceeded',
+                        `Microsoft Graph did not complete the request within ${this.deadline / 1000} seconds`
+                    ),
+                    timedOut: true
+                };
+            }
+            return { error };
+        } finally {
+            clearTimeout(timer);
+        }
+    }
+
+    /**
+     * Whether an attempt should be repeated
+     * @param {Object} outcome - Result of sendOnce()
+     * @param {string} method - HTTP method
+     * @param {Object} options - Fetch options
+     * @param {number} attempt - Retries already made
+     * @returns {boolean} True to retry
+     */
+    shouldRetry(outcome, method, options, attempt) {
+        if (attempt >= this.maxRetries || outcome.timedOut || !isBuffered(options)) {
+            return false;
+        }
+        if (outcome.error) {
+            return REPEATABLE_METHODS.has(method);
+        }
+        const { status } = outcome.response;
+        return GRAPH_PIPELINE.ALWAYS_RETRY_STATUS_CODES.includes(status)
+            || (GRAPH_PIPELINE.RETRY_STATUS_CODES.includes(status) && REPEATABLE_METHODS.has(method));
+    }
+
+    /**
+     * Pipeline settings and breaker states for health checks
+     * @returns {Object} { maxRetries, deadlineMs, breakerThreshold, breakerCooldownSeconds, breakers }
+     */
+    getStats() {
+        return {
+            maxRetries: this.maxRetries,
+            deadlineMs: this.deadline,
+            breakerThreshold: this.breakerThreshold,
+            breakerCooldownSeconds: this.breakerCooldown / 1000,
+            breakers: [...this.breakers.values()].map(breaker => breaker.describe())
+        };
+    }
+}
+
+module.exports = new GraphPipeline();
@@ -0,0 +1,165 @@
+/**
+ * Read Cache
+ * Opt-in cache of range and table reads (READ_CACHE_ENABLED=true), keyed by workbook,
+ * worksheet and address or table name. Each entry keeps the workbook's cTag (content tag)
+ * from when it was read, and is served only while the file still has that cTag. Writes
+ * through the middleware drop the entries they overlap straight away, as edits made in a
+ * workbook session can reach the file's cTag later.
+ *
+ * Storage is configured like the name cache, with the READ_CACHE prefix (see cacheStore).
+ */
+
+const logger = require('../config/logger');
+const rangeValidator = require('../middleware/rangeValidator');
+const { createCache } = require('./cacheStore');
+const { CACHE_STORE } = require('../utils/constants');
+
+const { RANGE, TABLE } = CACHE_STORE.NAMESPACES;
+
+const versionOf = (version) => version?.cTag || version?.eTag || null;
+
+/**
+ * Parse an address for overlap checks, ignoring its sheet
+ * @param {string} address - Address such as A1:B2 or Sheet1!A1:B2
+ * @returns {Object|null} Parsed range, or null if it cannot be parsed
+ */
+const parseAddress = (address) => {
+    try {
+        return { ...rangeValidator.parseRangeAddress(address), sheetName: '' };
+    } catch (error) {
+        return null;
+    }
+};
+
+class ReadCache {
+    constructor() {
+        this.enabled = String(process.env.READ_CACHE_ENABLED || '').toLowerCase() === 'true';
+        this.cache = createCache('READ_CACHE', {
+            label: 'Read cache',
+            fileName: 'read-cache.db',
+            ttls: {
+                [RANGE]: this.enabled ? CACHE_STORE.READ_TTL : 0,
+                [TABLE]: this.enabled ? CACHE_STORE.READ_TTL : 0
+            }
+        });
+    }
+
+    rangeKey(itemId, worksheetId, range) {
+        return `${itemId}:${String(worksheetId).toLowerCase()}:${String(range).replace(/\$/g, '').toUpperCase()}`;
+    }
+
+    tableKey(itemId, worksheetId, tableName) {
+        return `${itemId}:${String(worksheetId).toLowerCase()}:${String(tableName).toLowerCase()}`;
+    }
+
+    /**
+     * Cached range read, if the workbook is unchanged since it was cached
+     * @param {Object} params - { itemId, worksheetId, range }
+     * @param {Object} version - Current { eTag, cTag } of the workbook
+     * @returns {Promise<Object|undefined>} Range data
+     */
+    async getRange({ itemId, worksheetId, range }, version) {
+        return this.lookup(RANGE, this.rangeKey(itemId, worksheetId, range), version);
+    }
+
+    /**
+     * @param {Object} params - { itemId, worksheetId, range }
+     * @param {Object} version - { eTag, cTag } of the workbook, read before the range
+     * @param {Object} data - Range data
+     */
+    async setRange({ itemId, worksheetId, range }, version, data) {
+        await this.store(RANGE, this.rangeKey(itemId, worksheetId, range), version, range, data);
+    }
+
+    /**
+     * Cached table read, if the workbook is unchanged since it was cached
+     * @param {Object} params - { itemId, worksheetId, tableName }
+     * @param {Object} version - Current { eTag, cTag } of the workbook
+     * @returns {Promise<Object|undefined>} Table data
+     */
+    async getTable({ itemId, worksheetId, tableName }, version) {
+        return this.lookup(TABLE, this.tableKey(itemId, worksheetId, tableName), version);
+    }
+
+    /**
+     * @param {Object} params - { itemId, worksheetId, tableName }
+     * @param {Object} version - { eTag, cTag } of the workbook, read before the table
+     * @param {Object} data - Table data; its address is used for overlap checks
+     */
+    async setTable({ itemId, worksheetId, tableName }, version, data) {
+        await this.store(TABLE, this.tableKey(itemId, worksheetId, tableName), version, data.address, data);
+    }
+
+    async lookup(namespace, key, version) {
+        const current = versionOf(version);
+        if (!this.enabled || !current) {
+            return undefined;
+        }
+        const entry = await this.cache.get(namespace, key, cached => cached.version === current);
+        return entry?.data;
+    }
+
+    async store(namespace, key, version, address, data) {
+        const current = versionOf(version);
+        if (!this.enabled || !current) {
+            return;
+        }
+        await this.cache.set(namespace, key, { version: current, address, data });
+    }
+
+    /**
+     * Drop the cached reads a range write may have changed. Worksheets can be referenced by
+     * name or ID, so entries on any worksheet of the workbook that overlap the range are
+     * dropped.
+     * @param {string} itemId - Workbook item ID
+     * @param {string} range - Written address, without the sheet
+     */
+    async invalidateRange(itemId, range) {
+        if (!this.enabled) {
+            return;
+        }
+
+        const written = parseAddress(range);
+        if (!written) {
+            await this.invalidateWorkbook(itemId);
+            return;
+        }
+
+        const overlaps = (entry) => {
+            const cached = parseAddress(entry.address);
+            return !cached || rangeValidator.rangesOverlap(written, cached);
+        };
+        await Promise.all([
+            this.cache.deleteMatching(RANGE, `${itemId}:`, overlaps),
+            this.cache.deleteMatching(TABLE, `${itemId}:`, overlaps)
+        ]);
+        logger.debug('Read cache entries overlapping a write dropped', { itemId, range });
+    }
+
+    /**
+     * Drop every cached read of a workbook, for writes whose extent is not known
+     * (table rows, deleted worksheets)
+     * @param {string} itemId - Workbook item ID
+     */
+    async invalidateWorkbook(itemId) {
+        if (!this.enabled) {
+            return;
+        }
+        await Promise.all([
+            this.cache.deleteMatching(RANGE, `${itemId}:`),
+            this.cache.deleteMatching(TABLE, `${itemId}:`)
+        ]);
+    }
+
+    /**
+     * Cache statistics for health checks
+     * @returns {Promise<Object>} { enabled, ... } plus the cache's statistics when enabled
+     */
+    async getStats() {
+        return this.enabled
+            ? { enabled: true, ...await this.cache.getStats() }
+            : { enabled: false };
+    }
+}
+
+module.exports = new ReadCache();
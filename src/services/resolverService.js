@@ -1,39 +1,52 @@
 /**
  * Resolver Service
- * Resolves driveName -> driveId, itemName -> itemId, and worksheetName from range
- * Implements lightweight in-memory caches to minimize Graph lookups
+ * Resolves driveName -> driveId, itemName/itemPath -> itemId, and worksheetName from range
+ * Resolved IDs are kept in the name cache (NAME_CACHE, see services/cacheStore) to minimize
+ * Graph lookups. Entries expire after their TTL and are dropped when a worksheet is added
+ * or deleted through the middleware, or when Graph answers 404 for a cached ID. Names
+ * changed outside the middleware are picked up once the entry expires.
  */
 
-const { Client } = require('@microsoft/microsoft-graph-client');
 const logger = require('../config/logger');
 const excelService = require('./excelService');
-const { AppError } = require('../middleware/errorHandler');
+const graphPipeline = require('./graphPipeline');
+const { AppError, translateGraphError } = require('../middleware/errorHandler');
+const { createCache } = require('./cacheStore');
+const { CACHE_STORE } = require('../utils/constants');
+const { suggestClosest, normalizeItemPath, encodeItemPath, isExcelFileName } = require('../utils/helpers');
+
+const { DRIVE, ITEM, WORKSHEET, WORKBOOK } = CACHE_STORE.NAMESPACES;
 
 class ResolverService {
   constructor() {
-    // Simple in-memory caches
-    this.driveCache = new Map(); // key: driveName -> { id, ts }
-    this.itemCache = new Map();  // key: `${driveId}:${itemName}` -> { id, ts }
-    this.worksheetCache = new Map(); // key: `${itemId}:${worksheetName}` -> { id, ts }
-    this.ttlMs = 10 * 60 * 1000; // 10 minutes TTL
-  }
-
-  createGraphClient(accessToken) {
-    return Client.init({
-      authProvider: (done) => done(null, accessToken),
+    // Namespaces, keyed by lowercased names:
+    //   drive:     driveName -> driveId
+    //   item:      `${driveId}:${itemPath}` -> itemId
+    //   worksheet: `${itemId}:${worksheetName}` -> worksheetId
+    //   workbook:  `${driveId}:${itemId}` -> describeWorkbook() result
+    this.cache = createCache('NAME_CACHE', {
+      label: 'Name cache',
+      fileName: 'name-cache.db',
+      ttls: {
+        [DRIVE]: CACHE_STORE.NAME_TTL,
+        [ITEM]: CACHE_STORE.NAME_TTL,
+        [WORKSHEET]: CACHE_STORE.NAME_TTL,
+        [WORKBOOK]: CACHE_STORE.NAME_TTL,
+      },
     });
   }
 
-  isFresh(entry) {
-    return entry && (Date.now() - entry.ts) < this.ttlMs;
+  createGraphClient(accessToken) {
+    return graphPipeline.createClient(accessToken);
   }
 
   async resolveDriveIdByName(accessToken, driveName) {
     if (!driveName) throw new AppError('driveName is required', 400);
 
-    const cached = this.driveCache.get(driveName);
-    if (this.isFresh(cached)) {
-      return cached.id;
+    const cacheKey = String(driveName).toLowerCase();
+    const cached = await this.cache.get(DRIVE, cacheKey);
+    if (cached) {
+      return cached;
     }
 
     try {
@@ -50,51 +63,185 @@ class ResolverService {
         throw new AppError(msg, 404);
       }
 
-      this.driveCache.set(driveName, { id: match.id, ts: Date.now() });
+      await this.cache.set(DRIVE, cacheKey, match.id);
       return match.id;
     } catch (err) {
-      if (!err.status) logger.error('Failed resolving driveId by name', { driveName, error: err.message });
+      if (!(err instanceof AppError)) logger.error('Failed resolving driveId by name', { driveName, error: err.message });
       throw err;
     }
   }
 
+  /**
+   * Path of a driveItem relative to the drive root, from its parentReference
+   */
+  itemPathOf(item) {
+    const parent = String(item.parentReference?.path || '').replace(/^\/drive(s\/[^/]+)?\/root:?/, '');
+    let decoded = parent;
+    try {
+      decoded = decodeURIComponent(parent);
+    } catch (e) {
+      // keep the raw path if it isn't valid percent-encoding
+    }
+    return normalizeItemPath(`${decoded}/${item.name}`);
+  }
+
+  /**
+   * Resolve a file name (root-level) or a path such as "Finance/2026/Q3 Budget.xlsx"
+   */
   async resolveItemIdByName(accessToken, driveId, itemName) {
+    return this.resolveItemIdByPath(accessToken, driveId, itemName);
+  }
+
+  /**
+   * Resolve an item through Graph path addressing (root:/a/b/c.xlsx).
+   * When nothing exists at that path, searches the whole drive for the file name. A bare
+   * file name resolves to a single exact-name hit; a path that names a folder never does,
+   * as the hit is a different file. Otherwise a 404 lists "did you mean" suggestions.
+   */
+  async resolveItemIdByPath(accessToken, driveId, itemPath) {
     if (!driveId) throw new AppError('driveId is required', 400);
-    if (!itemName) throw new AppError('itemName is required', 400);
+    const path = normalizeItemPath(itemPath);
+    if (!path) throw new AppError('itemName or itemPath is required', 400);
 
-    const cacheKey = `${driveId}:${itemName}`;
-    const cached = this.itemCache.get(cacheKey);
-    if (this.isFresh(cached)) {
-      return cached.id;
+    const cacheKey = `${driveId}:${path.toLowerCase()}`;
+    const cached = await this.cache.get(ITEM, cacheKey);
+    if (cached) {
+      return cached;
     }
 
     try {
       const graphClient = this.createGraphClient(accessToken);
-      // As per requirement, list children of root then find by exact name
-      const resp = await graphClient
-        .api(`/drives/${driveId}/root/children`)
-        .select('id,name')
-        .top(999)
+      const encoded = encodeItemPath(path);
+
+      let item = null;
+      try {
+        item = await graphClient
+          .api(`/drives/${driveId}/root:/${encoded}`)
+          .select('id,name,file,folder,parentReference')
+          .get();
+      } catch (lookupErr) {
+        if (lookupErr.statusCode !== 404) throw lookupErr;
+      }
+
+      if (item && !item.folder) {
+        await this.cache.set(ITEM, cacheKey, item.id);
+        return item.id;
+      }
+
+      // Nothing at that exact path: search the whole drive for the file name
+      const fileName = path.split('/').pop();
+      const q = fileName.replace(/'/g, "''");
+      const searchResp = await graphClient
+        .api(`/drives/${driveId}/root/search(q='${encodeURIComponent(q)}')`)
+        .select('id,name,file,folder,parentReference')
+        .top(50)
         .get();
 
-      const items = resp.value || [];
-      const available = items.map(it => it.name);
-      const itemNameLc = String(itemName).toLowerCase();
-      const match = items.find((it) => String(it.name).toLowerCase() === itemNameLc);
-      if (!match) {
-        const msg = `File not found in this drive. Available items: ${JSON.stringify(available)}`;
-        logger.warn(msg, { driveId });
-        throw new AppError(msg, 404);
+      const hits = (searchResp.value || [])
+        .filter((it) => it.file && isExcelFileName(it.name))
+        .map((it) => ({ id: it.id, name: it.name, path: this.itemPathOf(it) }));
+      const exact = hits.filter((it) => it.name.toLowerCase() === fileName.toLowerCase());
+
+      // Cached under the path the file lives at, not the name it was found by
+      if (exact.length === 1 && !path.includes('/')) {
+        logger.info('File not at the drive root; using its only search match', { driveId, requested: path, found: exact[0].path });
+        await this.cache.set(ITEM, `${driveId}:${exact[0].path.toLowerCase()}`, exact[0].id);
+        return exact[0].id;
       }
 
-      this.itemCache.set(cacheKey, { id: match.id, ts: Date.now() });
-      return match.id;
+      let candidates = (exact.length ? exact : hits).map((it) => it.path);
+      if (candidates.length === 0) {
+        // Search found nothing similar; suggest from the requested folder instead
+        const parent = path.split('/').slice(0, -1).join('/');
+        const listing = await graphClient
+          .api(parent ? `/drives/${driveId}/root:/${encodeItemPath(parent)}:/children` : `/drives/${driveId}/root/children`)
+          .select('id,name')
+          .top(999)
+          .get()
+          .catch(() => ({ value: [] }));
+        candidates = (listing.value || []).map((it) => normalizeItemPath(`${parent}/${it.name}`));
+      }
+
+      const suggestions = suggestClosest(path, candidates);
+      const msg = exact.length > 1
+        ? `Multiple files named '${fileName}' found. Specify itemPath, one of: ${JSON.stringify(suggestions)}`
+        : `File not found in this drive: ${path}. Did you mean: ${JSON.stringify(suggestions)}`;
+      logger.warn(msg, { driveId });
+      const err = new AppError(msg, 404);
+      err.suggestions = suggestions;
+      throw err;
     } catch (err) {
-      if (!err.status) logger.error('Failed resolving itemId by name', { driveId, itemName, error: err.message });
+      if (!(err instanceof AppError)) logger.error('Failed resolving itemId by path', { driveId, itemPath, error: err.message });
       throw err;
     }
   }
 
+  /**
+   * Resolve the { driveId, itemId } pair from any mix of IDs, names and an item path
+   */
+  async resolveWorkbook(accessToken, { driveId, itemId, driveName, itemName, itemPath }) {
+    if (driveId && itemId) return { driveId, itemId };
+
+    const resolvedDriveId = driveId || await this.resolveDriveIdByName(accessToken, driveName);
+    const resolvedItemId = itemId || await this.resolveItemIdByPath(accessToken, resolvedDriveId, itemPath || itemName);
+    return { driveId: resolvedDriveId, itemId: resolvedItemId };
+  }
+
+  /**
+   * Resolve a workbook reference to its IDs plus drive name, file name and path,
+   * which per-workbook range rules are matched against
+   */
+  async describeWorkbook(accessToken, ref) {
+    const { driveId, itemId } = await this.resolveWorkbook(accessToken, ref);
+
+    const cacheKey = `${driveId}:${itemId}`;
+    const cached = await this.cache.get(WORKBOOK, cacheKey);
+    if (cached) {
+      return cached;
+    }
+
+    try {
+      const graphClient = this.createGraphClient(accessToken);
+      const [drive, item] = await Promise.all([
+        graphClient.api(`/drives/${driveId}`).select("name").get(),
+        graphClient.api(`/drives/${driveId}/items/${itemId}`).select("name,parentReference").get(),
+      ]);
+
+      const value = {
+        driveId,
+        itemId,
+        driveName: drive.name,
+        itemName: item.name,
+        itemPath: this.itemPathOf(item),
+      };
+      await this.cache.set(WORKBOOK, cacheKey, value);
+      return value;
+    } catch (err) {
+      if (err.statusCode === 404) {
+        throw translateGraphError(err, `Workbook not found: ${itemId}`);
+      }
+      logger.error('Failed describing workbook', { driveId, itemId, error: err.message });
+      throw err;
+    }
+  }
+
+  /**
+   * Resolve the worksheet from worksheetId, worksheetName or a Sheet!A1:B2 range prefix
+   * Returns { worksheetId, worksheetName, address } where address has the sheet prefix stripped
+   */
+  async resolveWorksheet(accessToken, driveId, itemId, { worksheetId, worksheetName, range }) {
+    const { sheetName, address } = this.parseSheetAndAddress(range);
+    const effectiveWorksheetName = worksheetName || sheetName;
+
+    if (worksheetId) return { worksheetId, worksheetName: effectiveWorksheetName, address };
+    if (!effectiveWorksheetName) {
+      throw new AppError('worksheetName is required (or prefix range as Sheet1!A1:B2)', 400);
+    }
+
+    const resolvedId = await this.resolveWorksheetIdByName(accessToken, driveId, itemId, effectiveWorksheetName);
+    return { worksheetId: resolvedId, worksheetName: effectiveWorksheetName, address };
+  }
+
   parseSheetAndAddress(maybeQualifiedRange) {
     // Supports formats: 'Sheet1!A1:D10' or just 'A1:D10'
     // Returns { sheetName, address }
@@ -114,10 +261,10 @@ class ResolverService {
       throw new AppError(msg, 400);
     }
 
-    const cacheKey = `${itemId}:${worksheetName}`;
-    const cached = this.worksheetCache.get(cacheKey);
-    if (this.isFresh(cached)) {
-      return cached.id;
+    const cacheKey = `${itemId}:${String(worksheetName).toLowerCase()}`;
+    const cached = await this.cache.get(WORKSHEET, cacheKey);
+    if (cached) {
+      return cached;
     }
 
     try {
@@ -126,19 +273,87 @@ class ResolverService {
         .api(`/drives/${driveId}/items/${itemId}/workbook/worksheets`)
         .get();
 
-      const match = (resp.value || []).find((ws) => ws.name === worksheetName);
+      const sheets = resp.value || [];
+      const worksheetNameLc = String(worksheetName).toLowerCase();
+      const match = sheets.find((ws) => String(ws.name).toLowerCase() === worksheetNameLc);
       if (!match) {
-        const msg = `Worksheet not found: ${worksheetName}`;
+        const msg = `Worksheet not found: ${worksheetName}. Available sheets: ${JSON.stringify(sheets.map(ws => ws.name))}`;
         throw new AppError(msg, 404);
       }
 
-      this.worksheetCache.set(cacheKey, { id: match.id, ts: Date.now() });
+      await this.cache.set(WORKSHEET, cacheKey, match.id);
       return match.id;
     } catch (err) {
-      if (!err.status) logger.error('Failed resolving worksheetId by name', { driveId, itemId, worksheetName, error: err.message });
+      if (!(err instanceof AppError)) logger.error('Failed resolving worksheetId by name', { driveId, itemId, worksheetName, error: err.message });
+      throw err;
+    }
+  }
+
+  /**
+   * Name of the worksheet a worksheetId refers to, which range rules are matched against.
+   * Graph also accepts a worksheet name in place of the ID, so either matches.
+   */
+  async resolveWorksheetName(accessToken, driveId, itemId, worksheetId) {
+    // "[" cannot appear in a worksheet name, so these keys never clash with name -> ID entries
+    const cacheKey = `${itemId}:[id]${String(worksheetId).toLowerCase()}`;
+    const cached = await this.cache.get(WORKSHEET, cacheKey);
+    if (cached) {
+      return cached;
+    }
+
+    try {
+      const graphClient = this.createGraphClient(accessToken);
+      const resp = await graphClient
+        .api(`/drives/${driveId}/items/${itemId}/workbook/worksheets`)
+        .get();
+
+      const sheets = resp.value || [];
+      const wanted = String(worksheetId).toLowerCase();
+      const match = sheets.find((ws) => String(ws.id).toLowerCase() === wanted || String(ws.name).toLowerCase() === wanted);
+      if (!match) {
+        const msg = `Worksheet not found: ${worksheetId}. Available sheets: ${JSON.stringify(sheets.map(ws => ws.name))}`;
+        throw new AppError(msg, 404);
+      }
+
+      await this.cache.set(WORKSHEET, cacheKey, match.name);
+      return match.name;
+    } catch (err) {
+      if (!(err instanceof AppError)) logger.error('Failed resolving worksheet name', { driveId, itemId, worksheetId, error: err.message });
       throw err;
     }
   }
+
+  /**
+   * Drop the cached worksheet IDs and names of a workbook, after a worksheet was added or deleted
+   */
+  async invalidateWorksheets(itemId) {
+    await this.cache.deleteMatching(WORKSHEET, `${itemId}:`);
+  }
+
+  /**
+   * Drop the cached IDs a request was resolved through, after Graph answered 404 for one
+   * of them. Accepts the request's names and any IDs it was resolved to.
+   */
+  async forgetNames({ itemId, itemName, itemPath, worksheetName, range }) {
+    const path = normalizeItemPath(itemPath || itemName).toLowerCase();
+    const sheet = String(worksheetName || this.parseSheetAndAddress(range).sheetName || '').toLowerCase();
+    const tasks = [];
+
+    if (path) {
+      tasks.push(this.cache.deleteMatching(ITEM, '', (id, key) => key.endsWith(`:${path}`)));
+      tasks.push(this.cache.deleteMatching(WORKBOOK, '', (info) => String(info.itemPath).toLowerCase() === path));
+    }
+    if (itemId) {
+      tasks.push(this.cache.deleteMatching(ITEM, '', (id) => id === itemId));
+      tasks.push(this.cache.deleteMatching(WORKBOOK, '', (info) => info.itemId === itemId));
+      tasks.push(this.invalidateWorksheets(itemId));
+    } else if (sheet) {
+      tasks.push(this.cache.deleteMatching(WORKSHEET, '', (id, key) => key.endsWith(`:${sheet}`)));
+    }
+
+    await Promise.all(tasks);
+    logger.debug('Dropped cached names after a 404', { itemId, itemPath: path || undefined, worksheetName: sheet || undefined });
+  }
 }
 
 module.exports = new ResolverService();
@@ -0,0 +1,270 @@
+/**
+ * Workbook Session Manager
+ * Opens Graph workbook sessions and attaches them to Excel calls with the
+ * workbook-session-id header. There are two kinds of session:
+ *   - held sessions, opened through POST /api/excel/session and passed back as sessionId,
+ *     so a GPT conversation sees one consistent workbook across several calls
+ *   - call sessions, opened for a multi-step write and closed when it completes
+ * Held sessions are refreshed while idle so Graph keeps them open, and closed after
+ * WORKBOOK_SESSION_IDLE_MINUTES (default 30) without use. Sessions live in process
+ * memory; a restarted or different instance answers 404 for them.
+ */
+
+const { v4: uuidv4 } = require('uuid');
+const logger = require('../config/logger');
+const { AppError } = require('../middleware/errorHandler');
+const { WORKBOOK_SESSION, HTTP_STATUS } = require('../utils/constants');
+
+const workbookPath = (driveId, itemId) => `/drives/${driveId}/items/${itemId}/workbook`;
+
+/**
+ * Graph client for session calls. excelService is required lazily because it
+ * attaches sessions from this manager to its own calls.
+ * @param {string} accessToken - Graph access token
+ * @returns {Object} Microsoft Graph client
+ */
+const graphClientFor = (accessToken) => require('./excelService').createGraphClient(accessToken);
+
+class WorkbookSessionManager {
+    constructor() {
+        const idleMinutes = parseFloat(process.env.WORKBOOK_SESSION_IDLE_MINUTES);
+        this.idleTimeout = Number.isFinite(idleMinutes) && idleMinutes > 0
+            ? idleMinutes * 60 * 1000
+            : WORKBOOK_SESSION.DEFAULT_IDLE_TIMEOUT;
+        this.sessions = new Map(); // key: sessionId -> held session
+        this.sweeper = null;
+    }
+
+    /**
+     * Create a Graph workbook session
+     * @param {string} accessToken - Graph access token
+     * @param {string} driveId - Drive ID
+     * @param {string} itemId - Workbook item ID
+     * @param {boolean} persistChanges - Whether changes are saved to the file
+     * @returns {Promise<string>} Graph session ID
+     */
+    async createGraphSession(accessToken, driveId, itemId, persistChanges) {
+        const response = await graphClientFor(accessToken)
+            .api(`${workbookPath(driveId, itemId)}/createSession`)
+            .post({ persistChanges });
+        return response.id;
+    }
+
+    /**
+     * Refresh or close a Graph workbook session
+     * @param {Object} session - Session
+     * @param {string} action - 'refreshSession' or 'closeSession'
+     */
+    async callSession(session, action) {
+        await graphClientFor(session.accessToken)
+            .api(`${workbookPath(session.driveId, session.itemId)}/${action}`)
+            .header(WORKBOOK_SESSION.HEADER, session.graphSessionId)
+            .post({});
+    }
+
+    /**
+     * Open a held session on a workbook
+     * @param {Object} params - { accessToken, driveId, itemId, persistChanges, user }
+     * @returns {Promise<Object>} Session description
+     */
+    async open({ accessToken, driveId, itemId, persistChanges = true, user }) {
+        if (this.sessions.size >= WORKBOOK_SESSION.MAX_SESSIONS) {
+            throw new AppError('Too many open workbook sessions; close one or try again later', HTTP_STATUS.SERVICE_UNAVAILABLE);
+        }
+
+        const graphSessionId = await this.createGraphSession(accessToken, driveId, itemId, persistChanges);
+        const now = Date.now();
+        const session = {
+            id: uuidv4(),
+            graphSessionId,
+            driveId,
+            itemId,
+            persistChanges,
+            user,
+            accessToken,
+            createdAt: now,
+            lastUsedAt: now,
+            lastRefreshedAt: now
+        };
+        this.sessions.set(session.id, session);
+        this.startSweeper();
+
+        logger.info('Workbook session opened', { sessionId: session.id, driveId, itemId, persistChanges, user });
+        return this.describe(session);
+    }
+
+    /**
+     * Public view of a held session
+     * @param {Object} session - Session
+     * @returns {Object} { sessionId, driveId, itemId, persistChanges, createdAt, expiresAt }
+     */
+    describe(session) {
+        return {
+            sessionId: session.id,
+            driveId: session.driveId,
+            itemId: session.itemId,
+            persistChanges: session.persistChanges,
+            createdAt: new Date(session.createdAt).toISOString(),
+            expiresAt: new Date(session.lastUsedAt + this.idleTimeout).toISOString()
+        };
+    }
+
+    /**
+     * Look up a caller's held session
+     * @param {string} sessionId - Session ID
+     * @param {Object} scope - { user, itemId (optional) }
+     * @returns {Object} Session
+     * @throws {AppError} 404 if the session is unknown, expired or another caller's;
+     *                    400 if it is open on a different workbook
+     */
+    find(sessionId, { user, itemId }) {
+        const session = this.sessions.get(sessionId);
+        if (!session || session.user !== user) {
+            throw new AppError(`Workbook session ${sessionId} not found or expired; open a new one`, HTTP_STATUS.NOT_FOUND);
+        }
+        if (itemId && session.itemId !== itemId) {
+            throw new AppError(`Workbook session ${sessionId} is open on a different workbook`, HTTP_STATUS.BAD_REQUEST);
+        }
+        return session;
+    }
+
+    /**
+     * Session for one Excel call: the caller's held session if sessionId is set, otherwise
+     * (with create) a call session that release() closes. Without either the call runs
+     * sessionless and null is returned, as it is when a call session cannot be opened.
+     * @param {Object} params - { accessToken, driveId, itemId, sessionId, user, create }
+     * @returns {Promise<Object|null>} Session with graphSessionId, or null
+     */
+    async acquire({ accessToken, driveId, itemId, sessionId, user, create = false }) {
+        if (sessionId) {
+            const session = this.find(sessionId, { user, itemId });
+            // Keep the newest token for refreshing the session while it is idle
+            session.accessToken = accessToken;
+            session.lastUsedAt = Date.now();
+            return session;
+        }
+        if (!create) {
+            return null;
+        }
+
+        try {
+            const graphSessionId = await this.createGraphSession(accessToken, driveId, itemId, true);
+            return { graphSessionId, driveId, itemId, accessToken, temporary: true };
+        } catch (error) {
+            logger.warn('Could not open a workbook session; continuing without one:', error.message);
+            return null;
+        }
+    }
+
+    /**
+     * Finish with a session from acquire(): call sessions are closed, held sessions stay open
+     * @param {Object|null} session - Session
+     */
+    async release(session) {
+        if (!session) {
+            return;
+        }
+        if (!session.temporary) {
+            session.lastUsedAt = Date.now();
+            return;
+        }
+
+        try {
+            await this.callSession(session, 'closeSession');
+        } catch (error) {
+            // Graph closes it on its own once idle
+            logger.warn('Could not close workbook session:', error.message);
+        }
+    }
+
+    /**
+     * Close a caller's held session
+     * @param {string} sessionId - Session ID
+     * @param {Object} scope - { user }
+     * @returns {Promise<Object>} Description of the closed session
+     */
+    async close(sessionId, { user }) {
+        const session = this.find(sessionId, { user });
+        this.sessions.delete(sessionId);
+
+        try {
+            await this.callSession(session, 'closeSession');
+        } catch (error) {
+            logger.warn('Could not close workbook session:', error.message);
+        }
+
+        logger.info('Workbook session closed', { sessionId, itemId: session.itemId, user });
+        return this.describe(session);
+    }
+
+    /**
+     * Close every held session (on shutdown)
+     */
+    async closeAll() {
+        const sessions = [...this.sessions.values()];
+        this.sessions.clear();
+        await Promise.all(sessions.map(session => this.callSession(session, 'closeSession').catch(() => {})));
+    }
+
+    /**
+     * Close held sessions idle for the idle timeout and refresh the others once they
+     * have been idle for WORKBOOK_SESSION.REFRESH_AFTER
+     */
+    async sweep() {
+        const now = Date.now();
+
+        for (const session of [...this.sessions.values()]) {
+            if (now - session.lastUsedAt >= this.idleTimeout) {
+                this.sessions.delete(session.id);
+                await this.callSession(session, 'closeSession').catch(() => {});
+                logger.info('Idle workbook session closed', { sessionId: session.id, itemId: session.itemId, user: session.user });
+                continue;
+            }
+
+            if (now - Math.max(session.lastUsedAt, session.lastRefreshedAt) >= WORKBOOK_SESSION.REFRESH_AFTER) {
+                try {
+                    await this.callSession(session, 'refreshSession');
+                    session.lastRefreshedAt = now;
+                } catch (error) {
+                    // Graph already expired the session, or the token did
+                    this.sessions.delete(session.id);
+                    logger.warn('Workbook session could not be refreshed and was dropped', {
+                        sessionId: session.id,
+                        error: error.message
+                    });
+                }
+            }
+        }
+
+        if (this.sessions.size === 0 && this.sweeper) {
+            clearInterval(this.sweeper);
+            this.sweeper = null;
+        }
+    }
+
+    /**
+     * Start the idle sweep if it is not running
+     */
+    startSweeper() {
+        if (this.sweeper) {
+            return;
+        }
+        this.sweeper = setInterval(() => {
+            this.sweep().catch(error => logger.warn('Workbook session sweep failed:', error.message));
+        }, WORKBOOK_SESSION.SWEEP_INTERVAL);
+        this.sweeper.unref();
+    }
+
+    /**
+     * Session statistics for health checks
+     * @returns {Object} { open, idleTimeoutMinutes }
+     */
+    getStats() {
+        return {
+            open: this.sessions.size,
+            idleTimeoutMinutes: this.idleTimeout / 60000
+        };
+    }
+}
+
+module.exports = new WorkbookSessionManager();
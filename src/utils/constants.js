@@ -17,6 +17,7 @@ const HTTP_STATUS = {
     METHOD_NOT_ALLOWED: 405,
     CONFLICT: 409,
     UNPROCESSABLE_ENTITY: 422,
+    FAILED_DEPENDENCY: 424,
     TOO_MANY_REQUESTS: 429,
     INTERNAL_SERVER_ERROR: 500,
     BAD_GATEWAY: 502,
@@ -55,7 +56,8 @@ const GRAPH_API = {
     },
     LIMITS: {
         REQUEST_TIMEOUT: 30000, // 30 seconds
-        MAX_BATCH_SIZE: 20,
+        MAX_BATCH_SIZE: 20, // Requests per Graph $batch call
+        MAX_BATCH_OPERATIONS: 100, // Operations per /api/excel/batch request, sent in $batch chunks
         RATE_LIMIT_REQUESTS: 10000, // per hour
         MAX_FILE_SIZE: 250 * 1024 * 1024 // 250MB
     }
@@ -66,7 +68,22 @@ const AUTH = {
     TOKEN_BUFFER_TIME: 5 * 60 * 1000, // 5 minutes buffer before token expiry
     MAX_TOKEN_RETRIES: 3,
     TOKEN_REFRESH_THRESHOLD: 10 * 60 * 1000, // Refresh if expires within 10 minutes
-    CLIENT_CREDENTIAL_SCOPE: 'https://graph.microsoft.com/.default'
+    CLIENT_CREDENTIAL_SCOPE: 'https://graph.microsoft.com/.default',
+    GRAPH_AUTH_MODES: {
+        APP: 'app',
+        OBO: 'obo',
+        AUTO: 'auto'
+    },
+    OBO_CACHE_MAX_ENTRIES: 500, // Delegated Graph tokens cached per user
+    // Scopes granted to inbound callers (API keys and bearer tokens)
+    CALLER_SCOPES: {
+        READ: 'excel.read',
+        WRITE: 'excel.write',
+        AUDIT: 'audit.read',
+        ALL: '*'
+    },
+    JWKS_CACHE_TTL: 10 * 60 * 1000, // Re-fetch signing keys every 10 minutes
+    JWKS_MIN_REFRESH_INTERVAL: 30 * 1000 // At most one forced refresh per 30 seconds on unknown kid
 };
 
 // Logging levels
@@ -84,12 +101,30 @@ const LOG_LEVELS = {
 const AUDIT_OPERATIONS = {
     READ: 'READ',
     WRITE: 'WRITE',
+    WRITE_RANGE: 'WRITE_RANGE', // Older entries recorded by the audit middleware for /write
     READ_TABLE: 'READ_TABLE',
     WRITE_TABLE: 'WRITE_TABLE',
+    ADD_TABLE_ROWS: 'ADD_TABLE_ROWS', // Older entries recorded by the audit middleware for /add-table-rows
     PERMISSION_CHECK: 'PERMISSION_CHECK',
+    PERMISSION_CHANGE: 'PERMISSION_CHANGE',
     AUTHENTICATION: 'AUTHENTICATION',
     SYSTEM: 'SYSTEM',
-    BATCH: 'BATCH_OPERATIONS'
+    BATCH: 'BATCH_OPERATIONS',
+    UNDO: 'UNDO'
+};
+
+// Audit store backends and retention defaults
+const AUDIT_STORE = {
+    BACKENDS: {
+        JSONL: 'jsonl',
+        SQLITE: 'sqlite',
+        MEMORY: 'memory'
+    },
+    DEFAULT_RETENTION_DAYS: 90,
+    DEFAULT_ROTATE_SIZE_MB: 10,
+    MEMORY_MAX_ENTRIES: 1000,
+    MAX_STORED_DIFF_CELLS: 1000, // Larger cell diffs are recomputed on request instead of stored
+    PRUNE_INTERVAL: 60 * 60 * 1000 // 1 hour
 };
 
 // Permission types
@@ -150,7 +185,7 @@ const VALIDATION_PATTERNS = {
     EXCEL_RANGE: /^[A-Z]+\d+:[A-Z]+\d+$|^[A-Z]+\d+$|^[A-Z]+:[A-Z]+$|^\d+:\d+$/,
     EMAIL: /^[^\s@]+@[^\s@]+\.[^\s@]+$/,
     UUID: /^[0-9a-f]{8}-[0-9a-f]{4}-[1-5][0-9a-f]{3}-[89ab][0-9a-f]{3}-[0-9a-f]{12}$/i,
-    WORKSHEET_NAME: /^[^\\\/\?\*\[\]]{1,31}$/,
+    WORKSHEET_NAME: /^[^\\/?*[\]]{1,31}$/,
     TABLE_NAME: /^[a-zA-Z_][a-zA-Z0-9_]{0,254}$/
 };
 
@@ -173,6 +208,55 @@ const CACHE = {
     MAX_CACHE_SIZE: 100 // Maximum number of cached items
 };
 
+// Cache stores (src/services/cacheStore) and the name-resolution cache built on them
+const CACHE_STORE = {
+    BACKENDS: {
+        MEMORY: 'memory',
+        SQLITE: 'sqlite'
+    },
+    DEFAULT_MAX_ENTRIES: 5000, // Least recently used entries are evicted beyond this
+    PRUNE_INTERVAL: 10 * 60 * 1000, // Expired entries are removed from persistent stores this often
+    NAME_TTL: 10 * 60 * 1000, // Default for drive, file and worksheet names
+    READ_TTL: 5 * 60 * 1000, // Default for range and table reads (READ_CACHE_ENABLED)
+    NAMESPACES: {
+        DRIVE: 'drive', // driveName -> driveId
+        ITEM: 'item', // driveId + item path -> itemId
+        WORKSHEET: 'worksheet', // itemId + worksheet name -> worksheetId
+        WORKBOOK: 'workbook', // driveId + itemId -> drive name, file name and path
+        RANGE: 'range', // itemId + worksheet + address -> range read
+        TABLE: 'table' // itemId + worksheet + table name -> table read
+    }
+};
+
+// Graph workbook sessions. Graph closes a session after about 5 minutes without requests
+// (7 for non-persistent sessions), so idle sessions are refreshed before that.
+const WORKBOOK_SESSION = {
+    HEADER: 'workbook-session-id',
+    REFRESH_AFTER: 4 * 60 * 1000,
+    DEFAULT_IDLE_TIMEOUT: 30 * 60 * 1000, // Held sessions unused this long are closed
+    SWEEP_INTERVAL: 60 * 1000,
+    MAX_SESSIONS: 500
+};
+
+// Retries, deadline and circuit breaker applied to every Graph request (graphPipeline)
+const GRAPH_PIPELINE = {
+    RETRY_STATUS_CODES: [429, 502, 503, 504],
+    // Graph has not processed a throttled request, so these are retried for every method;
+    // 502 and 504 only for methods that are safe to repeat
+    ALWAYS_RETRY_STATUS_CODES: [429, 503],
+    DEFAULT_MAX_RETRIES: 3,
+    BASE_DELAY: 1000, // First backoff, doubled per attempt
+    MAX_DELAY: 30 * 1000,
+    DEFAULT_DEADLINE: 30 * 1000, // Per request, including retries
+    DEFAULT_BREAKER_THRESHOLD: 5, // Consecutive failed requests that open a tenant's breaker
+    DEFAULT_BREAKER_COOLDOWN: 30 * 1000, // Open time before a trial request is let through
+    BREAKER_STATES: {
+        CLOSED: 'closed',
+        OPEN: 'open',
+        HALF_OPEN: 'half_open'
+    }
+};
+
 // File size limits
 const FILE_LIMITS = {
     MAX_UPLOAD_SIZE: 250 * 1024 * 1024, // 250MB
@@ -196,6 +280,7 @@ module.exports = {
     AUTH,
     LOG_LEVELS,
     AUDIT_OPERATIONS,
+    AUDIT_STORE,
     PERMISSIONS,
     USER_ROLES,
     RATE_LIMITS,
@@ -204,6 +289,9 @@ module.exports = {
     VALIDATION_PATTERNS,
     DEFAULTS,
     CACHE,
+    CACHE_STORE,
+    WORKBOOK_SESSION,
+    GRAPH_PIPELINE,
     FILE_LIMITS,
     ENVIRONMENTS
 };
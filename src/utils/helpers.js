@@ -3,8 +3,10 @@
  * Common utility functions used throughout the application
  */
 
+const fs = require('fs');
 const { v4: uuidv4 } = require('uuid');
 const logger = require('../config/logger');
+const { EXCEL } = require('./constants');
 
 /**
  * Generate a unique request ID
@@ -42,6 +44,31 @@ const columnNumberToLetter = (num) => {
     return result;
 };
 
+/**
+ * Check whether a cell holds the value that was (or is to be) written to it.
+ * Graph returns typed values (5, true) for what may have been written as strings ("5", "TRUE"),
+ * and computed values for formulas, so formulas are compared against the cell formula.
+ * @param {*} written - Value that was written (null/undefined: cell was not written)
+ * @param {*} value - Current cell value
+ * @param {*} formula - Current cell formula
+ * @returns {boolean} True if the cell holds the written value
+ */
+const cellStillHolds = (written, value, formula) => {
+    if (written === null || written === undefined) {
+        return true;
+    }
+    if (typeof written === 'string' && written.startsWith('=')) {
+        return String(formula ?? '').toUpperCase() === written.toUpperCase();
+    }
+    if (String(written) === String(value ?? '')) {
+        return true;
+    }
+    if (typeof value === 'number' && written !== '' && Number(written) === value) {
+        return true;
+    }
+    return typeof value === 'boolean' && String(written).toUpperCase() === String(value).toUpperCase();
+};
+
 /**
  * Parse Excel range into components
  * @param {string} range - Range string (e.g., 'A1:C10')
@@ -117,9 +144,10 @@ const arrayToCSV = (data) => {
     
     return data.map(row => 
         row.map(cell => {
-            const cellStr = String(cell || '');
-            // Escape quotes and wrap in quotes if contains comma, quote, or newline
-            if (cellStr.includes(',') || cellStr.includes('"') || cellStr.includes('\n')) {
+            // Keep 0 and false; only null/undefined become empty cells
+            const cellStr = String(cell ?? '');
+            // Escape quotes and wrap in quotes if contains comma, quote, or line break
+            if (cellStr.includes(',') || cellStr.includes('"') || cellStr.includes('\n') || cellStr.includes('\r')) {
                 return `"${cellStr.replace(/"/g, '""')}"`;
             }
             return cellStr;
@@ -147,7 +175,7 @@ const deepClone = (obj) => {
     
     const cloned = {};
     for (const key in obj) {
-        if (obj.hasOwnProperty(key)) {
+        if (Object.prototype.hasOwnProperty.call(obj, key)) {
             cloned[key] = deepClone(obj[key]);
         }
     }
@@ -257,6 +285,106 @@ const throttle = (func, limit) => {
     };
 };
 
+/**
+ * Normalize a slash-delimited drive path ("/Finance/2026/" -> "Finance/2026", "" = drive root)
+ * @param {string} itemPath - Folder or file path
+ * @returns {string} Normalized path
+ */
+const normalizeItemPath = (itemPath) => {
+    return String(itemPath || '')
+        .split('/')
+        .map(segment => segment.trim())
+        .filter(Boolean)
+        .join('/');
+};
+
+/**
+ * Encode a normalized path for Graph path addressing (root:/a/b:/...)
+ * @param {string} itemPath - Folder or file path
+ * @returns {string} Path with each segment URI-encoded
+ */
+const encodeItemPath = (itemPath) => {
+    return normalizeItemPath(itemPath).split('/').map(encodeURIComponent).join('/');
+};
+
+/**
+ * Check whether a file name has a supported Excel extension
+ * @param {string} name - File name
+ * @returns {boolean} True for Excel workbooks
+ */
+const isExcelFileName = (name) => {
+    const lower = String(name || '').toLowerCase();
+    return EXCEL.SUPPORTED_FILE_EXTENSIONS.some(ext => lower.endsWith(ext));
+};
+
+/**
+ * Levenshtein edit distance between two strings
+ * @param {string} a - First string
+ * @param {string} b - Second string
+ * @returns {number} Number of single-character edits
+ */
+const levenshteinDistance = (a, b) => {
+    const prev = Array.from({ length: b.length + 1 }, (_, j) => j);
+    for (let i = 1; i <= a.length; i++) {
+        let diag = prev[0];
+        prev[0] = i;
+        for (let j = 1; j <= b.length; j++) {
+            const tmp = prev[j];
+            prev[j] = Math.min(prev[j] + 1, prev[j - 1] + 1, diag + (a[i - 1] === b[j - 1] ? 0 : 1));
+            diag = tmp;
+        }
+    }
+    return prev[b.length];
+};
+
+/**
+ * Pick the candidates closest to a target string (case-insensitive), best first
+ * @param {string} target - String the caller asked for
+ * @param {Array<string>} candidates - Known strings
+ * @param {number} limit - Maximum suggestions to return
+ * @returns {Array<string>} Suggestions
+ */
+const suggestClosest = (target, candidates, limit = 5) => {
+    const t = String(target).toLowerCase();
+    return [...new Set(candidates)]
+        .map(c => ({ c, d: levenshteinDistance(t, String(c).toLowerCase()) }))
+        .sort((x, y) => x.d - y.d)
+        .slice(0, limit)
+        .map(x => x.c);
+};
+
+/**
+ * Read a non-negative number from the environment
+ * @param {string} name - Variable name
+ * @param {number} fallback - Value when unset or invalid
+ * @returns {number} Parsed value
+ */
+const readEnvNumber = (name, fallback) => {
+    const value = parseFloat(process.env[name]);
+    return Number.isFinite(value) && value >= 0 ? value : fallback;
+};
+
+// How often watched config files are polled for edits
+const CONFIG_WATCH_INTERVAL_MS = 2000;
+
+/**
+ * Call a function whenever a config file is edited. The file is polled, which also
+ * notices a file that is replaced or created after the watch starts.
+ * @param {string} filePath - File to watch
+ * @param {Function} onChange - Called after each edit
+ * @returns {Function} Stops watching
+ */
+const watchConfigFile = (filePath, onChange) => {
+    const listener = (curr, prev) => {
+        if (curr.mtimeMs !== prev.mtimeMs) {
+            onChange();
+        }
+    };
+    // Do not keep the process alive just for the watcher
+    fs.watchFile(filePath, { interval: CONFIG_WATCH_INTERVAL_MS }, listener).unref();
+    return () => fs.unwatchFile(filePath, listener);
+};
+
 /**
  * Sleep for specified milliseconds
  * @param {number} ms - Milliseconds to sleep
@@ -270,6 +398,7 @@ module.exports = {
     generateRequestId,
     columnLetterToNumber,
     columnNumberToLetter,
+    cellStillHolds,
     parseExcelRange,
     isValidExcelRange,
     arrayToCSV,
@@ -280,5 +409,12 @@ module.exports = {
     retryWithBackoff,
     debounce,
     throttle,
+    normalizeItemPath,
+    encodeItemPath,
+    isExcelFileName,
+    levenshteinDistance,
+    suggestClosest,
+    readEnvNumber,
+    watchConfigFile,
     sleep
 };